@@ -208,6 +208,9 @@ async function showLobby(displayName, stats = null) {
 
   gameUI = new GameUI(socket);
 
+  // Return to our seat if we still hold one (e.g. the server restarted mid-hand)
+  socket.emit('resumeSeat');
+
   // Cache lifetime stats if provided
   if (stats) {
     cachedLifetimeStats = stats;
@@ -359,13 +362,14 @@ async function loadRooms() {
       // Escape room ID for use in HTML attribute
       const escapedRoomId = room.roomId.replace(/'/g, "\\'").replace(/"/g, '&quot;');
       const displayRoomId = room.roomId.replace(/</g, '&lt;').replace(/>/g, '&gt;');
-      const isFull = room.playerCount >= 5;
+      const isFull = room.playerCount >= room.seats;
 
       return `
         <div class="room-item">
           <div class="room-info">
             <span class="room-name">${displayRoomId}</span>
-            <span class="room-players">${room.players.join(', ')} (${room.playerCount}/5)</span>
+            <span class="room-players">${room.players.join(', ')} (${room.playerCount}/${room.seats})</span>
+            <span class="room-rules">${room.houseRules.length > 0 ? room.houseRules.join(' · ') : 'Standard rules'}</span>
           </div>
           <div class="room-buttons">
             <button class="btn small" onclick="joinRoom('${escapedRoomId}')" ${isFull ? 'disabled' : ''}>Join Table</button>
@@ -428,7 +432,7 @@ async function loadLeaderboard(mode = 'daily') {
 document.getElementById('join-room-btn').addEventListener('click', () => {
   const roomCode = document.getElementById('room-code').value.trim();
   if (roomCode) {
-    joinRoom(roomCode);
+    joinRoom(roomCode, getHouseRules());
   }
 });
 
@@ -436,15 +440,75 @@ document.getElementById('room-code').addEventListener('keypress', (e) => {
   if (e.key === 'Enter') {
     const roomCode = document.getElementById('room-code').value.trim();
     if (roomCode) {
-      joinRoom(roomCode);
+      joinRoom(roomCode, getHouseRules());
+    }
+  }
+});
+
+// Load a hand written in hand notation into a practice table, then sit down at it
+document.getElementById('practice-btn').addEventListener('click', async () => {
+  const errorEl = document.getElementById('practice-error');
+  errorEl.classList.add('hidden');
+
+  try {
+    const res = await fetch('/api/hands/import', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Tab-ID': TAB_ID
+      },
+      body: JSON.stringify({
+        notation: document.getElementById('practice-notation').value,
+        seat: Number(document.getElementById('practice-seat').value)
+      }),
+      credentials: 'include'
+    });
+
+    const data = await res.json();
+
+    if (res.ok) {
+      joinRoom(data.roomId);
+    } else {
+      errorEl.textContent = data.error || 'Could not load the hand';
+      errorEl.classList.remove('hidden');
     }
+  } catch (err) {
+    errorEl.textContent = 'Connection error';
+    errorEl.classList.remove('hidden');
   }
 });
 
-function joinRoom(roomId) {
+/**
+ * House rules changed from the standard ones in the lobby form (null if none),
+ * with changed scoring schedule values under `scoring`.
+ * They only take effect if the joined table doesn't exist yet.
+ */
+function getHouseRules() {
+  const rules = {};
+  const scoring = {};
+  for (const input of document.querySelectorAll('.house-rules [data-rule], .house-rules [data-scoring]')) {
+    const standard = input.tagName === 'SELECT' ?
+      input.querySelector('option[selected]').value :
+      input.defaultValue;
+    if (input.value === standard) continue;
+
+    const value = input.type === 'number' ? Number(input.value) : input.value;
+    if (input.dataset.scoring) {
+      scoring[input.dataset.scoring] = value;
+    } else {
+      rules[input.dataset.rule] = value;
+    }
+  }
+  if (Object.keys(scoring).length > 0) {
+    rules.scoring = scoring;
+  }
+  return Object.keys(rules).length > 0 ? rules : null;
+}
+
+function joinRoom(roomId, rules = null) {
   if (!socket) return;
 
-  socket.emit('joinRoom', { roomId, asKibbitzer: false });
+  socket.emit('joinRoom', { roomId, asKibbitzer: false, rules });
 
   // Switch to game screen
   lobbyScreen.classList.add('hidden');
@@ -47,11 +47,25 @@ const RANK_DISPLAY = {
   });
 })();
 
+// Sheepshead trump: all Queens and Jacks, and diamonds
+const STANDARD_TRUMP = { ranks: ['Q', 'J'], suit: 'diamonds' };
+
+// Trump in a Schafkopf game: Obers, Unters and hearts in a Rufspiel (and while bidding),
+// Unters alone in a Wenz, Obers, Unters and the chosen suit in a Solo
+function schafkopfTrump(contract) {
+  if (contract?.type === 'wenz') return { ranks: ['J'], suit: null };
+  return { ranks: ['Q', 'J'], suit: contract?.type === 'solo' ? contract.suit : 'hearts' };
+}
+
 // Check if a card is trump
-function isTrump(card) {
-  if (card.rank === 'Q' || card.rank === 'J') return true;
-  if (card.suit === 'diamonds') return true;
-  return false;
+function isTrump(card, trump = STANDARD_TRUMP) {
+  return trump.ranks.includes(card.rank) || card.suit === trump.suit;
+}
+
+// A card from its ID, e.g. "10_hearts" (for hands sent as IDs, such as replays)
+function cardFromId(id) {
+  const [rank, suit] = id.split('_');
+  return { id, rank, suit };
 }
 
 // Get the SVG file path for a card
@@ -67,7 +81,7 @@ function createCardElement(card, options = {}) {
   div.className = 'card ' + card.suit;
   div.dataset.cardId = card.id;
 
-  if (isTrump(card)) {
+  if (isTrump(card, options.trump)) {
     div.classList.add('trump');
   }
 
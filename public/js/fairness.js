@@ -0,0 +1,126 @@
+/**
+ * Provably Fair Deal Verification
+ *
+ * Re-runs the server's shuffle in the browser once a hand's server seed is
+ * revealed, and checks it against the commitments published before the deal.
+ * Must stay in step with src/game/deck.js (createSeededRandom, shuffle) and
+ * src/game/fairness.js.
+ */
+
+const FAIRNESS_SUITS = ['diamonds', 'hearts', 'spades', 'clubs'];
+const FAIRNESS_RANKS = ['7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+/**
+ * SHA-256 of a string, as raw bytes
+ */
+async function sha256Bytes(text) {
+  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return new Uint8Array(buffer);
+}
+
+/**
+ * SHA-256 of a string, as hex
+ */
+async function sha256Hex(text) {
+  const bytes = await sha256Bytes(text);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Random client seed to contribute to the next deal
+ */
+function generateClientSeed() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Card IDs of a fresh deck in the server's order
+ */
+function freshDeckIds() {
+  const ids = [];
+  for (const suit of FAIRNESS_SUITS) {
+    for (const rank of FAIRNESS_RANKS) {
+      ids.push(`${rank}_${suit}`);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Shuffle the deck for a seed (SHA-256 counter mode + Fisher-Yates)
+ * @returns {Promise<Array>} - Card IDs in dealing order
+ */
+async function shuffleDeckIds(seed) {
+  const words = [];
+  let counter = 0;
+
+  async function nextWord() {
+    if (words.length === 0) {
+      const block = await sha256Bytes(`${seed}:${counter++}`);
+      const view = new DataView(block.buffer);
+      for (let i = 0; i < block.length; i += 4) {
+        words.push(view.getUint32(i));
+      }
+    }
+    return words.shift();
+  }
+
+  async function random() {
+    const a = await nextWord();
+    const b = await nextWord();
+    return ((a >>> 5) * 67108864 + (b >>> 6)) / 9007199254740992;
+  }
+
+  const deck = freshDeckIds();
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = Math.floor((await random()) * (i + 1));
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return deck;
+}
+
+/**
+ * Verify a revealed deal.
+ * @param {Object} fairness - { serverSeed, serverSeedHash, clientSeed, nonce, deckHash }
+ * @param {Object} options - { seatIndex, clientSeed, hand, seats } to also check our own seed
+ *   was used and that we were dealt the cards the deck says we were (at a table of `seats`),
+ *   and { committedHash }, the server seed hash we chose our client seed against
+ * @returns {Promise<Object>} - { valid, deck, serverSeedHashValid, deckHashValid, commitmentMatches,
+ *   clientSeedIncluded, handMatches }
+ */
+async function verifyFairDeal(fairness, { seatIndex = null, clientSeed = null, hand = null, seats = 5, committedHash = null } = {}) {
+  const { serverSeed, serverSeedHash, clientSeed: combinedSeed, nonce, deckHash } = fairness;
+
+  const deck = await shuffleDeckIds(`${serverSeed}:${combinedSeed}:${nonce}`);
+  const serverSeedHashValid = (await sha256Hex(serverSeed)) === serverSeedHash;
+  const deckHashValid = (await sha256Hex(`${deck.join(',')}:${serverSeed}`)) === deckHash;
+  // A server that swaps its seed after seeing the client seeds reveals a different hash
+  const commitmentMatches = committedHash === null || committedHash === serverSeedHash;
+
+  let clientSeedIncluded = true;
+  let handMatches = true;
+  if (seatIndex !== null) {
+    if (clientSeed !== null) {
+      clientSeedIncluded = combinedSeed.split('|')[seatIndex] === clientSeed;
+    }
+    if (hand) {
+      // A round of one card each per card in the hand (six at five players), starting from seat 0
+      const dealt = [];
+      for (let round = 0; round < hand.length; round++) {
+        dealt.push(deck[round * seats + seatIndex]);
+      }
+      handMatches = [...dealt].sort().join(',') === [...hand].sort().join(',');
+    }
+  }
+
+  return {
+    valid: serverSeedHashValid && deckHashValid && commitmentMatches && clientSeedIncluded && handMatches,
+    deck,
+    serverSeedHashValid,
+    deckHashValid,
+    commitmentMatches,
+    clientSeedIncluded,
+    handMatches
+  };
+}
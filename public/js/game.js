@@ -7,12 +7,23 @@
  * Player Positioning:
  * - Players are arranged in a pentagon with "me" at the bottom
  * - Positions 0-4 wrap clockwise: bottom, lower-left, upper-left, upper-right, lower-right
+ * - Tables of other sizes use some of these plus 5-7: left, right and top (SEAT_POSITIONS)
  *
  * Dependencies:
  * - cards.js (createCardElement, SUIT_SYMBOLS, etc.)
+ * - fairness.js (generateClientSeed, verifyFairDeal)
  * - Socket.IO connection passed to constructor
  */
 
+// Position element (player-pos-N) of each seat clockwise from mine, by table size
+const SEAT_POSITIONS = {
+  3: [0, 2, 3],
+  4: [0, 1, 7, 4],
+  5: [0, 1, 2, 3, 4],
+  6: [0, 1, 2, 7, 3, 4],
+  7: [0, 1, 5, 2, 3, 6, 4]
+};
+
 class GameUI {
   constructor(socket) {
     this.socket = socket;
@@ -20,6 +31,11 @@ class GameUI {
     this.selectedCards = [];
     this.pendingUnderCall = null; // {suit, rank} when selecting hole card
 
+    // Provably fair deals: our client seed for the next deal, and what we
+    // need to check the current deal once its server seed is revealed
+    this.nextClientSeed = null;   // {clientSeed, serverSeedHash}
+    this.dealCheck = null;        // {serverSeedHash, committedHash, clientSeed, hand}
+
     this.setupEventListeners();
     this.setupBeforeUnloadWarning();
   }
@@ -45,6 +61,9 @@ class GameUI {
     this.socket.on('handComplete', (results) => this.handleHandComplete(results));
     this.socket.on('playerJoined', (data) => this.handlePlayerJoined(data));
     this.socket.on('playerLeft', (data) => this.handlePlayerLeft(data));
+    this.socket.on('playerReplaced', (data) => this.handlePlayerReplaced(data));
+    this.socket.on('cracked', (data) => this.handleCracked(data));
+    this.socket.on('blitzed', (data) => this.handleBlitzed(data));
     this.socket.on('roomUpdate', (data) => this.handleRoomUpdate(data));
     this.socket.on('error', (data) => this.handleError(data));
     this.socket.on('gameReset', (data) => this.handleGameReset(data));
@@ -52,6 +71,10 @@ class GameUI {
     this.socket.on('sessionEnded', (data) => this.handleSessionEnded(data));
     this.socket.on('votingUpdate', (data) => this.handleVotingUpdate(data));
     this.socket.on('returnToLobby', (data) => this.handleReturnToLobby(data));
+    this.socket.on('seatResumed', (data) => this.handleSeatResumed(data));
+
+    // Socket.IO reconnected after a dropped connection - take our seat back
+    this.socket.on('connect', () => this.socket.emit('resumeSeat'));
 
     // UI events
     document.getElementById('start-game-btn').addEventListener('click', () => {
@@ -68,6 +91,10 @@ class GameUI {
       this.socket.emit('leaveTable');
     });
 
+    document.getElementById('add-bot-btn').addEventListener('click', () => {
+      this.socket.emit('addBot');
+    });
+
     document.getElementById('cancel-room-btn').addEventListener('click', () => {
       this.socket.emit('leaveRoom');
       this.showLobby();
@@ -98,9 +125,104 @@ class GameUI {
     if (state.phase !== 'scoring') {
       this.updateVotingDisplay([], []);
     }
+    this.trackFairDeal(state);
     this.render();
   }
 
+  /**
+   * Contribute a client seed to each upcoming deal and remember our dealt
+   * hand so the deal can be verified when the hand ends
+   */
+  trackFairDeal(state) {
+    if (state.isKibbitzer) return;
+
+    if ((state.phase === 'waiting' || state.phase === 'scoring') && state.nextServerSeedHash &&
+        this.nextClientSeed?.serverSeedHash !== state.nextServerSeedHash) {
+      this.nextClientSeed = { clientSeed: generateClientSeed(), serverSeedHash: state.nextServerSeedHash };
+      this.socket.emit('setClientSeed', this.nextClientSeed.clientSeed);
+    }
+
+    if (state.phase === 'picking' && state.fairness &&
+        this.dealCheck?.serverSeedHash !== state.fairness.serverSeedHash) {
+      // Checked against the deal even if the server dealt from a seed it hadn't committed to
+      this.dealCheck = {
+        serverSeedHash: state.fairness.serverSeedHash,
+        committedHash: this.nextClientSeed?.serverSeedHash ?? null,
+        clientSeed: this.nextClientSeed?.clientSeed ?? null,
+        hand: state.hand.map(c => c.id)
+      };
+    }
+  }
+
+  /**
+   * Verify the revealed deal and add the result to the scoring overlay
+   */
+  async showDealVerification(fairness) {
+    const details = document.getElementById('scoring-details');
+    const check = this.dealCheck?.serverSeedHash === fairness.serverSeedHash ? this.dealCheck : null;
+    const myIndex = check && !this.state.isKibbitzer ? this.state.myIndex : null;
+
+    let result;
+    try {
+      result = await verifyFairDeal(fairness, {
+        seatIndex: myIndex,
+        clientSeed: check?.clientSeed ?? null,
+        hand: check?.hand || null,
+        seats: this.seatCount(),
+        committedHash: check?.committedHash ?? null
+      });
+    } catch (err) {
+      return; // Verification needs a secure context (crypto.subtle)
+    }
+
+    const p = document.createElement('p');
+    p.className = 'fairness-result ' + (result.valid ? 'verified' : 'failed');
+    p.textContent = result.valid ?
+      `✓ Fair deal verified (hand #${fairness.nonce})` :
+      `✗ Deal failed verification (hand #${fairness.nonce})`;
+    p.title = `Server seed: ${fairness.serverSeed}\nClient seeds: ${fairness.clientSeed}`;
+    details.appendChild(p);
+  }
+
+  /**
+   * Seats at this table (5 unless the house rules say otherwise)
+   */
+  seatCount() {
+    return this.state.rules?.numPlayers || 5;
+  }
+
+  /**
+   * Short label for a card ID, e.g. "♦ J" for J_diamonds
+   */
+  cardLabel(id) {
+    const [rank, suit] = id.split('_');
+    return `${SUIT_SYMBOLS[suit]} ${rank}`;
+  }
+
+  /**
+   * Which cards are trump this hand (see cards.js)
+   */
+  trump() {
+    return this.state.rules?.game === 'schafkopf' ? schafkopfTrump(this.state.contract) : STANDARD_TRUMP;
+  }
+
+  /**
+   * Name of a Schafkopf game, e.g. "Rufspiel on the ♣ Ace" or "♥ Solo"
+   */
+  contractLabel(game) {
+    if (game.type === 'rufspiel') return `Rufspiel on the ${SUIT_SYMBOLS[game.suit]} Ace`;
+    if (game.type === 'wenz') return 'Wenz';
+    return `${SUIT_SYMBOLS[game.suit]} Solo`;
+  }
+
+  /**
+   * Position element number for a seat, with my seat at the bottom (0)
+   */
+  positionOf(seatIndex) {
+    const seats = this.seatCount();
+    return SEAT_POSITIONS[seats][(seatIndex - this.state.myIndex + seats) % seats];
+  }
+
   handleCardPlayed(data) {
     // Animation could go here
   }
@@ -108,16 +230,13 @@ class GameUI {
   handleTrickComplete(data) {
     if (!this.state) return;
 
-    const myIndex = this.state.myIndex;
-
     // Render all 5 cards from the trick data so the last card is visible
     document.querySelectorAll('.played-card-area').forEach(el => el.remove());
     for (const play of data.trick) {
       const player = this.state.players.find(p => p.id === play.playerId);
       if (!player) continue;
 
-      const relPos = (player.seatIndex - myIndex + 5) % 5;
-      const playerPosEl = document.getElementById(`player-pos-${relPos}`);
+      const playerPosEl = document.getElementById(`player-pos-${this.positionOf(player.seatIndex)}`);
       if (!playerPosEl) continue;
 
       const cardWrapper = document.createElement('div');
@@ -129,7 +248,7 @@ class GameUI {
         cardEl = createCardBack({ small: true });
         cardEl.classList.add('under-card-played');
       } else {
-        cardEl = createCardElement(play.card, { small: true });
+        cardEl = createCardElement(play.card, { small: true, trump: this.trump() });
       }
       cardWrapper.appendChild(cardEl);
       playerPosEl.appendChild(cardWrapper);
@@ -138,8 +257,7 @@ class GameUI {
     // Find the winning player's position and highlight their card and box
     const winner = this.state.players.find(p => p.id === data.winner);
     if (winner) {
-      const relPos = (winner.seatIndex - myIndex + 5) % 5;
-      const posEl = document.getElementById(`player-pos-${relPos}`);
+      const posEl = document.getElementById(`player-pos-${this.positionOf(winner.seatIndex)}`);
 
       if (posEl) {
         posEl.classList.add('won-trick');
@@ -168,8 +286,17 @@ class GameUI {
     }, 1500);
   }
 
+  handleSeatResumed(data) {
+    // Back in a seat we still hold - go straight to the table
+    document.getElementById('lobby-screen').classList.add('hidden');
+    document.getElementById('game-screen').classList.remove('hidden');
+  }
+
   handleHandComplete(results) {
     this.showScoringOverlay(results);
+    if (results.fairness?.serverSeed) {
+      this.showDealVerification(results.fairness);
+    }
   }
 
   handlePlayerJoined(data) {
@@ -201,6 +328,34 @@ class GameUI {
     }
   }
 
+  handlePlayerReplaced(data) {
+    // A bot took over the seat mid-hand; the next game state carries its cards
+    if (this.state && this.state.players) {
+      const seat = this.state.players.find(p => p.id === data.playerId);
+      if (seat) {
+        Object.assign(seat, { id: data.botId, name: data.botName, isBot: true });
+        this.render();
+      }
+    }
+  }
+
+  handleCracked(data) {
+    // Show the crack right away; the next game state moves the decision on
+    if (this.state) {
+      if (!data.recrack) this.state.crackedBy = data.playerId;
+      this.state.recracked = data.recrack;
+      this.renderGameInfo();
+    }
+  }
+
+  handleBlitzed(data) {
+    // Show the Queens right away; the next game state carries the blitz too
+    if (this.state) {
+      this.state.blitz = { playerId: data.playerId, cardIds: data.cardIds };
+      this.renderGameInfo();
+    }
+  }
+
   handleRoomUpdate(data) {
     if (this.state) {
       const existingScores = this.state.playerScores;
@@ -367,10 +522,12 @@ class GameUI {
       waiting: 'Waiting for players',
       dealing: 'Dealing...',
       picking: 'Pick or Pass',
+      bidding: 'Bidding',
       burying: 'Burying cards',
       calling: 'Calling partner',
+      cracking: 'Crack?',
       playing: 'Playing',
-      schwanzer: 'Schwanzer (Leasters)',
+      schwanzer: 'Leasters',
       scoring: 'Scoring'
     };
     return phases[this.state.phase] || this.state.phase;
@@ -383,20 +540,50 @@ class GameUI {
     // Update player count display
     const countEl = document.getElementById('waiting-count');
     const playerCount = this.state.players ? this.state.players.length : 0;
-    countEl.textContent = playerCount + ' / 5 players';
+    countEl.textContent = playerCount + ' / ' + this.seatCount() + ' players';
 
     const players = this.state.players || [];
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < this.seatCount(); i++) {
       const player = players.find(p => p.seatIndex === i);
       const div = document.createElement('div');
-      div.className = 'waiting-player' + (player ? '' : ' empty');
+      div.className = 'waiting-player' + (player ? '' : ' empty') + (player?.isBot ? ' bot' : '');
       div.textContent = player ? player.name : 'Waiting...';
+
+      // Seated players can set a bot's difficulty or take it back out before the hand starts
+      if (player?.isBot && !this.state.isKibbitzer) {
+        const difficulty = document.createElement('select');
+        difficulty.className = 'bot-difficulty';
+        for (const [value, label] of [['normal', 'Normal'], ['expert', 'Expert']]) {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          difficulty.appendChild(option);
+        }
+        difficulty.value = player.difficulty || 'normal';
+        difficulty.onchange = () => this.socket.emit('setBotDifficulty', { botId: player.id, difficulty: difficulty.value });
+        div.appendChild(difficulty);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-bot-btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove bot';
+        removeBtn.onclick = () => this.socket.emit('removeBot', player.id);
+        div.appendChild(removeBtn);
+      }
       container.appendChild(div);
     }
 
-    // Show start button if we have 5 players (not for kibbitzers)
+    // Fill empty seats with bots (not for kibbitzers)
+    const addBotBtn = document.getElementById('add-bot-btn');
+    if (players.length < this.seatCount() && !this.state.isKibbitzer) {
+      addBotBtn.classList.remove('hidden');
+    } else {
+      addBotBtn.classList.add('hidden');
+    }
+
+    // Show start button once the table is full (not for kibbitzers)
     const startBtn = document.getElementById('start-game-btn');
-    if (players.length === 5 && !this.state.isKibbitzer) {
+    if (players.length === this.seatCount() && !this.state.isKibbitzer) {
       startBtn.classList.remove('hidden');
     } else {
       startBtn.classList.add('hidden');
@@ -409,7 +596,7 @@ class GameUI {
       // For kibbitzers, this button should try to join as player instead of leaving
       cancelBtn.onclick = () => {
         // If there's space, attempt to join as player
-        if (players.length < 5) {
+        if (players.length < this.seatCount()) {
           this.socket.emit('leaveRoom'); // Leave as kibbitzer first
           setTimeout(() => {
             this.socket.emit('joinRoom', { roomId: this.state.roomId, asKibbitzer: false });
@@ -442,46 +629,44 @@ class GameUI {
     // My seat is always at the bottom (position 0)
     // Other players wrap around clockwise in pentagon formation
 
-    const myIndex = this.state.myIndex;
     const playerScores = this.state.playerScores || {};
 
     // Clear all positions
-    for (let i = 0; i < 5; i++) {
-      const el = document.getElementById(`player-pos-${i}`);
-      if (el) el.innerHTML = '';
+    for (const el of document.querySelectorAll('.player-position')) {
+      el.innerHTML = '';
     }
 
     // Place players relative to me
     for (const player of this.state.players) {
-      // Calculate relative position (0 = me, 1-4 = others clockwise)
-      let relPos = (player.seatIndex - myIndex + 5) % 5;
-
-      // Map relative position to visual position
+      // Map the seat to its visual position (see SEAT_POSITIONS)
       // 0 = bottom (me), 1 = lower-left, 2 = upper-left, 3 = upper-right, 4 = lower-right
-      const posIndex = relPos;
+      const posIndex = this.positionOf(player.seatIndex);
 
       const el = document.getElementById(`player-pos-${posIndex}`);
       if (!el) continue;
 
       const isCurrentPlayer = this.state.players[this.state.currentPlayerIndex]?.id === player.id;
-      const isMe = !this.state.isKibbitzer && relPos === 0;
+      const isMe = !this.state.isKibbitzer && posIndex === 0;
 
       let roleText = '';
       if (player.isPicker) roleText = 'Picker';
       else if (player.isPartner) roleText = 'Partner';
 
+      // Seat held while the player reconnects
+      const isReconnecting = player.connected === false;
+
       // Get player scores
       const scores = playerScores[player.id] || { daily: 0, lifetime: 0 };
       const dailyScore = scores.daily;
       const lifetimeScore = scores.lifetime;
 
       el.innerHTML = `
-        <div class="player-box ${isCurrentPlayer ? 'current-turn' : ''} ${player.isPicker ? 'is-picker' : ''} ${player.isPartner ? 'is-partner' : ''} ${isMe ? 'is-me' : ''}">
+        <div class="player-box ${isCurrentPlayer ? 'current-turn' : ''} ${player.isPicker ? 'is-picker' : ''} ${player.isPartner ? 'is-partner' : ''} ${isMe ? 'is-me' : ''} ${isReconnecting ? 'is-reconnecting' : ''}">
           <div class="player-name">
-            ${player.name}${isMe ? ' (You)' : ''}
             ${player.isDealer ? '<span class="dealer-chip">D</span>' : ''}
           </div>
           ${roleText ? `<div class="player-role">${roleText}</div>` : ''}
+          ${isReconnecting ? '<div class="player-reconnecting">Reconnecting…</div>' : ''}
           <div class="player-scores">
             <span class="score-daily" title="Today's score">${dailyScore >= 0 ? '+' : ''}${dailyScore}</span>
             <span class="score-sep">/</span>
@@ -490,6 +675,8 @@ class GameUI {
           <div class="player-tricks">${player.tricksWon} tricks</div>
         </div>
       `;
+      // Display names are free text, so they go in as text, never as markup
+      el.querySelector('.player-name').prepend(`${player.name}${isMe ? ' (You)' : ''}`);
     }
   }
 
@@ -497,17 +684,12 @@ class GameUI {
     // Clear any existing played cards from player positions
     document.querySelectorAll('.played-card-area').forEach(el => el.remove());
 
-    const myIndex = this.state.myIndex;
-
     for (const play of this.state.currentTrick) {
       const player = this.state.players.find(p => p.id === play.playerId);
       if (!player) continue;
 
-      // Calculate relative position
-      const relPos = (player.seatIndex - myIndex + 5) % 5;
-
       // Find the player position element
-      const playerPosEl = document.getElementById(`player-pos-${relPos}`);
+      const playerPosEl = document.getElementById(`player-pos-${this.positionOf(player.seatIndex)}`);
       if (!playerPosEl) continue;
 
       // Create card element for the played card
@@ -521,7 +703,7 @@ class GameUI {
         cardEl.classList.add('under-card-played');
         cardEl.title = 'Under card (face down)';
       } else {
-        cardEl = createCardElement(play.card, { small: true });
+        cardEl = createCardElement(play.card, { small: true, trump: this.trump() });
       }
       cardWrapper.appendChild(cardEl);
 
@@ -564,7 +746,8 @@ class GameUI {
 
       const cardEl = createCardElement(card, {
         playable: isPlayable,
-        selected: isSelected
+        selected: isSelected,
+        trump: this.trump()
       });
 
       // Mark blind cards visually during burying
@@ -600,7 +783,7 @@ class GameUI {
       const index = this.selectedCards.indexOf(card.id);
       if (index >= 0) {
         this.selectedCards.splice(index, 1);
-      } else if (this.selectedCards.length < 2) {
+      } else if (this.selectedCards.length < this.state.needToBury) {
         this.selectedCards.push(card.id);
       }
       this.renderHand();
@@ -626,27 +809,52 @@ class GameUI {
     const trickCount = document.getElementById('trick-count');
     const lastTrickBtn = document.getElementById('show-last-trick-btn');
 
-    if (this.state.picker) {
+    if (this.state.contract) {
+      const declarer = this.state.players.find(p => p.id === this.state.contract.declarer);
+      pickerInfo.textContent = `${this.contractLabel(this.state.contract)}: ${declarer?.name || 'Unknown'}`;
+    } else if (this.state.picker) {
       const picker = this.state.players.find(p => p.id === this.state.picker);
       pickerInfo.textContent = `Picker: ${picker?.name || 'Unknown'}`;
     } else if (this.state.isSchwanzer) {
       pickerInfo.textContent = 'Schwanzer!';
+    } else if (this.state.isLeasters) {
+      pickerInfo.textContent = 'Leasters - fewest points wins';
     } else {
       pickerInfo.textContent = '';
     }
 
     if (this.state.calledSuit) {
       const underLabel = this.state.isUnderCall ? ' (Under)' : '';
-      calledInfo.innerHTML = `Called: ${getSuitDisplay(this.state.calledSuit)}${underLabel}`;
+      calledInfo.textContent = `Called: ${getSuitDisplay(this.state.calledSuit)}${underLabel}`;
       if (this.state.partner) {
         const partner = this.state.players.find(p => p.id === this.state.partner);
-        calledInfo.innerHTML += ` - ${partner?.name}`;
+        calledInfo.textContent += ` - ${partner?.name}`;
       }
+    } else if (this.state.partnerCardId) {
+      // Jack of diamonds (or black queen) rule: the card's holder is the partner
+      const partner = this.state.players.find(p => p.id === this.state.partner);
+      calledInfo.textContent = `Partner: ${this.cardLabel(this.state.partnerCardId)} holder${partner ? ` - ${partner.name}` : ''}`;
+    } else if (this.state.picker && ['jackOfDiamonds', 'blackQueen', 'none'].includes(this.state.rules?.partner)) {
+      calledInfo.innerHTML = 'Picker is alone';
     } else {
       calledInfo.textContent = '';
     }
 
-    trickCount.textContent = `Tricks: ${this.state.tricks.length}/6`;
+    trickCount.textContent = `Tricks: ${this.state.tricks.length}/${this.state.tricksPerHand}`;
+    if (this.state.doubler > 1) {
+      trickCount.textContent += ` - Stakes x${this.state.doubler}`;
+    }
+    if (this.state.blitz) {
+      const blitzer = this.state.players.find(p => p.id === this.state.blitz.playerId);
+      const queens = this.state.blitz.cardIds.map(id => `Q${SUIT_SYMBOLS[id.split('_')[1]]}`).join(' ');
+      trickCount.textContent += ` - Blitz by ${blitzer?.name} (${queens}) x2`;
+    }
+    if (this.state.crackedBy) {
+      const cracker = this.state.players.find(p => p.id === this.state.crackedBy);
+      trickCount.textContent += this.state.recracked ?
+        ` - Re-cracked x4` :
+        ` - Cracked by ${cracker?.name} x2`;
+    }
 
     // Show/hide last trick button
     if (this.state.lastTrick && this.state.lastTrick.length > 0) {
@@ -673,34 +881,63 @@ class GameUI {
     if (this.state.phase === 'picking' && isMyTurn) {
       container.classList.remove('hidden');
       container.innerHTML = `
-        <div class="action-message">Pick up the blind?</div>
+        <div class="action-message">${this.state.mustPick ? 'Everyone passed - the dealer must pick' : 'Pick up the blind?'}</div>
         <div class="action-buttons">
           <button class="btn primary" id="pick-btn">Pick</button>
-          <button class="btn danger" id="pass-btn">Pass</button>
+          ${this.state.mustPick ? '' : '<button class="btn danger" id="pass-btn">Pass</button>'}
         </div>
       `;
 
       document.getElementById('pick-btn').addEventListener('click', () => {
         this.socket.emit('pick', true);
       });
-      document.getElementById('pass-btn').addEventListener('click', () => {
+      document.getElementById('pass-btn')?.addEventListener('click', () => {
         this.socket.emit('pick', false);
       });
     }
 
+    if (this.state.phase === 'bidding' && isMyTurn) {
+      // Schafkopf: bid a game that outranks the bids so far, or pass
+      const nameOf = (id) => this.state.players.find(p => p.id === id)?.name;
+      const bidsSoFar = this.state.bids
+        .map(b => `${nameOf(b.playerId)}: ${b.game ? this.contractLabel(b.game) : 'pass'}`)
+        .join(', ');
+      container.classList.remove('hidden');
+      container.innerHTML = `
+        <div class="action-message">What will you play?</div>
+        ${bidsSoFar ? `<div class="action-hint">${bidsSoFar}</div>` : ''}
+        <div class="action-buttons">
+          ${this.state.biddableGames.map((game, i) =>
+            `<button class="btn primary bid-btn" data-index="${i}">${this.contractLabel(game)}</button>`
+          ).join('')}
+          <button class="btn danger" id="bid-pass-btn">Pass</button>
+        </div>
+      `;
+
+      container.querySelectorAll('.bid-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          this.socket.emit('bid', this.state.biddableGames[btn.dataset.index]);
+        });
+      });
+      document.getElementById('bid-pass-btn').addEventListener('click', () => {
+        this.socket.emit('bid', null);
+      });
+    }
+
     if (this.state.phase === 'burying' && myPlayer.id === this.state.picker) {
       container.classList.remove('hidden');
       blindArea.classList.remove('hidden');
 
       // Show blind cards in hand (they're already added)
+      const toBury = this.state.needToBury;
       container.innerHTML = `
-        <div class="action-message">Select 2 cards to bury (${this.selectedCards.length}/2)</div>
+        <div class="action-message">Select ${toBury} cards to bury (${this.selectedCards.length}/${toBury})</div>
         <div class="action-buttons">
-          <button class="btn primary" id="bury-btn" ${this.selectedCards.length !== 2 ? 'disabled' : ''}>Bury Cards</button>
+          <button class="btn primary" id="bury-btn" ${this.selectedCards.length !== toBury ? 'disabled' : ''}>Bury Cards</button>
         </div>
       `;
 
-      if (this.selectedCards.length === 2) {
+      if (this.selectedCards.length === toBury) {
         document.getElementById('bury-btn').addEventListener('click', () => {
           this.socket.emit('bury', this.selectedCards);
           this.selectedCards = [];
@@ -708,6 +945,30 @@ class GameUI {
       }
     }
 
+    if (this.state.phase === 'cracking' && isMyTurn) {
+      const recrack = !!this.state.crackedBy;
+      const seconds = Math.round((this.state.crackWindowMs || 0) / 1000);
+      container.classList.remove('hidden');
+      container.innerHTML = `
+        <div class="action-message">${recrack ? 'Cracked! Re-crack to double again?' : 'Crack to double the stakes?'}</div>
+        ${seconds ? `<div class="action-hint">You pass automatically after ${seconds} seconds</div>` : ''}
+        <div class="action-buttons">
+          ${this.state.canCrack ? `<button class="btn primary" id="crack-btn">${recrack ? 'Re-crack' : 'Crack'}</button>` : ''}
+          <button class="btn" id="no-crack-btn">Pass</button>
+        </div>
+      `;
+
+      const crackBtn = document.getElementById('crack-btn');
+      if (crackBtn) {
+        crackBtn.addEventListener('click', () => {
+          this.socket.emit('crack', true);
+        });
+      }
+      document.getElementById('no-crack-btn').addEventListener('click', () => {
+        this.socket.emit('crack', false);
+      });
+    }
+
     if (this.state.phase === 'calling' && this.state.callableOptions && myPlayer.id === this.state.picker) {
       container.classList.remove('hidden');
 
@@ -769,6 +1030,22 @@ class GameUI {
         });
       }
     }
+
+    // Blitzing can be done out of turn, alongside whatever else we're deciding
+    if (this.state.canBlitz) {
+      if (container.classList.contains('hidden')) {
+        container.innerHTML = '';
+        container.classList.remove('hidden');
+      }
+      const blitzRow = document.createElement('div');
+      blitzRow.className = 'action-buttons';
+      blitzRow.innerHTML = '<button class="btn primary" id="blitz-btn">Blitz (show Queens, x2)</button>';
+      container.appendChild(blitzRow);
+
+      document.getElementById('blitz-btn').addEventListener('click', () => {
+        this.socket.emit('blitz');
+      });
+    }
   }
 
   showScoringOverlay(results) {
@@ -846,6 +1123,40 @@ class GameUI {
       detailsHtml = detailsHtml.slice(0, -3) + '</div>';
 
       details.innerHTML = detailsHtml;
+    } else if (results.type === 'leasters') {
+      const nameOf = (id) => this.state.players.find(p => p.id === id)?.name;
+
+      title.textContent = 'Leasters';
+
+      let detailsHtml = '<p>Everyone passed - hand played out</p>';
+
+      const myPlayer = !this.state.isKibbitzer ? this.state.players.find(p => p.seatIndex === this.state.myIndex) : null;
+      if (myPlayer) {
+        detailsHtml += results.winners.includes(myPlayer.id) ?
+          '<p class="personal-result win">You Win!</p>' :
+          '<p class="personal-result lose">You Lost</p>';
+      }
+
+      const label = results.winners.length > 1 ? 'Tied winners' : 'Winner';
+      detailsHtml += `<p><strong>${label}:</strong> ${results.winners.map(nameOf).join(', ')} (${results.fewestPoints} points)</p>`;
+      detailsHtml += `<p><strong>Blind:</strong> ${results.blindPoints} points to ${nameOf(results.blindTo)}</p>`;
+
+      detailsHtml += '<div class="schwanzer-points-breakdown"><strong>Points Taken:</strong><br>';
+      detailsHtml += this.state.players
+        .map(player => `${player.name}: ${results.playerPoints[player.id]} (${results.tricksWon[player.id].length} tricks)`)
+        .join(' | ');
+      detailsHtml += '</div>';
+
+      details.innerHTML = detailsHtml;
+    } else if (results.type === 'thrownIn') {
+      title.textContent = 'Thrown In';
+      details.innerHTML = '<p>Everyone passed - nobody wanted to play</p>';
+    } else if (results.type === 'doubler') {
+      title.textContent = 'Thrown In';
+      details.innerHTML = `
+        <p>Everyone passed</p>
+        <p><strong>Next hand is doubled</strong> (stakes x${results.doubler})</p>
+      `;
     } else {
       const picker = this.state.players.find(p => p.id === results.picker);
       const partner = results.partner ? this.state.players.find(p => p.id === results.partner) : null;
@@ -869,16 +1180,40 @@ class GameUI {
         }
       }
 
+      if (results.contract) {
+        detailsHtml += `
+          <p><strong>${this.contractLabel(results.contract)}</strong> worth ${results.value}${results.runners ? ` with ${results.runners} runners` : ''}</p>
+        `;
+      }
+
       detailsHtml += `
-        <p><strong>Picker:</strong> ${picker?.name}</p>
-        ${partner ? `<p><strong>Partner:</strong> ${partner.name} (${results.calledSuit} Ace)</p>` : '<p><strong>Going Alone</strong></p>'}
+        <p><strong>${results.contract ? 'Declarer' : 'Picker'}:</strong> ${picker?.name}</p>
+        ${partner ? `<p><strong>Partner:</strong> ${partner.name} (${results.calledSuit ? `${results.calledSuit} Ace` : this.cardLabel(results.partnerCardId)})</p>` : '<p><strong>Going Alone</strong></p>'}
         <p><strong>Picking Team:</strong> ${results.pickingPoints} points (${results.pickingTeamTricks} tricks)</p>
         <p><strong>Defenders:</strong> ${results.defendingPoints} points (${results.defendingTeamTricks} tricks)</p>
-        <p><strong>Buried:</strong> ${results.buriedPoints} points</p>
+        ${results.contract ? '' : `<p><strong>Buried:</strong> ${results.buriedPoints} points</p>`}
+        ${results.doubler > 1 ? `<p><strong>Doubled:</strong> stakes x${results.doubler}</p>` : ''}
+        ${results.crackedBy ? `<p><strong>${results.recracked ? 'Re-cracked' : 'Cracked'}:</strong> stakes x${results.crackMultiplier}</p>` : ''}
+        ${results.bumpMultiplier > 1 ? `<p><strong>Bumped:</strong> stakes x${results.bumpMultiplier}</p>` : ''}
+        ${results.forcedMultiplier > 1 ? `<p><strong>Forced pick lost:</strong> stakes x${results.forcedMultiplier}</p>` : ''}
+        ${results.blitzedBy ? `<p><strong>Blitzed:</strong> ${this.state.players.find(p => p.id === results.blitzedBy)?.name} (stakes x${results.blitzMultiplier})</p>` : ''}
       `;
       details.innerHTML = detailsHtml;
     }
 
+    if (results.reveal) {
+      details.appendChild(this.createHandReveal(results.reveal));
+    }
+
+    // Recorded hands can be stepped back through (and the link shared), or saved in hand notation
+    if (results.replayUrl) {
+      const replay = document.createElement('p');
+      replay.className = 'replay-link';
+      replay.innerHTML = `<a href="${results.replayUrl}" target="_blank">Watch the replay</a>` +
+        ` &middot; <a href="${results.notationUrl}" target="_blank">Hand notation</a>`;
+      details.appendChild(replay);
+    }
+
     // Show scores
     scores.innerHTML = '';
     for (const player of this.state.players) {
@@ -895,6 +1230,51 @@ class GameUI {
     }
   }
 
+  /**
+   * The hand laid open once it's scored: what each seat was dealt, the blind and
+   * the bury, with the under card marked
+   */
+  createHandReveal({ hands, blind, buried, underCardId }) {
+    const reveal = document.createElement('details');
+    reveal.className = 'hand-reveal';
+    reveal.innerHTML = '<summary>Show the hand</summary>';
+
+    const addRow = (label, cards) => {
+      if (cards.length === 0) return;
+      const row = document.createElement('div');
+      row.className = 'hand-reveal-row';
+
+      const name = document.createElement('span');
+      name.className = 'hand-reveal-label';
+      name.textContent = label;
+      row.appendChild(name);
+
+      for (const card of cards) {
+        const cardEl = createCardElement(card, { small: true, trump: this.trump() });
+        if (card.id === underCardId) {
+          cardEl.classList.add('under-card');
+          cardEl.title = 'Under card';
+        }
+        row.appendChild(cardEl);
+      }
+      reveal.appendChild(row);
+    };
+
+    for (const player of this.state.players) {
+      addRow(player.name, hands[player.id] || []);
+    }
+    addRow('Blind', blind);
+    addRow('Buried', buried);
+
+    if (underCardId) {
+      const note = document.createElement('p');
+      note.textContent = `Under card: ${this.cardLabel(underCardId)}`;
+      reveal.appendChild(note);
+    }
+
+    return reveal;
+  }
+
   showLastTrick() {
     if (!this.state || !this.state.lastTrick) return;
 
@@ -918,14 +1298,13 @@ class GameUI {
         cardEl.classList.add('under-card-played');
         cardEl.title = 'Under card (face down)';
       } else {
-        cardEl = createCardElement(play.card, { small: true });
+        cardEl = createCardElement(play.card, { small: true, trump: this.trump() });
       }
       wrapper.appendChild(cardEl);
 
       const label = document.createElement('span');
       label.className = 'card-owner';
-      const relPos = (player.seatIndex - myIndex + 5) % 5;
-      label.textContent = player.name + (relPos === 0 ? ' (You)' : '');
+      label.textContent = player.name + (player.seatIndex === myIndex ? ' (You)' : '');
       wrapper.appendChild(label);
 
       container.appendChild(wrapper);
@@ -938,6 +1317,9 @@ class GameUI {
     document.getElementById('game-screen').classList.add('hidden');
     document.getElementById('lobby-screen').classList.remove('hidden');
     this.state = null;
+    // Client seeds were chosen against this table's commitments
+    this.nextClientSeed = null;
+    this.dealCheck = null;
     // Refresh all lobby data when returning
     if (typeof loadRooms === 'function') {
       loadRooms();
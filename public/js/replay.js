@@ -0,0 +1,287 @@
+/**
+ * Hand Replay Viewer
+ *
+ * Steps through a finished hand on the same table as the game screen: the deal,
+ * each pick (or bid), the call, the bury, then every trick card by card. The
+ * server builds the frames (src/game/replay.js) and this page only draws them,
+ * reusing GameUI's seats, played cards and game info. Every hand is shown
+ * face-up, the under card included, since the hand is over.
+ *
+ * The page is /replay/<token>: the link is read-only and needs no login, so it
+ * can be shared. ?step=N opens it at step N (counting the deal as 1).
+ *
+ * Dependencies:
+ * - cards.js (createCardElement, createTrickCard, cardFromId)
+ * - game.js (GameUI)
+ */
+
+class ReplayViewer extends GameUI {
+  constructor(token) {
+    super(null);
+    this.token = token;
+    this.replay = null;
+    this.step = 0;
+    this.names = {}; // playerId -> name, including seats taken over by a bot
+  }
+
+  // No socket and nothing to lose on leaving: only the replay controls
+  setupEventListeners() {
+    document.getElementById('replay-first').addEventListener('click', () => this.goTo(0));
+    document.getElementById('replay-back').addEventListener('click', () => this.goTo(this.step - 1));
+    document.getElementById('replay-forward').addEventListener('click', () => this.goTo(this.step + 1));
+    document.getElementById('replay-last').addEventListener('click', () => this.goTo(this.replay.frames.length - 1));
+    document.getElementById('replay-copy-link').addEventListener('click', () => this.copyLink());
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.replay) return;
+      if (e.key === 'ArrowLeft') this.goTo(this.step - 1);
+      if (e.key === 'ArrowRight') this.goTo(this.step + 1);
+      if (e.key === 'Home') this.goTo(0);
+      if (e.key === 'End') this.goTo(this.replay.frames.length - 1);
+    });
+  }
+
+  setupBeforeUnloadWarning() {}
+
+  async load() {
+    try {
+      const res = await fetch(`/api/replays/${encodeURIComponent(this.token)}`);
+      const data = await res.json();
+      if (!res.ok) {
+        this.showError(data.error || 'Could not load the replay');
+        return;
+      }
+
+      this.replay = data;
+      for (const frame of data.frames) {
+        for (const player of frame.players) {
+          this.names[player.id] = player.name;
+        }
+      }
+      document.getElementById('room-name').textContent = `Table ${data.roomId} - Hand ${data.handNumber}`;
+
+      const step = parseInt(new URLSearchParams(window.location.search).get('step'));
+      this.goTo(Number.isInteger(step) ? step - 1 : 0);
+    } catch (err) {
+      this.showError('Could not load the replay');
+    }
+  }
+
+  showError(message) {
+    const el = document.getElementById('replay-error');
+    el.textContent = message;
+    el.classList.remove('hidden');
+  }
+
+  goTo(step) {
+    if (!this.replay) return;
+    this.step = Math.min(Math.max(step, 0), this.replay.frames.length - 1);
+    this.state = this.stateFor(this.replay.frames[this.step]);
+    this.render();
+  }
+
+  /**
+   * A frame in the shape of a game state, as seen from the kibbitzers' rail
+   * with the first seat at the bottom
+   */
+  stateFor(frame) {
+    const dealerSeat = this.replay.dealerIndex;
+    return {
+      rules: this.replay.rules,
+      tricksPerHand: this.replay.tricksPerHand,
+      phase: frame.phase,
+      isKibbitzer: true,
+      myIndex: 0,
+      players: frame.players.map(p => ({
+        ...p,
+        isDealer: p.seatIndex === dealerSeat,
+        isPicker: p.id === frame.picker || p.id === frame.contract?.declarer,
+        isPartner: p.id === frame.partner,
+        tricksWon: frame.tricksWon[p.id]
+      })),
+      currentPlayerIndex: frame.players.findIndex(p => p.id === frame.currentPlayer),
+      // Drawn face-up: renderTrickMarks marks the under card afterwards
+      currentTrick: frame.trick.map(play => ({ playerId: play.playerId, card: cardFromId(play.cardId), isUnderCard: false })),
+      tricks: Array.from({ length: frame.tricksPlayed }),
+      lastTrick: null,
+      picker: frame.picker,
+      partner: frame.partner,
+      calledSuit: frame.calledSuit,
+      calledRank: frame.calledRank,
+      partnerCardId: frame.partnerCardId,
+      isUnderCall: frame.isUnderCall,
+      underCardId: frame.underCardId,
+      contract: frame.contract,
+      isSchwanzer: frame.isSchwanzer,
+      isLeasters: frame.isLeasters,
+      doubler: frame.doubler,
+      crackedBy: frame.crackedBy,
+      recracked: frame.recracked,
+      blitz: frame.blitz
+    };
+  }
+
+  render() {
+    const frame = this.replay.frames[this.step];
+
+    document.getElementById('game-phase').textContent = this.getPhaseDisplay();
+    document.getElementById('replay-position').textContent = `${this.step + 1} / ${this.replay.frames.length}`;
+    document.getElementById('replay-back').disabled = this.step === 0;
+    document.getElementById('replay-first').disabled = this.step === 0;
+    document.getElementById('replay-forward').disabled = this.step === this.replay.frames.length - 1;
+    document.getElementById('replay-last').disabled = this.step === this.replay.frames.length - 1;
+
+    this.renderPlayers();
+    this.renderHands(frame);
+    this.renderTrick();
+    this.renderTrickMarks(frame);
+    this.renderGameInfo();
+    this.renderStep(frame);
+    this.renderBlind(frame);
+  }
+
+  /**
+   * Each seat's cards, face-up, under its name
+   */
+  renderHands(frame) {
+    for (const player of this.state.players) {
+      const el = document.getElementById(`player-pos-${this.positionOf(player.seatIndex)}`);
+      if (!el) continue;
+
+      const hand = document.createElement('div');
+      hand.className = 'replay-hand';
+      for (const id of frame.hands[player.id] || []) {
+        hand.appendChild(this.cardElement(id, frame));
+      }
+      el.appendChild(hand);
+    }
+  }
+
+  /**
+   * The under card and the winner of a finished trick, on the played cards
+   */
+  renderTrickMarks(frame) {
+    for (const play of frame.trick) {
+      const cardEl = document.querySelector(`.played-card-area [data-card-id="${play.cardId}"]`);
+      if (!cardEl) continue;
+      if (play.isUnderCard) {
+        cardEl.classList.add('under-card');
+        cardEl.title = 'Under card';
+      }
+      if (play.playerId === frame.trickWinner) {
+        cardEl.classList.add('trick-winner');
+      }
+    }
+  }
+
+  /**
+   * What just happened, in the middle of the table
+   */
+  renderStep(frame) {
+    const container = document.getElementById('trick-area');
+    // Built as text: the line has players' names in it, and anyone with the link can open this page
+    const line = document.createElement('p');
+    line.className = 'replay-action';
+    line.textContent = this.describe(frame);
+    container.replaceChildren(line);
+
+    if (frame.results) {
+      const scores = document.createElement('div');
+      scores.className = 'replay-scores';
+      for (const player of frame.players) {
+        const score = frame.results.scores[player.id] || 0;
+        const item = document.createElement('div');
+        item.className = `score-value ${score >= 0 ? 'positive' : 'negative'}`;
+        item.textContent = `${player.name} ${score >= 0 ? '+' : ''}${score}`;
+        scores.appendChild(item);
+      }
+      container.appendChild(scores);
+    }
+  }
+
+  /**
+   * The blind while it's on the table, then what the picker buried
+   */
+  renderBlind(frame) {
+    const container = document.getElementById('blind-area');
+    container.innerHTML = '';
+    for (const id of frame.blind) {
+      container.appendChild(createTrickCard(cardFromId(id), 'Blind'));
+    }
+    for (const id of frame.buried) {
+      container.appendChild(createTrickCard(cardFromId(id), 'Buried'));
+    }
+    for (const cardEl of container.querySelectorAll('.card')) {
+      if (cardEl.dataset.cardId === frame.underCardId) {
+        cardEl.classList.add('under-card');
+      }
+    }
+  }
+
+  cardElement(id, frame) {
+    const cardEl = createCardElement(cardFromId(id), { small: true, trump: this.trump() });
+    if (id === frame.underCardId) {
+      cardEl.classList.add('under-card');
+      cardEl.title = 'Under card';
+    }
+    return cardEl;
+  }
+
+  /**
+   * One line for the action a frame follows
+   */
+  describe(frame) {
+    const { action } = frame;
+    const name = this.names[action.playerId] || 'Unknown';
+
+    switch (action.type) {
+      case 'deal':
+        return `${this.names[this.replay.dealer]} deals`;
+      case 'pick':
+        return action.picked ? `${name} picks` : `${name} passes`;
+      case 'bid':
+        return action.game ? `${name} bids ${this.contractLabel(action.game)}` : `${name} passes`;
+      case 'call':
+        if (action.goAlone) return `${name} goes alone`;
+        if (!action.suit) return `${name} plays with the ${this.cardLabel(frame.partnerCardId)} holder`;
+        return `${name} calls the ${getSuitDisplay(action.suit)} ${action.rank || frame.calledRank}` +
+          (action.underCardId ? `, under with the ${this.cardLabel(action.underCardId)}` : '');
+      case 'bury':
+        return `${name} buries ${action.cardIds.map(id => this.cardLabel(id)).join(' and ')}`;
+      case 'crack':
+        if (!action.cracked) return `${name} doesn't crack`;
+        return action.playerId === frame.picker ? `${name} re-cracks` : `${name} cracks`;
+      case 'blitz':
+        return `${name} blitzes`;
+      case 'substitute':
+        return `${action.botName} takes over for ${name}`;
+      case 'play': {
+        let text = `${name} plays ${this.cardLabel(action.cardId)}`;
+        if (action.cardId === frame.underCardId) text += ' (under card)';
+        if (frame.trickWinner) {
+          text += ` - ${this.names[frame.trickWinner]} takes the trick`;
+        }
+        return text;
+      }
+      default:
+        return action.type;
+    }
+  }
+
+  /**
+   * Copy this replay's link, at the current step
+   */
+  copyLink() {
+    const url = `${window.location.origin}/replay/${encodeURIComponent(this.token)}?step=${this.step + 1}`;
+    const button = document.getElementById('replay-copy-link');
+    navigator.clipboard.writeText(url).then(() => {
+      button.textContent = 'Copied!';
+      setTimeout(() => { button.textContent = 'Copy Link'; }, 1500);
+    }).catch(() => {
+      window.prompt('Copy this link:', url);
+    });
+  }
+}
+
+const replayViewer = new ReplayViewer(window.location.pathname.split('/').pop());
+replayViewer.load();
@@ -0,0 +1,348 @@
+/**
+ * Monte Carlo computer player ("expert" difficulty)
+ *
+ * Chooses cards by determinized search: deals the cards it can't see to the
+ * other seats in ways consistent with everything it knows, plays each playable
+ * card out to the end of the hand in every deal (with all seats then following
+ * the rule-based heuristics), and plays the card with the best average result.
+ * Like RuleBot it only uses the view a human in the seat gets.
+ *
+ * What a sampled deal respects:
+ * - A player who didn't follow a led suit is void in it
+ * - The called card (or the J♦ that makes its holder partner) is held by
+ *   someone other than the picker until it's played
+ * - On an under call the picker has none of the called suit, and one of their
+ *   cards is the under card; otherwise the picker keeps a card of the called
+ *   suit until it's led (the hold card)
+ * - Two cards were buried (only the picker knows which)
+ * - An under card played face-down is one the picker held, off the called suit
+ * - Blitzed Queens are with the player who showed them until they're played
+ *
+ * Picking, calling, burying, cracking and leasters use the rule-based heuristics.
+ */
+
+const RuleBot = require('./RuleBot');
+const {
+  createDeck,
+  shuffle,
+  isTrump,
+  getEffectiveSuit,
+  getPlayableCards,
+  determineTrickWinner,
+  calculatePoints
+} = require('./deck');
+const {
+  TABLE_SIZES,
+  TOTAL_POINTS
+} = require('./constants');
+const { DEFAULT_RULES } = require('./rules');
+
+const DEFAULT_TIME_BUDGET_MS = 250; // Thinking time per card played
+const DEFAULT_MAX_SAMPLES = 300;    // Stop early once this many deals are evaluated
+const DEAL_ATTEMPTS = 20;           // Tries at a deal that fits every constraint
+const RESULT_BONUS = 30;            // Worth of winning (or schneider) over card points
+
+/**
+ * How good a final picking-team point total is for the picking team, under the table's rules
+ */
+function pickingValue(pickingPoints, rules) {
+  let value = pickingPoints;
+  value += pickingPoints >= rules.winThreshold ? RESULT_BONUS : -RESULT_BONUS;
+  if (pickingPoints >= rules.pickerSchneider) value += RESULT_BONUS;
+  if (TOTAL_POINTS - pickingPoints >= rules.defenderSchneider) value -= RESULT_BONUS;
+  return value;
+}
+
+class MonteCarloBot extends RuleBot {
+  /**
+   * @param {Object} options - { timeBudgetMs, maxSamples, random }
+   */
+  constructor({ timeBudgetMs = DEFAULT_TIME_BUDGET_MS, maxSamples = DEFAULT_MAX_SAMPLES, random = Math.random } = {}) {
+    super();
+    this.timeBudgetMs = timeBudgetMs;
+    this.maxSamples = maxSamples;
+    this.random = random;
+  }
+
+  /**
+   * Whether this seat's next action is a card to search for - the slow part of
+   * chooseAction, which the server runs on a worker thread (see SearchWorker.js)
+   */
+  searchesFor(state) {
+    if (state.phase !== 'playing' || state.canBlitz || !state.playableCards) return false;
+    return state.hand.filter(c => state.playableCards.includes(c.id)).length > 1;
+  }
+
+  /**
+   * Choose a card by sampling deals of the unseen cards and playing each candidate out
+   */
+  chooseCard(state, playerId) {
+    const candidates = state.hand.filter(c => state.playableCards.includes(c.id));
+    if (candidates.length === 1) return candidates[0].id;
+
+    const knowledge = this.analyze(state, playerId);
+    const totals = new Map(candidates.map(c => [c.id, 0]));
+    const deadline = Date.now() + this.timeBudgetMs;
+
+    let samples = 0;
+    do {
+      const deal = this.sampleDeal(knowledge);
+      for (const card of candidates) {
+        totals.set(card.id, totals.get(card.id) + this.simulate(state, playerId, deal, card));
+      }
+      samples++;
+    } while (samples < this.maxSamples && Date.now() < deadline);
+
+    let best = candidates[0].id;
+    for (const [cardId, total] of totals) {
+      if (total > totals.get(best)) best = cardId;
+    }
+    return best;
+  }
+
+  /**
+   * Work out the unseen cards and what is known about where they are
+   * @returns {Object} - { unseen, seats, buriedCount, faceDownCount, calledCardId, pickerHolds, needsUnderCard, shown }
+   */
+  analyze(state, playerId) {
+    const { picker, calledSuit, calledRank } = state;
+    const completed = state.tricks.map(t => t.cards);
+    const allPlays = [...completed, state.currentTrick];
+
+    const seen = new Set(state.hand.map(c => c.id));
+    let faceDownCount = 0;
+    for (const plays of allPlays) {
+      for (const play of plays) {
+        if (play.card.hidden) faceDownCount++;
+        else seen.add(play.card.id);
+      }
+    }
+    for (const card of state.buried || []) seen.add(card.id);
+    const unseen = createDeck().filter(c => !seen.has(c.id));
+
+    // Voids shown by not following the led suit (the under card says nothing)
+    const voids = {};
+    for (const p of state.players) voids[p.id] = new Set();
+    for (const plays of allPlays) {
+      if (plays.length === 0 || plays[0].card.hidden) continue;
+      const leadSuit = getEffectiveSuit(plays[0].card);
+      for (const play of plays.slice(1)) {
+        if (!play.isUnderCard && getEffectiveSuit(play.card) !== leadSuit) {
+          voids[play.playerId].add(leadSuit);
+        }
+      }
+    }
+    if (state.isUnderCall && picker !== playerId) {
+      voids[picker].add(calledSuit);
+    }
+
+    const seats = state.players
+      .filter(p => p.id !== playerId)
+      .map(p => ({ id: p.id, count: p.cardCount, voids: voids[p.id] }));
+
+    const isPartnerCard = calledSuit ?
+      (c => c.suit === calledSuit && c.rank === calledRank) :
+      (c => c.id === state.partnerCardId);
+    const calledCardId = !state.partner && unseen.find(isPartnerCard)?.id || null;
+
+    // The picker keeps a hold card of the called suit until the suit is led
+    const ledCalledSuit = completed.some(plays => getEffectiveSuit(plays[0].card) === calledSuit);
+    const trick = state.currentTrick;
+    const followedCalledSuit = trick.length > 0 && getEffectiveSuit(trick[0].card) === calledSuit &&
+      trick.some(p => p.playerId === picker);
+    const pickerHolds = !!calledSuit && !state.isUnderCall && picker !== playerId &&
+      !ledCalledSuit && !followedCalledSuit;
+
+    return {
+      unseen,
+      seats,
+      buriedCount: picker && picker !== playerId ? TABLE_SIZES[state.players.length].blindSize : 0,
+      faceDownCount,
+      picker,
+      calledSuit,
+      calledCardId,
+      pickerHolds,
+      needsUnderCard: state.isUnderCall && !state.underCardPlayed && picker !== playerId,
+      shown: state.blitz && state.blitz.playerId !== playerId ?
+        { playerId: state.blitz.playerId, cardIds: state.blitz.cardIds.filter(id => unseen.some(c => c.id === id)) } :
+        null
+    };
+  }
+
+  /**
+   * Deal the unseen cards to the other seats (and the buried pile, and any
+   * face-down under card already played)
+   * @returns {Object} - { hands, buried, faceDown, underCardId }
+   */
+  sampleDeal(knowledge) {
+    for (let attempt = 1; attempt < DEAL_ATTEMPTS; attempt++) {
+      const deal = this.tryDeal(knowledge, true);
+      if (deal) return deal;
+    }
+    // Constraints that can't be met together shouldn't stop the bot from playing;
+    // fall back to a deal that only respects the number of cards each seat holds
+    return this.tryDeal(knowledge, false);
+  }
+
+  /**
+   * One attempt at a deal; null if the random choices painted it into a corner
+   * @param {boolean} strict - Respect voids, the called card and the hold card
+   */
+  tryDeal(knowledge, strict) {
+    const slots = knowledge.seats.map(s => ({ ...s, cards: [] }));
+    const buried = { id: null, count: knowledge.buriedCount, voids: new Set(), cards: [] };
+    const faceDown = { id: null, count: knowledge.faceDownCount, voids: new Set([knowledge.calledSuit]), cards: [] };
+    slots.push(buried, faceDown);
+
+    const pickerSlot = slots.find(s => s.id === knowledge.picker);
+    const fits = (slot, card) => slot.cards.length < slot.count &&
+      (!strict || !slot.voids.has(getEffectiveSuit(card)));
+    const randomItem = (items) => items[Math.floor(this.random() * items.length)];
+
+    let pool = [...knowledge.unseen];
+    const place = (slot, card) => {
+      slot.cards.push(card);
+      pool = pool.filter(c => c !== card);
+    };
+
+    if (knowledge.shown) {
+      const slot = slots.find(s => s.id === knowledge.shown.playerId);
+      for (const id of knowledge.shown.cardIds) {
+        place(slot, pool.find(c => c.id === id));
+      }
+    }
+
+    if (strict && knowledge.calledCardId) {
+      const card = pool.find(c => c.id === knowledge.calledCardId);
+      const holders = slots.filter(s => s.id && s !== pickerSlot && fits(s, card));
+      if (holders.length === 0) return null;
+      place(randomItem(holders), card);
+    }
+
+    if (strict && knowledge.pickerHolds && pickerSlot) {
+      const holdCards = pool.filter(c => !isTrump(c) && c.suit === knowledge.calledSuit && fits(pickerSlot, c));
+      if (holdCards.length === 0) return null;
+      place(pickerSlot, randomItem(holdCards));
+    }
+
+    // Most constrained cards first, each to a seat with room, weighted by the room left
+    const options = (card) => slots.filter(s => fits(s, card));
+    const order = shuffle(pool, this.random).sort((a, b) => options(a).length - options(b).length);
+    for (const card of order) {
+      const open = options(card);
+      if (open.length === 0) return null;
+
+      let pick = this.random() * open.reduce((sum, s) => sum + s.count - s.cards.length, 0);
+      let slot = open[0];
+      for (const s of open) {
+        pick -= s.count - s.cards.length;
+        if (pick < 0) { slot = s; break; }
+      }
+      place(slot, card);
+    }
+
+    const hands = {};
+    for (const slot of slots) {
+      if (slot.id) hands[slot.id] = slot.cards;
+    }
+
+    return {
+      hands,
+      buried: buried.cards,
+      faceDown: faceDown.cards,
+      underCardId: knowledge.needsUnderCard && pickerSlot.cards.length > 0 ? randomItem(pickerSlot.cards).id : null
+    };
+  }
+
+  /**
+   * Play `card` in a sampled deal, then play the hand out with the rule-based heuristics
+   * @returns {number} - How good the result is for this player
+   */
+  simulate(state, playerId, deal, card) {
+    const players = state.players.map(p => ({ id: p.id }));
+    const playerIds = players.map(p => p.id);
+    const { picker, calledSuit, calledRank } = state;
+
+    // Face-down cards already played are the ones this deal put there
+    const faceDown = [...deal.faceDown];
+    const reveal = (plays) => plays.map(p => (p.card.hidden ? { ...p, card: faceDown.shift() } : p));
+    const tricks = state.tricks.map(t => ({ ...t, cards: reveal(t.cards) }));
+
+    const sim = {
+      hands: { ...deal.hands, [playerId]: [...state.hand] },
+      trick: reveal(state.currentTrick),
+      partner: state.partner,
+      underCardId: picker === playerId ? state.underCardId || null : deal.underCardId,
+      underCardPlayed: state.underCardPlayed,
+      calledSuitLed: [...state.tricks.map(t => t.cards), state.currentTrick]
+        .some(plays => plays.length > 0 && getEffectiveSuit(plays[0].card) === calledSuit),
+      won: {}
+    };
+    for (const id of playerIds) {
+      sim.won[id] = tricks.filter(t => t.winner === id)
+        .reduce((sum, t) => sum + (t.points ?? calculatePoints(t.cards.map(p => p.card))), 0);
+    }
+    for (const id of playerIds) {
+      sim.hands[id] = [...sim.hands[id]];
+    }
+
+    const playableFor = (id) => {
+      const hand = sim.hands[id];
+      const isPicker = id === picker;
+      const hasCalledAce = !!calledSuit && !isPicker &&
+        hand.some(c => c.suit === calledSuit && c.rank === calledRank);
+      const underCardId = isPicker && state.isUnderCall && !sim.underCardPlayed ? sim.underCardId : null;
+      return getPlayableCards(hand, sim.trick, calledSuit, sim.calledSuitLed, isPicker, hasCalledAce, underCardId);
+    };
+
+    const play = (id, played) => {
+      const isUnderCard = id === picker && state.isUnderCall && !sim.underCardPlayed && played.id === sim.underCardId;
+      if (isUnderCard) sim.underCardPlayed = true;
+      if (sim.trick.length === 0 && getEffectiveSuit(played) === calledSuit) sim.calledSuitLed = true;
+      if (calledSuit && !sim.partner && !isUnderCard && played.suit === calledSuit && played.rank === calledRank) {
+        sim.partner = id;
+      }
+      if (state.partnerCardId && !sim.partner && played.id === state.partnerCardId) {
+        sim.partner = id;
+      }
+
+      sim.hands[id] = sim.hands[id].filter(c => c !== played);
+      sim.trick.push({ playerId: id, card: played, isUnderCard });
+
+      if (sim.trick.length < playerIds.length) {
+        return playerIds[(playerIds.indexOf(id) + 1) % playerIds.length];
+      }
+      const winner = determineTrickWinner(sim.trick.filter(p => !p.isUnderCard));
+      sim.won[winner] += calculatePoints(sim.trick.map(p => p.card));
+      sim.trick = [];
+      return winner;
+    };
+
+    let current = play(playerId, state.hand.find(c => c.id === card.id));
+    while (sim.hands[current].length > 0) {
+      const playable = playableFor(current);
+      const rolloutState = {
+        hand: sim.hands[current],
+        playableCards: playable.map(c => c.id),
+        currentTrick: sim.trick,
+        players,
+        picker,
+        partner: sim.partner,
+        partnerCardId: state.partnerCardId,
+        calledSuit,
+        calledRank
+      };
+      const cardId = super.chooseCard(rolloutState, current);
+      current = play(current, playable.find(c => c.id === cardId));
+    }
+
+    const buried = picker === playerId ? state.buried || [] : deal.buried;
+    const pickingTeam = [picker, sim.partner].filter(Boolean);
+    const pickingPoints = pickingTeam.reduce((sum, id) => sum + sim.won[id], calculatePoints(buried));
+    const value = pickingValue(pickingPoints, state.rules || DEFAULT_RULES);
+
+    return pickingTeam.includes(playerId) ? value : -value;
+  }
+}
+
+module.exports = MonteCarloBot;
@@ -1,26 +1,169 @@
 // Room manager for handling game rooms
 
+const crypto = require('crypto');
 const { SheepsheadGame, PHASES } = require('./SheepsheadGame');
+const { createGame } = require('./rulesets');
+const { BOT_DIFFICULTIES } = require('./constants');
+const { validateRules, describeRules } = require('./rules');
+const RoomSnapshot = require('../models/RoomSnapshot');
+
+// How often live rooms are saved to the database
+const SNAPSHOT_INTERVAL_MS = 15000;
 
 class RoomManager {
   constructor() {
-    this.rooms = new Map();       // roomId -> SheepsheadGame
+    this.rooms = new Map();       // roomId -> SheepsheadGame (or SchafkopfGame, see rulesets.js)
     this.playerRooms = new Map(); // playerId -> roomId
+    this.savedSnapshots = new Map(); // roomId -> last snapshot JSON written to the database
+    this.snapshotTimer = null;
+  }
+
+  /**
+   * Restore saved rooms and start saving live rooms periodically.
+   * Call once the database is initialized.
+   * @returns {Object} - { restored } number of rooms restored
+   */
+  start({ intervalMs = SNAPSHOT_INTERVAL_MS } = {}) {
+    const restored = this.restoreRooms();
+
+    this.stop();
+    this.snapshotTimer = setInterval(() => this.persistRooms(), intervalMs);
+    this.snapshotTimer.unref();
+
+    return { restored };
+  }
+
+  /**
+   * Stop the periodic snapshots
+   */
+  stop() {
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+  }
+
+  /**
+   * Load saved rooms back into memory and seat their players.
+   * Snapshots that can't be restored are discarded.
+   * @returns {number} - Number of rooms restored
+   */
+  restoreRooms() {
+    let restored = 0;
+
+    for (const { roomId, snapshot } of RoomSnapshot.getAll()) {
+      let game;
+      try {
+        game = SheepsheadGame.deserialize(snapshot);
+      } catch (err) {
+        console.error(`Discarding snapshot for room ${roomId}:`, err.message);
+        RoomSnapshot.remove(roomId);
+        continue;
+      }
+
+      if (game.players.every(p => p.isBot) || this.rooms.has(roomId)) {
+        RoomSnapshot.remove(roomId);
+        continue;
+      }
+
+      // Spectators rejoin on their own; only seated players get their seats back,
+      // held (for the server's reconnect grace period) until they reconnect
+      game.kibbitzers = [];
+      for (const player of game.players) {
+        if (!player.isBot) game.markDisconnected(player.id);
+      }
+
+      this.rooms.set(roomId, game);
+      for (const player of game.players) {
+        this.playerRooms.set(player.id, roomId);
+      }
+      this.savedSnapshots.set(roomId, JSON.stringify(snapshot));
+      restored++;
+    }
+
+    return restored;
+  }
+
+  /**
+   * Save every live room that changed since the last snapshot,
+   * and drop snapshots of rooms that no longer exist.
+   */
+  persistRooms() {
+    for (const [roomId, game] of this.rooms) {
+      const snapshot = game.serialize();
+      const json = JSON.stringify(snapshot);
+      if (this.savedSnapshots.get(roomId) !== json) {
+        RoomSnapshot.save(roomId, snapshot);
+        this.savedSnapshots.set(roomId, json);
+      }
+    }
+
+    for (const roomId of this.savedSnapshots.keys()) {
+      if (!this.rooms.has(roomId)) {
+        RoomSnapshot.remove(roomId);
+        this.savedSnapshots.delete(roomId);
+      }
+    }
   }
 
   /**
    * Create a new room
+   * @param {string} roomId
+   * @param {Object} options - { rules } house rules that differ from the standard ones
    */
-  createRoom(roomId) {
+  createRoom(roomId, { rules = null } = {}) {
     if (this.rooms.has(roomId)) {
       return { success: false, error: 'Room already exists' };
     }
 
-    const game = new SheepsheadGame(roomId);
+    const validated = validateRules(rules);
+    if (!validated.success) {
+      return validated;
+    }
+
+    const game = createGame(roomId, { rules: validated.rules });
     this.rooms.set(roomId, game);
     return { success: true, roomId };
   }
 
+  /**
+   * Open a practice table for a player to play a recorded hand against bots:
+   * they take the given seat, bots take the rest, and the hand is dealt as it
+   * was (see notation.js)
+   * @param {Object} dealAction - The hand's deal, from its action log
+   * @param {Object} options - { seat } 0-based seat for the player, { difficulty } for the bots
+   * @returns {Object} - { success, roomId } or { success: false, error }
+   */
+  createPracticeRoom(playerId, playerName, dealAction, { seat = 0, difficulty = 'normal' } = {}) {
+    const numPlayers = dealAction.players.length;
+    if (!Number.isInteger(seat) || seat < 0 || seat >= numPlayers) {
+      return { success: false, error: `Seat must be from 1 to ${numPlayers}` };
+    }
+    if (this.playerRooms.has(playerId)) {
+      return { success: false, error: 'Leave your table first' };
+    }
+
+    const roomId = 'practice-' + crypto.randomBytes(3).toString('hex');
+    const created = this.createRoom(roomId, { rules: dealAction.rules });
+    if (!created.success) return created;
+
+    const game = this.rooms.get(roomId);
+    game.isPractice = true;
+    for (let i = 0; i < numPlayers; i++) {
+      if (i === seat) {
+        this.joinRoom(roomId, playerId, playerName);
+      } else {
+        this.addBot(roomId, { difficulty });
+      }
+    }
+
+    game.dealerIndex = dealAction.dealerIndex;
+    game.doubler = dealAction.doubler ?? 1;
+    game.startHand({ deck: dealAction.deck });
+
+    return { success: true, roomId };
+  }
+
   /**
    * Get or create a room
    */
@@ -39,9 +182,15 @@ class RoomManager {
   }
 
   /**
-   * Join a player to a room
+   * Join a player to a room, creating it if needed
+   * @param {Object} options - { rules } house rules, used only if the room is created
    */
-  joinRoom(roomId, playerId, playerName) {
+  joinRoom(roomId, playerId, playerName, { rules = null } = {}) {
+    if (!this.rooms.has(roomId)) {
+      const created = this.createRoom(roomId, { rules });
+      if (!created.success) return created;
+    }
+
     // Leave current room first
     if (this.playerRooms.has(playerId)) {
       this.leaveRoom(playerId);
@@ -58,7 +207,62 @@ class RoomManager {
   }
 
   /**
-   * Remove a player from their current room
+   * Add a computer player to a room's next free seat (before the hand starts)
+   * @param {string} roomId
+   * @param {Object} options - { difficulty } one of BOT_DIFFICULTIES
+   */
+  addBot(roomId, { difficulty = 'normal' } = {}) {
+    const game = this.rooms.get(roomId);
+    if (!game) return { success: false, error: 'Room not found' };
+    if (!BOT_DIFFICULTIES.includes(difficulty)) return { success: false, error: 'Unknown difficulty' };
+
+    const bot = this._newBot(game);
+    const result = game.addPlayer(bot.id, bot.name, { isBot: true, difficulty });
+
+    if (result.success) {
+      this.playerRooms.set(bot.id, roomId);
+    }
+
+    return { ...result, botId: bot.id };
+  }
+
+  /**
+   * A fresh bot identity for a table: unique ID and the lowest free "Bot N" name
+   */
+  _newBot(game) {
+    const names = new Set(game.players.map(p => p.name));
+    let botNumber = 1;
+    while (names.has(`Bot ${botNumber}`)) botNumber++;
+    return { id: 'bot_' + crypto.randomBytes(4).toString('hex'), name: `Bot ${botNumber}` };
+  }
+
+  /**
+   * Change how strongly a computer player plays (takes effect on its next decision)
+   */
+  setBotDifficulty(botId, difficulty) {
+    const game = this.getPlayerRoom(botId);
+    if (!game || !game.isBot(botId)) return { success: false, error: 'Bot not found' };
+    if (!BOT_DIFFICULTIES.includes(difficulty)) return { success: false, error: 'Unknown difficulty' };
+
+    game.players.find(p => p.id === botId).difficulty = difficulty;
+    return { success: true };
+  }
+
+  /**
+   * Take a computer player out of its room
+   */
+  removeBot(botId) {
+    const game = this.getPlayerRoom(botId);
+    if (!game || !game.isBot(botId)) return { success: false, error: 'Bot not found' };
+    if (game.phase !== PHASES.WAITING) return { success: false, error: 'Cannot remove a bot during a hand' };
+
+    return this.leaveRoom(botId);
+  }
+
+  /**
+   * Remove a player from their current room.
+   * Mid-hand, a bot takes over the seat so the hand can finish ({ substituted, botId });
+   * otherwise the seat is freed (resetting the table if a hand was in progress).
    */
   leaveRoom(playerId) {
     const roomId = this.playerRooms.get(playerId);
@@ -70,12 +274,26 @@ class RoomManager {
       return { success: true };
     }
 
+    // A bot finishes the hand for them - unless nobody would be left to watch it
+    const othersRemain = game.players.some(p => !p.isBot && p.id !== playerId);
+    if (game.isHandInProgress() && othersRemain && !game.isBot(playerId)) {
+      const result = game.substituteBot(playerId, this._newBot(game));
+      if (result.success) {
+        this.playerRooms.delete(playerId);
+        this.playerRooms.set(result.botId, roomId);
+      }
+      return { ...result, substituted: result.success, roomId };
+    }
+
     const result = game.removePlayer(playerId);
     if (result.success) {
       this.playerRooms.delete(playerId);
 
-      // Clean up empty rooms
-      if (game.players.length === 0) {
+      // Clean up empty rooms (bots don't keep a table alive on their own)
+      if (game.players.every(p => p.isBot)) {
+        for (const bot of game.players) {
+          this.playerRooms.delete(bot.id);
+        }
         this.rooms.delete(roomId);
       }
     }
@@ -113,8 +331,10 @@ class RoomManager {
       rooms.push({
         roomId,
         playerCount: game.players.length,
+        seats: game.numPlayers,
         phase: game.phase,
-        players: game.players.map(p => p.name)
+        players: game.players.map(p => p.name),
+        houseRules: describeRules(game.rules)
       });
     }
     return rooms;
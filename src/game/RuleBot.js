@@ -0,0 +1,334 @@
+/**
+ * Rule-based computer player
+ *
+ * Decides from the same view a human in the seat gets (getStateForPlayer),
+ * plus getCallableOptions and canBury for the picker's choices, so every
+ * decision is legal and no hidden cards are used.
+ *
+ * Heuristics:
+ * - Pick with enough trump (fewer needed when last to pick, to avoid a schwanzer)
+ * - Call the suit we're shortest in; go alone with an overwhelming hand
+ * - Bury high-point fail cards, preferring to void a suit, never trump if avoidable
+ * - Crack as a defender with a strong trump holding; re-crack as picker with more
+ * - Blitz whenever holding both blitz Queens
+ * - Picker and partner lead trump; defenders lead the called suit, then short fail
+ * - Schmear points when a teammate is winning the trick, otherwise win as cheaply
+ *   as possible or throw off the least valuable card
+ * - In leasters, take one cheap trick, then shed points and high cards onto
+ *   other players' tricks
+ */
+
+const {
+  STANDARD_ORDER,
+  isTrump,
+  getTrumpPower,
+  getFailPower,
+  getEffectiveSuit,
+  determineTrickWinner,
+  calculatePoints
+} = require('./deck');
+const { NUM_PLAYERS, CARDS_PER_PLAYER, BLIND_SIZE } = require('./constants');
+
+// Trump counts are for the standard 6-card hand (8 with the blind), and are
+// scaled to the hand size at tables of other sizes (see forHandSize)
+const PICK_TRUMP = 4;           // Trump needed to pick
+const LAST_PICK_TRUMP = 3;      // ...when everyone else has passed
+const GO_ALONE_TRUMP = 7;       // Trump (of 8 cards) needed to go alone
+const CHEAP_TRICK_POINTS = 4;   // Leasters: most points worth taking for a first trick
+const CRACK_TRUMP = 4;          // Trump (with 2 Queens or Jacks) a defender needs to crack
+const RECRACK_TRUMP = 5;        // Trump (of 6 cards) the picker needs to re-crack
+
+/**
+ * A trump count tuned for a standard hand, for a hand of `handSize` cards
+ */
+function forHandSize(trump, handSize, standardSize = CARDS_PER_PLAYER) {
+  return Math.round(trump * handSize / standardSize);
+}
+
+/**
+ * Players at the table
+ */
+function seatCount(state) {
+  return state.rules?.numPlayers || NUM_PLAYERS;
+}
+
+/**
+ * Every way to choose `size` of the items
+ */
+function combinations(items, size) {
+  if (size === 0) return [[]];
+  const result = [];
+  for (let i = 0; i <= items.length - size; i++) {
+    for (const rest of combinations(items.slice(i + 1), size - 1)) {
+      result.push([items[i], ...rest]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Card strength for ordering: all trump above all fail
+ */
+function strength(card, order = STANDARD_ORDER) {
+  return isTrump(card, order) ? 100 + getTrumpPower(card, order) : getFailPower(card, order);
+}
+
+function isHighTrump(card, order = STANDARD_ORDER) {
+  return order.trumpRanks.includes(card.rank);
+}
+
+class RuleBot {
+  /**
+   * Choose this seat's next action, or null if it has nothing to do
+   * @returns {Object|null} - { type: 'pick', wantsToPick } | { type: 'callAce', suit, goAlone, underCardId }
+   *   | { type: 'bury', cardIds } | { type: 'crack', wantsToCrack } | { type: 'blitz' }
+   *   | { type: 'playCard', cardId } | { type: 'newHand' }
+   */
+  chooseAction(game, playerId) {
+    const state = game.getStateForPlayer(playerId);
+    if (!state) return null;
+
+    // Blitzing is done out of turn, as soon as we can
+    if (state.canBlitz) return { type: 'blitz' };
+
+    switch (state.phase) {
+      case 'picking':
+        if (state.players[state.pickingIndex]?.id !== playerId) return null;
+        return { type: 'pick', wantsToPick: this.shouldPick(state) };
+      case 'calling':
+        if (state.picker !== playerId) return null;
+        return { type: 'callAce', ...this.chooseCall(state) };
+      case 'burying':
+        if (state.picker !== playerId) return null;
+        return { type: 'bury', cardIds: this.chooseBury(game, playerId, state) };
+      case 'cracking':
+        if (state.players[state.currentPlayerIndex]?.id !== playerId) return null;
+        return { type: 'crack', wantsToCrack: state.canCrack && this.shouldCrack(state, playerId) };
+      case 'playing':
+        if (!state.playableCards || state.playableCards.length === 0) return null;
+        return { type: 'playCard', cardId: this.chooseCard(state, playerId) };
+      case 'schwanzer': // Leasters, played out after everyone passed
+        if (!state.playableCards || state.playableCards.length === 0) return null;
+        return { type: 'playCard', cardId: this.chooseLeasterCard(state, playerId) };
+      case 'scoring':
+        return state.hasVoted ? null : { type: 'newHand' };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Pick with enough trump, counting Queens and Jacks as extra strength
+   * (or when we're the dealer and can't pass)
+   */
+  shouldPick(state) {
+    if (state.mustPick) return true;
+    const trump = state.hand.filter(c => isTrump(c));
+    const highTrump = trump.filter(c => isHighTrump(c)).length;
+    const isLast = state.passedPlayers.length === seatCount(state) - 1;
+
+    const needed = forHandSize(isLast ? LAST_PICK_TRUMP : PICK_TRUMP, state.hand.length);
+    return trump.length >= needed || (trump.length === needed - 1 && highTrump >= 3);
+  }
+
+  /**
+   * Crack (or re-crack) when holding enough trump, Queens and Jacks
+   */
+  shouldCrack(state, playerId) {
+    const trump = state.hand.filter(c => isTrump(c));
+    if (playerId === state.picker) {
+      return trump.length >= forHandSize(RECRACK_TRUMP, state.hand.length);
+    }
+    return trump.length >= forHandSize(CRACK_TRUMP, state.hand.length) && trump.filter(c => isHighTrump(c)).length >= 2;
+  }
+
+  /**
+   * Call the suit we hold fewest cards in (keeps the most fail for later),
+   * selecting our lowest card as the under card when calling under
+   */
+  chooseCall(state) {
+    const callable = state.callableOptions;
+    const trumpCount = state.hand.filter(c => isTrump(c)).length;
+
+    if (callable.goAlone || callable.options.length === 0 || trumpCount >= forHandSize(GO_ALONE_TRUMP, state.hand.length, CARDS_PER_PLAYER + BLIND_SIZE)) {
+      return { suit: null, goAlone: true, underCardId: null };
+    }
+
+    // Only call under when we have to (some tables allow it by choice)
+    const normal = callable.options.filter(o => o.type === 'normal');
+    const failCount = (suit) => state.hand.filter(c => !isTrump(c) && c.suit === suit).length;
+    const options = (normal.length > 0 ? normal : [...callable.options])
+      .sort((a, b) => failCount(a.suit) - failCount(b.suit));
+    const option = options[0];
+
+    let underCardId = null;
+    if (callable.mustSelectUnderCard || option.type === 'under') {
+      const lowest = [...state.hand].sort((a, b) => a.points - b.points || strength(a) - strength(b))[0];
+      underCardId = lowest.id;
+    }
+
+    return { suit: option.suit, goAlone: false, underCardId };
+  }
+
+  /**
+   * Bury the legal set (a pair, or 4 cards with a 4-card blind) worth the most:
+   * fail points, bonus for voiding a suit, heavy penalty for giving up trump
+   */
+  chooseBury(game, playerId, state) {
+    const hand = state.hand;
+    let best = null;
+
+    for (const cards of combinations(hand, state.needToBury)) {
+      const cardIds = cards.map(c => c.id);
+      if (!game.canBury(playerId, cardIds).success) continue;
+
+      const remaining = hand.filter(c => !cardIds.includes(c.id));
+      let score = 0;
+      for (const card of cards) {
+        score += isTrump(card) ? -20 - getTrumpPower(card) : card.points;
+      }
+      for (const suit of new Set(cards.filter(c => !isTrump(c)).map(c => c.suit))) {
+        if (!remaining.some(c => !isTrump(c) && c.suit === suit)) score += 8;
+      }
+
+      if (!best || score > best.score) {
+        best = { score, cardIds };
+      }
+    }
+
+    return best ? best.cardIds : hand.slice(-state.needToBury).map(c => c.id);
+  }
+
+  /**
+   * Players we know are on our side, from what's public plus our own hand
+   */
+  knownTeammates(state, playerId) {
+    const { picker, partner } = state;
+    const holdsCalledCard = state.calledSuit ?
+      state.hand.some(c => c.suit === state.calledSuit && c.rank === state.calledRank) :
+      state.hand.some(c => c.id === state.partnerCardId);
+
+    if (playerId === picker) {
+      return new Set(partner ? [partner] : []);
+    }
+    if (playerId === partner || holdsCalledCard) {
+      return new Set([picker]);
+    }
+
+    // Defenders know each other once the partner is out (or the picker went alone)
+    if (partner || (!state.calledSuit && !state.partnerCardId)) {
+      return new Set(state.players.map(p => p.id).filter(id => id !== picker && id !== partner && id !== playerId));
+    }
+    return new Set();
+  }
+
+  /**
+   * Which cards are trump and how they rank in this hand (see deck.js)
+   */
+  cardOrder(state) {
+    return STANDARD_ORDER;
+  }
+
+  /**
+   * Choose a card from the playable cards
+   */
+  chooseCard(state, playerId) {
+    const playable = state.hand.filter(c => state.playableCards.includes(c.id));
+    if (playable.length === 1) return playable[0].id;
+
+    const trick = state.currentTrick;
+    const teammates = this.knownTeammates(state, playerId);
+    const onPickingTeam = playerId === state.picker || teammates.has(state.picker);
+
+    if (trick.length === 0) {
+      return this.chooseLead(state, playable, onPickingTeam).id;
+    }
+
+    const order = this.cardOrder(state);
+    const winnerId = determineTrickWinner(trick, order);
+    const isLast = trick.length === seatCount(state) - 1;
+    const byLowest = (a, b) => a.points - b.points || strength(a, order) - strength(b, order);
+
+    const winners = playable
+      .filter(card => determineTrickWinner([...trick, { playerId, card }], order) === playerId)
+      .sort((a, b) => strength(a, order) - strength(b, order));
+
+    // Teammate is winning: schmear if they're likely to hold it
+    if (teammates.has(winnerId)) {
+      const winningCard = trick.find(p => p.playerId === winnerId).card;
+      if (isLast || isHighTrump(winningCard, order)) {
+        return [...playable].sort((a, b) => b.points - a.points || strength(a, order) - strength(b, order))[0].id;
+      }
+    }
+
+    if (winners.length > 0) {
+      // Last to play takes it as cheaply as possible; otherwise go high to hold it
+      return (isLast ? winners[0] : winners[winners.length - 1]).id;
+    }
+
+    // Can't win: throw off the least valuable card
+    return [...playable].sort(byLowest)[0].id;
+  }
+
+  /**
+   * Choose a card in leasters: fewest points wins, but only with at least one trick
+   */
+  chooseLeasterCard(state, playerId) {
+    const playable = state.hand.filter(c => state.playableCards.includes(c.id));
+    if (playable.length === 1) return playable[0].id;
+
+    const trick = state.currentTrick;
+    if (trick.length === 0) {
+      return [...playable].sort((a, b) => strength(a) - strength(b))[0].id;
+    }
+
+    const wins = (card) => determineTrickWinner([...trick, { playerId, card }]) === playerId;
+    const winners = playable.filter(wins).sort((a, b) => a.points - b.points || strength(a) - strength(b));
+    const losers = playable.filter(card => !wins(card));
+
+    // Still need a trick: take a cheap one
+    const hasTrick = state.players.find(p => p.id === playerId)?.tricksWon > 0;
+    if (!hasTrick && winners.length > 0 &&
+        calculatePoints([...trick.map(p => p.card), winners[0]]) <= CHEAP_TRICK_POINTS) {
+      return winners[0].id;
+    }
+
+    // Shed the most points (then the strongest card) onto someone else's trick
+    if (losers.length > 0) {
+      return [...losers].sort((a, b) => b.points - a.points || strength(b) - strength(a))[0].id;
+    }
+    return winners[0].id;
+  }
+
+  /**
+   * Choose a card to lead
+   */
+  chooseLead(state, playable, onPickingTeam) {
+    const order = this.cardOrder(state);
+    const trump = playable.filter(c => isTrump(c, order)).sort((a, b) => strength(b, order) - strength(a, order));
+    const fail = playable.filter(c => !isTrump(c, order));
+
+    if (onPickingTeam && trump.length > 0) {
+      return trump[0];
+    }
+
+    // Defenders lead the called suit to find the partner
+    const calledSuitCards = fail.filter(c => c.suit === state.calledSuit);
+    if (!onPickingTeam && calledSuitCards.length > 0 && !state.partner) {
+      return calledSuitCards.sort((a, b) => strength(a, order) - strength(b, order))[0];
+    }
+
+    if (fail.length > 0) {
+      // Lead an ace if we have one, otherwise the lowest card of our shortest suit
+      const ace = fail.find(c => c.rank === 'A');
+      if (ace) return ace;
+
+      const count = (suit) => fail.filter(c => getEffectiveSuit(c, order) === suit).length;
+      return [...fail].sort((a, b) => count(a.suit) - count(b.suit) || strength(a, order) - strength(b, order))[0];
+    }
+
+    return trump[trump.length - 1];
+  }
+}
+
+module.exports = RuleBot;
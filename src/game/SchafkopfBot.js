@@ -0,0 +1,79 @@
+/**
+ * Rule-based computer player for Schafkopf
+ *
+ * Plays the cards like RuleBot, with the trump of the contract being played,
+ * and bids from its hand:
+ * - Solo in the suit that gives the most trump, with a long trump holding
+ *   (longer still without three Obers)
+ * - Wenz with three or more Unters and aces to go with them
+ * - Rufspiel with a fair trump holding, calling the suit we hold fewest of
+ */
+
+const RuleBot = require('./RuleBot');
+const { isTrump } = require('./deck');
+const { cardOrderFor } = require('./SchafkopfGame');
+
+// Hand strength (of 8 cards) needed to bid each game
+const SOLO_TRUMP = 6;             // Trump needed for a solo (one more without 3 Obers)
+const WENZ_UNTERS = 3;            // Unters needed for a Wenz...
+const WENZ_UNTERS_AND_ACES = 5;   // ...with Unters and aces together
+const RUFSPIEL_TRUMP = 5;         // Trump needed for a Rufspiel (one fewer with 2 Obers)
+
+class SchafkopfBot extends RuleBot {
+  /**
+   * Choose this seat's next action, or null if it has nothing to do
+   * @returns {Object|null} - { type: 'bid', game } or any RuleBot action
+   */
+  chooseAction(game, playerId) {
+    const state = game.getStateForPlayer(playerId);
+    if (!state) return null;
+
+    if (state.phase === 'bidding') {
+      if (state.players[state.currentPlayerIndex]?.id !== playerId) return null;
+      return { type: 'bid', game: this.chooseBid(state) };
+    }
+    return super.chooseAction(game, playerId);
+  }
+
+  cardOrder(state) {
+    return cardOrderFor(state.contract);
+  }
+
+  /**
+   * Bid the highest game the hand is strong enough for, or pass (null)
+   */
+  chooseBid(state) {
+    const games = state.biddableGames || [];
+    const hand = state.hand;
+    const countIn = (game, test) => hand.filter(c => test(c, cardOrderFor(game))).length;
+    const obers = hand.filter(c => c.rank === 'Q').length;
+
+    const solo = games
+      .filter(g => g.type === 'solo')
+      .map(g => ({ game: g, trump: countIn(g, isTrump) }))
+      .sort((a, b) => b.trump - a.trump)[0];
+    if (solo && (solo.trump > SOLO_TRUMP || (solo.trump === SOLO_TRUMP && obers >= 3))) {
+      return solo.game;
+    }
+
+    const wenz = games.find(g => g.type === 'wenz');
+    const unters = hand.filter(c => c.rank === 'J').length;
+    const aces = hand.filter(c => c.rank === 'A').length;
+    if (wenz && unters >= WENZ_UNTERS && unters + aces >= WENZ_UNTERS_AND_ACES) {
+      return wenz;
+    }
+
+    const calls = games.filter(g => g.type === 'rufspiel');
+    if (calls.length > 0) {
+      const trump = countIn(calls[0], isTrump);
+      if (trump >= RUFSPIEL_TRUMP || (trump === RUFSPIEL_TRUMP - 1 && obers >= 2)) {
+        const suitCount = (suit) => hand.filter(c => c.suit === suit && !isTrump(c, cardOrderFor(calls[0]))).length;
+        return [...calls].sort((a, b) => suitCount(a.suit) - suitCount(b.suit))[0];
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = SchafkopfBot;
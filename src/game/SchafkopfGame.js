@@ -0,0 +1,407 @@
+/**
+ * Schafkopf Game Logic
+ *
+ * Bavarian Schafkopf, the game Sheepshead comes from, played on the same table
+ * machinery as SheepsheadGame (seating, provably fair deals, the action log,
+ * snapshots, substitutions and voting). Tables select it with the `game: 'schafkopf'`
+ * rule (see rules.js).
+ *
+ * Game Flow:
+ * 1. WAITING - Waiting for 4 players to join
+ * 2. DEALING - 8 cards to each player, no blind
+ * 3. BIDDING - Once around from the dealer's left, each player bids a game or
+ *    passes. A bid must outrank every bid before it, so between games of the
+ *    same rank the earlier seat keeps it. If everyone passes, the hand is thrown in
+ * 4. PLAYING - 8 tricks are played, the dealer's left leading
+ * 5. SCORING - Points tallied, scores assigned
+ *
+ * Games, lowest to highest:
+ * - Rufspiel: Obers (Queens), Unters (Jacks) and hearts are trump. The declarer
+ *   calls the ace of a fail suit they hold but whose ace they don't, and its
+ *   holder is their secret partner. The ace must be played when its suit is led,
+ *   can't be thrown off before then, and its holder may only lead that suit with
+ *   the ace - unless they hold four of it and run away with a lower card
+ * - Wenz: only the Unters are trump; the declarer plays alone
+ * - Solo: Obers, Unters and a suit of the declarer's choice are trump; alone
+ *
+ * Key Rules:
+ * - The declaring side needs 61 of the 120 card points (by default)
+ * - Schneider (91, or 90 for the defenders) and schwarz (all the tricks) add to
+ *   the game's value, as do runners: the unbroken run of top trumps one side
+ *   was dealt, counted from three (two in a Wenz)
+ * - In a Rufspiel each player wins or loses the value; a Wenz or Solo declarer
+ *   wins or loses it from each of the other three
+ */
+
+const { SUITS } = require('./constants');
+const { cardId, createCardOrder, getEffectiveSuit, isTrump, sortHand } = require('./deck');
+const { SheepsheadGame, PHASES } = require('./SheepsheadGame');
+
+// Games that can be bid, by precedence (a bid must outrank every earlier one)
+const GAME_RANKS = { rufspiel: 1, wenz: 2, solo: 3 };
+
+// What each game and each addition to it is worth (the value of a Rufspiel is
+// won or lost by every player; a solo declarer collects it from each defender)
+const TARIFFS = {
+  rufspiel: 1,
+  wenz: 5,
+  solo: 5,
+  schneider: 1,
+  schwarz: 1,
+  runner: 1
+};
+
+// Fewest top trumps in an unbroken run that count as runners
+const MIN_RUNNERS = { rufspiel: 3, wenz: 2, solo: 3 };
+
+// Cards of the called suit the partner needs to lead it without the ace ("run away")
+const RUN_AWAY_CARDS = 4;
+
+// Trump and card ranking for each game
+const RUFSPIEL_ORDER = createCardOrder({ trumpRanks: ['J', 'Q'], trumpSuit: 'hearts' });
+const WENZ_ORDER = createCardOrder({ trumpRanks: ['J'], trumpSuit: null });
+const SOLO_ORDERS = Object.fromEntries(
+  SUITS.map(suit => [suit, createCardOrder({ trumpRanks: ['J', 'Q'], trumpSuit: suit })])
+);
+
+/**
+ * The card order a contract is played with (the Rufspiel's before bidding is over)
+ * @param {Object|null} contract - { type, suit }
+ */
+function cardOrderFor(contract) {
+  if (contract?.type === 'wenz') return WENZ_ORDER;
+  if (contract?.type === 'solo') return SOLO_ORDERS[contract.suit];
+  return RUFSPIEL_ORDER;
+}
+
+class SchafkopfGame extends SheepsheadGame {
+  /**
+   * @param {string} roomId
+   * @param {Object} options - As for SheepsheadGame; the rules default to Schafkopf's
+   */
+  constructor(roomId, options = {}) {
+    super(roomId, { ...options, rules: { game: 'schafkopf', ...options.rules } });
+
+    this.contract = null;       // Game being played: {type, suit, declarer}
+    this.bids = [];             // Bids this hand in order: {playerId, game} (game null for a pass)
+  }
+
+  get cardsPerPlayer() {
+    return 8;
+  }
+
+  get blindSize() {
+    return 0;
+  }
+
+  get cardOrder() {
+    return cardOrderFor(this.contract);
+  }
+
+  static get snapshotFields() {
+    return [...super.snapshotFields, 'contract', 'bids'];
+  }
+
+  resetToWaiting() {
+    super.resetToWaiting();
+    this.contract = null;
+    this.bids = [];
+  }
+
+  _resetHandState() {
+    super._resetHandState();
+    this.contract = null;
+    this.bids = [];
+  }
+
+  /**
+   * Deal, then bid instead of picking
+   */
+  _dealHand(deck) {
+    super._dealHand(deck);
+    this.phase = PHASES.BIDDING;
+  }
+
+  _replayAction(action) {
+    if (action.type === 'bid') {
+      return this.bid(action.playerId, action.game);
+    }
+    return super._replayAction(action);
+  }
+
+  /**
+   * The games a player could bid now: everything that outranks the bids so far
+   * (a Rufspiel only on a suit they can call)
+   * @returns {Array} - [{type, suit}] (suit null for a Wenz)
+   */
+  getBiddableGames(playerId) {
+    const hand = this.hands[playerId] || [];
+    const highest = Math.max(0, ...this.bids.filter(b => b.game).map(b => GAME_RANKS[b.game.type]));
+    const games = [];
+
+    if (GAME_RANKS.rufspiel > highest) {
+      for (const suit of RUFSPIEL_ORDER.failSuits) {
+        const holdsSuit = hand.some(c => c.suit === suit && !isTrump(c, RUFSPIEL_ORDER));
+        const holdsAce = hand.some(c => c.suit === suit && c.rank === 'A');
+        if (holdsSuit && !holdsAce) {
+          games.push({ type: 'rufspiel', suit });
+        }
+      }
+    }
+    if (GAME_RANKS.wenz > highest) {
+      games.push({ type: 'wenz', suit: null });
+    }
+    if (GAME_RANKS.solo > highest) {
+      games.push(...SUITS.map(suit => ({ type: 'solo', suit })));
+    }
+
+    return games;
+  }
+
+  /**
+   * Handle a player's bid
+   * @param {string} playerId
+   * @param {Object|null} game - { type: 'rufspiel' | 'wenz' | 'solo', suit }, or null to pass
+   */
+  bid(playerId, game) {
+    if (this.phase !== PHASES.BIDDING) {
+      return { success: false, error: 'Not in bidding phase' };
+    }
+
+    const currentPlayer = this.players[this.currentPlayerIndex];
+    if (currentPlayer.id !== playerId) {
+      return { success: false, error: 'Not your turn to bid' };
+    }
+
+    let bid = null;
+    if (game) {
+      bid = this.getBiddableGames(playerId)
+        .find(g => g.type === game.type && g.suit === (game.suit ?? null));
+      if (!bid) {
+        return { success: false, error: GAME_RANKS[game.type] ? 'You cannot bid that game' : 'Unknown game' };
+      }
+    }
+
+    this._logAction('bid', { playerId, game: bid });
+    this.bids.push({ playerId, game: bid });
+
+    if (this.bids.length < this.numPlayers) {
+      this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.numPlayers;
+      return { success: true, bid };
+    }
+
+    return this._settleBidding(bid);
+  }
+
+  /**
+   * Everyone has bid: the highest bid is played, or the hand is thrown in
+   */
+  _settleBidding(bid) {
+    const winning = [...this.bids].reverse().find(b => b.game);
+
+    if (!winning) {
+      // Thrown in: nobody wanted to play, so nothing is won or lost
+      this.phase = PHASES.SCORING;
+      const results = {
+        type: 'thrownIn',
+        scores: Object.fromEntries(this.players.map(p => [p.id, 0]))
+      };
+      results.actionLog = [...this.actionLog];
+      results.fairness = this._revealServerSeed();
+      results.reveal = this._revealHand();
+      this.handResults = results;
+      this.dealerIndex = (this.dealerIndex + 1) % this.numPlayers;
+      return { success: true, bid, thrownIn: true, handComplete: true, results };
+    }
+
+    this.contract = { ...winning.game, declarer: winning.playerId };
+    this.picker = winning.playerId;
+    if (this.contract.type === 'rufspiel') {
+      this.calledSuit = this.contract.suit;
+      this.calledRank = 'A';
+    }
+
+    for (const player of this.players) {
+      this.hands[player.id] = sortHand(this.hands[player.id], this.cardOrder);
+    }
+
+    this.phase = PHASES.PLAYING;
+    this.currentPlayerIndex = (this.dealerIndex + 1) % this.numPlayers;
+
+    return { success: true, bid, contract: this.contract };
+  }
+
+  /**
+   * The cards a player may play now: following the led suit, and the called ace's rules
+   */
+  _playableCards(playerId) {
+    const hand = this.hands[playerId];
+    const order = this.cardOrder;
+    const isLeading = this.currentTrick.length === 0;
+    const leadSuit = isLeading ? null : getEffectiveSuit(this.currentTrick[0].card, order);
+
+    let playable = hand;
+    if (!isLeading) {
+      const following = hand.filter(c => getEffectiveSuit(c, order) === leadSuit);
+      if (following.length > 0) playable = following;
+    }
+
+    // Until a trick has been led in the called suit, the ace's holder is held to it
+    // (but not on the last trick)
+    const calledAce = this.calledSuit && hand.find(c => c.suit === this.calledSuit && c.rank === 'A');
+    const searched = this.tricks.some(t => getEffectiveSuit(t.cards[0].card, order) === this.calledSuit);
+    if (!calledAce || searched || hand.length === 1) {
+      return playable;
+    }
+    if (isLeading) {
+      const calledSuitCards = hand.filter(c => getEffectiveSuit(c, order) === this.calledSuit);
+      if (calledSuitCards.length >= RUN_AWAY_CARDS) return playable;
+      return playable.filter(c => c === calledAce || getEffectiveSuit(c, order) !== this.calledSuit);
+    }
+    if (leadSuit === this.calledSuit) {
+      return [calledAce];
+    }
+    return playable.filter(c => c !== calledAce);
+  }
+
+  /**
+   * Handle a player playing a card
+   */
+  playCard(playerId, cardId) {
+    if (this.phase !== PHASES.PLAYING) {
+      return { success: false, error: 'Not in playing phase' };
+    }
+
+    const currentPlayer = this.players[this.currentPlayerIndex];
+    if (currentPlayer.id !== playerId) {
+      return { success: false, error: 'Not your turn' };
+    }
+
+    const hand = this.hands[playerId];
+    const cardIndex = hand.findIndex(c => c.id === cardId);
+    if (cardIndex === -1) {
+      return { success: false, error: 'Card not in hand' };
+    }
+
+    const card = hand[cardIndex];
+    if (!this._playableCards(playerId).includes(card)) {
+      return { success: false, error: 'Cannot play that card' };
+    }
+
+    hand.splice(cardIndex, 1);
+    this._logAction('play', { playerId, cardId });
+    this.currentTrick.push({ playerId, card, isUnderCard: false });
+
+    // Playing the called ace reveals the partner
+    let partnerRevealed = false;
+    if (this.calledSuit && !this.partner && card.suit === this.calledSuit && card.rank === 'A') {
+      this.partner = playerId;
+      partnerRevealed = true;
+    }
+
+    if (this.currentTrick.length === this.numPlayers) {
+      return this._completeTrick(partnerRevealed);
+    }
+
+    this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.numPlayers;
+
+    return {
+      success: true,
+      card,
+      isUnderCard: false,
+      partnerRevealed: partnerRevealed ? playerId : null,
+      trickComplete: false
+    };
+  }
+
+  /**
+   * Runners: the unbroken run of top trumps one side was dealt (0 if too short to count)
+   */
+  _countRunners(declaringTeam) {
+    const held = new Set(declaringTeam.flatMap(id => (this.deal.hands[id] || []).map(c => c.id)));
+    const topDown = [...this.cardOrder.trump].reverse().map(c => cardId(c.suit, c.rank));
+    const side = held.has(topDown[0]);
+
+    let runners = 0;
+    while (runners < topDown.length && held.has(topDown[runners]) === side) {
+      runners++;
+    }
+    return runners >= MIN_RUNNERS[this.contract.type] ? runners : 0;
+  }
+
+  /**
+   * Score the hand: card points and schneider/schwarz as in Sheepshead,
+   * paid at the contract's tariff
+   */
+  _scoreNormalHand() {
+    const results = super._scoreNormalHand();
+    const { pickingTeam, defendingTeam, pickersWin, schneider, schwarz } = results;
+
+    const runners = this._countRunners(pickingTeam);
+    const value = TARIFFS[this.contract.type] +
+      (schneider ? TARIFFS.schneider : 0) +
+      (schwarz ? TARIFFS.schwarz : 0) +
+      runners * TARIFFS.runner;
+
+    // A declarer alone collects from (or pays) every defender
+    const declarerShare = pickingTeam.length === 1 ? defendingTeam.length : 1;
+    const scores = {};
+    for (const player of this.players) {
+      const share = player.id === this.picker ? declarerShare : 1;
+      const won = pickingTeam.includes(player.id) === pickersWin;
+      scores[player.id] = (won ? 1 : -1) * share * value;
+    }
+
+    return {
+      ...results,
+      contract: { ...this.contract },
+      multiplier: 1,
+      runners,
+      value,
+      scores
+    };
+  }
+
+  substituteBot(playerId, bot) {
+    const result = super.substituteBot(playerId, bot);
+    if (!result.success) return result;
+
+    for (const b of this.bids) {
+      if (b.playerId === playerId) b.playerId = bot.id;
+    }
+    if (this.contract?.declarer === playerId) {
+      this.contract.declarer = bot.id;
+    }
+    return result;
+  }
+
+  getHandRecord() {
+    return { ...super.getHandRecord(), contract: this.contract ? { ...this.contract } : null };
+  }
+
+  getStateForKibbitzer(kibitzerId) {
+    const state = super.getStateForKibbitzer(kibitzerId);
+    if (!state) return null;
+    return { ...state, contract: this.contract, bids: this.bids };
+  }
+
+  getStateForPlayer(playerId) {
+    const state = super.getStateForPlayer(playerId);
+    if (!state) return null;
+
+    state.contract = this.contract;
+    state.bids = this.bids;
+
+    const isMyTurn = this.players[this.currentPlayerIndex]?.id === playerId;
+    if (this.phase === PHASES.BIDDING && isMyTurn) {
+      state.biddableGames = this.getBiddableGames(playerId);
+    }
+    if (this.phase === PHASES.PLAYING && isMyTurn) {
+      state.playableCards = this._playableCards(playerId).map(c => c.id);
+    }
+
+    return state;
+  }
+}
+
+module.exports = { SchafkopfGame, GAME_RANKS, TARIFFS, cardOrderFor };
@@ -0,0 +1,133 @@
+/**
+ * Search worker
+ *
+ * Runs a slow search on its own worker thread, so the tables aren't held up
+ * while it thinks. Searches are run one at a time in the order they're asked
+ * for; with `maxQueued` already waiting, more are turned away.
+ *
+ * What a worker can run is listed in JOBS, by name. Each takes plain data (a
+ * player's state, say) and returns plain data, as both are copied between threads.
+ *
+ * This file is also the worker thread's script (see the end of the file).
+ */
+
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const MonteCarloBot = require('./MonteCarloBot');
+const { analyzeHand } = require('./solver');
+
+// Searches a worker can run: job name -> function of the job's arguments
+const JOBS = {
+  // The card an expert bot plays (see MonteCarloBot.chooseCard)
+  chooseCard: ({ state, playerId, options }) => new MonteCarloBot(options).chooseCard(state, playerId),
+  // A recorded hand's double-dummy analysis (see solver.js)
+  analyzeHand: ({ actions, options }) => analyzeHand(actions, options)
+};
+
+class SearchWorker {
+  /**
+   * @param {Object} options - { maxQueued } searches that may wait for the worker
+   */
+  constructor({ maxQueued = Infinity } = {}) {
+    this.maxQueued = maxQueued;
+    this.worker = null;
+    this.current = null; // The running search: { job, args, resolve, reject }
+    this.queue = [];     // Searches waiting their turn
+  }
+
+  /**
+   * Run a search on the worker thread
+   * @param {string} job - One of JOBS
+   * @param {Object} args - The job's arguments
+   * @returns {Promise} - The job's result; rejects if the job throws, or if the
+   *   queue is full ({ busy: true } on the error)
+   */
+  run(job, args) {
+    if (!Object.hasOwn(JOBS, job)) {
+      return Promise.reject(new Error(`Unknown search: ${job}`));
+    }
+    if (this.queue.length >= this.maxQueued) {
+      return Promise.reject(Object.assign(new Error('Too many searches waiting'), { busy: true }));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ job, args, resolve, reject });
+      this._next();
+    });
+  }
+
+  /**
+   * Stop the worker thread, failing any searches still running or waiting
+   */
+  stop() {
+    const pending = [this.current, ...this.queue].filter(Boolean);
+    this.current = null;
+    this.queue = [];
+    if (this.worker) {
+      this.worker.removeAllListeners();
+      this.worker.terminate();
+      this.worker = null;
+    }
+    for (const search of pending) {
+      search.reject(new Error('Search stopped'));
+    }
+  }
+
+  /**
+   * Start the next waiting search if the worker is free
+   */
+  _next() {
+    if (this.current || this.queue.length === 0) return;
+
+    this.current = this.queue.shift();
+    this._thread().postMessage({ job: this.current.job, args: this.current.args });
+  }
+
+  /**
+   * The worker thread, started when first needed (and again after a crash).
+   * It doesn't keep the process alive on its own.
+   */
+  _thread() {
+    if (this.worker) return this.worker;
+
+    const worker = new Worker(__filename);
+    worker.unref();
+    worker.on('message', ({ result, error }) => {
+      const search = this.current;
+      this.current = null;
+      if (error) search.reject(new Error(error));
+      else search.resolve(result);
+      this._next();
+    });
+    worker.on('error', err => this._crashed(worker, err));
+    worker.on('exit', code => this._crashed(worker, new Error(`Search worker exited with code ${code}`)));
+
+    this.worker = worker;
+    return this.worker;
+  }
+
+  /**
+   * Fail the running search of a worker thread that died; the next search starts a new one
+   */
+  _crashed(worker, err) {
+    if (this.worker !== worker) return; // Already handled, or stopped
+
+    const search = this.current;
+    this.current = null;
+    this.worker = null;
+    if (search) search.reject(err);
+    this._next();
+  }
+}
+
+// On the worker thread: run each job posted and post back its result
+if (!isMainThread) {
+  parentPort.on('message', ({ job, args }) => {
+    try {
+      parentPort.postMessage({ result: JOBS[job](args) });
+    } catch (err) {
+      parentPort.postMessage({ error: err.message });
+    }
+  });
+}
+
+module.exports = SearchWorker;
@@ -1,40 +1,54 @@
 /**
  * Sheepshead Game Logic
  *
- * This module implements the core game logic for 5-player Sheepshead.
+ * This module implements the core game logic for 5-player Sheepshead
+ * (and the 3-, 4-, 6- and 7-handed games - see TABLE_SIZES in constants.js).
  *
  * Game Flow:
  * 1. WAITING - Waiting for 5 players to join
  * 2. DEALING - Cards dealt (6 per player, 2 to blind)
  * 3. PICKING - Players decide to pick or pass (clockwise from dealer's left)
  * 4. CALLING - Picker calls a partner (ace or goes alone) with full 8-card hand
+ *    (skipped under the partner rules without a call, like the jack of diamonds:
+ *    the J♦ holder is the secret partner)
  * 5. BURYING - Picker buries 2 cards (must keep 1 of called suit)
- * 6. PLAYING - 6 tricks are played
- * 7. SCORING - Points tallied, scores assigned
- * Note: If everyone passes, goes directly to SCHWANZER (leasters)
+ * 6. CRACKING - Under the cracking house rule, defenders may crack (double the
+ *    stakes) and the picker may then re-crack (double again) before play
+ * 7. PLAYING - 6 tricks are played
+ * 8. SCORING - Points tallied, scores assigned
+ * Note: If everyone passes, the hand is scored as a Schwanzer right away - or,
+ *       under the leasters house rule, played out in the SCHWANZER phase, or
+ *       under the doublers house rule, thrown in for double stakes next hand.
+ *       Under the screw-the-dealer house rule it can't happen: the dealer must pick
  *
  * Key Rules:
  * - Trump: All Queens, all Jacks, all Diamonds (in that order of power)
  * - Picker vs Defenders: Picker + Partner need 61+ points to win
  * - Under: When picker has all aces of a fail suit, they must call "under"
  * - Schwanzer: When everyone passes, player with most "Schwanzer points" loses
+ *
+ * - Blitz: A player holding both black (or red) Queens may show them before the
+ *   first lead to double the hand (house rule)
+ *
+ * Thresholds, stakes and the under-call rule can be changed per table (see rules.js).
+ * Schafkopf tables run on this engine too, with the overrides in SchafkopfGame.js.
  */
 
 const {
-  NUM_PLAYERS,
-  CARDS_PER_PLAYER,
-  BLIND_SIZE,
+  TABLE_SIZES,
   TOTAL_POINTS,
-  WIN_THRESHOLD,
-  SCHNEIDER_THRESHOLD,
-  SCHWARZ_THRESHOLD,
   FAIL_SUITS,
   TRUMP_ORDER
 } = require('./constants');
 
 const {
+  STANDARD_ORDER,
+  cardId,
   createDeck,
   shuffle,
+  generateSeed,
+  createSeededRandom,
+  deckFromIds,
   isTrump,
   getEffectiveSuit,
   determineTrickWinner,
@@ -45,26 +59,94 @@ const {
   sortHand
 } = require('./deck');
 
+const {
+  hashSeed,
+  combineClientSeeds,
+  dealSeed,
+  shuffleForDeal,
+  commitDeck,
+  isValidClientSeed
+} = require('./fairness');
+
+const { DEFAULT_RULES, validateRules } = require('./rules');
+const { redactFor } = require('./redaction');
+const { gameClassFor } = require('./rulesets');
+
 // Game phases
 const PHASES = {
   WAITING: 'waiting',           // Waiting for players
   DEALING: 'dealing',           // Cards being dealt
   PICKING: 'picking',           // Players deciding to pick or pass
+  BIDDING: 'bidding',           // Players bidding for the game to play (Schafkopf)
   BURYING: 'burying',           // Picker burying cards
   CALLING: 'calling',           // Picker calling partner ace
+  CRACKING: 'cracking',         // Defenders deciding to crack, then picker to re-crack
   PLAYING: 'playing',           // Trick-taking phase
   SCORING: 'scoring',           // Hand complete, showing results
   SCHWANZER: 'schwanzer'        // Leasters - everyone passed
 };
 
+// Partner rules without a call: the holder of the first of these cards the picker
+// doesn't hold is their secret partner (none left means the picker plays alone)
+const PARTNER_CARDS = {
+  jackOfDiamonds: [cardId('diamonds', 'J')],
+  blackQueen: [cardId('clubs', 'Q'), cardId('spades', 'Q')],
+  none: []
+};
+
+// The pair of Queens a player must hold to blitz, by the table's blitz rule
+const BLITZ_QUEENS = {
+  black: [cardId('clubs', 'Q'), cardId('spades', 'Q')],
+  red: [cardId('hearts', 'Q'), cardId('diamonds', 'Q')]
+};
+
+// Version of the serialize() format, bumped when a restore needs migrating
+const SNAPSHOT_VERSION = 1;
+
+// Every piece of table state that has to survive a restart (see serialize and snapshotFields)
+const SNAPSHOT_FIELDS = [
+  'roomId', 'rules', 'players', 'kibbitzers', 'hands', 'blind', 'buried', 'deal', 'seed',
+  'clientSeeds', 'serverSeed', 'nextServerSeed', 'fairness',
+  'phase', 'dealerIndex', 'currentPlayerIndex', 'pickingIndex', 'passedPlayers', 'actionLog',
+  'picker', 'partner', 'partnerCardId', 'calledSuit', 'calledRank', 'isUnderCall', 'underCardId',
+  'underCardPlayed', 'calledSuitFirstTrick', 'blindCardIds', 'crackedBy', 'recracked', 'crackPasses',
+  'blitzedBy',
+  'currentTrick', 'tricks', 'tricksWon', 'lastTrick', 'isSchwanzer', 'isLeasters', 'doubler', 'handResults',
+  'playersLeaving', 'playersLeavingNames', 'playersNextHand', 'disconnected', 'substitutions',
+  'gameId', 'handNumber', 'isPractice'
+];
+
 class SheepsheadGame {
-  constructor(roomId) {
+  /**
+   * @param {string} roomId
+   * @param {Object} options
+   * @param {Function} options.random - PRNG used to draw server seeds (default: crypto).
+   *   Pass a seeded PRNG (see createSeededRandom) to make every deal at the table reproducible.
+   * @param {Object} options.rules - House rules that differ from the standard ones (see rules.js).
+   *   Throws if they are invalid.
+   */
+  constructor(roomId, options = {}) {
+    const rules = validateRules(options.rules);
+    if (!rules.success) {
+      throw new Error(rules.error);
+    }
+
     this.roomId = roomId;
+    this.rules = rules.rules;   // House rules for this table
+    this.random = options.random || null;
     this.players = [];          // Array of {id, name, seatIndex}
     this.kibbitzers = [];       // Array of {id, name} - spectators
     this.hands = {};            // playerId -> array of cards
     this.blind = [];            // The blind (2 cards)
     this.buried = [];           // Cards buried by picker
+    this.deal = null;           // Original deal for this hand: {dealer, hands, blind}
+    this.seed = null;           // Seed this hand was shuffled with (null for a preset deck)
+
+    // Provably fair deals (see fairness.js)
+    this.clientSeeds = {};      // playerId -> client seed for the next deal
+    this.serverSeed = null;     // Server seed of the current hand (secret until it ends)
+    this.nextServerSeed = generateSeed(this.random); // Committed to before the next deal
+    this.fairness = null;       // Public commit-reveal data for the current hand
 
     this.phase = PHASES.WAITING;
     this.dealerIndex = 0;       // Index in players array
@@ -73,16 +155,25 @@ class SheepsheadGame {
     // Picking phase
     this.pickingIndex = 0;      // Who is currently deciding to pick
     this.passedPlayers = [];    // Players who passed
+    this.actionLog = [];        // Append-only log of the deal and every decision this hand
 
     // Game state
     this.picker = null;         // Player ID of picker
     this.partner = null;        // Player ID of partner (null until revealed)
+    this.partnerCardId = null;  // Card whose holder is the partner without a call (jack of diamonds rule)
     this.calledSuit = null;     // The suit of the called ace
     this.calledRank = 'A';      // Usually Ace, but can be 10 if picker has all 3 fail aces
     this.isUnderCall = false;   // True if picker is calling "under"
     this.underCardId = null;    // ID of card designated as "under" (stays in hand, marked)
     this.underCardPlayed = false; // Has the under card been played yet?
     this.calledSuitFirstTrick = true; // Has the called suit been led yet?
+    this.blindCardIds = null;   // IDs of the blind cards picked up (burying hint)
+
+    // Cracking (house rule)
+    this.crackedBy = null;      // Defender who cracked, doubling the stakes
+    this.recracked = false;     // Picker re-cracked, doubling them again
+    this.crackPasses = [];      // Players who declined to crack
+    this.blitzedBy = null;      // Player who showed both blitz Queens, doubling the stakes (house rule)
 
     // Trick state
     this.currentTrick = [];     // Array of {playerId, card, isUnderCard}
@@ -92,21 +183,66 @@ class SheepsheadGame {
 
     // Schwanzer (leasters) state
     this.isSchwanzer = false;
+    this.isLeasters = false;    // Everyone passed and the hand is being played out (house rule)
 
     // Scoring
     this.handResults = null;    // Results of the completed hand
+    this.doubler = 1;           // Stakes multiplier carried over from thrown-in hands (doublers)
 
     // Session management - end-of-hand voting
     this.playersLeaving = [];   // Player IDs who clicked "Leave Table"
     this.playersLeavingNames = []; // Names of players who left (persists after removal)
     this.playersNextHand = [];  // Players who clicked "Next Hand"
+
+    // Dropped connections - the seat and cards are held while they reconnect
+    this.disconnected = {};     // playerId -> time (ms) the seat is held until (null = no deadline yet)
+
+    // Players who left mid-hand this hand, replaced by bots: {playerId, playerName, botId}
+    this.substitutions = [];
+
+    // Session history - set by the server when the table starts
+    this.gameId = null;         // games.id row for the current session
+    this.handNumber = 0;        // Hands dealt in the current session
+
+    // A practice table (an imported hand against bots) keeps no stats or history
+    this.isPractice = false;
+  }
+
+  /**
+   * Seats at the table, and the deal for that many (6 cards each and 2 in the
+   * blind for the standard five)
+   */
+  get numPlayers() {
+    return this.rules.numPlayers;
+  }
+
+  get cardsPerPlayer() {
+    return TABLE_SIZES[this.rules.numPlayers].cardsPerPlayer;
+  }
+
+  get blindSize() {
+    return TABLE_SIZES[this.rules.numPlayers].blindSize;
+  }
+
+  /**
+   * Which cards are trump and how every card ranks (see createCardOrder in deck.js)
+   */
+  get cardOrder() {
+    return STANDARD_ORDER;
+  }
+
+  /**
+   * Table state saved by serialize(); rulesets with state of their own add to it
+   */
+  static get snapshotFields() {
+    return SNAPSHOT_FIELDS;
   }
 
   /**
    * Add a player to the game
    */
-  addPlayer(playerId, playerName) {
-    if (this.players.length >= NUM_PLAYERS) {
+  addPlayer(playerId, playerName, { isBot = false, difficulty = null } = {}) {
+    if (this.players.length >= this.numPlayers) {
       return { success: false, error: 'Game is full' };
     }
     if (this.players.find(p => p.id === playerId)) {
@@ -117,7 +253,7 @@ class SheepsheadGame {
     }
 
     const seatIndex = this.players.length;
-    this.players.push({ id: playerId, name: playerName, seatIndex });
+    this.players.push({ id: playerId, name: playerName, seatIndex, isBot, difficulty: isBot ? difficulty : null });
     this.hands[playerId] = [];
     this.tricksWon[playerId] = [];
 
@@ -163,6 +299,7 @@ class SheepsheadGame {
     this.players.splice(index, 1);
     delete this.hands[playerId];
     delete this.tricksWon[playerId];
+    delete this.disconnected[playerId];
 
     // Reindex seats
     this.players.forEach((p, i) => p.seatIndex = i);
@@ -175,6 +312,99 @@ class SheepsheadGame {
     return { success: true, gameReset: wasInGame };
   }
 
+  /**
+   * Is a hand being dealt or played (as opposed to waiting or scoring)?
+   */
+  isHandInProgress() {
+    return this.phase !== PHASES.WAITING && this.phase !== PHASES.SCORING;
+  }
+
+  /**
+   * Hand a departing player's seat to a computer player mid-hand. The bot takes
+   * over their cards, tricks won and team role, so the hand finishes and scores
+   * as if the seat had been played out. The action log keeps who made each play.
+   * @param {string} playerId - The player leaving
+   * @param {Object} bot - { id, name, difficulty }
+   */
+  substituteBot(playerId, { id, name, difficulty = 'normal' }) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) return { success: false, error: 'Player not found' };
+    if (player.isBot) return { success: false, error: 'Seat is already a bot' };
+    if (!this.isHandInProgress()) return { success: false, error: 'No hand in progress' };
+
+    this._logAction('substitute', { playerId, botId: id, botName: name, difficulty });
+    this.substitutions.push({ playerId, playerName: player.name, botId: id });
+
+    const rename = (seatId) => (seatId === playerId ? id : seatId);
+    Object.assign(player, { id, name, isBot: true, difficulty });
+
+    this.hands[id] = this.hands[playerId];
+    this.tricksWon[id] = this.tricksWon[playerId];
+    delete this.hands[playerId];
+    delete this.tricksWon[playerId];
+    delete this.disconnected[playerId];
+    delete this.clientSeeds[playerId];
+
+    this.picker = rename(this.picker);
+    this.partner = rename(this.partner);
+    this.passedPlayers = this.passedPlayers.map(rename);
+    this.crackedBy = rename(this.crackedBy);
+    this.crackPasses = this.crackPasses.map(rename);
+    this.blitzedBy = rename(this.blitzedBy);
+    // Tricks are shared between tricks and tricksWon (but not after a restore), so rename both
+    const tricks = [...this.tricks, ...Object.values(this.tricksWon).flat()];
+    for (const trick of tricks) {
+      trick.winner = rename(trick.winner);
+    }
+    for (const play of [...this.currentTrick, ...(this.lastTrick || []), ...tricks.flatMap(t => t.cards)]) {
+      play.playerId = rename(play.playerId);
+    }
+    if (this.deal) {
+      this.deal.dealer = rename(this.deal.dealer);
+      this.deal.hands = Object.fromEntries(
+        Object.entries(this.deal.hands).map(([seatId, cards]) => [rename(seatId), cards])
+      );
+    }
+
+    return { success: true, botId: id };
+  }
+
+  /**
+   * Is this seat played by the computer?
+   */
+  isBot(playerId) {
+    return !!this.players.find(p => p.id === playerId)?.isBot;
+  }
+
+  /**
+   * Mark a seated player as disconnected. Their seat and cards are kept.
+   * @param {string} playerId
+   * @param {number|null} heldUntil - Time (ms) the seat is held until, null if not counting down yet
+   */
+  markDisconnected(playerId, heldUntil = null) {
+    if (!this.players.find(p => p.id === playerId)) {
+      return { success: false, error: 'Player not found' };
+    }
+    this.disconnected[playerId] = heldUntil;
+    return { success: true };
+  }
+
+  /**
+   * Mark a player as connected again
+   */
+  markConnected(playerId) {
+    const wasDisconnected = playerId in this.disconnected;
+    delete this.disconnected[playerId];
+    return { success: true, wasDisconnected };
+  }
+
+  /**
+   * Is the player currently connected?
+   */
+  isConnected(playerId) {
+    return !(playerId in this.disconnected);
+  }
+
   /**
    * Reset game to waiting state (when a player leaves mid-game)
    */
@@ -184,20 +414,34 @@ class SheepsheadGame {
     this.buried = [];
     this.picker = null;
     this.partner = null;
+    this.partnerCardId = null;
     this.calledSuit = null;
     this.calledRank = 'A';
     this.isUnderCall = false;
     this.underCardId = null;
     this.underCardPlayed = false;
     this.calledSuitFirstTrick = true;
+    this.crackedBy = null;
+    this.recracked = false;
+    this.crackPasses = [];
+    this.blitzedBy = null;
     this.currentTrick = [];
     this.tricks = [];
     this.lastTrick = null;
     this.passedPlayers = [];
+    this.actionLog = [];
+    this.deal = null;
+    this.seed = null;
+    this.serverSeed = null;
+    this.fairness = null;
     this.isSchwanzer = false;
+    this.isLeasters = false;
     this.handResults = null;
+    this.doubler = 1;
+    this.substitutions = [];
     this.currentPlayerIndex = 0;
     this.pickingIndex = 0;
+    this.handNumber = 0;
 
     // Clear hands and tricks for remaining players
     for (const p of this.players) {
@@ -208,62 +452,311 @@ class SheepsheadGame {
 
   /**
    * Start a new hand
+   *
+   * By default the deal is provably fair: the deck is shuffled from the
+   * server seed committed to before the hand plus the players' client seeds,
+   * and the server seed is revealed when the hand ends (see fairness.js).
+   *
+   * @param {Object} options
+   * @param {number|string} options.seed - Shuffle with this seed instead (reproducible deal)
+   * @param {Array} options.deck - Deal this exact deck order (card IDs or cards), no shuffle
    */
-  startHand() {
-    if (this.players.length !== NUM_PLAYERS) {
-      return { success: false, error: `Need ${NUM_PLAYERS} players` };
+  startHand({ seed = null, deck = null } = {}) {
+    if (this.players.length !== this.numPlayers) {
+      return { success: false, error: `Need ${this.numPlayers} players` };
+    }
+
+    let dealDeck;
+    let fairness = null;
+    let serverSeed = null;
+
+    if (deck) {
+      dealDeck = deckFromIds(deck.map(c => typeof c === 'string' ? c : c.id));
+      if (!dealDeck) {
+        return { success: false, error: 'Deck must contain all 32 cards exactly once' };
+      }
+      seed = null;
+    } else if (seed !== null) {
+      dealDeck = shuffle(createDeck(), createSeededRandom(seed));
+    } else {
+      serverSeed = this.nextServerSeed;
+      const clientSeed = combineClientSeeds(this.players, this.clientSeeds);
+      const nonce = this.handNumber + 1;
+
+      seed = dealSeed(serverSeed, clientSeed, nonce);
+      dealDeck = shuffleForDeal(serverSeed, clientSeed, nonce);
+      fairness = {
+        serverSeedHash: hashSeed(serverSeed),
+        clientSeed,
+        nonce,
+        deckHash: commitDeck(dealDeck.map(c => c.id), serverSeed),
+        serverSeed: null // Revealed when the hand ends
+      };
+
+      // Commit to the seed for the following hand and start collecting new client seeds
+      this.nextServerSeed = generateSeed(this.random);
+      this.clientSeeds = {};
     }
 
-    // Reset hand state
+    this._resetHandState();
+    this.handNumber++;
+    this.seed = seed;
+    this.serverSeed = serverSeed;
+    this.fairness = fairness;
+
+    // Deal cards
+    this._dealHand(dealDeck);
+
+    return { success: true, seed, fairness };
+  }
+
+  /**
+   * Set a player's client seed for the next provably fair deal.
+   * Only accepted between hands, after the next server seed has been committed.
+   */
+  setClientSeed(playerId, clientSeed) {
+    if (!this.players.find(p => p.id === playerId)) {
+      return { success: false, error: 'Player not found' };
+    }
+    if (this.phase !== PHASES.WAITING && this.phase !== PHASES.SCORING) {
+      return { success: false, error: 'Client seed can only be set between hands' };
+    }
+    if (!isValidClientSeed(clientSeed)) {
+      return { success: false, error: 'Invalid client seed' };
+    }
+
+    this.clientSeeds[playerId] = clientSeed;
+    return { success: true, nextServerSeedHash: hashSeed(this.nextServerSeed) };
+  }
+
+  /**
+   * Reveal the server seed once the hand is over
+   */
+  _revealServerSeed() {
+    if (this.fairness && this.serverSeed) {
+      this.fairness.serverSeed = this.serverSeed;
+    }
+    return this.fairness ? { ...this.fairness } : null;
+  }
+
+  /**
+   * Everything hidden during the hand, shown once it's over: what each seat was
+   * dealt, the blind, what the picker buried and which card was the under card
+   */
+  _revealHand() {
+    return {
+      hands: Object.fromEntries(
+        Object.entries(this.deal?.hands || {}).map(([id, cards]) => [id, [...cards]])
+      ),
+      blind: [...(this.deal?.blind || [])],
+      buried: [...this.buried],
+      underCardId: this.underCardId
+    };
+  }
+
+  /**
+   * Reset per-hand state before a deal
+   */
+  _resetHandState() {
     this.phase = PHASES.DEALING;
     this.blind = [];
     this.buried = [];
     this.picker = null;
     this.partner = null;
+    this.partnerCardId = null;
     this.calledSuit = null;
     this.calledRank = 'A';
     this.isUnderCall = false;
     this.underCardId = null;
     this.underCardPlayed = false;
     this.calledSuitFirstTrick = true;
+    this.crackedBy = null;
+    this.recracked = false;
+    this.crackPasses = [];
+    this.blitzedBy = null;
     this.currentTrick = [];
     this.tricks = [];
     this.lastTrick = null;
     this.passedPlayers = [];
+    this.actionLog = [];
     this.isSchwanzer = false;
+    this.isLeasters = false;
     this.handResults = null;
+    this.substitutions = [];
 
     for (const p of this.players) {
       this.hands[p.id] = [];
       this.tricksWon[p.id] = [];
     }
+  }
 
-    // Deal cards
-    const deck = shuffle(createDeck());
+  /**
+   * Deal a deck (already in dealing order) and move to the picking phase
+   */
+  _dealHand(deck) {
+    this._logAction('deal', {
+      handNumber: this.handNumber,
+      rules: { ...this.rules },
+      players: this.players.map(p => ({ id: p.id, name: p.name })),
+      dealerIndex: this.dealerIndex,
+      doubler: this.doubler,
+      seed: this.seed,
+      deck: deck.map(c => c.id)
+    });
 
-    // Deal 6 cards to each player
+    // Deal 6 cards to each player (by default)
     let cardIndex = 0;
-    for (let i = 0; i < CARDS_PER_PLAYER; i++) {
+    for (let i = 0; i < this.cardsPerPlayer; i++) {
       for (const player of this.players) {
         this.hands[player.id].push(deck[cardIndex++]);
       }
     }
 
-    // Remaining 2 cards go to blind
-    this.blind = [deck[cardIndex++], deck[cardIndex++]];
+    // Remaining cards go to blind
+    this.blind = deck.slice(cardIndex, cardIndex + this.blindSize);
 
     // Sort hands
     for (const player of this.players) {
-      this.hands[player.id] = sortHand(this.hands[player.id]);
+      this.hands[player.id] = sortHand(this.hands[player.id], this.cardOrder);
     }
 
+    // Keep a copy of the original deal for the hand history
+    this.deal = {
+      dealer: this.players[this.dealerIndex].id,
+      hands: Object.fromEntries(this.players.map(p => [p.id, [...this.hands[p.id]]])),
+      blind: [...this.blind]
+    };
+
     // Move to picking phase
     this.phase = PHASES.PICKING;
     // Player to left of dealer picks first
-    this.pickingIndex = (this.dealerIndex + 1) % NUM_PLAYERS;
+    this.pickingIndex = (this.dealerIndex + 1) % this.numPlayers;
     this.currentPlayerIndex = this.pickingIndex;
+  }
 
-    return { success: true };
+  /**
+   * Append an entry to the hand's action log.
+   * Entries are frozen - the log is append-only.
+   */
+  _logAction(type, data = {}) {
+    this.actionLog.push(Object.freeze({
+      seq: this.actionLog.length,
+      type,
+      ...data,
+      timestamp: Date.now()
+    }));
+  }
+
+  /**
+   * Snapshot the complete table state as plain JSON-safe data
+   * (hands, blind, buried, tricks, under card, voting, session).
+   */
+  serialize() {
+    const state = {};
+    for (const field of this.constructor.snapshotFields) {
+      state[field] = this[field] === undefined ? null : this[field];
+    }
+    return JSON.parse(JSON.stringify({ version: SNAPSHOT_VERSION, state }));
+  }
+
+  /**
+   * Restore a table from a serialize() snapshot, as the game its rules play
+   * @param {Object} snapshot - Output of serialize()
+   * @param {Object} options - Constructor options (e.g. random)
+   */
+  static deserialize(snapshot, options = {}) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.state) {
+      throw new Error('Unsupported room snapshot');
+    }
+
+    const data = JSON.parse(JSON.stringify(snapshot.state));
+    const GameClass = gameClassFor(data.rules);
+    const game = new GameClass(data.roomId, options);
+    for (const field of GameClass.snapshotFields) {
+      if (data[field] !== undefined) {
+        game[field] = data[field];
+      }
+    }
+    // House rules added since the snapshot was taken play by their standard value
+    game.rules = { ...DEFAULT_RULES, ...game.rules };
+    game.actionLog = (data.actionLog || []).map(entry => Object.freeze(entry));
+    return game;
+  }
+
+  /**
+   * Rebuild a hand from its action log (initial deck + every decision).
+   * Returns a new game positioned after the last logged action.
+   * Throws if an action is rejected, which means the log doesn't match the rules.
+   */
+  static fromActionLog(actionLog, roomId = 'replay') {
+    const dealAction = actionLog.find(a => a.type === 'deal');
+    if (!dealAction) {
+      throw new Error('Action log has no deal');
+    }
+
+    const game = SheepsheadGame.fromDeal(dealAction, roomId);
+    for (const action of actionLog) {
+      if (action.type === 'deal') continue;
+      const result = game._replayAction(action);
+      if (!result.success) {
+        throw new Error(`Replay failed at action ${action.seq} (${action.type}): ${result.error}`);
+      }
+    }
+
+    return game;
+  }
+
+  /**
+   * A new game as the logged deal left it, before anyone acted
+   * (see fromActionLog, and replay.js for stepping through the rest)
+   */
+  static fromDeal(dealAction, roomId = 'replay') {
+    const GameClass = gameClassFor(dealAction.rules);
+    const game = new GameClass(roomId, { rules: dealAction.rules });
+    for (const p of dealAction.players) {
+      game.addPlayer(p.id, p.name);
+    }
+    game.dealerIndex = dealAction.dealerIndex;
+    game.handNumber = dealAction.handNumber;
+    game.doubler = dealAction.doubler ?? 1;
+
+    const deck = deckFromIds(dealAction.deck);
+    if (!deck) {
+      throw new Error('Action log deal is not a full deck');
+    }
+    game._resetHandState();
+    game.seed = dealAction.seed ?? null;
+    game._dealHand(deck);
+    return game;
+  }
+
+  /**
+   * Apply one logged action during fromActionLog
+   * Throws on an action type this game doesn't log.
+   */
+  _replayAction(action) {
+    switch (action.type) {
+      case 'pick':
+        return this.pick(action.playerId, action.picked);
+      case 'call':
+        return this.callAce(action.playerId, action.suit, action.goAlone, action.underCardId);
+      case 'bury':
+        return this.bury(action.playerId, action.cardIds);
+      case 'crack':
+        return this.crack(action.playerId, action.cracked);
+      case 'blitz':
+        return this.blitz(action.playerId);
+      case 'play':
+        return this.playCard(action.playerId, action.cardId);
+      case 'substitute':
+        return this.substituteBot(action.playerId, {
+          id: action.botId,
+          name: action.botName,
+          difficulty: action.difficulty
+        });
+      default:
+        throw new Error(`Unknown action type: ${action.type}`);
+    }
   }
 
   /**
@@ -278,32 +771,74 @@ class SheepsheadGame {
     if (currentPlayer.id !== playerId) {
       return { success: false, error: 'Not your turn to pick' };
     }
+    if (!wantsToPick && this.isForcedPick()) {
+      return { success: false, error: 'The dealer must pick' };
+    }
+
+    this._logAction('pick', { playerId, picked: !!wantsToPick });
 
     if (wantsToPick) {
       // Player picks up the blind
       this.picker = playerId;
       this.blindCardIds = this.blind.map(c => c.id);
       this.hands[playerId] = [...this.hands[playerId], ...this.blind];
-      this.hands[playerId] = sortHand(this.hands[playerId]);
+      this.hands[playerId] = sortHand(this.hands[playerId], this.cardOrder);
       this.blind = [];
+
+      const partnerCards = PARTNER_CARDS[this.rules.partner];
+      if (partnerCards) {
+        // No call: the partner card's holder is the secret partner - or the picker
+        // holds every partner card and plays alone
+        const hand = this.hands[playerId];
+        this.partnerCardId = partnerCards.find(id => !hand.some(c => c.id === id)) || null;
+        this.phase = PHASES.BURYING;
+        return { success: true, picked: true, goAlone: !this.partnerCardId };
+      }
+
       // Go to calling phase first (picker calls with full 8-card hand)
       this.phase = PHASES.CALLING;
       return { success: true, picked: true };
     } else {
       // Player passes
       this.passedPlayers.push(playerId);
-      this.pickingIndex = (this.pickingIndex + 1) % NUM_PLAYERS;
+      this.pickingIndex = (this.pickingIndex + 1) % this.numPlayers;
       this.currentPlayerIndex = this.pickingIndex;
 
       // Check if everyone passed
-      if (this.passedPlayers.length === NUM_PLAYERS) {
+      if (this.passedPlayers.length === this.numPlayers && this.rules.noPick === 'leasters') {
+        // Leasters: the hand is played out, everyone for themselves, the blind set aside
+        this.isLeasters = true;
+        this.phase = PHASES.SCHWANZER;
+        this.currentPlayerIndex = (this.dealerIndex + 1) % this.numPlayers;
+        return { success: true, passed: true, leasters: true };
+      }
+      if (this.passedPlayers.length === this.numPlayers && this.rules.noPick === 'doubler') {
+        // Doublers: the hand is thrown in and the next one is played for double the stakes
+        this.doubler *= 2;
+        this.phase = PHASES.SCORING;
+        const results = {
+          type: 'doubler',
+          doubler: this.doubler,
+          scores: Object.fromEntries(this.players.map(p => [p.id, 0]))
+        };
+        results.actionLog = [...this.actionLog];
+        results.fairness = this._revealServerSeed();
+        results.reveal = this._revealHand();
+        this.handResults = results;
+        this.dealerIndex = (this.dealerIndex + 1) % this.numPlayers;
+        return { success: true, doubler: true, handComplete: true, results };
+      }
+      if (this.passedPlayers.length === this.numPlayers) {
         // Schwanzer! Hand ends immediately
         this.isSchwanzer = true;
         this.phase = PHASES.SCORING;
         const results = this._scoreSchwanzer();
+        results.actionLog = [...this.actionLog];
+        results.fairness = this._revealServerSeed();
+        results.reveal = this._revealHand();
         this.handResults = results;
         // Advance dealer for next hand
-        this.dealerIndex = (this.dealerIndex + 1) % NUM_PLAYERS;
+        this.dealerIndex = (this.dealerIndex + 1) % this.numPlayers;
         return { success: true, schwanzer: true, handComplete: true, results };
       }
 
@@ -312,33 +847,34 @@ class SheepsheadGame {
   }
 
   /**
-   * Handle the picker burying cards
-   *
-   * Bury validation rules (simplified - calling happens first):
-   * 1. Cannot bury Queens or Jacks if you have other options
-   * 2. Must keep at least 1 card of the called suit (hold card)
-   * 3. Cannot bury the under card if this is an under call
+   * Under the screw-the-dealer rule, whether the pick is forced: everyone before
+   * the dealer passed (true for the dealer deciding, and once they've picked)
    */
-  bury(playerId, cardIds) {
+  isForcedPick() {
+    return this.rules.noPick === 'forcedPick' && this.passedPlayers.length === this.numPlayers - 1;
+  }
+
+  /**
+   * Check whether the picker may bury these cards, without burying them
+   * (see bury for the rules)
+   */
+  canBury(playerId, cardIds) {
     if (this.phase !== PHASES.BURYING) {
       return { success: false, error: 'Not in burying phase' };
     }
     if (this.picker !== playerId) {
       return { success: false, error: 'You are not the picker' };
     }
-    if (cardIds.length !== BLIND_SIZE) {
-      return { success: false, error: `Must bury exactly ${BLIND_SIZE} cards` };
+    if (cardIds.length !== this.blindSize) {
+      return { success: false, error: `Must bury exactly ${this.blindSize} cards` };
     }
 
     const hand = this.hands[playerId];
-    const toBury = [];
 
     for (const cardId of cardIds) {
-      const cardIndex = hand.findIndex(c => c.id === cardId);
-      if (cardIndex === -1) {
+      if (!hand.some(c => c.id === cardId)) {
         return { success: false, error: 'Card not in hand' };
       }
-      toBury.push(hand[cardIndex]);
     }
 
     // Rule: Can't bury the under card if this is an under call
@@ -360,16 +896,164 @@ class SheepsheadGame {
       }
     }
 
+    return { success: true };
+  }
+
+  /**
+   * Handle the picker burying cards
+   *
+   * Bury validation rules (simplified - calling happens first):
+   * 1. Cannot bury Queens or Jacks if you have other options
+   * 2. Must keep at least 1 card of the called suit (hold card)
+   * 3. Cannot bury the under card if this is an under call
+   */
+  bury(playerId, cardIds) {
+    const check = this.canBury(playerId, cardIds);
+    if (!check.success) {
+      return check;
+    }
+
+    const hand = this.hands[playerId];
+    const toBury = cardIds.map(cardId => hand.find(c => c.id === cardId));
+    const remainingHand = hand.filter(c => !cardIds.includes(c.id));
+
     // Remove buried cards from hand
     this.hands[playerId] = remainingHand;
     this.buried = toBury;
+    this._logAction('bury', { playerId, cardIds: [...cardIds] });
+
+    if (this.rules.cracking !== 'off') {
+      // Defenders get to crack before the first lead
+      this.phase = PHASES.CRACKING;
+      this.currentPlayerIndex = this.players.findIndex(p => p.id === this._crackOrder()[0]);
+      return { success: true };
+    }
 
     // Move to playing phase
-    this.phase = PHASES.PLAYING;
-    this.currentPlayerIndex = (this.dealerIndex + 1) % NUM_PLAYERS;
+    this._startPlay();
     return { success: true };
   }
 
+  _startPlay() {
+    this.phase = PHASES.PLAYING;
+    this.currentPlayerIndex = (this.dealerIndex + 1) % this.numPlayers;
+  }
+
+  /**
+   * Everyone but the picker, in playing order - who is asked whether to crack
+   */
+  _crackOrder() {
+    const order = [];
+    for (let i = 1; i <= this.numPlayers; i++) {
+      const player = this.players[(this.dealerIndex + i) % this.numPlayers];
+      if (player.id !== this.picker) order.push(player.id);
+    }
+    return order;
+  }
+
+  /**
+   * Whether a player may crack (or re-crack) on their turn in the cracking window.
+   * The picker's partner is on the picking team, so can't crack, even while secret.
+   */
+  canCrack(playerId) {
+    if (this.phase !== PHASES.CRACKING || this.players[this.currentPlayerIndex]?.id !== playerId) {
+      return false;
+    }
+    if (this.crackedBy) {
+      return playerId === this.picker;
+    }
+    const hand = this.hands[playerId];
+    const holdsPartnerCard = this.calledSuit ?
+      hand.some(c => c.suit === this.calledSuit && c.rank === this.calledRank) :
+      hand.some(c => c.id === this.partnerCardId);
+    return !holdsPartnerCard;
+  }
+
+  /**
+   * Stakes multiplier from cracking: x2 cracked, x4 re-cracked
+   */
+  getCrackMultiplier() {
+    if (!this.crackedBy) return 1;
+    return this.recracked ? 4 : 2;
+  }
+
+  /**
+   * Whether a player may blitz now: the table plays blitzes, nobody has yet,
+   * no card has been led and they hold both Queens of the blitz colour
+   */
+  canBlitz(playerId) {
+    const queens = BLITZ_QUEENS[this.rules.blitz];
+    if (!queens || this.blitzedBy || !this.hands[playerId]) return false;
+
+    const beforeFirstLead = [PHASES.PICKING, PHASES.CALLING, PHASES.BURYING, PHASES.CRACKING].includes(this.phase) ||
+      (this.phase === PHASES.PLAYING && this.tricks.length === 0 && this.currentTrick.length === 0);
+    return beforeFirstLead && queens.every(id => this.hands[playerId].some(c => c.id === id));
+  }
+
+  /**
+   * Show both blitz Queens to double the stakes of the hand.
+   * Can be done out of turn, any time before the first lead.
+   */
+  blitz(playerId) {
+    if (!this.players.find(p => p.id === playerId)) {
+      return { success: false, error: 'Player not found' };
+    }
+    if (!this.canBlitz(playerId)) {
+      return { success: false, error: 'Cannot blitz' };
+    }
+
+    this.blitzedBy = playerId;
+    this._logAction('blitz', { playerId });
+    return { success: true, cardIds: [...BLITZ_QUEENS[this.rules.blitz]] };
+  }
+
+  /**
+   * Handle a crack (or re-crack) decision in the cracking window
+   *
+   * Each player but the picker is asked in playing order; the first to crack
+   * doubles the stakes and ends the defenders' turn. Under the 'recrack' rule the
+   * picker may then double again. The hand is played once everyone has decided.
+   */
+  crack(playerId, wantsToCrack) {
+    if (this.phase !== PHASES.CRACKING) {
+      return { success: false, error: 'Not in cracking phase' };
+    }
+    if (this.players[this.currentPlayerIndex].id !== playerId) {
+      return { success: false, error: 'Not your turn to crack' };
+    }
+    if (wantsToCrack && !this.canCrack(playerId)) {
+      return { success: false, error: 'The picking team cannot crack' };
+    }
+
+    this._logAction('crack', { playerId, cracked: !!wantsToCrack });
+
+    if (this.crackedBy) {
+      // The picker's re-crack decision ends the window
+      this.recracked = !!wantsToCrack;
+      this._startPlay();
+      return { success: true, recracked: this.recracked, multiplier: this.getCrackMultiplier() };
+    }
+
+    if (wantsToCrack) {
+      this.crackedBy = playerId;
+      if (this.rules.cracking === 'recrack') {
+        this.currentPlayerIndex = this.players.findIndex(p => p.id === this.picker);
+      } else {
+        this._startPlay();
+      }
+      return { success: true, cracked: true, multiplier: this.getCrackMultiplier() };
+    }
+
+    this.crackPasses.push(playerId);
+    const next = this._crackOrder().find(id => !this.crackPasses.includes(id));
+    if (next) {
+      this.currentPlayerIndex = this.players.findIndex(p => p.id === next);
+    } else {
+      this._startPlay();
+    }
+    return { success: true, cracked: false };
+  }
+
   /**
    * Get the suits/ranks the picker can call
    *
@@ -438,12 +1122,23 @@ class SheepsheadGame {
       for (const suit of failSuitsWithoutAce) {
         options.push({ suit, rank: 'A', type: 'normal' });
       }
+      // House rule: may call under instead, in a suit they're void in
+      if (this.rules.underCall === 'allowed') {
+        for (const suit of FAIL_SUITS) {
+          if (!acesHeld.includes(suit) && !failSuitsWithoutAce.includes(suit)) {
+            options.push({ suit, rank: 'A', type: 'under' });
+          }
+        }
+      }
       return { goAlone: false, options, mustSelectUnderCard: false };
     }
 
     // Case 3: Picker has NO fail suit without ace (under required)
     // Every fail suit they have includes the ace, OR they have no fail at all
     // Must call under - call any ace they DON'T have
+    if (this.rules.underCall === 'never') {
+      return { goAlone: true, options: [], reason: 'Under calls are not allowed at this table' };
+    }
     for (const suit of FAIL_SUITS) {
       if (!acesHeld.includes(suit)) {
         options.push({ suit, rank: 'A', type: 'under' });
@@ -477,6 +1172,7 @@ class SheepsheadGame {
       this.partner = null;
       this.isUnderCall = false;
       this.underCardId = null;
+      this._logAction('call', { playerId, suit: null, goAlone: true, underCardId: null });
       // Go to burying phase next
       this.phase = PHASES.BURYING;
       return { success: true, goAlone: true };
@@ -519,6 +1215,13 @@ class SheepsheadGame {
     // Partner is not revealed until they play the called card
     // For under call, partner is revealed when under card is played
     this.partner = null;
+    this._logAction('call', {
+      playerId,
+      suit,
+      rank: this.calledRank,
+      goAlone: false,
+      underCardId: this.underCardId
+    });
 
     // Move to burying phase next
     this.phase = PHASES.BURYING;
@@ -570,14 +1273,15 @@ class SheepsheadGame {
     }
 
     // If picker is trying to play under card when called suit is NOT led, reject
-    // (Under card can only be played when called suit is led)
+    // (Under card can only be played when called suit is led, or as the last card)
     if (this.isUnderCall &&
         this.underCardId &&
         !this.underCardPlayed &&
         playerId === this.picker &&
         cardId === this.underCardId &&
         !isLeading &&
-        leadSuit !== this.calledSuit) {
+        leadSuit !== this.calledSuit &&
+        hand.length > 1) {
       return { success: false, error: 'Under card can only be played when the called suit is led' };
     }
 
@@ -610,7 +1314,8 @@ class SheepsheadGame {
         this.calledSuit,
         !this.calledSuitFirstTrick, // calledSuitHasBeenLed
         isPicker,
-        hasCalledAce
+        hasCalledAce,
+        this._pendingUnderCardId(playerId)
       );
 
       if (!playableCards.find(c => c.id === cardId)) {
@@ -620,18 +1325,22 @@ class SheepsheadGame {
 
     // Remove card from hand
     this.hands[playerId].splice(cardIndex, 1);
+    this._logAction('play', { playerId, cardId });
 
     // Add card to current trick (mark if it's the under card - played face-down)
     this.currentTrick.push({ playerId, card, isUnderCard });
 
-    // Check if partner is revealed (played the called card)
+    // Check if partner is revealed (played the called card, or the J♦)
     let partnerRevealed = false;
     if (this.calledSuit && !this.partner && !isUnderCard &&
         card.suit === this.calledSuit && card.rank === this.calledRank) {
       this.partner = playerId;
       partnerRevealed = true;
     }
-
+    if (this.partnerCardId && !this.partner && card.id === this.partnerCardId) {
+      this.partner = playerId;
+      partnerRevealed = true;
+    }
 
     // Track if called suit has been led
     if (this.calledSuit && isLeading && getEffectiveSuit(card) === this.calledSuit) {
@@ -639,12 +1348,12 @@ class SheepsheadGame {
     }
 
     // Check if trick is complete
-    if (this.currentTrick.length === NUM_PLAYERS) {
+    if (this.currentTrick.length === this.numPlayers) {
       return this._completeTrick(partnerRevealed);
     }
 
     // Next player
-    this.currentPlayerIndex = (this.currentPlayerIndex + 1) % NUM_PLAYERS;
+    this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.numPlayers;
 
     return {
       success: true,
@@ -655,13 +1364,21 @@ class SheepsheadGame {
     };
   }
 
+  /**
+   * The picker's under card while it is still in their hand (null for everyone else)
+   */
+  _pendingUnderCardId(playerId) {
+    if (playerId !== this.picker || !this.isUnderCall || this.underCardPlayed) return null;
+    return this.underCardId;
+  }
+
   /**
    * Complete a trick and determine winner
    */
   _completeTrick(partnerRevealed) {
     // Filter out under cards when determining winner - under cards can't win
     const eligiblePlays = this.currentTrick.filter(t => !t.isUnderCard);
-    const winner = determineTrickWinner(eligiblePlays);
+    const winner = determineTrickWinner(eligiblePlays, this.cardOrder);
 
     // All cards count for points though (including hole card)
     const trickCards = this.currentTrick.map(t => t.card);
@@ -710,20 +1427,28 @@ class SheepsheadGame {
 
     if (this.isSchwanzer) {
       results = this._scoreSchwanzer();
+    } else if (this.isLeasters) {
+      results = this._scoreLeasters();
     } else {
       results = this._scoreNormalHand();
     }
 
+    results.actionLog = [...this.actionLog];
+    results.fairness = this._revealServerSeed();
+    results.reveal = this._revealHand();
     this.handResults = results;
 
+    // A hand played out uses up any doubled stakes
+    this.doubler = 1;
+
     // Advance dealer for next hand
-    this.dealerIndex = (this.dealerIndex + 1) % NUM_PLAYERS;
+    this.dealerIndex = (this.dealerIndex + 1) % this.numPlayers;
 
     return {
       success: true,
       trickComplete: true,
       trick: lastTrick,
-      winner: determineTrickWinner(lastTrick),
+      winner: determineTrickWinner(lastTrick, this.cardOrder),
       points: calculatePoints(lastTrick.map(t => t.card)),
       partnerRevealed: partnerRevealed ? this.partner : null,
       handComplete: true,
@@ -760,13 +1485,14 @@ class SheepsheadGame {
     const pickingPoints = pickingTeam.reduce((sum, id) => sum + playerPoints[id], 0);
     const defendingPoints = TOTAL_POINTS - pickingPoints;
 
-    // Determine winner and multiplier
-    let pickersWin = pickingPoints >= WIN_THRESHOLD;
-    let multiplier = 1;
+    // Determine winner and the stake from the scoring schedule
+    const rules = this.rules;
+    const scoring = rules.scoring;
+    let pickersWin = pickingPoints >= rules.winThreshold;
+    let multiplier = scoring.win;
     let schneider = false;
     let schwarz = false;
 
-    const losingPoints = pickersWin ? defendingPoints : pickingPoints;
     const winningTeamTricks = pickersWin ?
       pickingTeam.flatMap(id => this.tricksWon[id]) :
       defendingTeam.flatMap(id => this.tricksWon[id]);
@@ -774,32 +1500,42 @@ class SheepsheadGame {
       defendingTeam.flatMap(id => this.tricksWon[id]) :
       pickingTeam.flatMap(id => this.tricksWon[id]);
 
-    const schneiderThreshold = pickersWin ? 30 : 31; // Picker needs 91+, defenders need 90+
-    if (losingPoints < schneiderThreshold) {
+    // Picker needs 91+, defenders need 90+ (by default)
+    const winningPoints = pickersWin ? pickingPoints : defendingPoints;
+    if (winningPoints >= (pickersWin ? rules.pickerSchneider : rules.defenderSchneider)) {
       schneider = true;
-      multiplier = 2;
+      multiplier = scoring.schneider;
     }
     if (losingTeamTricks.length === 0) {
       schwarz = true;
-      multiplier = 3;
+      multiplier = scoring.schwarz;
     }
 
     // Calculate actual scores
-    // Picker gets/loses 2x (or 4x if alone), partner gets/loses 1x
+    // Picker gets/loses 2x (or 4x if alone), partner gets/loses 1x (by default),
+    // all doubled for each thrown-in hand before this one (doublers), by cracking and by a blitz,
+    // and multiplied again when the pickers are bumped or a dealer forced to pick loses
+    // (screw the dealer)
     const isAlone = !this.partner || this.partner === this.picker;
-    const pickerMultiplier = isAlone ? 4 : 2;
+    const pickerMultiplier = isAlone ? scoring.alone : scoring.picker;
+    const bumpMultiplier = pickersWin ? 1 : scoring.bump;
+    const crackMultiplier = this.getCrackMultiplier();
+    const blitzMultiplier = this.blitzedBy ? 2 : 1;
+    const forcedPick = this.isForcedPick();
+    const forcedMultiplier = forcedPick && !pickersWin ? rules.forcedPickLoss : 1;
+    const stake = multiplier * this.doubler * crackMultiplier * blitzMultiplier * bumpMultiplier * forcedMultiplier;
 
     const scores = {};
     for (const player of this.players) {
       if (player.id === this.picker) {
         scores[player.id] = pickersWin ?
-          multiplier * pickerMultiplier :
-          -multiplier * pickerMultiplier;
+          stake * pickerMultiplier :
+          -stake * pickerMultiplier;
       } else if (player.id === this.partner) {
-        scores[player.id] = pickersWin ? multiplier : -multiplier;
+        scores[player.id] = pickersWin ? stake : -stake;
       } else {
         // Defenders
-        scores[player.id] = pickersWin ? -multiplier : multiplier;
+        scores[player.id] = pickersWin ? -stake : stake;
       }
     }
 
@@ -812,6 +1548,7 @@ class SheepsheadGame {
       picker: this.picker,
       partner: this.partner,
       calledSuit: this.calledSuit,
+      partnerCardId: this.partnerCardId,
       pickingTeam,
       defendingTeam,
       pickingPoints,
@@ -823,6 +1560,15 @@ class SheepsheadGame {
       schneider,
       schwarz,
       multiplier,
+      doubler: this.doubler,
+      crackedBy: this.crackedBy,
+      recracked: this.recracked,
+      crackMultiplier,
+      blitzedBy: this.blitzedBy,
+      blitzMultiplier,
+      bumpMultiplier,
+      forcedPick,
+      forcedMultiplier,
       scores,
       playerPoints,
       tricksWon: { ...this.tricksWon }
@@ -865,7 +1611,8 @@ class SheepsheadGame {
    * Loser = player with most Schwanzer Points (Q=3, J=2, diamonds=1)
    * Tiebreak: player with highest trump card is sole loser
    *
-   * Scoring: always 1 loser at -4, 4 winners at +1
+   * Scoring: always 1 loser at -4, 4 winners at +1 (times the schwanzer stake in the
+   * table's scoring schedule)
    * Exception: 5-way tie at 0 points = draw (0 each)
    */
   _scoreSchwanzer() {
@@ -882,7 +1629,7 @@ class SheepsheadGame {
     let losers = this.players.filter(p => playerSchwanzerPoints[p.id] === maxSchwanzerPoints);
 
     // Tiebreak: if multiple players tied, highest trump card breaks the tie
-    if (losers.length > 1 && losers.length < NUM_PLAYERS) {
+    if (losers.length > 1 && losers.length < this.numPlayers) {
       let highestTrumpIdx = -1;
       let tiebreakLoser = null;
       for (const loser of losers) {
@@ -906,14 +1653,14 @@ class SheepsheadGame {
     // With tiebreak, it's always 1 loser or 5-way tie
     let loserScore, winnerScore;
 
-    if (numLosers === NUM_PLAYERS) {
+    if (numLosers === this.numPlayers) {
       // All tied - draw
       loserScore = 0;
       winnerScore = 0;
     } else {
       // 1 loser (after tiebreak if needed)
-      loserScore = -4;
-      winnerScore = 1;
+      loserScore = -(this.numPlayers - 1) * this.rules.scoring.schwanzer;
+      winnerScore = this.rules.scoring.schwanzer;
     }
 
     for (const player of this.players) {
@@ -934,9 +1681,102 @@ class SheepsheadGame {
     };
   }
 
+  /**
+   * Score a played-out leasters hand
+   * Everyone passed and played for themselves; the blind goes to whoever took the
+   * last trick (or the first, by house rule). The player with the fewest card points
+   * who took at least one trick wins and collects the stake from every other player.
+   * Players tied for fewest each collect from every loser.
+   */
+  _scoreLeasters() {
+    const playerPoints = {};
+    for (const player of this.players) {
+      playerPoints[player.id] = this.tricksWon[player.id].reduce(
+        (sum, trick) => sum + trick.points, 0
+      );
+    }
+
+    const blindTrick = this.rules.leasterBlind === 'firstTrick' ?
+      this.tricks[0] :
+      this.tricks[this.tricks.length - 1];
+    const blindPoints = calculatePoints(this.blind);
+    playerPoints[blindTrick.winner] += blindPoints;
+
+    // Only players who took a trick can win
+    const eligible = this.players.filter(p => this.tricksWon[p.id].length > 0);
+    const fewestPoints = Math.min(...eligible.map(p => playerPoints[p.id]));
+    const winners = eligible.filter(p => playerPoints[p.id] === fewestPoints).map(p => p.id);
+    const losers = this.players.map(p => p.id).filter(id => !winners.includes(id));
+
+    const stake = this.rules.scoring.leaster;
+    const scores = {};
+    for (const player of this.players) {
+      scores[player.id] = winners.includes(player.id) ?
+        losers.length * stake :
+        -winners.length * stake;
+    }
+
+    return {
+      type: 'leasters',
+      winners,
+      losers,
+      fewestPoints,
+      blindPoints,
+      blindTo: blindTrick.winner,
+      scores,
+      playerPoints,
+      tricksWon: { ...this.tricksWon }
+    };
+  }
+
+  /**
+   * Get a serializable record of the completed hand for the hand history.
+   * Cards are stored by card ID.
+   */
+  getHandRecord() {
+    const ids = (cards) => cards.map(c => c.id);
+
+    return {
+      rules: { ...this.rules },
+      players: this.players.map(p => ({ id: p.id, name: p.name, seatIndex: p.seatIndex })),
+      dealer: this.deal?.dealer || null,
+      seed: this.seed,
+      fairness: this.fairness ? { ...this.fairness } : null,
+      deal: {
+        hands: Object.fromEntries(
+          Object.entries(this.deal?.hands || {}).map(([id, cards]) => [id, ids(cards)])
+        ),
+        blind: ids(this.deal?.blind || [])
+      },
+      picks: this.actionLog
+        .filter(a => a.type === 'pick')
+        .map(a => ({ playerId: a.playerId, picked: a.picked })),
+      call: this.picker ? {
+        picker: this.picker,
+        calledSuit: this.calledSuit,
+        calledRank: this.calledSuit ? this.calledRank : null,
+        goAlone: !this.calledSuit && !this.partnerCardId, // No call under the jack of diamonds rule
+        isUnderCall: this.isUnderCall,
+        underCardId: this.underCardId
+      } : null,
+      bury: ids(this.buried),
+      blitz: this._blitzState(),
+      tricks: this.tricks.map(t => ({
+        plays: t.cards.map(play => ({
+          playerId: play.playerId,
+          cardId: play.card.id,
+          isUnderCard: !!play.isUnderCard
+        })),
+        winner: t.winner,
+        points: t.points
+      })),
+      actions: [...this.actionLog]
+    };
+  }
+
   /**
    * Get the current game state for a kibbitzer (spectator)
-   * Kibbitzers can see played cards but not players' hands
+   * Kibbitzers can see played cards but not players' hands (nor the under card)
    */
   getStateForKibbitzer(kibitzerId) {
     const kibbitzer = this.kibbitzers.find(k => k.id === kibitzerId);
@@ -944,6 +1784,8 @@ class SheepsheadGame {
 
     const state = {
       roomId: this.roomId,
+      rules: this.rules,
+      tricksPerHand: this.cardsPerPlayer,
       phase: this.phase,
       isKibbitzer: true,
       players: this.players.map(p => ({
@@ -954,7 +1796,11 @@ class SheepsheadGame {
         isDealer: p.seatIndex === this.dealerIndex,
         isPicker: p.id === this.picker,
         isPartner: p.id === this.partner,
-        tricksWon: this.tricksWon[p.id]?.length || 0
+        tricksWon: this.tricksWon[p.id]?.length || 0,
+        isBot: !!p.isBot,
+        difficulty: p.difficulty || null,
+        connected: this.isConnected(p.id),
+        reconnectDeadline: this.disconnected[p.id] ?? null
       })),
       hand: [], // Kibbitzers don't have cards
       currentTrick: this.currentTrick,
@@ -964,10 +1810,18 @@ class SheepsheadGame {
       dealerIndex: this.dealerIndex,
       picker: this.picker,
       partner: this.partner,
+      partnerCardId: this.partnerCardId,
       calledSuit: this.calledSuit,
       calledRank: this.calledRank,
       isUnderCall: this.isUnderCall,
       isSchwanzer: this.isSchwanzer,
+      isLeasters: this.isLeasters,
+      doubler: this.doubler,
+      crackedBy: this.crackedBy,
+      recracked: this.recracked,
+      blitz: this._blitzState(),
+      fairness: this.fairness,
+      nextServerSeedHash: hashSeed(this.nextServerSeed),
       myIndex: 0 // Kibbitzers have no seat
     };
 
@@ -977,11 +1831,12 @@ class SheepsheadGame {
       state.playersNextHand = this.getNextHandPlayerNames();
     }
 
-    return state;
+    return redactFor(this, kibitzerId, state);
   }
 
   /**
-   * Get the current game state for a specific player
+   * Get the current game state for a specific player, with what they can't see
+   * redacted (see redaction.js)
    */
   getStateForPlayer(playerId) {
     const player = this.players.find(p => p.id === playerId);
@@ -989,6 +1844,8 @@ class SheepsheadGame {
 
     const state = {
       roomId: this.roomId,
+      rules: this.rules,
+      tricksPerHand: this.cardsPerPlayer,
       phase: this.phase,
       players: this.players.map(p => ({
         id: p.id,
@@ -998,7 +1855,11 @@ class SheepsheadGame {
         isDealer: p.seatIndex === this.dealerIndex,
         isPicker: p.id === this.picker,
         isPartner: p.id === this.partner,
-        tricksWon: this.tricksWon[p.id]?.length || 0
+        tricksWon: this.tricksWon[p.id]?.length || 0,
+        isBot: !!p.isBot,
+        difficulty: p.difficulty || null,
+        connected: this.isConnected(p.id),
+        reconnectDeadline: this.disconnected[p.id] ?? null
       })),
       hand: this.hands[playerId] || [],
       currentTrick: this.currentTrick,
@@ -1008,11 +1869,19 @@ class SheepsheadGame {
       dealerIndex: this.dealerIndex,
       picker: this.picker,
       partner: this.partner, // Only set once revealed
+      partnerCardId: this.partnerCardId,
       calledSuit: this.calledSuit,
       calledRank: this.calledRank,
       isUnderCall: this.isUnderCall,
       underCardPlayed: this.underCardPlayed,
       isSchwanzer: this.isSchwanzer,
+      isLeasters: this.isLeasters,
+      doubler: this.doubler,
+      crackedBy: this.crackedBy,
+      recracked: this.recracked,
+      blitz: this._blitzState(),
+      fairness: this.fairness,
+      nextServerSeedHash: hashSeed(this.nextServerSeed),
       myIndex: player.seatIndex
     };
 
@@ -1021,14 +1890,20 @@ class SheepsheadGame {
       state.underCardId = this.underCardId;
     }
 
+    // The picker knows what they buried
+    if (playerId === this.picker && this.buried.length > 0) {
+      state.buried = this.buried;
+    }
+
     // Phase-specific data
     if (this.phase === PHASES.PICKING) {
       state.pickingIndex = this.pickingIndex;
       state.passedPlayers = this.passedPlayers;
+      state.mustPick = this.players[this.pickingIndex]?.id === playerId && this.isForcedPick();
     }
 
     if (this.phase === PHASES.BURYING && playerId === this.picker) {
-      state.needToBury = BLIND_SIZE;
+      state.needToBury = this.blindSize;
       if (this.blindCardIds) {
         state.blindCardIds = this.blindCardIds;
       }
@@ -1038,6 +1913,12 @@ class SheepsheadGame {
       state.callableOptions = this.getCallableOptions(playerId);
     }
 
+    if (this.phase === PHASES.CRACKING && this.players[this.currentPlayerIndex]?.id === playerId) {
+      state.canCrack = this.canCrack(playerId);
+    }
+
+    state.canBlitz = this.canBlitz(playerId);
+
     if (this.phase === PHASES.PLAYING || this.phase === PHASES.SCHWANZER) {
       const isMyTurn = this.players[this.currentPlayerIndex]?.id === playerId;
       if (isMyTurn) {
@@ -1068,7 +1949,8 @@ class SheepsheadGame {
             this.calledSuit,
             !this.calledSuitFirstTrick, // calledSuitHasBeenLed (inverted from calledSuitFirstTrick)
             isPicker,
-            hasCalledAce
+            hasCalledAce,
+            this._pendingUnderCardId(playerId)
           ).map(c => c.id);
         }
       }
@@ -1082,7 +1964,14 @@ class SheepsheadGame {
       state.hasVoted = this.playersLeaving.includes(playerId) || this.playersNextHand.includes(playerId);
     }
 
-    return state;
+    return redactFor(this, playerId, state);
+  }
+
+  /**
+   * The blitz everyone has seen: who showed which Queens (null if none)
+   */
+  _blitzState() {
+    return this.blitzedBy ? { playerId: this.blitzedBy, cardIds: [...BLITZ_QUEENS[this.rules.blitz]] } : null;
   }
 
   /**
@@ -1091,6 +1980,7 @@ class SheepsheadGame {
   getPublicState() {
     return {
       roomId: this.roomId,
+      rules: this.rules,
       phase: this.phase,
       playerCount: this.players.length,
       players: this.players.map(p => ({
@@ -44,15 +44,27 @@ const TRUMP_ORDER = [
 // Fail card order within a suit (lowest to highest)
 const FAIL_ORDER = ['7', '8', '9', 'K', '10', 'A'];
 
-// Game constants
+// Game constants (the standard 5-handed game)
 const NUM_PLAYERS = 5;
 const CARDS_PER_PLAYER = 6;
 const BLIND_SIZE = 2;
+
+// Deal sizes by number of players - every table deals the whole 32-card deck
+const TABLE_SIZES = {
+  3: { cardsPerPlayer: 10, blindSize: 2 },
+  4: { cardsPerPlayer: 7, blindSize: 4 },
+  5: { cardsPerPlayer: CARDS_PER_PLAYER, blindSize: BLIND_SIZE },
+  6: { cardsPerPlayer: 5, blindSize: 2 },
+  7: { cardsPerPlayer: 4, blindSize: 4 }
+};
 const TOTAL_POINTS = 120;
 const WIN_THRESHOLD = 61; // Points needed to win
 const SCHNEIDER_THRESHOLD = 91; // Points for schneider
 const SCHWARZ_THRESHOLD = 120; // All points (no tricks for opponents)
 
+// Computer player levels: rule-based heuristics, or Monte Carlo search
+const BOT_DIFFICULTIES = ['normal', 'expert'];
+
 module.exports = {
   SUITS,
   FAIL_SUITS,
@@ -63,8 +75,10 @@ module.exports = {
   NUM_PLAYERS,
   CARDS_PER_PLAYER,
   BLIND_SIZE,
+  TABLE_SIZES,
   TOTAL_POINTS,
   WIN_THRESHOLD,
   SCHNEIDER_THRESHOLD,
-  SCHWARZ_THRESHOLD
+  SCHWARZ_THRESHOLD,
+  BOT_DIFFICULTIES
 };
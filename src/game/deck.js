@@ -1,6 +1,14 @@
 // Deck creation and card utilities
+//
+// Which cards are trump, and how cards rank, comes from a card order (see
+// createCardOrder). Every function that needs one takes it as an optional last
+// argument, defaulting to Sheepshead's STANDARD_ORDER.
 
-const { SUITS, RANKS, POINT_VALUES, TRUMP_ORDER, FAIL_ORDER, FAIL_SUITS } = require('./constants');
+const crypto = require('crypto');
+const { SUITS, RANKS, POINT_VALUES } = require('./constants');
+
+// Ranks from lowest to highest when not trump (10 ranks above the King)
+const RANK_ORDER = ['7', '8', '9', 'J', 'Q', 'K', '10', 'A'];
 
 /**
  * Create a unique card ID
@@ -36,59 +44,161 @@ function createDeck() {
 }
 
 /**
- * Shuffle an array in place using Fisher-Yates
+ * Convert two 32-bit words to a float in [0, 1) with 53 bits of precision
+ */
+function wordsToFloat(a, b) {
+  return ((a >>> 5) * 67108864 + (b >>> 6)) / 9007199254740992;
+}
+
+/**
+ * Cryptographically secure random float in [0, 1)
+ */
+function secureRandom() {
+  const buf = crypto.randomBytes(8);
+  return wordsToFloat(buf.readUInt32BE(0), buf.readUInt32BE(4));
+}
+
+/**
+ * Shuffle a copy of an array using Fisher-Yates
+ * @param {Array} array - Items to shuffle (not modified)
+ * @param {Function} random - Returns a float in [0, 1), defaults to a cryptographic source
  */
-function shuffle(array) {
+function shuffle(array, random = secureRandom) {
   const arr = [...array];
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
 }
 
 /**
- * Check if a card is trump
+ * Generate a 256-bit hex seed for a deal.
+ * Draws from the given PRNG when one is passed (reproducible tables),
+ * otherwise from the cryptographic source.
  */
-function isTrump(card) {
-  // All Queens and Jacks are trump
-  if (card.rank === 'Q' || card.rank === 'J') {
-    return true;
+function generateSeed(random = null) {
+  if (!random) {
+    return crypto.randomBytes(32).toString('hex');
   }
-  // All diamonds are trump
-  if (card.suit === 'diamonds') {
-    return true;
+  let hex = '';
+  for (let i = 0; i < 8; i++) {
+    hex += Math.floor(random() * 0x100000000).toString(16).padStart(8, '0');
   }
-  return false;
+  return hex;
 }
 
 /**
- * Get the trump power of a card (higher = stronger)
- * Returns -1 if not trump
+ * Create a seeded PRNG so a shuffle can be reproduced.
+ *
+ * SHA-256 in counter mode: block k is SHA-256("<seed>:<k>"), read as
+ * big-endian 32-bit words, two words per float. The same stream is
+ * implemented in public/js/fairness.js so clients can verify deals.
+ *
+ * @param {number|string} seed
+ * @returns {Function} - Returns a float in [0, 1) on each call
  */
-function getTrumpPower(card) {
-  for (let i = 0; i < TRUMP_ORDER.length; i++) {
-    if (TRUMP_ORDER[i].suit === card.suit && TRUMP_ORDER[i].rank === card.rank) {
-      return i;
+function createSeededRandom(seed) {
+  let counter = 0;
+  let words = [];
+
+  function nextWord() {
+    if (words.length === 0) {
+      const block = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest();
+      for (let i = 0; i < block.length; i += 4) {
+        words.push(block.readUInt32BE(i));
+      }
     }
+    return words.shift();
+  }
+
+  return function random() {
+    return wordsToFloat(nextWord(), nextWord());
+  };
+}
+
+/**
+ * Build a deck in a given order from card IDs.
+ * Returns null unless the IDs are a full deck with each card exactly once.
+ */
+function deckFromIds(ids) {
+  const fullDeck = createDeck();
+  if (!Array.isArray(ids) || ids.length !== fullDeck.length) return null;
+
+  const cardsById = Object.fromEntries(fullDeck.map(c => [c.id, c]));
+  const seen = new Set();
+  const deck = [];
+  for (const id of ids) {
+    if (!cardsById[id] || seen.has(id)) return null;
+    seen.add(id);
+    deck.push(cardsById[id]);
   }
-  return -1;
+  return deck;
+}
+
+/**
+ * Build a card order: which cards are trump and how every card ranks.
+ *
+ * Trump, from lowest to highest, are the trump suit's other cards, then each
+ * trump rank in turn (weakest rank first), diamonds up to clubs within a rank.
+ * Sheepshead is Jacks and Queens over diamonds (STANDARD_ORDER); Schafkopf plays
+ * the same over hearts, Jacks alone (Wenz), or a chosen suit (Solo).
+ *
+ * @param {Object} options
+ * @param {string[]} options.trumpRanks - Ranks that are always trump, weakest first
+ * @param {string|null} options.trumpSuit - Suit whose other cards are trump (null for none)
+ * @returns {Object} - { trumpRanks, trumpSuit, trump: [{suit, rank}] lowest first,
+ *   fail: ranks lowest first, failSuits, power: card ID -> index in trump }
+ */
+function createCardOrder({ trumpRanks = ['J', 'Q'], trumpSuit = 'diamonds' } = {}) {
+  const fail = RANK_ORDER.filter(rank => !trumpRanks.includes(rank));
+  const trump = [
+    ...(trumpSuit ? fail.map(rank => ({ suit: trumpSuit, rank })) : []),
+    ...trumpRanks.flatMap(rank => SUITS.map(suit => ({ suit, rank })))
+  ];
+
+  return {
+    trumpRanks,
+    trumpSuit,
+    trump,
+    fail,
+    failSuits: SUITS.filter(suit => suit !== trumpSuit),
+    power: new Map(trump.map(({ suit, rank }, i) => [cardId(suit, rank), i]))
+  };
+}
+
+// Sheepshead: Queens, then Jacks, then diamonds (the same as TRUMP_ORDER)
+const STANDARD_ORDER = createCardOrder();
+
+/**
+ * Check if a card is trump
+ */
+function isTrump(card, order = STANDARD_ORDER) {
+  return order.trumpRanks.includes(card.rank) || card.suit === order.trumpSuit;
+}
+
+/**
+ * Get the trump power of a card (higher = stronger)
+ * Returns -1 if not trump
+ */
+function getTrumpPower(card, order = STANDARD_ORDER) {
+  return order.power.get(cardId(card.suit, card.rank)) ?? -1;
 }
 
 /**
  * Get the fail power of a card within its suit
  * Returns -1 if trump
  */
-function getFailPower(card) {
-  if (isTrump(card)) return -1;
-  return FAIL_ORDER.indexOf(card.rank);
+function getFailPower(card, order = STANDARD_ORDER) {
+  if (isTrump(card, order)) return -1;
+  return order.fail.indexOf(card.rank);
 }
 
 /**
  * Get the effective suit of a card (trump cards are all 'trump' suit)
  */
-function getEffectiveSuit(card) {
-  if (isTrump(card)) return 'trump';
+function getEffectiveSuit(card, order = STANDARD_ORDER) {
+  if (isTrump(card, order)) return 'trump';
   return card.suit;
 }
 
@@ -96,9 +206,9 @@ function getEffectiveSuit(card) {
  * Compare two cards given a lead suit
  * Returns positive if card1 wins, negative if card2 wins
  */
-function compareCards(card1, card2, leadSuit) {
-  const trump1 = isTrump(card1);
-  const trump2 = isTrump(card2);
+function compareCards(card1, card2, leadSuit, order = STANDARD_ORDER) {
+  const trump1 = isTrump(card1, order);
+  const trump2 = isTrump(card2, order);
 
   // Trump beats non-trump
   if (trump1 && !trump2) return 1;
@@ -106,12 +216,12 @@ function compareCards(card1, card2, leadSuit) {
 
   // Both trump - compare trump power
   if (trump1 && trump2) {
-    return getTrumpPower(card1) - getTrumpPower(card2);
+    return getTrumpPower(card1, order) - getTrumpPower(card2, order);
   }
 
   // Neither trump - must follow lead suit
-  const eff1 = getEffectiveSuit(card1);
-  const eff2 = getEffectiveSuit(card2);
+  const eff1 = getEffectiveSuit(card1, order);
+  const eff2 = getEffectiveSuit(card2, order);
 
   // Card that follows lead suit beats one that doesn't
   if (eff1 === leadSuit && eff2 !== leadSuit) return 1;
@@ -119,7 +229,7 @@ function compareCards(card1, card2, leadSuit) {
 
   // Both follow lead suit - compare fail power
   if (eff1 === leadSuit && eff2 === leadSuit) {
-    return getFailPower(card1) - getFailPower(card2);
+    return getFailPower(card1, order) - getFailPower(card2, order);
   }
 
   // Neither follows lead suit - first card played wins
@@ -129,17 +239,18 @@ function compareCards(card1, card2, leadSuit) {
 /**
  * Determine the winner of a trick
  * @param {Array} trick - Array of {playerId, card} objects in play order
+ * @param {Object} order - Card order (see createCardOrder)
  * @returns {string} - The playerId of the winner
  */
-function determineTrickWinner(trick) {
+function determineTrickWinner(trick, order = STANDARD_ORDER) {
   if (trick.length === 0) return null;
 
   const leadCard = trick[0].card;
-  const leadSuit = getEffectiveSuit(leadCard);
+  const leadSuit = getEffectiveSuit(leadCard, order);
 
   let winner = trick[0];
   for (let i = 1; i < trick.length; i++) {
-    if (compareCards(trick[i].card, winner.card, leadSuit) > 0) {
+    if (compareCards(trick[i].card, winner.card, leadSuit, order) > 0) {
       winner = trick[i];
     }
   }
@@ -159,7 +270,7 @@ function calculatePoints(cards) {
  * Returns array of suit names
  */
 function getCallableAces() {
-  return FAIL_SUITS; // hearts, spades, clubs
+  return STANDARD_ORDER.failSuits; // hearts, spades, clubs
 }
 
 /**
@@ -185,8 +296,9 @@ function hasFailInSuit(hand, suit) {
  * @param {boolean} calledSuitHasBeenLed - Whether the called suit has been led yet
  * @param {boolean} isPicker - Whether this player is the picker
  * @param {boolean} hasCalledAce - Whether this player has the called ace (is the partner)
+ * @param {string} underCardId - The picker's under card, if it hasn't been played yet
  */
-function getPlayableCards(hand, currentTrick, calledSuit = null, calledSuitHasBeenLed = false, isPicker = false, hasCalledAce = false) {
+function getPlayableCards(hand, currentTrick, calledSuit = null, calledSuitHasBeenLed = false, isPicker = false, hasCalledAce = false, underCardId = null) {
   if (currentTrick.length === 0) {
     // LEADING - special rules apply
 
@@ -216,6 +328,16 @@ function getPlayableCards(hand, currentTrick, calledSuit = null, calledSuitHasBe
   const leadCard = currentTrick[0].card;
   const leadSuit = getEffectiveSuit(leadCard);
 
+  // UNDER CARD: the picker's face-down under card stands in for the called suit.
+  // It must be played when the called suit is led, and otherwise waits until it's the last card.
+  const underCard = underCardId && hand.find(c => c.id === underCardId);
+  if (underCard) {
+    if (leadSuit === calledSuit || hand.length === 1) {
+      return [underCard];
+    }
+    hand = hand.filter(c => c !== underCard);
+  }
+
   // Must follow suit if possible
   const cardsInSuit = hand.filter(c => getEffectiveSuit(c) === leadSuit);
 
@@ -236,7 +358,11 @@ function getPlayableCards(hand, currentTrick, calledSuit = null, calledSuitHasBe
     const cardsInCalledSuit = hand.filter(c => getEffectiveSuit(c) === calledSuit);
     if (cardsInCalledSuit.length === 1) {
       // Can't play the last card of called suit - must keep it
-      return hand.filter(c => getEffectiveSuit(c) !== calledSuit);
+      // (unless it's the only card left, e.g. on the last trick)
+      const withoutHoldCard = hand.filter(c => getEffectiveSuit(c) !== calledSuit);
+      if (withoutHoldCard.length > 0) {
+        return withoutHoldCard;
+      }
     }
     // If they have 2+, they can play one but must keep one
     // This is tricky - we need to allow all cards EXCEPT if playing would leave them with 0
@@ -251,10 +377,10 @@ function getPlayableCards(hand, currentTrick, calledSuit = null, calledSuitHasBe
 /**
  * Sort a hand for display (trump first, then by suit)
  */
-function sortHand(hand) {
+function sortHand(hand, order = STANDARD_ORDER) {
   return [...hand].sort((a, b) => {
-    const trumpA = isTrump(a);
-    const trumpB = isTrump(b);
+    const trumpA = isTrump(a, order);
+    const trumpB = isTrump(b, order);
 
     // Trump first
     if (trumpA && !trumpB) return -1;
@@ -262,22 +388,27 @@ function sortHand(hand) {
 
     if (trumpA && trumpB) {
       // Sort trump by power (highest first)
-      return getTrumpPower(b) - getTrumpPower(a);
+      return getTrumpPower(b, order) - getTrumpPower(a, order);
     }
 
     // Sort fail by suit, then by power
     if (a.suit !== b.suit) {
-      return FAIL_SUITS.indexOf(a.suit) - FAIL_SUITS.indexOf(b.suit);
+      return order.failSuits.indexOf(a.suit) - order.failSuits.indexOf(b.suit);
     }
-    return getFailPower(b) - getFailPower(a);
+    return getFailPower(b, order) - getFailPower(a, order);
   });
 }
 
 module.exports = {
+  STANDARD_ORDER,
+  createCardOrder,
   cardId,
   parseCardId,
   createDeck,
   shuffle,
+  generateSeed,
+  createSeededRandom,
+  deckFromIds,
   isTrump,
   getTrumpPower,
   getFailPower,
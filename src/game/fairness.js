@@ -0,0 +1,102 @@
+/**
+ * Provably Fair Deals (commit-reveal)
+ *
+ * 1. Before a hand, the server publishes SHA-256(serverSeed) for the next deal.
+ * 2. Each player may send a client seed; they are joined in seat order.
+ * 3. The deck is shuffled with createSeededRandom("<serverSeed>:<clientSeed>:<nonce>")
+ *    and the server publishes a commitment to the deck: SHA-256("<deck ids>:<serverSeed>").
+ * 4. When the hand is over the server seed is revealed, so anyone can
+ *    re-run the shuffle and check both hashes (see public/js/fairness.js).
+ */
+
+const crypto = require('crypto');
+const { createDeck, shuffle, createSeededRandom } = require('./deck');
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+/**
+ * SHA-256 hex digest of a string
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Hash a server seed (the public commitment)
+ */
+function hashSeed(serverSeed) {
+  return sha256(serverSeed);
+}
+
+/**
+ * Combine the players' client seeds in seat order
+ * @param {Array} players - Players in seat order
+ * @param {Object} clientSeeds - playerId -> client seed
+ */
+function combineClientSeeds(players, clientSeeds) {
+  return players.map(p => clientSeeds[p.id] || '').join('|');
+}
+
+/**
+ * The seed the deck is shuffled with
+ */
+function dealSeed(serverSeed, clientSeed, nonce) {
+  return `${serverSeed}:${clientSeed}:${nonce}`;
+}
+
+/**
+ * Shuffle a fresh deck for the given seeds. Returns card objects.
+ */
+function shuffleForDeal(serverSeed, clientSeed, nonce) {
+  return shuffle(createDeck(), createSeededRandom(dealSeed(serverSeed, clientSeed, nonce)));
+}
+
+/**
+ * Commitment to a shuffled deck plus the server seed
+ * @param {Array} deckIds - Card IDs in dealing order
+ */
+function commitDeck(deckIds, serverSeed) {
+  return sha256(`${deckIds.join(',')}:${serverSeed}`);
+}
+
+/**
+ * Check a client seed is acceptable (short printable string)
+ */
+function isValidClientSeed(clientSeed) {
+  return typeof clientSeed === 'string' &&
+    clientSeed.length <= MAX_CLIENT_SEED_LENGTH &&
+    /^[\x21-\x7e]*$/.test(clientSeed) &&
+    !clientSeed.includes('|');
+}
+
+/**
+ * Verify a revealed deal.
+ * @param {Object} fairness - { serverSeed, serverSeedHash, clientSeed, nonce, deckHash }
+ * @param {Array} deckIds - Optional dealt deck to compare (card IDs in dealing order)
+ * @returns {Object} - { valid, deck, serverSeedHashValid, deckHashValid, deckMatches }
+ */
+function verifyDeal({ serverSeed, serverSeedHash, clientSeed, nonce, deckHash }, deckIds = null) {
+  const deck = shuffleForDeal(serverSeed, clientSeed, nonce).map(c => c.id);
+  const serverSeedHashValid = hashSeed(serverSeed) === serverSeedHash;
+  const deckHashValid = commitDeck(deck, serverSeed) === deckHash;
+  const deckMatches = deckIds ? deckIds.join(',') === deck.join(',') : true;
+
+  return {
+    valid: serverSeedHashValid && deckHashValid && deckMatches,
+    deck,
+    serverSeedHashValid,
+    deckHashValid,
+    deckMatches
+  };
+}
+
+module.exports = {
+  MAX_CLIENT_SEED_LENGTH,
+  hashSeed,
+  combineClientSeeds,
+  dealSeed,
+  shuffleForDeal,
+  commitDeck,
+  isValidClientSeed,
+  verifyDeal
+};
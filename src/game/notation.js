@@ -0,0 +1,508 @@
+/**
+ * Hand Notation
+ *
+ * A plain-text record of one hand that other tools can read and write, the way
+ * bridge players pass hands around in PBN. The format is described in
+ * docs/hand-notation.md; in short:
+ *
+ *   SHN 1
+ *   Game: sheepshead
+ *   Rule: partner=jackOfDiamonds
+ *   Seat 1: Alice
+ *   ...
+ *   Dealer: 1
+ *   Deal 1: Q_clubs J_diamonds 7_diamonds A_hearts 9_spades K_spades
+ *   ...
+ *   Blind: 10_clubs 8_hearts
+ *   Pick: 2 pass
+ *   Pick: 3 pick
+ *   Call: 3 A_spades under 7_hearts
+ *   Bury: 3 K_clubs 10_hearts
+ *   Trick 1: 2 A_clubs, 3 7_clubs, 4 10_clubs, 5 K_clubs, 1 9_clubs
+ *
+ * Cards are the card IDs from deck.js. A parsed hand is an action log, the same
+ * one the game keeps (see _logAction in SheepsheadGame.js), so it can be replayed
+ * (fromActionLog, replay.js) or dealt again at a practice table.
+ */
+
+const { SheepsheadGame } = require('./SheepsheadGame');
+const { validateRules } = require('./rules');
+const { createDeck } = require('./deck');
+const { SUITS } = require('./constants');
+
+const HEADER = 'SHN 1';
+
+const CARD_IDS = new Set(createDeck().map(c => c.id));
+
+// Lines that set up the deal, which all come before the first play line
+const DEAL_KEYS = ['Game', 'Rule', 'Seat', 'Dealer', 'Doubler', 'Deal', 'Blind'];
+const PLAY_KEYS = ['Pick', 'Bid', 'Call', 'Bury', 'Crack', 'Blitz', 'Trick'];
+
+// Lines numbered by seat or trick ("Seat 1: ...")
+const NUMBERED_KEYS = ['Seat', 'Deal', 'Trick'];
+
+// Rules set by other lines rather than a Rule line
+const FIXED_RULES = { game: 'Game', numPlayers: 'Seat' };
+
+// ============== Export ==============
+
+/**
+ * Rule lines for the rules that differ from the standard ones for the game and
+ * table size ("Rule: partner=jackOfDiamonds", "Rule: scoring.bump=2")
+ */
+function ruleLines(rules) {
+  const defaults = validateRules({ game: rules.game, numPlayers: rules.numPlayers }).rules;
+  const lines = [];
+  for (const [name, value] of Object.entries(rules)) {
+    if (name in FIXED_RULES) continue;
+    if (name === 'scoring') {
+      for (const [key, stake] of Object.entries(value)) {
+        if (stake !== defaults.scoring[key]) lines.push(`Rule: scoring.${key}=${stake}`);
+      }
+    } else if (value !== defaults[name]) {
+      lines.push(`Rule: ${name}=${value}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Write a hand in notation
+ * @param {Array} actions - The hand's action log (getHandRecord().actions)
+ * @returns {string}
+ * Throws if the log has no deal or doesn't replay.
+ */
+function exportHand(actions) {
+  const dealAction = (actions || []).find(a => a.type === 'deal');
+  if (!dealAction) {
+    throw new Error('Action log has no deal');
+  }
+
+  const game = SheepsheadGame.fromDeal(dealAction);
+
+  // Seats are numbered from 1; a bot that took over a seat plays as that seat
+  const seatOf = Object.fromEntries(dealAction.players.map((p, i) => [p.id, i + 1]));
+  const ids = (cards) => cards.map(c => c.id).join(' ');
+
+  const lines = [HEADER, `Game: ${game.rules.game}`, ...ruleLines(game.rules)];
+  dealAction.players.forEach((p, i) => lines.push(`Seat ${i + 1}: ${p.name}`));
+  lines.push(`Dealer: ${dealAction.dealerIndex + 1}`);
+  if ((dealAction.doubler ?? 1) > 1) {
+    lines.push(`Doubler: ${dealAction.doubler}`);
+  }
+  dealAction.players.forEach((p, i) => lines.push(`Deal ${i + 1}: ${ids(game.hands[p.id])}`));
+  if (game.blindSize > 0) {
+    lines.push(`Blind: ${ids(game.blind)}`);
+  }
+
+  let trick = [];
+  for (const action of actions) {
+    if (action.type === 'deal') continue;
+    const result = game._replayAction(action);
+    if (!result.success) {
+      throw new Error(`Replay failed at action ${action.seq} (${action.type}): ${result.error}`);
+    }
+    const seat = seatOf[action.playerId];
+
+    switch (action.type) {
+      case 'pick':
+        lines.push(`Pick: ${seat} ${action.picked ? 'pick' : 'pass'}`);
+        break;
+      case 'bid':
+        lines.push(`Bid: ${seat} ${action.game ? [action.game.type, action.game.suit].filter(Boolean).join(' ') : 'pass'}`);
+        break;
+      case 'call':
+        if (action.goAlone) {
+          lines.push(`Call: ${seat} alone`);
+        } else {
+          const under = action.underCardId ? ` under ${action.underCardId}` : '';
+          lines.push(`Call: ${seat} ${action.rank || 'A'}_${action.suit}${under}`);
+        }
+        break;
+      case 'bury':
+        lines.push(`Bury: ${seat} ${action.cardIds.join(' ')}`);
+        break;
+      case 'crack':
+        lines.push(`Crack: ${seat} ${action.cracked ? 'crack' : 'pass'}`);
+        break;
+      case 'blitz':
+        lines.push(`Blitz: ${seat}`);
+        break;
+      case 'substitute':
+        seatOf[action.botId] = seat;
+        break;
+      case 'play':
+        trick.push(`${seat} ${action.cardId}`);
+        if (game.currentTrick.length === 0) {
+          lines.push(`Trick ${game.tricks.length}: ${trick.join(', ')}`);
+          trick = [];
+        }
+        break;
+      default:
+        throw new Error(`Unknown action type: ${action.type}`);
+    }
+  }
+  // A hand stopped partway through a trick
+  if (trick.length > 0) {
+    lines.push(`Trick ${game.tricks.length + 1}: ${trick.join(', ')}`);
+  }
+
+  if (game.handResults) {
+    const scores = game.players.map(p => {
+      const score = game.handResults.scores[p.id] || 0;
+      return `${score >= 0 ? '+' : ''}${score}`;
+    });
+    lines.push(`# Scores by seat: ${scores.join(' ')}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ============== Parse ==============
+
+class NotationError extends Error {
+  constructor(lineNumber, message) {
+    super(lineNumber ? `Line ${lineNumber}: ${message}` : message);
+  }
+}
+
+/**
+ * A line as { key, number, value } ("Deal 2: ..." has number 2)
+ */
+function splitLine(text, lineNumber) {
+  const match = text.match(/^([A-Za-z]+)(?: (\d+))?:\s*(.*)$/);
+  if (!match) {
+    throw new NotationError(lineNumber, `Cannot read "${text}"`);
+  }
+  const [, key, number, value] = match;
+  if (!DEAL_KEYS.includes(key) && !PLAY_KEYS.includes(key)) {
+    throw new NotationError(lineNumber, `Unknown line: ${key}`);
+  }
+  if (NUMBERED_KEYS.includes(key) !== (number !== undefined)) {
+    throw new NotationError(lineNumber, NUMBERED_KEYS.includes(key) ? `${key} needs a number` : `${key} takes no number`);
+  }
+  // Seats and tricks are numbered from 1
+  if (number !== undefined && parseInt(number) < 1) {
+    throw new NotationError(lineNumber, `${key} numbers start at 1`);
+  }
+  return { key, number: number === undefined ? null : parseInt(number), value: value.trim() };
+}
+
+/**
+ * The card IDs in a line, each checked
+ */
+function cardsIn(words, lineNumber) {
+  for (const id of words) {
+    if (!CARD_IDS.has(id)) {
+      throw new NotationError(lineNumber, `Unknown card: ${id}`);
+    }
+  }
+  return words;
+}
+
+function ruleValue(text) {
+  return /^\d+$/.test(text) ? parseInt(text) : text;
+}
+
+/**
+ * Read the lines that set up the deal into a deal action
+ */
+function readDeal(lines) {
+  let game = 'sheepshead';
+  const overrides = {};
+  const scoring = {};
+  const seats = [];
+  const deals = [];
+  let dealer = null;
+  let doubler = 1;
+  let blind = [];
+  const dealtOn = {}; // card ID -> line it was dealt on
+
+  const dealCards = (words, lineNumber) => {
+    for (const id of cardsIn(words, lineNumber)) {
+      if (dealtOn[id]) {
+        throw new NotationError(lineNumber, `${id} was already dealt on line ${dealtOn[id]}`);
+      }
+      dealtOn[id] = lineNumber;
+    }
+    return words;
+  };
+
+  for (const { key, number, value, lineNumber } of lines) {
+    const words = value.split(/\s+/).filter(Boolean);
+    switch (key) {
+      case 'Game':
+        game = value;
+        break;
+      case 'Rule': {
+        const match = value.match(/^([A-Za-z]+)(?:\.([A-Za-z]+))?=(\S+)$/);
+        if (!match) {
+          throw new NotationError(lineNumber, 'A rule is written name=value');
+        }
+        const [, name, key2, text] = match;
+        if (FIXED_RULES[name]) {
+          throw new NotationError(lineNumber, `${name} is set by the ${FIXED_RULES[name]} lines`);
+        }
+        if (name === 'scoring' && key2) {
+          scoring[key2] = ruleValue(text);
+        } else {
+          overrides[key2 ? `${name}.${key2}` : name] = ruleValue(text);
+        }
+        break;
+      }
+      case 'Seat':
+        if (seats[number - 1] !== undefined) {
+          throw new NotationError(lineNumber, `Seat ${number} is given twice`);
+        }
+        if (!value) {
+          throw new NotationError(lineNumber, `Seat ${number} needs a name`);
+        }
+        seats[number - 1] = value;
+        break;
+      case 'Dealer':
+        dealer = { value, lineNumber };
+        break;
+      case 'Doubler':
+        doubler = ruleValue(value);
+        if (!Number.isInteger(doubler) || doubler < 1) {
+          throw new NotationError(lineNumber, 'Doubler must be a whole number');
+        }
+        break;
+      case 'Deal':
+        if (deals[number - 1] !== undefined) {
+          throw new NotationError(lineNumber, `Seat ${number} is dealt twice`);
+        }
+        deals[number - 1] = dealCards(words, lineNumber);
+        break;
+      case 'Blind':
+        blind = dealCards(words, lineNumber);
+        break;
+    }
+  }
+
+  const numPlayers = seats.length;
+  for (let i = 0; i < numPlayers; i++) {
+    if (seats[i] === undefined) throw new NotationError(null, `Seat ${i + 1} is missing`);
+    if (deals[i] === undefined) throw new NotationError(null, `Deal ${i + 1} is missing`);
+  }
+  if (deals.length > numPlayers) {
+    throw new NotationError(null, `Deal ${deals.length} is for a seat that isn't at the table`);
+  }
+  if (!dealer) {
+    throw new NotationError(null, 'Dealer is missing');
+  }
+  const dealerSeat = ruleValue(dealer.value);
+  if (!Number.isInteger(dealerSeat) || dealerSeat < 1 || dealerSeat > numPlayers) {
+    throw new NotationError(dealer.lineNumber, `Dealer must be a seat from 1 to ${numPlayers}`);
+  }
+
+  if (Object.keys(scoring).length > 0) overrides.scoring = scoring;
+  const validated = validateRules({ ...overrides, game, numPlayers });
+  if (!validated.success) {
+    throw new NotationError(null, `Rules: ${validated.error}`);
+  }
+
+  if (deals.some(hand => hand.length !== deals[0].length)) {
+    throw new NotationError(null, 'Every seat is dealt the same number of cards');
+  }
+  const missing = [...CARD_IDS].filter(id => !dealtOn[id]);
+  if (missing.length > 0) {
+    throw new NotationError(null, `The deal is missing ${missing.join(' ')}`);
+  }
+
+  // Dealt round the table a card at a time, then the blind (see _dealHand)
+  const handSize = deals[0].length;
+  const deck = [];
+  for (let i = 0; i < handSize; i++) {
+    for (const hand of deals) deck.push(hand[i]);
+  }
+  deck.push(...blind);
+
+  return {
+    seq: 0,
+    type: 'deal',
+    handNumber: 1,
+    rules: validated.rules,
+    players: seats.map((name, i) => ({ id: `seat${i + 1}`, name })),
+    dealerIndex: dealerSeat - 1,
+    doubler,
+    seed: null,
+    deck,
+    hands: deals
+  };
+}
+
+/**
+ * The player ID for a seat number
+ */
+function seatPlayer(word, numPlayers, lineNumber) {
+  const seat = ruleValue(word || '');
+  if (!Number.isInteger(seat) || seat < 1 || seat > numPlayers) {
+    throw new NotationError(lineNumber, `Expected a seat from 1 to ${numPlayers}, got "${word || ''}"`);
+  }
+  return `seat${seat}`;
+}
+
+/**
+ * One of the words allowed here
+ */
+function choice(word, options, lineNumber) {
+  if (!options.includes(word)) {
+    throw new NotationError(lineNumber, `Expected ${options.join(' or ')}, got "${word || ''}"`);
+  }
+  return word;
+}
+
+/**
+ * Read a play line into actions (with the line they came from), for a hand of `game`
+ */
+function readPlay({ key, number, value, lineNumber }, numPlayers, game) {
+  const words = value.split(/\s+/).filter(Boolean);
+  const at = (action) => ({ action, lineNumber });
+  const playerId = key === 'Trick' ? null : seatPlayer(words[0], numPlayers, lineNumber);
+  const rest = words.slice(1);
+
+  switch (key) {
+    case 'Pick':
+      return [at({ type: 'pick', playerId, picked: choice(rest[0], ['pick', 'pass'], lineNumber) === 'pick' })];
+    case 'Crack':
+      return [at({ type: 'crack', playerId, cracked: choice(rest[0], ['crack', 'pass'], lineNumber) === 'crack' })];
+    case 'Blitz':
+      return [at({ type: 'blitz', playerId })];
+    case 'Bid': {
+      if (game !== 'schafkopf') throw new NotationError(lineNumber, 'Only Schafkopf hands have bids');
+      const type = choice(rest[0], ['pass', 'rufspiel', 'solo', 'wenz'], lineNumber);
+      if (type === 'pass') return [at({ type: 'bid', playerId, game: null })];
+      const suit = type === 'wenz' ? null : choice(rest[1], SUITS, lineNumber);
+      return [at({ type: 'bid', playerId, game: { type, suit } })];
+    }
+    case 'Call': {
+      if (rest.length === 0) throw new NotationError(lineNumber, 'A call needs the called card, or "alone"');
+      if (rest[0] === 'alone') {
+        return [at({ type: 'call', playerId, suit: null, goAlone: true, underCardId: null })];
+      }
+      const [calledId] = cardsIn(rest.slice(0, 1), lineNumber);
+      let underCardId = null;
+      if (rest.length > 1) {
+        choice(rest[1], ['under'], lineNumber);
+        [underCardId] = cardsIn(rest.slice(2, 3), lineNumber);
+        if (!underCardId) throw new NotationError(lineNumber, 'An under call needs its under card');
+      }
+      const [rank, suit] = calledId.split('_');
+      return [at({ type: 'call', playerId, suit, rank, goAlone: false, underCardId })];
+    }
+    case 'Bury':
+      return [at({ type: 'bury', playerId, cardIds: cardsIn(rest, lineNumber) })];
+    case 'Trick':
+      return value.split(',').map(play => {
+        const [seat, cardId, extra] = play.trim().split(/\s+/);
+        if (extra !== undefined) {
+          throw new NotationError(lineNumber, 'Plays in a trick are separated by commas');
+        }
+        cardsIn([cardId || ''], lineNumber);
+        return at({ type: 'play', playerId: seatPlayer(seat, numPlayers, lineNumber), cardId });
+      });
+  }
+  return [];
+}
+
+/**
+ * Check the hand against the game's rules by playing it through, action by action
+ * @returns {SheepsheadGame} - The game after the last play
+ */
+function checkPlay(dealAction, plays) {
+  const game = SheepsheadGame.fromDeal(dealAction, 'notation');
+
+  dealAction.players.forEach((p, i) => {
+    const dealt = game.hands[p.id].map(c => c.id).sort();
+    if (dealt.join() !== [...dealAction.hands[i]].sort().join()) {
+      throw new NotationError(null,
+        `Each seat is dealt ${game.cardsPerPlayer} cards${game.blindSize ? ` and the blind is ${game.blindSize}` : ''} at this table`);
+    }
+  });
+
+  for (const { action, lineNumber } of plays) {
+    const result = game._replayAction(action);
+    if (!result.success) {
+      throw new NotationError(lineNumber, result.error);
+    }
+    if (action.type === 'call' && !action.goAlone) {
+      if (game.calledRank !== action.rank) {
+        throw new NotationError(lineNumber, `The call is the ${game.calledRank}_${action.suit}`);
+      }
+      if (game.isUnderCall !== !!action.underCardId) {
+        throw new NotationError(lineNumber, game.isUnderCall ? 'This call is under and needs an under card' : 'This call is not under');
+      }
+    }
+  }
+  return game;
+}
+
+/**
+ * Read and check a hand written in notation
+ * @param {string} text
+ * @returns {Object} - { success, actions } the hand's action log, or { success: false, error }
+ */
+function parseHand(text) {
+  if (typeof text !== 'string') {
+    return { success: false, error: 'Notation must be text' };
+  }
+
+  try {
+    const lines = text.split(/\r?\n/)
+      .map((line, i) => ({ text: line.trim(), lineNumber: i + 1 }))
+      .filter(line => line.text && !line.text.startsWith('#'));
+
+    if (lines[0]?.text !== HEADER) {
+      throw new NotationError(lines[0]?.lineNumber, `Notation starts with "${HEADER}"`);
+    }
+
+    const dealLines = [];
+    const playLines = [];
+    for (const { text: lineText, lineNumber } of lines.slice(1)) {
+      const line = { ...splitLine(lineText, lineNumber), lineNumber };
+      if (DEAL_KEYS.includes(line.key)) {
+        if (playLines.length > 0) {
+          throw new NotationError(lineNumber, `${line.key} must come before the play`);
+        }
+        dealLines.push(line);
+      } else {
+        playLines.push(line);
+      }
+    }
+
+    const { hands, ...dealAction } = readDeal(dealLines);
+    const numPlayers = dealAction.players.length;
+
+    // Tricks are numbered in order, and only the last may be unfinished
+    const tricks = playLines.filter(line => line.key === 'Trick');
+    const plays = [];
+    for (const line of playLines) {
+      const actions = readPlay(line, numPlayers, dealAction.rules.game);
+      if (line.key === 'Trick') {
+        const index = tricks.indexOf(line);
+        if (line.number !== index + 1) {
+          throw new NotationError(line.lineNumber, `Expected Trick ${index + 1}`);
+        }
+        if (actions.length > numPlayers || (actions.length < numPlayers && index < tricks.length - 1)) {
+          throw new NotationError(line.lineNumber, `A trick has ${numPlayers} cards`);
+        }
+      }
+      plays.push(...actions);
+    }
+
+    const game = checkPlay({ ...dealAction, hands }, plays);
+    return { success: true, actions: [...game.actionLog] };
+  } catch (err) {
+    if (err instanceof NotationError) {
+      return { success: false, error: err.message };
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  HEADER,
+  exportHand,
+  parseHand
+};
@@ -0,0 +1,73 @@
+/**
+ * Redaction
+ *
+ * What each viewer may see of a hand in play. The under card is played face-down:
+ * until the hand is scored only the picker knows what it was. Every payload sent
+ * to anyone else (game states, and the table broadcasts in server.js) passes
+ * through redactFor, which turns the card into HIDDEN_CARD wherever it appears
+ * and withholds the point total of a trick holding it, as that would give the
+ * card away.
+ */
+
+// Stands in for a card the viewer can't see
+const HIDDEN_CARD = Object.freeze({ hidden: true });
+
+/**
+ * IDs of the played cards this viewer can't see yet
+ * @param {SheepsheadGame} game
+ * @param {string} viewerId - A player or kibbitzer
+ * @returns {Set<string>}
+ */
+function hiddenCardIds(game, viewerId) {
+  const hidden = new Set();
+  if (game.phase === 'playing' && game.isUnderCall && game.underCardPlayed &&
+      viewerId !== game.picker) {
+    hidden.add(game.underCardId);
+  }
+  return hidden;
+}
+
+function isCard(value) {
+  return typeof value.id === 'string' && 'rank' in value && 'suit' in value;
+}
+
+/**
+ * A copy of the payload with the given cards hidden (the payload itself if none are)
+ */
+function redact(payload, hiddenIds) {
+  if (hiddenIds.size === 0) return payload;
+
+  const walk = (value) => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (value === null || typeof value !== 'object') return value;
+    if (isCard(value) && hiddenIds.has(value.id)) return HIDDEN_CARD;
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = walk(item);
+    }
+    // A trick (or trick result) holding a hidden card doesn't say what it was worth
+    const holdsHidden = Object.values(copy)
+      .some(item => Array.isArray(item) && item.some(play => play?.card === HIDDEN_CARD));
+    if (holdsHidden && typeof copy.points === 'number') {
+      copy.points = null;
+    }
+    return copy;
+  };
+
+  return walk(payload);
+}
+
+/**
+ * The payload as this viewer may see it
+ */
+function redactFor(game, viewerId, payload) {
+  return redact(payload, hiddenCardIds(game, viewerId));
+}
+
+module.exports = {
+  HIDDEN_CARD,
+  hiddenCardIds,
+  redact,
+  redactFor
+};
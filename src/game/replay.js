@@ -0,0 +1,124 @@
+/**
+ * Hand Replays
+ *
+ * Steps a finished hand back through the engine, one logged action at a time
+ * (the same actions fromActionLog applies), and keeps a frame of the table after
+ * each: the deal, every pick, the call, the bury, then each card of each trick.
+ * A replay is read after the hand is over, so frames show every hand face-up,
+ * the under card included. public/js/replay.js draws them.
+ */
+
+const { SheepsheadGame } = require('./SheepsheadGame');
+
+const ids = (cards) => cards.map(c => c.id);
+
+function toPlay(play) {
+  return { playerId: play.playerId, cardId: play.card.id, isUnderCard: !!play.isUnderCard };
+}
+
+/**
+ * The logged action as shown in a frame (the deal's deck is already in the hands)
+ */
+function describeAction(action) {
+  const { deck, rules, players, ...rest } = action;
+  return rest;
+}
+
+/**
+ * The trick on the table after an action: the one in progress, or the one
+ * the last card just completed (with its winner) so the final card is seen
+ */
+function trickAfter(game, action) {
+  if (action.type === 'play' && game.currentTrick.length === 0) {
+    const completed = game.tricks[game.tricks.length - 1];
+    return { trick: completed.cards.map(toPlay), trickWinner: completed.winner };
+  }
+  return { trick: game.currentTrick.map(toPlay), trickWinner: null };
+}
+
+/**
+ * What the results say once the hand is scored
+ */
+function resultsSummary(results) {
+  if (!results) return null;
+  return {
+    type: results.type,
+    scores: { ...results.scores },
+    pickingPoints: results.pickingPoints ?? null,
+    defendingPoints: results.defendingPoints ?? null,
+    schneider: !!results.schneider,
+    schwarz: !!results.schwarz
+  };
+}
+
+/**
+ * The table as it stands after an action
+ */
+function frameOf(game, action) {
+  const currentPlayer = game.phase === 'scoring' ? null : game.players[game.currentPlayerIndex]?.id || null;
+
+  return {
+    action: describeAction(action),
+    phase: game.phase,
+    players: game.players.map(p => ({ id: p.id, name: p.name, seatIndex: p.seatIndex })),
+    hands: Object.fromEntries(game.players.map(p => [p.id, ids(game.hands[p.id] || [])])),
+    blind: ids(game.blind),
+    buried: ids(game.buried),
+    ...trickAfter(game, action),
+    tricksPlayed: game.tricks.length,
+    tricksWon: Object.fromEntries(game.players.map(p => [p.id, game.tricksWon[p.id]?.length || 0])),
+    currentPlayer,
+    picker: game.picker,
+    partner: game.partner,
+    calledSuit: game.calledSuit,
+    calledRank: game.calledSuit ? game.calledRank : null,
+    partnerCardId: game.partnerCardId,
+    isUnderCall: game.isUnderCall,
+    underCardId: game.underCardId,
+    contract: game.contract ? { ...game.contract } : null,
+    isSchwanzer: game.isSchwanzer,
+    isLeasters: game.isLeasters,
+    doubler: game.doubler,
+    crackedBy: game.crackedBy,
+    recracked: game.recracked,
+    blitz: game._blitzState(),
+    results: resultsSummary(game.handResults)
+  };
+}
+
+/**
+ * Build the frames of a hand from its action log
+ * @param {Array} actions - The hand's action log (getHandRecord().actions)
+ * @returns {Object} - { rules, tricksPerHand, dealer, dealerIndex, handNumber, frames }
+ */
+function buildReplay(actions) {
+  const dealAction = (actions || []).find(a => a.type === 'deal');
+  if (!dealAction) {
+    throw new Error('Action log has no deal');
+  }
+
+  const game = SheepsheadGame.fromDeal(dealAction);
+  const frames = [frameOf(game, dealAction)];
+
+  for (const action of actions) {
+    if (action.type === 'deal') continue;
+    const result = game._replayAction(action);
+    if (!result.success) {
+      throw new Error(`Replay failed at action ${action.seq} (${action.type}): ${result.error}`);
+    }
+    frames.push(frameOf(game, action));
+  }
+
+  return {
+    rules: { ...dealAction.rules },
+    tricksPerHand: game.cardsPerPlayer,
+    dealer: dealAction.players[dealAction.dealerIndex].id,
+    dealerIndex: dealAction.dealerIndex,
+    handNumber: dealAction.handNumber,
+    frames
+  };
+}
+
+module.exports = {
+  buildReplay
+};
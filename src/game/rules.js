@@ -0,0 +1,307 @@
+/**
+ * House rules
+ *
+ * Every table plays by a rules object fixed when the room is created. Rules
+ * not given take the standard value from DEFAULT_RULES, so an empty object
+ * (or none) is the game as described in SheepsheadGame.js.
+ *
+ * The number of players is a rule too. Tables of other sizes start from the
+ * standard rules for that size (see defaultRulesFor): their own partner rule,
+ * and picker shares that balance the defenders' stakes.
+ *
+ * So is the game itself: a Schafkopf table (see SchafkopfGame.js) starts from
+ * SCHAFKOPF_RULES and can only change the card-point thresholds.
+ *
+ * What each result pays is the table's scoring schedule (the `scoring` rule), laid
+ * out like a paper scoresheet. A table gives only the values it changes:
+ *   { scoring: { bump: 2 } }                      - double on the bump
+ *   { scoring: { win: 2, schneider: 3, schwarz: 4 } } - 2/3/4 instead of 1/2/3
+ */
+
+const { NUM_PLAYERS, TOTAL_POINTS } = require('./constants');
+
+// The card game played at the table (see rulesets.js)
+const GAME_RULES = ['sheepshead', 'schafkopf'];
+
+// When the picker may call an ace they don't hold, with a face-down under card:
+// 'forced'  - only when every fail suit they hold includes its ace (standard)
+// 'allowed' - also in place of a normal call, in any fail suit they're void in
+// 'never'   - not at all; a picker who would have to call under goes alone
+const UNDER_CALL_RULES = ['forced', 'allowed', 'never'];
+
+// How the picker gets a partner:
+// 'calledAce'      - the picker calls an ace (or goes alone); its holder is the partner
+// 'jackOfDiamonds' - no call: the J♦ holder is the secret partner, and a picker
+//                    holding the J♦ plays alone
+// 'blackQueen'     - no call: the holder of the Q♣ (or the Q♠, if the picker has
+//                    the Q♣) is the secret partner; a picker holding both plays alone
+// 'none'           - the picker always plays alone
+const PARTNER_RULES = ['calledAce', 'jackOfDiamonds', 'blackQueen', 'none'];
+
+// Partner rules each table size can play, the first being its standard one.
+// Every seat plays every hand: six-handed where one seat sits out each hand
+// isn't supported, as dealing, turn order and scoring all assume it doesn't.
+const PARTNER_RULES_BY_PLAYERS = {
+  3: ['none'],
+  4: ['blackQueen', 'calledAce', 'jackOfDiamonds'],
+  5: ['calledAce', 'jackOfDiamonds'],
+  6: ['jackOfDiamonds', 'calledAce'],
+  7: ['calledAce', 'jackOfDiamonds']
+};
+
+// Doubling the stakes after the bury:
+// 'off'     - no cracking
+// 'crack'   - any defender may crack (x2) before the first lead
+// 'recrack' - and the picker may then re-crack (x4)
+const CRACK_RULES = ['off', 'crack', 'recrack'];
+
+// Which pair of Queens a player can show before the first lead to double the hand
+const BLITZ_RULES = ['off', 'black', 'red'];
+
+// What happens when everyone passes:
+// 'schwanzer' - scored at once from the dealt hands, most schwanzer points loses
+// 'leasters'  - played out, fewest card points (with at least one trick) wins
+// 'doubler'   - thrown in, and the next hand is played for double the stakes
+//               (stacking while hands keep being thrown in)
+// 'forcedPick' - never happens: the dealer, last to decide, can't pass ("screw the dealer")
+const NO_PICK_RULES = ['schwanzer', 'leasters', 'doubler', 'forcedPick'];
+
+// Which trick's taker gets the blind in leasters
+const LEASTER_BLIND_RULES = ['lastTrick', 'firstTrick'];
+
+// The standard scoring schedule. win, schneider and schwarz are what the partner and
+// each defender win or lose; the picker wins or loses that times their share.
+const DEFAULT_SCORING = Object.freeze({
+  win: 1,          // Stake for a plain win
+  schneider: 2,    // Stake for a schneider
+  schwarz: 3,      // Stake when the losers take no tricks
+  picker: 2,       // Picker's share of the stake with a partner (partner 1)
+  alone: 4,        // Picker's share when going alone
+  bump: 1,         // Stakes multiplier when the picking team loses (2 = double on the bump)
+  leaster: 1,      // Leasters: each other player pays this to the winner
+  schwanzer: 1     // Schwanzer: the loser pays this to each other player
+});
+
+const DEFAULT_RULES = Object.freeze({
+  game: 'sheepshead',        // See GAME_RULES
+  numPlayers: NUM_PLAYERS,   // Players at the table (see TABLE_SIZES in constants.js)
+  winThreshold: 61,          // Picking team card points needed to win
+  pickerSchneider: 91,       // Picking team points for a schneider win
+  defenderSchneider: 90,     // Defender points for a schneider win
+  scoring: DEFAULT_SCORING,  // See DEFAULT_SCORING
+  partner: 'calledAce',      // See PARTNER_RULES
+  underCall: 'forced',       // See UNDER_CALL_RULES
+  cracking: 'off',           // See CRACK_RULES
+  blitz: 'off',              // See BLITZ_RULES
+  noPick: 'schwanzer',       // See NO_PICK_RULES
+  leasterBlind: 'lastTrick', // See LEASTER_BLIND_RULES
+  forcedPickLoss: 1          // Forced pick: stakes multiplier when the forced dealer loses
+});
+
+// Schafkopf: four players, and none of the Sheepshead house rules
+const SCHAFKOPF_RULES = Object.freeze({ ...DEFAULT_RULES, game: 'schafkopf', numPlayers: 4 });
+
+// The rules a Schafkopf table may change
+const SCHAFKOPF_RULE_NAMES = ['game', 'winThreshold', 'pickerSchneider', 'defenderSchneider'];
+
+// Allowed values of each choice rule
+const RULE_CHOICES = {
+  game: GAME_RULES,
+  partner: PARTNER_RULES,
+  underCall: UNDER_CALL_RULES,
+  cracking: CRACK_RULES,
+  blitz: BLITZ_RULES,
+  noPick: NO_PICK_RULES,
+  leasterBlind: LEASTER_BLIND_RULES
+};
+
+// Allowed range of each numeric rule
+const RULE_RANGES = {
+  numPlayers: [3, 7],
+  winThreshold: [1, TOTAL_POINTS],
+  pickerSchneider: [1, TOTAL_POINTS],
+  defenderSchneider: [1, TOTAL_POINTS],
+  forcedPickLoss: [1, 10]
+};
+
+// Allowed range of every value in the scoring schedule
+const SCORING_RANGE = [1, 10];
+
+/**
+ * The standard rules for a table of this many players: the standard partner rule
+ * for the size, and picker shares so the picking team wins what the defenders pay
+ * (the picker alone collects from every defender; with a partner, from all but one)
+ */
+function defaultRulesFor(numPlayers) {
+  if (numPlayers === NUM_PLAYERS) return DEFAULT_RULES;
+  return Object.freeze({
+    ...DEFAULT_RULES,
+    numPlayers,
+    partner: PARTNER_RULES_BY_PLAYERS[numPlayers][0],
+    scoring: Object.freeze({
+      ...DEFAULT_SCORING,
+      picker: Math.max(1, numPlayers - 3),
+      alone: numPlayers - 1
+    })
+  });
+}
+
+/**
+ * The standard rules the overrides are made to: Schafkopf's, or Sheepshead's for
+ * the table's size
+ */
+function standardRules(overrides) {
+  if (overrides.game === 'schafkopf') return SCHAFKOPF_RULES;
+  return defaultRulesFor(overrides.numPlayers ?? NUM_PLAYERS);
+}
+
+/**
+ * Check a table's rule overrides and fill in the rest from the standard rules
+ * for its number of players
+ * @param {Object} overrides - Rules that differ from the standard ones (may be null)
+ * @returns {Object} - { success, rules } or { success: false, error }
+ */
+function validateRules(overrides) {
+  if (overrides === undefined || overrides === null) {
+    return { success: true, rules: { ...DEFAULT_RULES } };
+  }
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { success: false, error: 'Rules must be an object' };
+  }
+
+  for (const [name, value] of Object.entries(overrides)) {
+    if (name === 'scoring') {
+      const checked = validateScoring(value);
+      if (!checked.success) return checked;
+      continue;
+    }
+    if (!Object.hasOwn(DEFAULT_RULES, name)) {
+      return { success: false, error: `Unknown rule: ${name}` };
+    }
+    if (Object.hasOwn(RULE_CHOICES, name)) {
+      if (!RULE_CHOICES[name].includes(value)) {
+        return { success: false, error: `${name} must be one of: ${RULE_CHOICES[name].join(', ')}` };
+      }
+      continue;
+    }
+    const [min, max] = RULE_RANGES[name];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { success: false, error: `${name} must be a whole number from ${min} to ${max}` };
+    }
+  }
+  const scoring = overrides.scoring ?? {};
+
+  if (overrides.game === 'schafkopf') {
+    const fixed = Object.keys(overrides)
+      .filter(name => name !== 'scoring')
+      .find(name => !SCHAFKOPF_RULE_NAMES.includes(name) && overrides[name] !== SCHAFKOPF_RULES[name]);
+    if (fixed) {
+      return { success: false, error: `${fixed} is not a Schafkopf rule` };
+    }
+    if (Object.keys(scoring).some(name => scoring[name] !== SCHAFKOPF_RULES.scoring[name])) {
+      return { success: false, error: 'scoring is not a Schafkopf rule' };
+    }
+  }
+
+  const standard = standardRules(overrides);
+  const rules = { ...standard, ...overrides, scoring: { ...standard.scoring, ...scoring } };
+  if (rules.game === 'sheepshead' && !PARTNER_RULES_BY_PLAYERS[rules.numPlayers].includes(rules.partner)) {
+    return {
+      success: false,
+      error: `With ${rules.numPlayers} players, partner must be one of: ${PARTNER_RULES_BY_PLAYERS[rules.numPlayers].join(', ')}`
+    };
+  }
+  if (rules.pickerSchneider < rules.winThreshold) {
+    return { success: false, error: 'pickerSchneider cannot be below winThreshold' };
+  }
+  if (rules.defenderSchneider <= TOTAL_POINTS - rules.winThreshold) {
+    return { success: false, error: 'defenderSchneider must be more than the defenders need to win' };
+  }
+  if (rules.scoring.schneider < rules.scoring.win || rules.scoring.schwarz < rules.scoring.schneider) {
+    return { success: false, error: 'scoring must pay at least as much for a schneider as a win, and for schwarz as a schneider' };
+  }
+
+  return { success: true, rules };
+}
+
+/**
+ * Check a table's scoring schedule overrides (a partial DEFAULT_SCORING)
+ * @returns {Object} - { success } or { success: false, error }
+ */
+function validateScoring(scoring) {
+  if (typeof scoring !== 'object' || scoring === null || Array.isArray(scoring)) {
+    return { success: false, error: 'scoring must be an object' };
+  }
+  const [min, max] = SCORING_RANGE;
+  for (const [name, value] of Object.entries(scoring)) {
+    if (!Object.hasOwn(DEFAULT_SCORING, name)) {
+      return { success: false, error: `Unknown scoring value: ${name}` };
+    }
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { success: false, error: `scoring.${name} must be a whole number from ${min} to ${max}` };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Short descriptions of the rules that differ from the standard ones (for the lobby)
+ * @returns {string[]} - Empty for standard rules
+ */
+function describeRules(rules) {
+  // Other rules are compared to the standard ones for the table's game and size
+  const standard = rules.game === 'schafkopf' ?
+    { ...SCHAFKOPF_RULES, game: DEFAULT_RULES.game } :
+    { ...defaultRulesFor(rules.numPlayers ?? NUM_PLAYERS), numPlayers: NUM_PLAYERS };
+  const labels = {
+    game: () => 'Schafkopf',
+    numPlayers: v => `${v}-handed`,
+    winThreshold: v => `Pickers need ${v}`,
+    pickerSchneider: v => `Picker schneider at ${v}`,
+    defenderSchneider: v => `Defender schneider at ${v}`,
+    partner: v => ({ calledAce: 'Called ace', jackOfDiamonds: 'J♦ partner', blackQueen: 'Black queen partner', none: 'No partner' })[v],
+    underCall: v => (v === 'never' ? 'No under calls' : 'Under by choice'),
+    cracking: v => (v === 'crack' ? 'Cracking' : 'Cracking and re-cracking'),
+    blitz: v => `Blitz ${v} Queens`,
+    noPick: v => ({ leasters: 'Leasters', doubler: 'Doublers', forcedPick: 'Screw the dealer' })[v],
+    leasterBlind: () => 'Blind to first trick',
+    forcedPickLoss: v => `Forced dealer loses x${v}`
+  };
+
+  const scoringLabels = {
+    win: v => `Win pays ${v}`,
+    schneider: v => `Schneider pays ${v}`,
+    schwarz: v => `Schwarz pays ${v}`,
+    picker: v => `Picker share x${v}`,
+    alone: v => `Alone share x${v}`,
+    bump: v => (v === 2 ? 'Double on the bump' : `Bump x${v}`),
+    leaster: v => `Leaster stake ${v}`,
+    schwanzer: v => `Schwanzer stake ${v}`
+  };
+
+  return [
+    ...Object.keys(standard)
+      .filter(name => name !== 'scoring' && rules[name] !== standard[name])
+      .map(name => labels[name](rules[name])),
+    ...Object.keys(standard.scoring)
+      .filter(name => rules.scoring[name] !== standard.scoring[name])
+      .map(name => scoringLabels[name](rules.scoring[name]))
+  ];
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  DEFAULT_SCORING,
+  SCHAFKOPF_RULES,
+  GAME_RULES,
+  PARTNER_RULES,
+  PARTNER_RULES_BY_PLAYERS,
+  UNDER_CALL_RULES,
+  CRACK_RULES,
+  BLITZ_RULES,
+  NO_PICK_RULES,
+  LEASTER_BLIND_RULES,
+  defaultRulesFor,
+  validateRules,
+  describeRules
+};
@@ -0,0 +1,34 @@
+/**
+ * Rulesets
+ *
+ * The card game a table plays is its `game` rule (see rules.js). Each one is a
+ * game class with the SheepsheadGame interface; this maps the rule to the class
+ * so rooms, restored snapshots and replays get the right one.
+ */
+
+// Required when first needed: the game classes require this module themselves
+const GAME_CLASSES = {
+  sheepshead: () => require('./SheepsheadGame').SheepsheadGame,
+  schafkopf: () => require('./SchafkopfGame').SchafkopfGame
+};
+
+/**
+ * The game class that plays by these rules (Sheepshead when they don't say)
+ * @param {Object|null} rules
+ */
+function gameClassFor(rules) {
+  const load = GAME_CLASSES[rules?.game] || GAME_CLASSES.sheepshead;
+  return load();
+}
+
+/**
+ * Create a table that plays the game its rules name
+ * @param {string} roomId
+ * @param {Object} options - Constructor options, including the rules
+ */
+function createGame(roomId, options = {}) {
+  const GameClass = gameClassFor(options.rules);
+  return new GameClass(roomId, options);
+}
+
+module.exports = { gameClassFor, createGame };
@@ -0,0 +1,468 @@
+/**
+ * Double-Dummy Solver
+ *
+ * The best result each side can reach from a point in the play with every hand
+ * face-up: the picking side playing for the most card points, the defenders for
+ * the fewest. A play is legal when the game would allow it (getPlayableCards,
+ * with the under card and the called suit's hold card and partner rules),
+ * tricks go to determineTrickWinner and are counted with calculatePoints.
+ *
+ * analyzeHand runs it over a recorded hand. For every card played it finds the
+ * best cards the player had and the points the card they chose cost their side;
+ * for every trick, how far the best result moved while it was played.
+ *
+ * The search is alpha-beta, one card at a time. At the start of a trick a
+ * position is just the cards left and who leads, so results (and the card that
+ * did best) are remembered there. Of two cards in one hand that rank next to
+ * each other, with no card still in play between them, and are worth the same,
+ * only one is tried.
+ *
+ * A search can take a while (the server runs it on a worker thread, see
+ * SearchWorker.js), so analyzeHand has a time budget and gives up on a hand it
+ * can't finish in time.
+ */
+
+const { SheepsheadGame } = require('./SheepsheadGame');
+const {
+  createDeck,
+  isTrump,
+  getTrumpPower,
+  getFailPower,
+  getEffectiveSuit,
+  getPlayableCards,
+  determineTrickWinner,
+  calculatePoints
+} = require('./deck');
+
+const DEFAULT_TIME_BUDGET_MS = 2000; // Thinking time for a whole hand
+const DEADLINE_CHECK_NODES = 1024;   // Positions searched between looks at the clock
+
+const DECK = createDeck();
+
+// Each card's place in the deck, and one bit per card for the set still to be played
+const CARD_INDEX = Object.fromEntries(DECK.map((c, i) => [c.id, i]));
+const CARD_BITS = DECK.map((c, i) => 2 ** i);
+
+/**
+ * How each card ranks: its suit (trump as one suit) and strength within it,
+ * and every card's index grouped by suit, highest first
+ */
+function rankCards(order) {
+  const suits = DECK.map(c => getEffectiveSuit(c, order));
+  const strength = DECK.map(c => (isTrump(c, order) ? getTrumpPower(c, order) : getFailPower(c, order)));
+  const suitNames = [...new Set(suits)];
+  const ranked = DECK.map((c, i) => i)
+    .sort((a, b) => suitNames.indexOf(suits[a]) - suitNames.indexOf(suits[b]) || strength[b] - strength[a]);
+  return { suits, strength, ranked };
+}
+
+class OutOfTime extends Error {}
+
+class DoubleDummySolver {
+  /**
+   * @param {SheepsheadGame} game - A Sheepshead hand being played, with a picker
+   * @param {Object} options - { deadline }: a Date.now() time to give up at (throwing OutOfTime)
+   */
+  constructor(game, { deadline = Infinity } = {}) {
+    this.picker = game.players.findIndex(p => p.id === game.picker);
+    this.calledSuit = game.calledSuit;
+    this.calledRank = game.calledRank;
+    this.isUnderCall = game.isUnderCall;
+    this.underCardId = game.underCardId;
+    this.partnerCardId = game.partnerCardId;
+    this.cardOrder = game.cardOrder;
+    this.pickingSeats = new Set([this.picker]);
+    this.deadline = deadline;
+    this.nodes = 0;
+    this.table = new Map(); // trick-start position -> { lower, upper, cardId }: bounds on the picking points still to come
+    this.load(game);
+
+    Object.assign(this, rankCards(this.cardOrder));
+    this.isPlayable = new Uint8Array(DECK.length); // Scratch space for candidates()
+    this.skip = new Uint8Array(DECK.length);
+    this.history = new Float64Array(DECK.length);
+    this.special = DECK.map(c => [this.underCardId, this.partnerCardId,
+      `${this.calledRank}_${this.calledSuit}`, `A_${this.calledSuit}`].includes(c.id));
+
+    const partner = game.partner ? game.players.findIndex(p => p.id === game.partner) : this.partnerSeat();
+    if (partner !== -1) this.pickingSeats.add(partner);
+  }
+
+  /**
+   * Take the position the game is in now
+   */
+  load(game) {
+    this.numPlayers = game.players.length;
+    this.hands = game.players.map(p => [...game.hands[p.id]]);
+    this.trick = game.currentTrick.map(play => ({ ...play, seat: game.players.findIndex(p => p.id === play.playerId) }));
+    this.current = game.currentPlayerIndex;
+    this.calledSuitLed = !game.calledSuitFirstTrick;
+    this.underCardPlayed = game.underCardPlayed;
+    this.remaining = this.hands.flat().reduce((bits, card) => bits + CARD_BITS[CARD_INDEX[card.id]], 0);
+    const live = [...this.hands.flat(), ...this.trick.map(p => p.card)];
+    this.live = new Uint8Array(DECK.length);
+    for (const card of live) this.live[CARD_INDEX[card.id]] = 1;
+    this.livePoints = calculatePoints(live);
+  }
+
+  /**
+   * The seat holding the called card (or the card that makes its holder partner);
+   * -1 when the picker is alone or nobody holds it any more
+   */
+  partnerSeat() {
+    const isPartnerCard = this.calledSuit ?
+      (c => c.suit === this.calledSuit && c.rank === this.calledRank) :
+      (c => c.id === this.partnerCardId);
+    const seat = this.hands.findIndex(hand => hand.some(isPartnerCard));
+    return seat === this.picker ? -1 : seat;
+  }
+
+  /**
+   * The cards the player in `seat` may play now
+   */
+  playableCards(seat) {
+    const hand = this.hands[seat];
+    const isPicker = seat === this.picker;
+    const hasCalledAce = !!this.calledSuit && !isPicker &&
+      hand.some(c => c.suit === this.calledSuit && c.rank === this.calledRank);
+    const underCardId = isPicker && this.isUnderCall && !this.underCardPlayed ? this.underCardId : null;
+    return getPlayableCards(hand, this.trick, this.calledSuit, this.calledSuitLed, isPicker, hasCalledAce, underCardId);
+  }
+
+  /**
+   * The playable cards worth trying: one card of each run that can only win or
+   * lose the same tricks for the same points (never the called card, the
+   * called suit's ace or the under card, which have rules of their own)
+   */
+  candidates(seat) {
+    const playable = this.playableCards(seat);
+    if (playable.length === 1) return [playable[0]];
+    const { isPlayable, skip } = this;
+    for (const card of playable) isPlayable[CARD_INDEX[card.id]] = 1;
+
+    let previous = -1;
+    for (const i of this.ranked) {
+      if (!this.live[i]) continue;
+      if (previous !== -1 && isPlayable[previous] && isPlayable[i] && this.suits[previous] === this.suits[i] &&
+          DECK[previous].points === DECK[i].points && !this.special[previous] && !this.special[i]) {
+        skip[i] = 1;
+      }
+      previous = i;
+    }
+
+    const cards = [];
+    for (const card of playable) {
+      const i = CARD_INDEX[card.id];
+      if (!skip[i]) cards.push(card);
+      isPlayable[i] = 0;
+      skip[i] = 0;
+    }
+    return cards;
+  }
+
+  /**
+   * Play a card for the seat to move
+   * @returns {Object} - What undo() needs, and the picking points the card's trick was worth (0 until it's complete)
+   */
+  play(card) {
+    const seat = this.current;
+    const saved = {
+      seat,
+      card,
+      index: this.hands[seat].indexOf(card),
+      trick: this.trick,
+      calledSuitLed: this.calledSuitLed,
+      underCardPlayed: this.underCardPlayed,
+      points: 0
+    };
+
+    const isUnderCard = seat === this.picker && this.isUnderCall && !this.underCardPlayed && card.id === this.underCardId;
+    if (isUnderCard) this.underCardPlayed = true;
+    if (this.trick.length === 0 && this.calledSuit && getEffectiveSuit(card) === this.calledSuit) {
+      this.calledSuitLed = true;
+    }
+
+    this.hands[seat].splice(saved.index, 1);
+    this.remaining -= CARD_BITS[CARD_INDEX[card.id]];
+    this.trick = [...this.trick, { seat, card, isUnderCard }];
+
+    if (this.trick.length < this.numPlayers) {
+      this.current = (seat + 1) % this.numPlayers;
+      return saved;
+    }
+
+    // Under cards can't win the trick, but their points go with it
+    const winner = determineTrickWinner(
+      this.trick.filter(p => !p.isUnderCard).map(p => ({ playerId: p.seat, card: p.card })),
+      this.cardOrder
+    );
+    if (this.pickingSeats.has(winner)) {
+      saved.points = calculatePoints(this.trick.map(p => p.card));
+    }
+    for (const p of this.trick) this.live[CARD_INDEX[p.card.id]] = 0;
+    this.livePoints -= calculatePoints(this.trick.map(p => p.card));
+    saved.completed = this.trick;
+    this.trick = [];
+    this.current = winner;
+    return saved;
+  }
+
+  undo(saved) {
+    this.hands[saved.seat].splice(saved.index, 0, saved.card);
+    this.remaining += CARD_BITS[CARD_INDEX[saved.card.id]];
+    if (saved.completed) {
+      for (const p of saved.completed) this.live[CARD_INDEX[p.card.id]] = 1;
+      this.livePoints += calculatePoints(saved.completed.map(p => p.card));
+    }
+    this.trick = saved.trick;
+    this.calledSuitLed = saved.calledSuitLed;
+    this.underCardPlayed = saved.underCardPlayed;
+    this.current = saved.seat;
+  }
+
+  /**
+   * The picking points still to come from here with both sides playing their best
+   * (the cards already in the trick included)
+   */
+  solve(guess = Math.round(this.livePoints / 2)) {
+    // Null-window searches closing in on the value (MTD(f)), each one narrowing
+    // the bounds remembered for the next
+    let lower = 0;
+    let upper = this.livePoints;
+    while (lower < upper) {
+      const beta = guess === lower ? guess + 1 : guess;
+      guess = this.search(beta - 1, beta);
+      if (guess < beta) upper = guess;
+      else lower = guess;
+    }
+    return lower;
+  }
+
+  /**
+   * The cards the seat to move may play that keep the result at `value` (this
+   * position's solve()); anything else gives points away
+   */
+  bestCards(value) {
+    const forPickers = this.pickingSeats.has(this.current);
+    return this.playableCards(this.current).filter(card => {
+      const saved = this.play(card);
+      const target = value - saved.points;
+      const keeps = forPickers ? this.search(target - 1, target) >= target : this.search(target, target + 1) <= target;
+      this.undo(saved);
+      return keeps;
+    });
+  }
+
+  /**
+   * Likely best cards first, so the search can stop sooner: when a trick is
+   * being won by the other side, the cards that take it over (cheapest first)
+   * and then the cheapest; when it's being won by this side, the dearest
+   */
+  orderCards(cards) {
+    let winning = null;
+    for (const p of this.trick) {
+      if (!p.isUnderCard && (!winning || this.beats(p.card, winning.card))) winning = p;
+    }
+    if (!winning) return cards.sort((a, b) => this.history[CARD_INDEX[b.id]] - this.history[CARD_INDEX[a.id]]);
+
+    if (this.pickingSeats.has(winning.seat) === this.pickingSeats.has(this.current)) {
+      return cards.sort((a, b) => b.points - a.points);
+    }
+    const takes = (card) => this.beats(card, winning.card);
+    return cards.sort((a, b) => takes(b) - takes(a) || a.points - b.points);
+  }
+
+  /**
+   * Whether `card` beats `other` in a trick `other` is winning (or led)
+   */
+  beats(card, other) {
+    const a = CARD_INDEX[card.id];
+    const b = CARD_INDEX[other.id];
+    if (this.suits[a] === this.suits[b]) return this.strength[a] > this.strength[b];
+    return this.suits[a] === 'trump';
+  }
+
+  search(alpha, beta) {
+    if (++this.nodes % DEADLINE_CHECK_NODES === 0 && Date.now() > this.deadline) {
+      throw new OutOfTime('Out of time');
+    }
+    // The picking side takes somewhere from none to all of the points left
+    if (this.livePoints <= alpha) return this.livePoints;
+    if (beta <= 0) return 0;
+
+    let key = null;
+    if (this.trick.length === 0) {
+      if (this.remaining === 0) return 0;
+
+      key = this.remaining * 64 + this.current * 4 + (this.calledSuitLed ? 2 : 0) + (this.underCardPlayed ? 1 : 0);
+      const known = this.table.get(key);
+      if (known) {
+        if (known.lower === known.upper || known.lower >= beta) return known.lower;
+        if (known.upper <= alpha) return known.upper;
+        alpha = Math.max(alpha, known.lower);
+        beta = Math.min(beta, known.upper);
+      }
+    }
+
+    const windowLow = alpha;
+    const windowHigh = beta;
+    const maximizing = this.pickingSeats.has(this.current);
+    let best = maximizing ? -Infinity : Infinity;
+    let bestCardId = null;
+
+    const cards = this.orderCards(this.candidates(this.current));
+    const tried = key !== null && this.table.get(key)?.cardId;
+    if (tried) cards.sort((a, b) => (b.id === tried) - (a.id === tried));
+
+    for (const card of cards) {
+      const saved = this.play(card);
+      const value = saved.points + this.search(alpha - saved.points, beta - saved.points);
+      this.undo(saved);
+
+      if (maximizing ? value > best : value < best) {
+        best = value;
+        bestCardId = card.id;
+      }
+      if (maximizing) {
+        alpha = Math.max(alpha, best);
+      } else {
+        beta = Math.min(beta, best);
+      }
+      if (alpha >= beta) {
+        this.history[CARD_INDEX[card.id]] += this.remaining === 0 ? 1 : this.hands[this.current].length ** 2;
+        break;
+      }
+    }
+
+    if (key !== null) {
+      const known = this.table.get(key) || { lower: -Infinity, upper: Infinity };
+      // The card that did best, unless every card fell short (then none of them is a good first try)
+      if (maximizing ? best > windowLow : best < windowHigh) known.cardId = bestCardId;
+      if (best > windowLow) known.lower = Math.max(known.lower, best);
+      if (best < windowHigh) known.upper = Math.min(known.upper, best);
+      this.table.set(key, known);
+    }
+    return best;
+  }
+}
+
+/**
+ * Points the picking side has taken so far: the buried cards and the tricks its seats won
+ */
+function takenPoints(game, pickingSeats) {
+  const seatOf = (id) => game.players.findIndex(p => p.id === id);
+  return game.tricks
+    .filter(t => pickingSeats.has(seatOf(t.winner)))
+    .reduce((sum, t) => sum + t.points, calculatePoints(game.buried));
+}
+
+/**
+ * Solve every position a hand's play went through
+ */
+function analyzePlay(game, actions, deadline) {
+  let solver = null;
+  let pickingTeam = null;
+  const tricks = [];
+  const plays = []; // Every play, with the par before it
+
+  for (const action of actions) {
+    if (action.type === 'deal') continue;
+
+    if (action.type === 'play') {
+      if (!solver) {
+        if (!game.picker || game.isLeasters || game.isSchwanzer) {
+          return { success: false, error: 'Only hands with a picker can be analyzed' };
+        }
+        solver = new DoubleDummySolver(game, { deadline });
+        pickingTeam = [...solver.pickingSeats].map(seat => game.players[seat].id);
+      }
+
+      solver.load(game);
+      const taken = takenPoints(game, solver.pickingSeats);
+      const previous = plays[plays.length - 1];
+      const value = solver.solve(previous ? previous.par - taken : undefined);
+      const play = {
+        playerId: action.playerId,
+        cardId: action.cardId,
+        par: taken + value,
+        forPickers: solver.pickingSeats.has(solver.current),
+        bestCardIds: solver.bestCards(value).map(c => c.id)
+      };
+      plays.push(play);
+
+      if (game.currentTrick.length === 0) {
+        tricks.push({ number: tricks.length + 1, par: play.par, plays: [] });
+      }
+      tricks[tricks.length - 1].plays.push(play);
+    }
+
+    const result = game._replayAction(action);
+    if (!result.success) {
+      throw new Error(`Replay failed at action ${action.seq} (${action.type}): ${result.error}`);
+    }
+    if (action.type === 'play' && result.trickComplete) {
+      Object.assign(tricks[tricks.length - 1], { winner: result.winner, points: result.points });
+    }
+  }
+
+  if (!solver) {
+    return { success: false, error: 'This hand has no play to analyze' };
+  }
+
+  // A card's cost is how far par moved against its side; the last card is
+  // followed by what the picking side ended up with
+  solver.load(game);
+  const finalPar = takenPoints(game, solver.pickingSeats) + solver.solve();
+  plays.forEach((play, i) => {
+    const next = i + 1 < plays.length ? plays[i + 1].par : finalPar;
+    play.cost = play.forPickers ? play.par - next : next - play.par;
+  });
+
+  return {
+    success: true,
+    pickingTeam,
+    par: plays[0].par,
+    actual: game.handResults ? finalPar : null,
+    tricks: tricks.map((trick, i) => ({
+      number: trick.number,
+      winner: trick.winner ?? null,
+      points: trick.points ?? null,
+      par: trick.par,
+      swing: (i + 1 < tricks.length ? tricks[i + 1].par : finalPar) - trick.par,
+      plays: trick.plays.map(({ playerId, cardId, bestCardIds, cost }) => ({ playerId, cardId, bestCardIds, cost }))
+    }))
+  };
+}
+
+/**
+ * Go through a recorded hand's play with the solver
+ * @param {Array} actions - The hand's action log (getHandRecord().actions)
+ * @param {Object} options - { timeBudgetMs }
+ * @returns {Object} - { success, pickingTeam, par, actual, tricks } or { success: false, error },
+ *   with { outOfTime: true } if it ran out of time (so might finish on another try)
+ *   par is the picking side's points with best play from the first lead, actual
+ *   what it took (null if the hand wasn't finished). Each trick has the par when
+ *   it was led, its swing (how far par moved, for the picking side) and its plays,
+ *   each with the best cards the player had and the points their card cost their side.
+ * Throws if the log has no deal or doesn't replay.
+ */
+function analyzeHand(actions, { timeBudgetMs = DEFAULT_TIME_BUDGET_MS } = {}) {
+  const dealAction = (actions || []).find(a => a.type === 'deal');
+  if (!dealAction) {
+    throw new Error('Action log has no deal');
+  }
+  if (dealAction.rules.game !== 'sheepshead') {
+    return { success: false, error: 'Only Sheepshead hands can be analyzed' };
+  }
+
+  try {
+    return analyzePlay(SheepsheadGame.fromDeal(dealAction), actions, Date.now() + timeBudgetMs);
+  } catch (err) {
+    if (err instanceof OutOfTime) {
+      return { success: false, error: 'This hand would take too long to analyze', outOfTime: true };
+    }
+    throw err;
+  }
+}
+
+module.exports = { DoubleDummySolver, analyzeHand };
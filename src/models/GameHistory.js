@@ -0,0 +1,241 @@
+/**
+ * Game history model for persisting sessions and finished hands.
+ *
+ * A "game" is one session at a table: it opens when the table starts and
+ * closes when the table returns to the waiting room. Every finished hand
+ * writes a row to `hands` plus one `hand_results` row per seat. The full
+ * play-by-play (deal, picks, call, bury, tricks) is kept as JSON in
+ * `hands.detail`, and each hand has a random `share_token` that names its
+ * public replay (/replay/<token>). A hand's double-dummy analysis is stored
+ * in `hands.analysis` the first time it's asked for.
+ */
+
+const crypto = require('crypto');
+const db = require('./database');
+
+class GameHistory {
+  /**
+   * Open a games row for a new session at a table.
+   * @param {string} roomId - Table code
+   * @returns {number} - The new games.id
+   */
+  static startGame(roomId) {
+    const result = db.run('INSERT INTO games (room_id) VALUES (?)', [roomId]);
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Close a session (sets ended_at).
+   * @param {number} gameId - games.id
+   */
+  static endGame(gameId) {
+    db.run('UPDATE games SET ended_at = CURRENT_TIMESTAMP WHERE id = ? AND ended_at IS NULL', [gameId]);
+  }
+
+  /**
+   * Record a finished hand and the per-seat results.
+   * @param {number} gameId - games.id of the current session
+   * @param {number} handNumber - 1-based hand number within the session
+   * @param {Object} hand - { pickerId, partnerId, calledSuit, isSchwanzer, pickerPoints, defenderPoints, schneider, schwarz, detail }
+   * @param {Array} seatResults - [{ userId, role, pointsTaken, tricksWon, scoreChange }]
+   * @returns {Object} - { handId, shareToken }
+   */
+  static recordHand(gameId, handNumber, hand, seatResults) {
+    const shareToken = crypto.randomBytes(8).toString('hex');
+    const result = db.run(`
+      INSERT INTO hands (game_id, hand_number, picker_id, partner_id, called_suit, is_schwanzer,
+        picker_points, defender_points, schneider, schwarz, detail, share_token)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      gameId,
+      handNumber,
+      hand.pickerId ?? null,
+      hand.partnerId ?? null,
+      hand.calledSuit ?? null,
+      hand.isSchwanzer ? 1 : 0,
+      hand.pickerPoints ?? null,
+      hand.defenderPoints ?? null,
+      hand.schneider ? 1 : 0,
+      hand.schwarz ? 1 : 0,
+      hand.detail ? JSON.stringify(hand.detail) : null,
+      shareToken
+    ]);
+
+    const handId = result.lastInsertRowid;
+
+    for (const seat of seatResults) {
+      db.run(`
+        INSERT INTO hand_results (hand_id, user_id, role, points_taken, tricks_won, score_change)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [handId, seat.userId, seat.role, seat.pointsTaken, seat.tricksWon, seat.scoreChange]);
+    }
+
+    db.run('UPDATE games SET hands_played = hands_played + 1 WHERE id = ?', [gameId]);
+
+    return { handId, shareToken };
+  }
+
+  /**
+   * Get a page of finished hands for a user, newest first.
+   * @param {number} userId - User ID
+   * @param {Object} options - { page, limit, from, to, roomId, role } (from/to are YYYY-MM-DD)
+   * @returns {Object} - { hands: [...], page, limit, total }
+   */
+  static getHistory(userId, { page = 1, limit = 20, from = null, to = null, roomId = null, role = null } = {}) {
+    const where = ['hr.user_id = ?'];
+    const params = [userId];
+
+    if (from) {
+      where.push('date(h.played_at) >= ?');
+      params.push(from);
+    }
+    if (to) {
+      where.push('date(h.played_at) <= ?');
+      params.push(to);
+    }
+    if (roomId) {
+      where.push('g.room_id = ?');
+      params.push(roomId);
+    }
+    if (role) {
+      where.push('hr.role = ?');
+      params.push(role);
+    }
+
+    const fromClause = `
+      FROM hand_results hr
+      JOIN hands h ON h.id = hr.hand_id
+      JOIN games g ON g.id = h.game_id
+      WHERE ${where.join(' AND ')}
+    `;
+
+    const total = db.queryOne(`SELECT COUNT(*) as count ${fromClause}`, params).count;
+
+    const rows = db.query(`
+      SELECT
+        h.id as handId,
+        h.game_id as gameId,
+        h.hand_number as handNumber,
+        g.room_id as roomId,
+        h.played_at as playedAt,
+        h.is_schwanzer as isSchwanzer,
+        h.called_suit as calledSuit,
+        h.picker_points as pickerPoints,
+        h.defender_points as defenderPoints,
+        h.schneider,
+        h.schwarz,
+        hr.role,
+        hr.points_taken as pointsTaken,
+        hr.tricks_won as tricksWon,
+        hr.score_change as scoreChange
+      ${fromClause}
+      ORDER BY h.played_at DESC, h.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      hands: rows.map(row => ({
+        ...row,
+        isSchwanzer: !!row.isSchwanzer,
+        schneider: !!row.schneider,
+        schwarz: !!row.schwarz
+      })),
+      page,
+      limit,
+      total
+    };
+  }
+
+  /**
+   * Get a single hand with its per-seat results and full play detail.
+   * @param {number} handId - hands.id
+   * @returns {Object|null} - Hand object or null if not found
+   */
+  static getHand(handId) {
+    const hand = db.queryOne(`
+      SELECT h.*, g.room_id
+      FROM hands h
+      JOIN games g ON g.id = h.game_id
+      WHERE h.id = ?
+    `, [handId]);
+    if (!hand) return null;
+
+    const seats = db.query(`
+      SELECT
+        hr.user_id as userId,
+        u.display_name as displayName,
+        hr.role,
+        hr.points_taken as pointsTaken,
+        hr.tricks_won as tricksWon,
+        hr.score_change as scoreChange
+      FROM hand_results hr
+      LEFT JOIN users u ON u.id = hr.user_id
+      WHERE hr.hand_id = ?
+      ORDER BY hr.id
+    `, [handId]);
+
+    return {
+      id: hand.id,
+      shareToken: hand.share_token,
+      gameId: hand.game_id,
+      roomId: hand.room_id,
+      handNumber: hand.hand_number,
+      playedAt: hand.played_at,
+      isSchwanzer: !!hand.is_schwanzer,
+      pickerId: hand.picker_id,
+      partnerId: hand.partner_id,
+      calledSuit: hand.called_suit,
+      pickerPoints: hand.picker_points,
+      defenderPoints: hand.defender_points,
+      schneider: !!hand.schneider,
+      schwarz: !!hand.schwarz,
+      seats,
+      // players, dealer, seed, fairness, deal, picks, call, bury, tricks
+      // (hands recorded before detail was stored have no play-by-play)
+      ...(hand.detail ? JSON.parse(hand.detail) : {
+        players: [], dealer: null, fairness: null, deal: null, picks: [], call: null, bury: [], tricks: []
+      })
+    };
+  }
+
+  /**
+   * Get a hand's stored double-dummy analysis.
+   * @param {number} handId - hands.id
+   * @returns {Object|null} - The analyzeHand result, or null if it hasn't been worked out yet
+   */
+  static getAnalysis(handId) {
+    const row = db.queryOne('SELECT analysis FROM hands WHERE id = ?', [handId]);
+    return row?.analysis ? JSON.parse(row.analysis) : null;
+  }
+
+  /**
+   * Store a hand's double-dummy analysis so it is only worked out once.
+   * @param {number} handId - hands.id
+   * @param {Object} analysis - The analyzeHand result (including a failed one)
+   */
+  static saveAnalysis(handId, analysis) {
+    db.run('UPDATE hands SET analysis = ? WHERE id = ?', [JSON.stringify(analysis), handId]);
+  }
+
+  /**
+   * Whether a user held a seat in a hand (including one they left mid-hand).
+   * @param {number} handId - hands.id
+   * @param {number} userId - User ID
+   * @returns {boolean}
+   */
+  static wasInHand(handId, userId) {
+    return !!db.queryOne('SELECT 1 FROM hand_results WHERE hand_id = ? AND user_id = ?', [handId, userId]);
+  }
+
+  /**
+   * Get the hand a replay link points to.
+   * @param {string} shareToken - hands.share_token
+   * @returns {Object|null} - Hand object (as getHand) or null if not found
+   */
+  static getHandByShareToken(shareToken) {
+    const row = db.queryOne('SELECT id FROM hands WHERE share_token = ?', [shareToken]);
+    return row ? GameHistory.getHand(row.id) : null;
+  }
+}
+
+module.exports = GameHistory;
@@ -0,0 +1,45 @@
+/**
+ * Room snapshot model for persisting live tables across restarts.
+ *
+ * Each active room is stored as one row holding SheepsheadGame.serialize()
+ * as JSON. RoomManager writes them periodically and restores them on start.
+ */
+
+const db = require('./database');
+
+class RoomSnapshot {
+  /**
+   * Save (or replace) a room's snapshot.
+   * @param {string} roomId - Table code
+   * @param {Object} snapshot - SheepsheadGame.serialize() output
+   */
+  static save(roomId, snapshot) {
+    db.run(`
+      INSERT OR REPLACE INTO room_snapshots (room_id, state, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+    `, [roomId, JSON.stringify(snapshot)]);
+  }
+
+  /**
+   * Delete a room's snapshot.
+   * @param {string} roomId - Table code
+   */
+  static remove(roomId) {
+    db.run('DELETE FROM room_snapshots WHERE room_id = ?', [roomId]);
+  }
+
+  /**
+   * Get all saved snapshots.
+   * @returns {Array} - [{ roomId, snapshot, updatedAt }]
+   */
+  static getAll() {
+    return db.query('SELECT room_id, state, updated_at FROM room_snapshots ORDER BY room_id')
+      .map(row => ({
+        roomId: row.room_id,
+        snapshot: JSON.parse(row.state),
+        updatedAt: row.updated_at
+      }));
+  }
+}
+
+module.exports = RoomSnapshot;
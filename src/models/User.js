@@ -149,10 +149,31 @@ class User {
       totalScore: stats.total_score,
       schneidersAchieved: stats.schneiders_achieved,
       schwarzAchieved: stats.schwarz_achieved,
+      handsAbandoned: stats.hands_abandoned || 0,
+      leastersPlayed: stats.leasters_played || 0,
+      leastersWon: stats.leasters_won || 0,
       ...rates
     };
   }
 
+  /**
+   * Record that the user left a hand in progress (a bot finished it for them).
+   * Counted instead of the hand's result, in both lifetime and daily stats.
+   * @param {number} userId - User ID
+   */
+  static recordAbandonment(userId) {
+    db.run('UPDATE player_stats SET hands_abandoned = hands_abandoned + 1 WHERE user_id = ?', [userId]);
+
+    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    const existing = db.queryOne('SELECT id FROM daily_stats WHERE user_id = ? AND date = ?', [userId, today]);
+
+    if (existing) {
+      db.run('UPDATE daily_stats SET hands_abandoned = hands_abandoned + 1 WHERE id = ?', [existing.id]);
+    } else {
+      db.run('INSERT INTO daily_stats (user_id, date, hands_abandoned) VALUES (?, ?, 1)', [userId, today]);
+    }
+  }
+
   /**
    * Update stats after a hand (both lifetime and daily)
    */
@@ -172,7 +193,9 @@ class User {
         schwanzers_won = schwanzers_won + ?,
         total_score = total_score + ?,
         schneiders_achieved = schneiders_achieved + ?,
-        schwarz_achieved = schwarz_achieved + ?
+        schwarz_achieved = schwarz_achieved + ?,
+        leasters_played = leasters_played + ?,
+        leasters_won = leasters_won + ?
       WHERE user_id = ?
     `, [
       handResult.wasPicker ? 1 : 0,
@@ -187,6 +210,8 @@ class User {
       handResult.scoreChange,
       handResult.schneider ? 1 : 0,
       handResult.schwarz ? 1 : 0,
+      handResult.isLeasters ? 1 : 0,
+      handResult.wonLeasters ? 1 : 0,
       userId
     ]);
 
@@ -211,7 +236,9 @@ class User {
           schwanzers_won = schwanzers_won + ?,
           score = score + ?,
           schneiders_achieved = schneiders_achieved + ?,
-          schwarz_achieved = schwarz_achieved + ?
+          schwarz_achieved = schwarz_achieved + ?,
+          leasters_played = leasters_played + ?,
+          leasters_won = leasters_won + ?
         WHERE user_id = ? AND date = ?
       `, [
         handResult.wasPicker ? 1 : 0,
@@ -226,6 +253,8 @@ class User {
         handResult.scoreChange,
         handResult.schneider ? 1 : 0,
         handResult.schwarz ? 1 : 0,
+        handResult.isLeasters ? 1 : 0,
+        handResult.wonLeasters ? 1 : 0,
         userId,
         today
       ]);
@@ -233,8 +262,9 @@ class User {
       db.run(`
         INSERT INTO daily_stats (user_id, date, hands_played, hands_picked, hands_won_as_picker,
           hands_called_as_partner, hands_won_as_partner, hands_won_as_defender, hands_alone,
-          hands_won_as_alone, schwanzers_played, schwanzers_won, score, schneiders_achieved, schwarz_achieved)
-        VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          hands_won_as_alone, schwanzers_played, schwanzers_won, score, schneiders_achieved, schwarz_achieved,
+          leasters_played, leasters_won)
+        VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         userId,
         today,
@@ -249,7 +279,9 @@ class User {
         handResult.wonSchwanzer ? 1 : 0,
         handResult.scoreChange,
         handResult.schneider ? 1 : 0,
-        handResult.schwarz ? 1 : 0
+        handResult.schwarz ? 1 : 0,
+        handResult.isLeasters ? 1 : 0,
+        handResult.wonLeasters ? 1 : 0
       ]);
     }
   }
@@ -280,6 +312,9 @@ class User {
         score: 0,
         schneidersAchieved: 0,
         schwarzAchieved: 0,
+        handsAbandoned: 0,
+        leastersPlayed: 0,
+        leastersWon: 0,
         winRate: '0',
         pickRate: '0',
         pickerWinRate: '0'
@@ -302,6 +337,9 @@ class User {
       score: stats.score,
       schneidersAchieved: stats.schneiders_achieved,
       schwarzAchieved: stats.schwarz_achieved,
+      handsAbandoned: stats.hands_abandoned || 0,
+      leastersPlayed: stats.leasters_played || 0,
+      leastersWon: stats.leasters_won || 0,
       ...rates
     };
   }
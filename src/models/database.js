@@ -70,6 +70,9 @@ async function initDb() {
       total_score INTEGER DEFAULT 0,
       schneiders_achieved INTEGER DEFAULT 0,
       schwarz_achieved INTEGER DEFAULT 0,
+      hands_abandoned INTEGER DEFAULT 0,
+      leasters_played INTEGER DEFAULT 0,
+      leasters_won INTEGER DEFAULT 0,
       FOREIGN KEY (user_id) REFERENCES users(id)
     )
   `);
@@ -93,6 +96,9 @@ async function initDb() {
       score INTEGER DEFAULT 0,
       schneiders_achieved INTEGER DEFAULT 0,
       schwarz_achieved INTEGER DEFAULT 0,
+      hands_abandoned INTEGER DEFAULT 0,
+      leasters_played INTEGER DEFAULT 0,
+      leasters_won INTEGER DEFAULT 0,
       FOREIGN KEY (user_id) REFERENCES users(id),
       UNIQUE(user_id, date)
     )
@@ -121,6 +127,9 @@ async function initDb() {
       defender_points INTEGER,
       schneider BOOLEAN DEFAULT FALSE,
       schwarz BOOLEAN DEFAULT FALSE,
+      detail TEXT,
+      share_token TEXT,
+      analysis TEXT,
       played_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (game_id) REFERENCES games(id),
       FOREIGN KEY (picker_id) REFERENCES users(id),
@@ -142,6 +151,18 @@ async function initDb() {
     )
   `);
 
+  // Live tables, saved periodically so a restart doesn't lose hands in progress
+  db.run(`
+    CREATE TABLE IF NOT EXISTS room_snapshots (
+      room_id TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_hand_results_user ON hand_results (user_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_hand_results_hand ON hand_results (hand_id)');
+
   // Add new columns to existing databases (migration)
   try {
     db.run('ALTER TABLE player_stats ADD COLUMN hands_called_as_partner INTEGER DEFAULT 0');
@@ -173,6 +194,43 @@ async function initDb() {
   } catch (e) {
     // Column already exists, ignore
   }
+  try {
+    db.run('ALTER TABLE hands ADD COLUMN detail TEXT');
+  } catch (e) {
+    // Column already exists, ignore
+  }
+  try {
+    db.run('ALTER TABLE hands ADD COLUMN share_token TEXT');
+  } catch (e) {
+    // Column already exists, ignore
+  }
+  try {
+    db.run('ALTER TABLE hands ADD COLUMN analysis TEXT');
+  } catch (e) {
+    // Column already exists, ignore
+  }
+  // Hands recorded before replays were shared get a token too
+  db.run('UPDATE hands SET share_token = lower(hex(randomblob(8))) WHERE share_token IS NULL');
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_hands_share_token ON hands (share_token)');
+  try {
+    db.run('ALTER TABLE player_stats ADD COLUMN hands_abandoned INTEGER DEFAULT 0');
+  } catch (e) {
+    // Column already exists, ignore
+  }
+  try {
+    db.run('ALTER TABLE daily_stats ADD COLUMN hands_abandoned INTEGER DEFAULT 0');
+  } catch (e) {
+    // Column already exists, ignore
+  }
+  for (const table of ['player_stats', 'daily_stats']) {
+    for (const column of ['leasters_played', 'leasters_won']) {
+      try {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column} INTEGER DEFAULT 0`);
+      } catch (e) {
+        // Column already exists, ignore
+      }
+    }
+  }
 
   // Save initially
   saveDb();
@@ -5,15 +5,22 @@
  * Handles authentication via sessions and provides REST API endpoints.
  *
  * Socket Events:
- * - joinRoom: Player joins a game room
+ * - joinRoom: Player joins a game room (creating it with any house rules given)
  * - leaveRoom: Player leaves current room
- * - startGame: Start a new hand (requires 5 players)
+ * - startGame: Start a new hand (requires a full table)
  * - pick: Player picks or passes during picking phase
+ * - bid: Player bids a game or passes during bidding (Schafkopf tables)
  * - bury: Picker buries 2 cards
  * - callAce: Picker calls a partner (or goes alone)
+ * - crack: Defender cracks (or picker re-cracks) to double the stakes, or passes (cracking house rule)
+ * - blitz: Player shows both blitz Queens before the first lead to double the stakes (blitz house rule)
  * - playCard: Player plays a card during trick-taking
  * - newHand: Player votes to continue to next hand
  * - leaveTable: Player votes to leave after hand
+ * - setClientSeed: Player contributes a client seed to the next deal (provably fair)
+ * - addBot / removeBot: Fill an empty seat with a computer player (or take it out) before the hand
+ * - setBotDifficulty: Choose how strongly a bot seat plays (normal or expert)
+ * - resumeSeat: Player returns to the seat they still hold (after a dropped connection or a restart)
  */
 
 const express = require('express');
@@ -25,8 +32,17 @@ const path = require('path');
 
 const db = require('./models/database');
 const User = require('./models/User');
+const GameHistory = require('./models/GameHistory');
 const roomManager = require('./game/RoomManager');
 const { PHASES } = require('./game/SheepsheadGame');
+const { verifyDeal } = require('./game/fairness');
+const { redactFor } = require('./game/redaction');
+const { buildReplay } = require('./game/replay');
+const { exportHand, parseHand } = require('./game/notation');
+const RuleBot = require('./game/RuleBot');
+const MonteCarloBot = require('./game/MonteCarloBot');
+const SchafkopfBot = require('./game/SchafkopfBot');
+const SearchWorker = require('./game/SearchWorker');
 
 const app = express();
 const server = http.createServer(app);
@@ -38,6 +54,25 @@ const io = new Server(server, {
 });
 
 const PORT = process.env.PORT || 3000;
+const HISTORY_ROLES = ['picker', 'partner', 'defender', 'schwanzer', 'leasters', 'abandoned'];
+
+// Pause before a bot makes its move
+const BOT_DELAY_MS = parseInt(process.env.BOT_DELAY_MS) || 800;
+
+// Thinking time an expert bot may spend on each card it plays
+const BOT_THINK_MS = parseInt(process.env.BOT_THINK_MS) || 250;
+
+// Longest the double-dummy solver may spend analyzing one hand. It runs on a
+// worker thread, one hand at a time, with at most ANALYSIS_QUEUE hands waiting
+const ANALYSIS_TIME_MS = parseInt(process.env.ANALYSIS_TIME_MS) || 3000;
+const ANALYSIS_QUEUE = 4;
+
+// How long a player has to decide whether to crack (or re-crack) before they pass
+const CRACK_WINDOW_MS = parseInt(process.env.CRACK_WINDOW_MS) || 15000;
+
+// How long a dropped player's seat and cards are held before the seat is vacated
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS) || 60000;
+
 const SESSION_SECRET = process.env.SESSION_SECRET || 'sheepshead-secret-change-in-production';
 // Railway sets PORT, so if PORT is set we're likely in production
 const IS_PRODUCTION = process.env.PORT || process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT;
@@ -259,6 +294,185 @@ app.get('/api/stats/daily', (req, res) => {
   res.json(stats);
 });
 
+// Get hand history for current user
+// Supports ?page, ?limit, ?from=YYYY-MM-DD, ?to=YYYY-MM-DD, ?room and ?role
+app.get('/api/history', (req, res) => {
+  if (req.session.userId === undefined || req.session.userId === null) {
+    return res.status(401).json({ error: 'Not logged in' });
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const { from, to, room, role } = req.query;
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+  }
+  if (role && !HISTORY_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${HISTORY_ROLES.join(', ')}` });
+  }
+
+  const history = GameHistory.getHistory(req.session.userId, {
+    page,
+    limit,
+    from: from || null,
+    to: to || null,
+    roomId: room || null,
+    role: role || null
+  });
+  res.json(history);
+});
+
+/**
+ * Look up the hand named by req.params.id for one of the players who sat in
+ * it. Anyone else sees a hand only through its replay link. Sends the error
+ * response and returns null when the hand can't be shown.
+ */
+function findOwnHand(req, res) {
+  if (req.session.userId === undefined || req.session.userId === null) {
+    res.status(401).json({ error: 'Not logged in' });
+    return null;
+  }
+
+  const handId = parseInt(req.params.id);
+  if (!Number.isInteger(handId)) {
+    res.status(400).json({ error: 'Invalid hand ID' });
+    return null;
+  }
+
+  // A hand the user wasn't in is reported the same as a missing one, so
+  // counting through IDs turns up nothing
+  const hand = GameHistory.getHand(handId);
+  if (!hand || !GameHistory.wasInHand(handId, req.session.userId)) {
+    res.status(404).json({ error: 'Hand not found' });
+    return null;
+  }
+  return hand;
+}
+
+// A finished hand in hand notation (see docs/hand-notation.md)
+// (before /api/hands/:id, which would take "12.txt" as the ID)
+app.get('/api/hands/:id.txt', (req, res) => {
+  const hand = findOwnHand(req, res);
+  if (!hand) return;
+  // Hands recorded before the action log was kept can't be written out
+  if (!hand.actions) {
+    return res.status(404).json({ error: 'This hand has no play-by-play' });
+  }
+  res.type('text/plain').send(exportHand(hand.actions));
+});
+
+// Hands are analyzed here, off the thread every table runs on
+const analyses = new SearchWorker({ maxQueued: ANALYSIS_QUEUE });
+
+// Double-dummy analysis of a recorded hand: the best result each side could
+// have reached, and what each card played cost its side
+app.get('/api/hands/:id/analysis', async (req, res) => {
+  const hand = findOwnHand(req, res);
+  if (!hand) return;
+  // Hands recorded before the action log was kept can't be played through
+  if (!hand.actions) {
+    return res.status(404).json({ error: 'This hand has no play-by-play' });
+  }
+
+  // A finished hand never changes, so its analysis (or why there isn't one)
+  // is stored the first time it's worked out. Running out of time depends on
+  // how busy the server was, so that isn't stored.
+  let result = GameHistory.getAnalysis(hand.id);
+  if (!result) {
+    try {
+      result = await analyses.run('analyzeHand', { actions: hand.actions, options: { timeBudgetMs: ANALYSIS_TIME_MS } });
+    } catch (err) {
+      if (err.busy) {
+        return res.status(503).json({ error: 'Too many hands are being analyzed, try again shortly' });
+      }
+      console.error(`Analysis of hand ${hand.id} failed:`, err.message);
+      return res.status(500).json({ error: 'Could not analyze this hand' });
+    }
+    if (!result.outOfTime) {
+      GameHistory.saveAnalysis(hand.id, result);
+    }
+  }
+
+  const { success, error, outOfTime, ...analysis } = result;
+  if (!success) {
+    return res.status(outOfTime ? 503 : 400).json({ error });
+  }
+  res.json({ handId: hand.id, ...analysis });
+});
+
+// Load a hand written in hand notation into a practice table against bots
+// Body: { notation, seat } (seat from 1, default 1)
+app.post('/api/hands/import', (req, res) => {
+  if (req.session.userId === undefined || req.session.userId === null) {
+    return res.status(401).json({ error: 'Not logged in' });
+  }
+
+  const { notation, seat = 1 } = req.body || {};
+  const parsed = parseHand(notation);
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const playerId = 'user_' + req.session.userId;
+  const created = roomManager.createPracticeRoom(playerId, req.session.displayName, parsed.actions[0], {
+    seat: Number.isInteger(seat) ? seat - 1 : NaN
+  });
+  if (!created.success) {
+    return res.status(400).json({ error: created.error });
+  }
+
+  const game = roomManager.getRoom(created.roomId);
+  scheduleBots(game);
+  res.json({ roomId: created.roomId });
+});
+
+// Get full detail for a finished hand
+app.get('/api/hands/:id', (req, res) => {
+  const hand = findOwnHand(req, res);
+  if (!hand) return;
+  res.json(hand);
+});
+
+// Step-by-step replay of a finished hand, for anyone with its share link
+app.get('/api/replays/:token', (req, res) => {
+  const hand = GameHistory.getHandByShareToken(req.params.token);
+  if (!hand) {
+    return res.status(404).json({ error: 'Replay not found' });
+  }
+  // Hands recorded before the action log was kept can't be stepped through
+  if (!hand.actions) {
+    return res.status(404).json({ error: 'This hand has no replay' });
+  }
+
+  res.json({
+    handNumber: hand.handNumber,
+    roomId: hand.roomId,
+    playedAt: hand.playedAt,
+    players: hand.players,
+    ...buildReplay(hand.actions)
+  });
+});
+
+// The replay viewer page (it loads the replay from /api/replays/:token)
+app.get('/replay/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/replay.html'));
+});
+
+// Verify a provably fair deal once its server seed has been revealed
+// Body: { serverSeed, serverSeedHash, clientSeed, nonce, deckHash }
+app.post('/api/fairness/verify', (req, res) => {
+  const { serverSeed, serverSeedHash, clientSeed, nonce, deckHash } = req.body || {};
+
+  if (typeof serverSeed !== 'string' || typeof clientSeed !== 'string' || !Number.isInteger(nonce)) {
+    return res.status(400).json({ error: 'serverSeed, clientSeed and nonce are required' });
+  }
+
+  const result = verifyDeal({ serverSeed, serverSeedHash, clientSeed, nonce, deckHash });
+  res.json(result);
+});
+
 // Get rooms
 app.get('/api/rooms', (req, res) => {
   const rooms = roomManager.getPublicRooms();
@@ -268,6 +482,542 @@ app.get('/api/rooms', (req, res) => {
 // ============== Socket.IO ==============
 
 const socketUsers = new Map();
+const seatHolds = new Map(); // playerId -> timer that vacates a disconnected player's seat
+const bots = {
+  normal: new RuleBot(),
+  expert: new MonteCarloBot({ timeBudgetMs: BOT_THINK_MS })
+};
+
+// Schafkopf tables have one bot for every difficulty
+const schafkopfBot = new SchafkopfBot();
+
+// Expert bots search for their cards here, off the thread every table runs on
+const botSearches = new SearchWorker();
+
+function findSocketByPlayerId(playerId) {
+  for (const [socketId, userInfo] of socketUsers) {
+    if ('user_' + userInfo.dbId === playerId) {
+      return io.sockets.sockets.get(socketId);
+    }
+  }
+  return null;
+}
+
+function getPlayerScores(game) {
+  const scores = {};
+  for (const player of game.players) {
+    if (player.isBot) continue; // Bots have no account
+    const dbUserId = parseInt(player.id.replace('user_', ''));
+    const scoreSummary = User.getScoreSummary(dbUserId);
+    scores[player.id] = scoreSummary;
+  }
+  return scores;
+}
+
+/**
+ * Send an event about the hand to everyone at the table, players and kibbitzers,
+ * each with what they can't see redacted (see redaction.js)
+ */
+function emitToTable(game, event, payload) {
+  for (const viewer of [...game.players, ...game.kibbitzers]) {
+    const viewerSocket = findSocketByPlayerId(viewer.id);
+    if (viewerSocket) {
+      viewerSocket.emit(event, redactFor(game, viewer.id, payload));
+    }
+  }
+}
+
+function broadcastGameState(game) {
+  const playerScores = getPlayerScores(game);
+
+  // Send state to players
+  for (const player of game.players) {
+    const playerSocket = findSocketByPlayerId(player.id);
+    if (playerSocket) {
+      const state = game.getStateForPlayer(player.id);
+      state.playerScores = playerScores;
+      if (game.phase === PHASES.CRACKING) {
+        state.crackWindowMs = CRACK_WINDOW_MS;
+      }
+      playerSocket.emit('gameState', state);
+    }
+  }
+
+  // Send state to kibbitzers
+  for (const kibbitzer of game.kibbitzers) {
+    const kibitzerSocket = findSocketByPlayerId(kibbitzer.id);
+    if (kibitzerSocket) {
+      const state = game.getStateForKibbitzer(kibbitzer.id);
+      state.playerScores = playerScores;
+      kibitzerSocket.emit('gameState', state);
+    }
+  }
+
+  scheduleBots(game);
+  scheduleCrackTimeout(game);
+}
+
+function updatePlayerStats(game, results) {
+  // Practice hands don't count
+  if (game.isPractice) return;
+
+  for (const player of game.players) {
+    if (player.isBot) continue;
+    const dbUserId = parseInt(player.id.replace('user_', ''));
+    const scoreChange = results.scores[player.id] || 0;
+
+    const handResult = {
+      wasPicker: player.id === results.picker,
+      wonAsPicker: player.id === results.picker && results.pickersWin,
+      wasCalledAsPartner: player.id === results.partner,
+      wonAsPartner: player.id === results.partner && results.pickersWin,
+      wonAsDefender: results.defendingTeam && results.defendingTeam.includes(player.id) && !results.pickersWin,
+      wentAlone: player.id === results.picker && !results.partner,
+      wonAsAlone: player.id === results.picker && !results.partner && results.pickersWin,
+      isSchwanzer: results.type === 'schwanzer',
+      wonSchwanzer: results.type === 'schwanzer' && player.id === results.winner,
+      isLeasters: results.type === 'leasters',
+      wonLeasters: results.type === 'leasters' && results.winners.includes(player.id),
+      scoreChange,
+      schneider: results.schneider && (player.id === results.picker || player.id === results.partner) && results.pickersWin,
+      schwarz: results.schwarz && (player.id === results.picker || player.id === results.partner) && results.pickersWin
+    };
+
+    User.updateStats(dbUserId, handResult);
+  }
+
+  // Players who left mid-hand are charged with abandoning it; the bot's result isn't theirs
+  for (const { playerId } of game.substitutions) {
+    User.recordAbandonment(parseInt(playerId.replace('user_', '')));
+  }
+}
+
+/**
+ * Open a games row for a table that is starting a new session.
+ * Any session still open on this table is closed first.
+ */
+function openGameSession(game) {
+  closeGameSession(game);
+  game.gameId = GameHistory.startGame(game.roomId);
+}
+
+/**
+ * Close the table's games row (no-op if no session is open)
+ */
+function closeGameSession(game) {
+  if (!game.gameId) return;
+  GameHistory.endGame(game.gameId);
+  game.gameId = null;
+}
+
+/**
+ * Write the finished hand to the hands / hand_results tables
+ * (practice tables keep no history)
+ */
+function recordHand(game, results) {
+  if (game.isPractice) return;
+  if (!game.gameId) {
+    game.gameId = GameHistory.startGame(game.roomId);
+  }
+
+  const isSchwanzer = results.type === 'schwanzer';
+  const isLeasters = results.type === 'leasters';
+  const toDbId = (id) => id && !game.isBot(id) ? parseInt(id.replace('user_', '')) : null;
+
+  const hand = isSchwanzer || isLeasters ? {
+    isSchwanzer
+  } : {
+    pickerId: toDbId(results.picker),
+    partnerId: toDbId(results.partner),
+    calledSuit: results.calledSuit,
+    isSchwanzer: false,
+    pickerPoints: results.pickingPoints,
+    defenderPoints: results.defendingPoints,
+    schneider: results.schneider,
+    schwarz: results.schwarz
+  };
+  hand.detail = game.getHandRecord();
+
+  // Bot seats are kept in the hand detail but have no account to record results against
+  const seatResults = game.players.filter(player => !player.isBot).map(player => {
+    let role;
+    if (isSchwanzer) {
+      role = 'schwanzer';
+    } else if (isLeasters) {
+      role = 'leasters';
+    } else if (player.id === results.picker) {
+      role = 'picker';
+    } else if (player.id === results.partner) {
+      role = 'partner';
+    } else {
+      role = 'defender';
+    }
+
+    return {
+      userId: toDbId(player.id),
+      role,
+      pointsTaken: isSchwanzer ? 0 : (results.playerPoints[player.id] || 0),
+      tricksWon: isSchwanzer ? 0 : (results.tricksWon[player.id]?.length || 0),
+      scoreChange: results.scores[player.id] || 0
+    };
+  });
+
+  // Players who left mid-hand: the bot that replaced them holds the seat's result
+  for (const { playerId } of game.substitutions) {
+    seatResults.push({ userId: toDbId(playerId), role: 'abandoned', pointsTaken: 0, tricksWon: 0, scoreChange: 0 });
+  }
+
+  const { handId, shareToken } = GameHistory.recordHand(game.gameId, game.handNumber, hand, seatResults);
+  results.replayUrl = `/replay/${shareToken}`;
+  results.notationUrl = `/api/hands/${handId}.txt`;
+}
+
+/**
+ * Tell the table a bot took over a departed player's seat, and let it play on
+ */
+function announceSubstitution(game, playerId, displayName, botId) {
+  const bot = game.players.find(p => p.id === botId);
+  io.to(game.roomId).emit('playerReplaced', { playerId, displayName, botId, botName: bot.name });
+  broadcastGameState(game);
+}
+
+/**
+ * Hold a disconnected player's seat for the grace window, then vacate it
+ */
+function holdSeat(game, playerId, name) {
+  clearTimeout(seatHolds.get(playerId));
+  game.markDisconnected(playerId, Date.now() + RECONNECT_GRACE_MS);
+
+  seatHolds.set(playerId, setTimeout(() => {
+    seatHolds.delete(playerId);
+    if (roomManager.getPlayerRoom(playerId) === game && !game.isConnected(playerId)) {
+      vacateSeat(game, playerId, name);
+    }
+  }, RECONNECT_GRACE_MS));
+}
+
+/**
+ * Remove a player who is gone for good (resets the hand if one is in progress)
+ */
+function vacateSeat(game, playerId, name) {
+  const roomId = game.roomId;
+  const result = roomManager.leaveRoom(playerId);
+  if (result.gameReset) {
+    closeGameSession(game);
+  }
+  if (result.substituted) {
+    announceSubstitution(game, playerId, name, result.botId);
+    return;
+  }
+
+  // Notify remaining players
+  io.to(roomId).emit('playerLeft', { playerId, displayName: name });
+
+  const updatedGame = roomManager.getRoom(roomId);
+  if (updatedGame) {
+    // If game was reset, broadcast new state to all players
+    if (result.gameReset) {
+      io.to(roomId).emit('gameReset', { message: `${name} left - game reset` });
+    }
+
+    io.to(roomId).emit('roomUpdate', {
+      players: updatedGame.players.map(p => ({ id: p.id, name: p.name, seatIndex: p.seatIndex, isBot: !!p.isBot })),
+      phase: updatedGame.phase
+    });
+
+    // Broadcast updated game state to remaining players
+    for (const player of updatedGame.players) {
+      const playerSocket = findSocketByPlayerId(player.id);
+      if (playerSocket) {
+        playerSocket.emit('gameState', updatedGame.getStateForPlayer(player.id));
+      }
+    }
+  }
+}
+
+// ============== Game Actions ==============
+// Shared by player sockets and bots: apply the action, then broadcast the
+// result to the table. Each returns the game's { success, error } result.
+
+function pickAction(game, playerId, wantsToPick) {
+  const result = game.pick(playerId, wantsToPick);
+  if (!result.success) return result;
+
+  // Check if Schwanzer or doublers (everyone passed) - hand completes immediately
+  if (result.handComplete) {
+    // A thrown-in hand isn't played, so there's nothing to score or record
+    if (!result.doubler) {
+      updatePlayerStats(game, result.results);
+      recordHand(game, result.results);
+    }
+    io.to(game.roomId).emit('handComplete', result.results);
+  }
+
+  broadcastGameState(game);
+  return result;
+}
+
+function bidAction(game, playerId, bidGame) {
+  // Only Schafkopf tables bid
+  if (game.phase !== PHASES.BIDDING) return { success: false, error: 'Not in bidding phase' };
+
+  const result = game.bid(playerId, bidGame);
+  if (!result.success) return result;
+
+  // Everyone passed - the hand is thrown in, with nothing to score or record
+  if (result.handComplete) {
+    io.to(game.roomId).emit('handComplete', result.results);
+  }
+
+  broadcastGameState(game);
+  return result;
+}
+
+function buryAction(game, playerId, cardIds) {
+  const result = game.bury(playerId, cardIds);
+  if (!result.success) return result;
+
+  broadcastGameState(game);
+  return result;
+}
+
+function callAceAction(game, playerId, { suit, goAlone, underCardId }) {
+  const result = game.callAce(playerId, suit, goAlone, underCardId);
+  if (!result.success) return result;
+
+  broadcastGameState(game);
+  return result;
+}
+
+function crackAction(game, playerId, wantsToCrack) {
+  const result = game.crack(playerId, wantsToCrack);
+  if (!result.success) return result;
+
+  if (result.cracked || result.recracked) {
+    const player = game.players.find(p => p.id === playerId);
+    io.to(game.roomId).emit('cracked', {
+      playerId,
+      displayName: player.name,
+      recrack: !!result.recracked,
+      multiplier: result.multiplier
+    });
+  }
+
+  broadcastGameState(game);
+  return result;
+}
+
+function blitzAction(game, playerId) {
+  const result = game.blitz(playerId);
+  if (!result.success) return result;
+
+  // Everyone at the table, kibitzers included, sees the Queens
+  const player = game.players.find(p => p.id === playerId);
+  io.to(game.roomId).emit('blitzed', { playerId, displayName: player.name, cardIds: result.cardIds });
+
+  broadcastGameState(game);
+  return result;
+}
+
+function playCardAction(game, playerId, cardId) {
+  const result = game.playCard(playerId, cardId);
+  if (!result.success) return result;
+
+  emitToTable(game, 'cardPlayed', {
+    playerId,
+    card: result.card,
+    isUnderCard: result.isUnderCard,
+    partnerRevealed: result.partnerRevealed
+  });
+
+  if (result.trickComplete) {
+    emitToTable(game, 'trickComplete', {
+      trick: result.trick,
+      winner: result.winner,
+      points: result.points
+    });
+
+    if (result.handComplete) {
+      updatePlayerStats(game, result.results);
+      recordHand(game, result.results);
+      io.to(game.roomId).emit('handComplete', result.results);
+    }
+  }
+
+  broadcastGameState(game);
+  return result;
+}
+
+/**
+ * Vote to play another hand with the same table. Deals the next hand
+ * once everyone has voted to continue.
+ */
+function nextHandAction(game, playerId) {
+  const result = game.markPlayerNextHand(playerId);
+
+  // Broadcast updated voting state
+  io.to(game.roomId).emit('votingUpdate', {
+    playersNextHand: game.getNextHandPlayerNames(),
+    playersLeaving: game.getLeavingPlayerNames(),
+    allVoted: result.allVoted
+  });
+
+  // Check if all players have voted
+  if (result.allVoted) {
+    if (game.allVotedNextHand()) {
+      // All players want to continue - start next hand
+      game.resetVoting();
+      const startResult = game.startHand();
+
+      if (!startResult.success) {
+        return startResult;
+      }
+
+      broadcastGameState(game);
+    } else {
+      // This shouldn't happen now since we handle leaving differently
+      // but keep it as a fallback
+      const leavingNames = game.getLeavingPlayerNames();
+      closeGameSession(game);
+      game.resetToWaiting();
+      game.resetVoting();
+
+      // Notify remaining players that session ended
+      io.to(game.roomId).emit('sessionEnded', {
+        message: `${leavingNames.join(', ')} left the table. Returning to waiting room.`
+      });
+
+      broadcastGameState(game);
+    }
+  } else {
+    // Not all votes in yet - just update state
+    broadcastGameState(game);
+  }
+
+  return { success: true };
+}
+
+// ============== Cracking ==============
+
+const crackTimers = new Map(); // roomId -> { playerId, timer } for the player deciding
+
+/**
+ * Start the clock on the player deciding whether to crack; they pass when it runs out.
+ * Called after every broadcast, so it follows the decision around the table.
+ */
+function scheduleCrackTimeout(game) {
+  const decider = game.phase === PHASES.CRACKING ? game.players[game.currentPlayerIndex].id : null;
+  const pending = crackTimers.get(game.roomId);
+  if (pending && pending.playerId === decider) return;
+
+  if (pending) {
+    clearTimeout(pending.timer);
+    crackTimers.delete(game.roomId);
+  }
+  if (!decider || game.isBot(decider)) return;
+
+  crackTimers.set(game.roomId, {
+    playerId: decider,
+    timer: setTimeout(() => {
+      crackTimers.delete(game.roomId);
+      if (roomManager.getRoom(game.roomId) !== game) return;
+      if (game.phase === PHASES.CRACKING && game.players[game.currentPlayerIndex].id === decider) {
+        crackAction(game, decider, false);
+      }
+    }, CRACK_WINDOW_MS)
+  });
+}
+
+// ============== Bots ==============
+
+const botTimers = new Map(); // roomId -> pending bot move (its timer, or its card search)
+
+/**
+ * Let the next bot at the table act, after a short pause so people can follow.
+ * Called after every broadcast; one bot move is pending per table at a time.
+ */
+function scheduleBots(game) {
+  if (botTimers.has(game.roomId)) return;
+  if (!game.players.some(p => p.isBot)) return;
+
+  botTimers.set(game.roomId, setTimeout(() => {
+    botTimers.delete(game.roomId);
+    if (roomManager.getRoom(game.roomId) !== game) return;
+
+    for (const player of game.players) {
+      if (!player.isBot) continue;
+
+      const bot = game.rules.game === 'schafkopf' ? schafkopfBot : (bots[player.difficulty] || bots.normal);
+      if (bot instanceof MonteCarloBot) {
+        const state = game.getStateForPlayer(player.id);
+        if (state && bot.searchesFor(state)) {
+          searchForCard(game, player, state);
+          return;
+        }
+      }
+
+      const action = bot.chooseAction(game, player.id);
+      if (!action) continue;
+
+      const result = performBotAction(game, player.id, action);
+      if (!result.success) {
+        console.error(`Bot ${player.name} in ${game.roomId} made an illegal ${action.type}: ${result.error}`);
+      }
+      return; // The broadcast after the action schedules the next bot
+    }
+  }, BOT_DELAY_MS));
+}
+
+/**
+ * Have an expert bot search for its card on the search worker, then play it -
+ * unless the table moved on while it thought (the hand was reset, say).
+ * If the search fails, the bot plays the rule-based card instead.
+ */
+function searchForCard(game, player, state) {
+  const search = botSearches.run('chooseCard', { state, playerId: player.id, options: { timeBudgetMs: BOT_THINK_MS } })
+    .catch((err) => {
+      console.error(`Card search for ${player.name} in ${game.roomId} failed:`, err.message);
+      return bots.normal.chooseCard(state, player.id);
+    })
+    .then((cardId) => {
+      botTimers.delete(game.roomId);
+      if (roomManager.getRoom(game.roomId) !== game) return;
+
+      if (!game.getStateForPlayer(player.id)?.playableCards?.includes(cardId)) {
+        scheduleBots(game);
+        return;
+      }
+      const result = performBotAction(game, player.id, { type: 'playCard', cardId });
+      if (!result.success) {
+        console.error(`Bot ${player.name} in ${game.roomId} made an illegal playCard: ${result.error}`);
+      }
+    });
+
+  botTimers.set(game.roomId, search);
+}
+
+function performBotAction(game, playerId, action) {
+  switch (action.type) {
+    case 'pick':
+      return pickAction(game, playerId, action.wantsToPick);
+    case 'bid':
+      return bidAction(game, playerId, action.game);
+    case 'callAce':
+      return callAceAction(game, playerId, action);
+    case 'bury':
+      return buryAction(game, playerId, action.cardIds);
+    case 'crack':
+      return crackAction(game, playerId, action.wantsToCrack);
+    case 'blitz':
+      return blitzAction(game, playerId);
+    case 'playCard':
+      return playCardAction(game, playerId, action.cardId);
+    case 'newHand':
+      return nextHandAction(game, playerId);
+    default:
+      return { success: false, error: `Unknown action ${action.type}` };
+  }
+}
 
 io.on('connection', (socket) => {
   const sess = socket.request.session;
@@ -328,8 +1078,16 @@ io.on('connection', (socket) => {
       // Notify others that a kibbitzer joined
       socket.to(roomId).emit('kibitzerJoined', { kibitzerId: playerId, displayName });
     } else {
-      // Join as player
-      const result = roomManager.joinRoom(roomId, playerId, displayName);
+      // Already seated at this table (e.g. after a restart) - back to the seat
+      const seatedGame = roomManager.getPlayerRoom(playerId);
+      if (seatedGame && seatedGame.roomId === roomId && seatedGame.players.find(p => p.id === playerId)) {
+        resumeSeat(seatedGame);
+        return;
+      }
+
+      // Join as player (house rules apply only if this creates the table)
+      const rules = typeof data === 'object' ? data.rules : null;
+      const result = roomManager.joinRoom(roomId, playerId, displayName, { rules });
 
       if (!result.success) {
         socket.emit('error', { message: result.error });
@@ -351,12 +1109,21 @@ io.on('connection', (socket) => {
       socket.to(roomId).emit('playerJoined', { playerId, displayName, seatIndex: result.seatIndex });
 
       io.to(roomId).emit('roomUpdate', {
-        players: game.players.map(p => ({ id: p.id, name: p.name, seatIndex: p.seatIndex })),
+        players: game.players.map(p => ({ id: p.id, name: p.name, seatIndex: p.seatIndex, isBot: !!p.isBot })),
         phase: game.phase
       });
     }
   });
 
+  socket.on('resumeSeat', () => {
+    const playerId = 'user_' + oderId;
+    const game = roomManager.getPlayerRoom(playerId);
+
+    if (game && game.players.find(p => p.id === playerId)) {
+      resumeSeat(game);
+    }
+  });
+
   socket.on('leaveRoom', () => {
     const playerId = 'user_' + oderId;
     const game = roomManager.getPlayerRoom(playerId);
@@ -373,14 +1140,21 @@ io.on('connection', (socket) => {
       } else {
         // Remove player
         const roomId = game.roomId;
-        roomManager.leaveRoom(playerId);
+        const result = roomManager.leaveRoom(playerId);
+        if (result.gameReset) {
+          closeGameSession(game);
+        }
         socket.leave(roomId);
+        if (result.substituted) {
+          announceSubstitution(game, playerId, displayName, result.botId);
+          return;
+        }
         socket.to(roomId).emit('playerLeft', { playerId, displayName });
 
         const updatedGame = roomManager.getRoom(roomId);
         if (updatedGame) {
           io.to(roomId).emit('roomUpdate', {
-            players: updatedGame.players.map(p => ({ id: p.id, name: p.name, seatIndex: p.seatIndex })),
+            players: updatedGame.players.map(p => ({ id: p.id, name: p.name, seatIndex: p.seatIndex, isBot: !!p.isBot })),
             phase: updatedGame.phase
           });
         }
@@ -388,6 +1162,73 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('addBot', (data) => {
+    const playerId = 'user_' + oderId;
+    const game = roomManager.getPlayerRoom(playerId);
+
+    if (!game) {
+      socket.emit('error', { message: 'Not in a room' });
+      return;
+    }
+
+    const result = roomManager.addBot(game.roomId, { difficulty: data?.difficulty || 'normal' });
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+      return;
+    }
+
+    const bot = game.players.find(p => p.id === result.botId);
+    io.to(game.roomId).emit('playerJoined', { playerId: bot.id, displayName: bot.name, seatIndex: bot.seatIndex });
+    io.to(game.roomId).emit('roomUpdate', {
+      players: game.players.map(p => ({ id: p.id, name: p.name, seatIndex: p.seatIndex, isBot: !!p.isBot })),
+      phase: game.phase
+    });
+    broadcastGameState(game);
+  });
+
+  socket.on('removeBot', (botId) => {
+    const playerId = 'user_' + oderId;
+    const game = roomManager.getPlayerRoom(playerId);
+
+    if (!game || roomManager.getPlayerRoom(botId) !== game) {
+      socket.emit('error', { message: 'Bot not found' });
+      return;
+    }
+
+    const bot = game.players.find(p => p.id === botId);
+    const result = roomManager.removeBot(botId);
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+      return;
+    }
+
+    io.to(game.roomId).emit('playerLeft', { playerId: botId, displayName: bot.name });
+    io.to(game.roomId).emit('roomUpdate', {
+      players: game.players.map(p => ({ id: p.id, name: p.name, seatIndex: p.seatIndex, isBot: !!p.isBot })),
+      phase: game.phase
+    });
+    broadcastGameState(game);
+  });
+
+  socket.on('setBotDifficulty', (data) => {
+    const playerId = 'user_' + oderId;
+    const game = roomManager.getPlayerRoom(playerId);
+    const { botId, difficulty } = data || {};
+
+    if (!game || roomManager.getPlayerRoom(botId) !== game) {
+      socket.emit('error', { message: 'Bot not found' });
+      return;
+    }
+
+    const result = roomManager.setBotDifficulty(botId, difficulty);
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+      return;
+    }
+
+    broadcastGameState(game);
+  });
+
   socket.on('startGame', () => {
     const playerId = 'user_' + oderId;
     const game = roomManager.getPlayerRoom(playerId);
@@ -404,12 +1245,15 @@ io.on('connection', (socket) => {
       return;
     }
 
+    openGameSession(game);
+
     for (const player of game.players) {
       const playerSocket = findSocketByPlayerId(player.id);
       if (playerSocket) {
         playerSocket.emit('gameState', game.getStateForPlayer(player.id));
       }
     }
+    scheduleBots(game);
   });
 
   socket.on('pick', (wantsToPick) => {
@@ -421,20 +1265,27 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const result = game.pick(playerId, wantsToPick);
+    const result = pickAction(game, playerId, wantsToPick);
 
     if (!result.success) {
       socket.emit('error', { message: result.error });
-      return;
     }
+  });
 
-    // Check if Schwanzer (everyone passed) - hand completes immediately
-    if (result.schwanzer && result.handComplete) {
-      updatePlayerStats(game, result.results);
-      io.to(game.roomId).emit('handComplete', result.results);
+  socket.on('bid', (bidGame) => {
+    const playerId = 'user_' + oderId;
+    const game = roomManager.getPlayerRoom(playerId);
+
+    if (!game) {
+      socket.emit('error', { message: 'Not in a room' });
+      return;
     }
 
-    broadcastGameState(game);
+    const result = bidAction(game, playerId, bidGame || null);
+
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+    }
   });
 
   socket.on('bury', (cardIds) => {
@@ -446,14 +1297,11 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const result = game.bury(playerId, cardIds);
+    const result = buryAction(game, playerId, cardIds);
 
     if (!result.success) {
       socket.emit('error', { message: result.error });
-      return;
     }
-
-    broadcastGameState(game);
   });
 
   socket.on('callAce', (data) => {
@@ -465,7 +1313,7 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const result = game.callAce(playerId, data.suit, data.goAlone, data.underCardId);
+    const result = callAceAction(game, playerId, data);
 
     if (!result.success) {
       // If needs under card, send back the requirement
@@ -474,13 +1322,26 @@ io.on('connection', (socket) => {
         return;
       }
       socket.emit('error', { message: result.error });
+    }
+  });
+
+  socket.on('crack', (wantsToCrack) => {
+    const playerId = 'user_' + oderId;
+    const game = roomManager.getPlayerRoom(playerId);
+
+    if (!game) {
+      socket.emit('error', { message: 'Not in a room' });
       return;
     }
 
-    broadcastGameState(game);
+    const result = crackAction(game, playerId, !!wantsToCrack);
+
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+    }
   });
 
-  socket.on('playCard', (cardId) => {
+  socket.on('blitz', () => {
     const playerId = 'user_' + oderId;
     const game = roomManager.getPlayerRoom(playerId);
 
@@ -489,33 +1350,45 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const result = game.playCard(playerId, cardId);
+    const result = blitzAction(game, playerId);
 
     if (!result.success) {
       socket.emit('error', { message: result.error });
+    }
+  });
+
+  socket.on('playCard', (cardId) => {
+    const playerId = 'user_' + oderId;
+    const game = roomManager.getPlayerRoom(playerId);
+
+    if (!game) {
+      socket.emit('error', { message: 'Not in a room' });
       return;
     }
 
-    io.to(game.roomId).emit('cardPlayed', {
-      playerId,
-      card: result.card,
-      partnerRevealed: result.partnerRevealed
-    });
+    const result = playCardAction(game, playerId, cardId);
 
-    if (result.trickComplete) {
-      io.to(game.roomId).emit('trickComplete', {
-        trick: result.trick,
-        winner: result.winner,
-        points: result.points
-      });
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+    }
+  });
 
-      if (result.handComplete) {
-        updatePlayerStats(game, result.results);
-        io.to(game.roomId).emit('handComplete', result.results);
-      }
+  socket.on('setClientSeed', (clientSeed) => {
+    const playerId = 'user_' + oderId;
+    const game = roomManager.getPlayerRoom(playerId);
+
+    if (!game) {
+      socket.emit('error', { message: 'Not in a room' });
+      return;
     }
 
-    broadcastGameState(game);
+    const result = game.setClientSeed(playerId, clientSeed);
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+      return;
+    }
+
+    socket.emit('clientSeedSet', { clientSeed, nextServerSeedHash: result.nextServerSeedHash });
   });
 
   socket.on('newHand', () => {
@@ -533,7 +1406,7 @@ io.on('connection', (socket) => {
     }
 
     // Check if anyone has already left
-    const someoneLeavingOrLeft = game.playersLeaving.length > 0 || game.players.length < 5;
+    const someoneLeavingOrLeft = game.playersLeaving.length > 0 || game.players.length < game.numPlayers;
 
     if (someoneLeavingOrLeft) {
       // Someone left - can't continue with current players
@@ -554,6 +1427,7 @@ io.on('connection', (socket) => {
 
       // Check if this was the last player to vote - if so, reset the game
       if (game.haveAllPlayersVoted()) {
+        closeGameSession(game);
         game.resetToWaiting();
         game.resetVoting();
         broadcastGameState(game);
@@ -563,45 +1437,10 @@ io.on('connection', (socket) => {
     }
 
     // No one has left yet - mark this player as wanting next hand
-    const result = game.markPlayerNextHand(playerId);
-
-    // Broadcast updated voting state
-    io.to(game.roomId).emit('votingUpdate', {
-      playersNextHand: game.getNextHandPlayerNames(),
-      playersLeaving: game.getLeavingPlayerNames(),
-      allVoted: result.allVoted
-    });
-
-    // Check if all players have voted
-    if (result.allVoted) {
-      if (game.allVotedNextHand()) {
-        // All players want to continue - start next hand
-        game.resetVoting();
-        const startResult = game.startHand();
-
-        if (!startResult.success) {
-          socket.emit('error', { message: startResult.error });
-          return;
-        }
-
-        broadcastGameState(game);
-      } else {
-        // This shouldn't happen now since we handle leaving differently
-        // but keep it as a fallback
-        const leavingNames = game.getLeavingPlayerNames();
-        game.resetToWaiting();
-        game.resetVoting();
+    const result = nextHandAction(game, playerId);
 
-        // Notify remaining players that session ended
-        io.to(game.roomId).emit('sessionEnded', {
-          message: `${leavingNames.join(', ')} left the table. Returning to waiting room.`
-        });
-
-        broadcastGameState(game);
-      }
-    } else {
-      // Not all votes in yet - just update state
-      broadcastGameState(game);
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
     }
   });
 
@@ -624,18 +1463,34 @@ io.on('connection', (socket) => {
       return;
     }
 
+    const roomId = game.roomId;
+
+    // Mid-hand a bot plays the seat out (when there's someone left to play with)
+    if (game.isHandInProgress()) {
+      const result = roomManager.leaveRoom(playerId);
+      if (!result.substituted) {
+        closeGameSession(game);
+      }
+      socket.leave(roomId);
+      socket.emit('returnToLobby', { message: 'You left the table' });
+      if (result.substituted) {
+        announceSubstitution(game, playerId, displayName, result.botId);
+      }
+      return;
+    }
+
     if (game.phase !== PHASES.SCORING) {
       socket.emit('error', { message: 'Can only leave table after hand is complete' });
       return;
     }
 
-    const roomId = game.roomId;
-
     // Mark as leaving (stores name for display)
     game.markPlayerLeaving(playerId);
 
     // Remove the player immediately and send them to lobby
+    // (removing a seat mid-session resets the table, so the session ends here)
     roomManager.leaveRoom(playerId);
+    closeGameSession(game);
     socket.leave(roomId);
 
     // Tell this player to go to lobby
@@ -688,107 +1543,53 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', () => {
     console.log('User disconnected: ' + displayName);
+    socketUsers.delete(socket.id);
 
-    // Auto-leave room on disconnect
     const playerId = 'user_' + oderId;
     const game = roomManager.getPlayerRoom(playerId);
 
-    if (game) {
-      const roomId = game.roomId;
-      const result = roomManager.leaveRoom(playerId);
-
-      // Notify remaining players
-      socket.to(roomId).emit('playerLeft', { playerId, displayName });
-
-      const updatedGame = roomManager.getRoom(roomId);
-      if (updatedGame) {
-        // If game was reset, broadcast new state to all players
-        if (result.gameReset) {
-          io.to(roomId).emit('gameReset', { message: `${displayName} left - game reset` });
-        }
+    // Not seated, or still connected from another socket (reconnected before this one dropped)
+    if (!game || findSocketByPlayerId(playerId)) {
+      return;
+    }
 
-        io.to(roomId).emit('roomUpdate', {
-          players: updatedGame.players.map(p => ({ id: p.id, name: p.name, seatIndex: p.seatIndex })),
-          phase: updatedGame.phase
-        });
-
-        // Broadcast updated game state to remaining players
-        for (const player of updatedGame.players) {
-          const playerSocket = findSocketByPlayerId(player.id);
-          if (playerSocket) {
-            playerSocket.emit('gameState', updatedGame.getStateForPlayer(player.id));
-          }
-        }
-      }
+    if (game.phase === PHASES.WAITING) {
+      // No hand to protect - free the seat right away
+      vacateSeat(game, playerId, displayName);
+      return;
     }
 
-    socketUsers.delete(socket.id);
+    // Keep the seat and cards while they reconnect
+    holdSeat(game, playerId, displayName);
+    io.to(game.roomId).emit('playerDisconnected', { playerId, displayName, graceMs: RECONNECT_GRACE_MS });
+    broadcastGameState(game);
   });
 
-  function findSocketByPlayerId(playerId) {
-    for (const [socketId, userInfo] of socketUsers) {
-      if ('user_' + userInfo.dbId === playerId) {
-        return io.sockets.sockets.get(socketId);
-      }
-    }
-    return null;
-  }
-
-  function getPlayerScores(game) {
-    const scores = {};
-    for (const player of game.players) {
-      const dbUserId = parseInt(player.id.replace('user_', ''));
-      const scoreSummary = User.getScoreSummary(dbUserId);
-      scores[player.id] = scoreSummary;
-    }
-    return scores;
-  }
+  /**
+   * Put this socket back in the seat its player still holds
+   */
+  function resumeSeat(game) {
+    const playerId = 'user_' + oderId;
 
-  function broadcastGameState(game) {
-    const playerScores = getPlayerScores(game);
+    clearTimeout(seatHolds.get(playerId));
+    seatHolds.delete(playerId);
+    const { wasDisconnected } = game.markConnected(playerId);
 
-    // Send state to players
-    for (const player of game.players) {
-      const playerSocket = findSocketByPlayerId(player.id);
-      if (playerSocket) {
-        const state = game.getStateForPlayer(player.id);
-        state.playerScores = playerScores;
-        playerSocket.emit('gameState', state);
-      }
-    }
+    socket.join(game.roomId);
+    socket.emit('seatResumed', { roomId: game.roomId });
 
-    // Send state to kibbitzers
-    for (const kibbitzer of game.kibbitzers) {
-      const kibitzerSocket = findSocketByPlayerId(kibbitzer.id);
-      if (kibitzerSocket) {
-        const state = game.getStateForKibbitzer(kibbitzer.id);
-        state.playerScores = playerScores;
-        kibitzerSocket.emit('gameState', state);
-      }
+    if (wasDisconnected) {
+      socket.to(game.roomId).emit('playerReconnected', { playerId, displayName });
+      broadcastGameState(game);
+    } else {
+      const state = game.getStateForPlayer(playerId);
+      state.playerScores = getPlayerScores(game);
+      socket.emit('gameState', state);
     }
-  }
 
-  function updatePlayerStats(game, results) {
-    for (const player of game.players) {
-      const dbUserId = parseInt(player.id.replace('user_', ''));
-      const scoreChange = results.scores[player.id] || 0;
-
-      const handResult = {
-        wasPicker: player.id === results.picker,
-        wonAsPicker: player.id === results.picker && results.pickersWin,
-        wasCalledAsPartner: player.id === results.partner,
-        wonAsPartner: player.id === results.partner && results.pickersWin,
-        wonAsDefender: results.defendingTeam && results.defendingTeam.includes(player.id) && !results.pickersWin,
-        wentAlone: player.id === results.picker && !results.partner,
-        wonAsAlone: player.id === results.picker && !results.partner && results.pickersWin,
-        isSchwanzer: results.type === 'schwanzer',
-        wonSchwanzer: results.type === 'schwanzer' && player.id === results.winner,
-        scoreChange,
-        schneider: results.schneider && (player.id === results.picker || player.id === results.partner) && results.pickersWin,
-        schwarz: results.schwarz && (player.id === results.picker || player.id === results.partner) && results.pickersWin
-      };
-
-      User.updateStats(dbUserId, handResult);
+    // The scoring overlay is driven by handComplete
+    if (game.phase === PHASES.SCORING && game.handResults) {
+      socket.emit('handComplete', game.handResults);
     }
   }
 });
@@ -799,6 +1600,17 @@ async function start() {
     await db.initDb();
     console.log('Database initialized');
 
+    const { restored } = roomManager.start();
+    console.log('Restored ' + restored + ' room(s)');
+
+    // Nobody is connected after a restart, so every restored seat gets the
+    // same grace period as a dropped player: a table nobody comes back to frees itself
+    for (const game of roomManager.rooms.values()) {
+      for (const player of game.players) {
+        if (!player.isBot) holdSeat(game, player.id, player.name);
+      }
+    }
+
     server.listen(PORT, () => {
       console.log('Sheepshead server running on port ' + PORT);
     });
@@ -808,4 +1620,14 @@ async function start() {
   }
 }
 
+// Save live rooms before shutting down (deploys send SIGTERM)
+function shutdown() {
+  roomManager.stop();
+  roomManager.persistRooms();
+  process.exit(0);
+}
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
 start();
@@ -0,0 +1,145 @@
+/**
+ * Action Log Tests
+ * Every hand keeps an append-only log of the deal and each decision,
+ * which is enough to rebuild the hand exactly.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { setupGame } = require('./helpers');
+
+/**
+ * Play out a hand: first player picks, calls the first option they can
+ * (selecting an under card if needed), buries the first legal pair, and
+ * everyone plays their first playable card.
+ */
+function playHand(game) {
+  const picker = game.players[game.pickingIndex].id;
+  game.pick(picker, true);
+
+  const callable = game.getCallableOptions(picker);
+  if (callable.goAlone || callable.options.length === 0) {
+    game.callAce(picker, null, true);
+  } else {
+    const option = callable.options[0];
+    const underCardId = callable.mustSelectUnderCard ? game.hands[picker][0].id : null;
+    game.callAce(picker, option.suit, false, underCardId);
+  }
+
+  const hand = game.hands[picker];
+  buryLoop:
+  for (let i = 0; i < hand.length; i++) {
+    for (let j = i + 1; j < hand.length; j++) {
+      if (game.bury(picker, [hand[i].id, hand[j].id]).success) break buryLoop;
+    }
+  }
+
+  while (game.phase === 'playing') {
+    const current = game.players[game.currentPlayerIndex].id;
+    const state = game.getStateForPlayer(current);
+    game.playCard(current, state.playableCards[0]);
+  }
+}
+
+describe('Action Log', () => {
+  test('deal entry records the full deck order, players and dealer', () => {
+    const game = setupGame();
+    game.startHand();
+
+    expect(game.actionLog).toHaveLength(1);
+    const deal = game.actionLog[0];
+    expect(deal.type).toBe('deal');
+    expect(deal.deck).toHaveLength(32);
+    expect(new Set(deal.deck).size).toBe(32);
+    expect(deal.dealerIndex).toBe(0);
+    expect(deal.players.map(p => p.id)).toEqual(game.players.map(p => p.id));
+    expect(typeof deal.timestamp).toBe('number');
+  });
+
+  test('logs pick, call, bury and every card played in order', () => {
+    const game = setupGame();
+    game.startHand();
+    game.pick('player1', false);
+    playHand(game);
+
+    const types = game.actionLog.map(a => a.type);
+    expect(types.slice(0, 5)).toEqual(['deal', 'pick', 'pick', 'call', 'bury']);
+    expect(types.filter(t => t === 'play')).toHaveLength(30);
+    expect(game.actionLog.map(a => a.seq)).toEqual(game.actionLog.map((_, i) => i));
+  });
+
+  test('log entries cannot be modified', () => {
+    const game = setupGame();
+    game.startHand();
+    game.pick('player1', false);
+
+    const entry = game.actionLog[1];
+    expect(Object.isFrozen(entry)).toBe(true);
+    expect(() => { 'use strict'; entry.picked = true; }).toThrow();
+  });
+
+  test('log is included in the hand results', () => {
+    const game = setupGame();
+    game.startHand();
+    playHand(game);
+
+    expect(game.handResults.actionLog).toEqual(game.actionLog);
+  });
+
+  test('log is included in schwanzer results', () => {
+    const game = setupGame();
+    game.startHand();
+    let result;
+    for (let i = 1; i <= 5; i++) {
+      result = game.pick(`player${i % 5}`, false);
+    }
+
+    expect(result.results.actionLog.map(a => a.type)).toEqual(['deal', 'pick', 'pick', 'pick', 'pick', 'pick']);
+  });
+
+  test('log resets at the start of each hand', () => {
+    const game = setupGame();
+    game.startHand();
+    playHand(game);
+    game.startHand();
+
+    expect(game.actionLog).toHaveLength(1);
+    expect(game.actionLog[0].dealerIndex).toBe(1);
+  });
+
+  test('replaying the log rebuilds the same hand and results', () => {
+    for (let n = 0; n < 10; n++) {
+      const game = setupGame();
+      game.startHand();
+      playHand(game);
+
+      const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+      expect(replay.phase).toBe('scoring');
+      expect(replay.buried).toEqual(game.buried);
+      expect(replay.tricks).toEqual(game.tricks);
+      expect(replay.handResults.scores).toEqual(game.handResults.scores);
+      expect(replay.handResults.pickingPoints).toBe(game.handResults.pickingPoints);
+    }
+  });
+
+  test('replaying a partial log stops at the same point', () => {
+    const game = setupGame();
+    game.startHand();
+    game.pick('player1', false);
+    game.pick('player2', true);
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay.phase).toBe('calling');
+    expect(replay.picker).toBe('player2');
+    expect(replay.hands.player2).toEqual(game.hands.player2);
+  });
+
+  test('replay rejects a log that breaks the rules', () => {
+    const game = setupGame();
+    game.startHand();
+    const log = [...game.actionLog, { seq: 1, type: 'pick', playerId: 'player3', picked: true }];
+
+    expect(() => SheepsheadGame.fromActionLog(log)).toThrow('Not your turn to pick');
+  });
+});
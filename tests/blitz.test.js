@@ -0,0 +1,155 @@
+/**
+ * Blitz Tests
+ * Under the blitz house rule, a player holding both black (or red) Queens may
+ * show them before the first lead to double the hand.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { createDeck, createSeededRandom } = require('../src/game/deck');
+const MonteCarloBot = require('../src/game/MonteCarloBot');
+const { validateRules, describeRules } = require('../src/game/rules');
+const { setupGame, playUntil } = require('./helpers');
+
+const BLACK_QUEENS = ['Q_clubs', 'Q_spades'];
+
+const BLACK_BLITZ = { blitz: 'black' };
+
+/**
+ * Deal with both black Queens to player2 (first and second cards dealt to that seat)
+ */
+function dealBlackQueensTo2(rules = BLACK_BLITZ) {
+  const ids = createDeck().map(c => c.id).filter(id => !BLACK_QUEENS.includes(id));
+  ids.splice(2, 0, 'Q_clubs');
+  ids.splice(7, 0, 'Q_spades');
+
+  const game = setupGame(rules);
+  game.startHand({ deck: ids });
+  return game;
+}
+
+describe('Eligibility', () => {
+  test('Only the holder of both Queens can blitz', () => {
+    const game = dealBlackQueensTo2();
+
+    expect(game.canBlitz('player2')).toBe(true);
+    expect(game.getStateForPlayer('player2').canBlitz).toBe(true);
+    expect(game.getStateForPlayer('player1').canBlitz).toBe(false);
+    expect(game.blitz('player1').error).toBe('Cannot blitz');
+  });
+
+  test('Tables without the rule, or blitzing red, do not allow it', () => {
+    expect(dealBlackQueensTo2(null).canBlitz('player2')).toBe(false);
+    expect(dealBlackQueensTo2({ blitz: 'red' }).canBlitz('player2')).toBe(false);
+  });
+
+  test('A blitz can be made out of turn', () => {
+    const game = dealBlackQueensTo2();
+
+    expect(game.players[game.pickingIndex].id).toBe('player1');
+    expect(game.blitz('player2').success).toBe(true);
+    expect(game.blitzedBy).toBe('player2');
+  });
+
+  test('A blitz can be made up to the first lead, but not after', () => {
+    const game = dealBlackQueensTo2(null);
+    playUntil(game, g => g.phase === 'playing');
+    if (game.phase !== 'playing') return; // Everyone passed
+    game.rules.blitz = 'black';
+
+    expect(game.canBlitz('player2')).toBe(true);
+    const leader = game.players[game.currentPlayerIndex].id;
+    game.playCard(leader, game.getStateForPlayer(leader).playableCards[0]);
+    expect(game.canBlitz('player2')).toBe(false);
+  });
+
+  test('Only one blitz per hand', () => {
+    const game = dealBlackQueensTo2();
+
+    expect(game.blitz('player2')).toEqual({ success: true, cardIds: BLACK_QUEENS });
+    expect(game.blitz('player2').error).toBe('Cannot blitz');
+  });
+});
+
+describe('Announcing', () => {
+  test('Players and kibbitzers see the Queens', () => {
+    const game = dealBlackQueensTo2();
+    game.addKibbitzer('watcher', 'Watcher');
+    game.blitz('player2');
+
+    const blitz = { playerId: 'player2', cardIds: BLACK_QUEENS };
+    expect(game.getStateForPlayer('player0').blitz).toEqual(blitz);
+    expect(game.getStateForKibbitzer('watcher').blitz).toEqual(blitz);
+    expect(game.actionLog.at(-1)).toMatchObject({ type: 'blitz', playerId: 'player2' });
+  });
+
+  test('The expert bot deals the shown Queens to the blitzer', () => {
+    const game = dealBlackQueensTo2();
+    playUntil(game, g => g.phase === 'playing');
+    expect(game.blitzedBy).toBe('player2');
+    const me = game.players.find(p => p.id !== 'player2' && p.id !== game.picker).id;
+    const bot = new MonteCarloBot({ maxSamples: 10, random: createSeededRandom(1) });
+
+    const knowledge = bot.analyze(game.getStateForPlayer(me), me);
+    for (let i = 0; i < 5; i++) {
+      const deal = bot.sampleDeal(knowledge);
+      expect(deal.hands.player2.map(c => c.id)).toEqual(expect.arrayContaining(BLACK_QUEENS));
+    }
+  });
+});
+
+describe('Scoring', () => {
+  function setupScoring(points, { alone = false } = {}) {
+    const game = setupGame(BLACK_BLITZ);
+    game.picker = 'player0';
+    game.partner = alone ? null : 'player1';
+    game.buried = [];
+    game.blitzedBy = 'player3';
+    game.players.forEach((p, i) => {
+      game.tricksWon[p.id] = points[i] === null ? [] : [{ points: points[i] }];
+    });
+    return game._scoreNormalHand();
+  }
+
+  test('A blitz doubles the hand', () => {
+    const results = setupScoring([50, 20, 20, 20, 10]);
+
+    expect(results.blitzMultiplier).toBe(2);
+    expect(results.scores).toEqual({ player0: 4, player1: 2, player2: -2, player3: -2, player4: -2 });
+  });
+
+  test('The blitz multiplies schneider and schwarz', () => {
+    expect(setupScoring([80, 20, 10, 10, 0]).scores.player0).toBe(2 * 2 * 2);
+    expect(setupScoring([120, null, null, null, null], { alone: true }).scores.player0).toBe(3 * 2 * 4);
+  });
+
+  test('Bots blitz and play hands to a zero-sum result', () => {
+    let blitzes = 0;
+    for (let seed = 1; seed <= 20; seed++) {
+      const game = setupGame(BLACK_BLITZ);
+      game.startHand({ seed });
+      playUntil(game);
+
+      if (game.blitzedBy) blitzes++;
+      expect(Object.values(game.handResults.scores).reduce((a, b) => a + b, 0)).toBe(0);
+    }
+    expect(blitzes).toBeGreaterThan(0);
+  });
+});
+
+describe('Replay and Rules', () => {
+  test('Replaying the log applies the blitz', () => {
+    const game = dealBlackQueensTo2();
+    playUntil(game);
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay.blitzedBy).toBe('player2');
+    expect(replay.handResults.scores).toEqual(game.handResults.scores);
+    expect(game.getHandRecord().blitz).toEqual({ playerId: 'player2', cardIds: BLACK_QUEENS });
+  });
+
+  test('The blitz rule is validated and listed', () => {
+    expect(validateRules({ blitz: 'green' }).success).toBe(false);
+    expect(describeRules(validateRules({ blitz: 'red' }).rules)).toEqual(['Blitz red Queens']);
+  });
+});
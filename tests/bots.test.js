@@ -0,0 +1,306 @@
+/**
+ * Bot Tests
+ * Rule-based computer players make legal decisions from their own seat's view,
+ * and can be added to and removed from tables.
+ */
+
+jest.mock('../src/models/RoomSnapshot', () => ({
+  save: jest.fn(),
+  remove: jest.fn(),
+  getAll: jest.fn(() => [])
+}));
+
+const { POINT_VALUES } = require('../src/game/constants');
+const RuleBot = require('../src/game/RuleBot');
+const roomManager = require('../src/game/RoomManager');
+const { setupBotGame, apply } = require('./helpers');
+
+function card(rank, suit) {
+  return { rank, suit, id: `${rank}_${suit}`, points: POINT_VALUES[rank] };
+}
+
+/**
+ * Let the bots play the current hand to the end
+ */
+function playHand(game, bot) {
+  for (let steps = 0; steps < 100 && game.phase !== 'scoring'; steps++) {
+    const actions = game.players
+      .map(p => ({ playerId: p.id, action: bot.chooseAction(game, p.id) }))
+      .filter(a => a.action);
+
+    expect(actions).toHaveLength(1);
+    const { playerId, action } = actions[0];
+    const result = apply(game, playerId, action);
+    expect(result.success).toBe(true);
+  }
+}
+
+describe('Full Hands', () => {
+  test('Bots play whole hands legally', () => {
+    const bot = new RuleBot();
+    for (let seed = 1; seed <= 40; seed++) {
+      const game = setupBotGame();
+      game.startHand({ seed });
+      playHand(game, bot);
+
+      expect(game.phase).toBe('scoring');
+      expect(game.handResults).toBeTruthy();
+    }
+  });
+
+  test('Bots vote for the next hand once', () => {
+    const bot = new RuleBot();
+    const game = setupBotGame();
+    game.startHand({ seed: 2 });
+    playHand(game, bot);
+
+    expect(bot.chooseAction(game, 'bot0')).toEqual({ type: 'newHand' });
+    game.playersNextHand.push('bot0');
+    expect(bot.chooseAction(game, 'bot0')).toBeNull();
+  });
+
+  test('Only the seat to act gets an action', () => {
+    const bot = new RuleBot();
+    const game = setupBotGame();
+    game.startHand({ seed: 4 });
+
+    const toAct = game.players[game.pickingIndex].id;
+    for (const player of game.players) {
+      const action = bot.chooseAction(game, player.id);
+      if (player.id === toAct) {
+        expect(action.type).toBe('pick');
+      } else {
+        expect(action).toBeNull();
+      }
+    }
+  });
+});
+
+describe('Picking', () => {
+  const bot = new RuleBot();
+
+  test('Picks with four trump', () => {
+    const state = {
+      hand: [card('Q', 'clubs'), card('J', 'spades'), card('A', 'diamonds'), card('7', 'diamonds'),
+        card('9', 'hearts'), card('K', 'spades')],
+      passedPlayers: []
+    };
+    expect(bot.shouldPick(state)).toBe(true);
+  });
+
+  test('Passes with two trump', () => {
+    const state = {
+      hand: [card('Q', 'clubs'), card('7', 'diamonds'), card('9', 'hearts'), card('K', 'spades'),
+        card('10', 'clubs'), card('A', 'hearts')],
+      passedPlayers: []
+    };
+    expect(bot.shouldPick(state)).toBe(false);
+  });
+
+  test('Picks with fewer trump when everyone else has passed', () => {
+    const state = {
+      hand: [card('J', 'diamonds'), card('8', 'diamonds'), card('7', 'diamonds'), card('9', 'hearts'),
+        card('K', 'spades'), card('10', 'clubs')],
+      passedPlayers: ['a', 'b', 'c', 'd']
+    };
+    expect(bot.shouldPick(state)).toBe(true);
+    expect(bot.shouldPick({ ...state, passedPlayers: ['a'] })).toBe(false);
+  });
+});
+
+describe('Burying', () => {
+  test('Buries fail points rather than trump', () => {
+    const bot = new RuleBot();
+    const game = setupBotGame();
+    game.phase = 'burying';
+    game.picker = 'bot0';
+    game.calledSuit = 'hearts';
+    game.hands.bot0 = [
+      card('Q', 'clubs'), card('J', 'hearts'), card('7', 'diamonds'), card('8', 'diamonds'),
+      card('9', 'hearts'), card('A', 'spades'), card('10', 'spades'), card('K', 'clubs')
+    ];
+
+    const action = bot.chooseAction(game, 'bot0');
+
+    expect(action.type).toBe('bury');
+    expect(action.cardIds.sort()).toEqual(['10_spades', 'A_spades']);
+    expect(game.bury('bot0', action.cardIds).success).toBe(true);
+  });
+
+  test('Never buries the hold card', () => {
+    const bot = new RuleBot();
+    const game = setupBotGame();
+    game.phase = 'burying';
+    game.picker = 'bot0';
+    game.calledSuit = 'hearts';
+    game.hands.bot0 = [
+      card('Q', 'clubs'), card('J', 'hearts'), card('7', 'diamonds'), card('8', 'diamonds'),
+      card('10', 'hearts'), card('A', 'spades'), card('Q', 'spades'), card('J', 'clubs')
+    ];
+
+    const action = bot.chooseAction(game, 'bot0');
+    expect(action.cardIds).not.toContain('10_hearts');
+  });
+});
+
+describe('Playing', () => {
+  function playingState(overrides) {
+    return {
+      phase: 'playing',
+      picker: 'p0',
+      partner: null,
+      calledSuit: 'hearts',
+      calledRank: 'A',
+      players: ['p0', 'p1', 'p2', 'p3', 'p4'].map(id => ({ id })),
+      ...overrides
+    };
+  }
+
+  test('Picker leads trump', () => {
+    const bot = new RuleBot();
+    const hand = [card('7', 'diamonds'), card('Q', 'clubs'), card('A', 'spades')];
+    const state = playingState({
+      hand,
+      currentTrick: [],
+      playableCards: hand.map(c => c.id)
+    });
+
+    expect(bot.chooseCard(state, 'p0')).toBe('Q_clubs');
+  });
+
+  test('Defender leads the called suit to find the partner', () => {
+    const bot = new RuleBot();
+    const hand = [card('7', 'diamonds'), card('9', 'hearts'), card('A', 'spades')];
+    const state = playingState({
+      hand,
+      currentTrick: [],
+      playableCards: hand.map(c => c.id)
+    });
+
+    expect(bot.chooseCard(state, 'p2')).toBe('9_hearts');
+  });
+
+  test('Schmears when a teammate is winning last', () => {
+    const bot = new RuleBot();
+    const hand = [card('7', 'clubs'), card('10', 'clubs'), card('K', 'clubs')];
+    const state = playingState({
+      partner: 'p3',
+      hand,
+      currentTrick: [
+        { playerId: 'p1', card: card('8', 'spades') },
+        { playerId: 'p2', card: card('9', 'spades') },
+        { playerId: 'p3', card: card('Q', 'diamonds') },
+        { playerId: 'p4', card: card('7', 'spades') }
+      ],
+      playableCards: hand.map(c => c.id)
+    });
+
+    expect(bot.chooseCard(state, 'p0')).toBe('10_clubs');
+  });
+
+  test('Takes the trick as cheaply as possible when last', () => {
+    const bot = new RuleBot();
+    const hand = [card('Q', 'clubs'), card('J', 'diamonds'), card('8', 'diamonds')];
+    const state = playingState({
+      hand,
+      currentTrick: [
+        { playerId: 'p1', card: card('A', 'spades') },
+        { playerId: 'p2', card: card('9', 'spades') },
+        { playerId: 'p3', card: card('7', 'diamonds') },
+        { playerId: 'p4', card: card('10', 'spades') }
+      ],
+      playableCards: hand.map(c => c.id)
+    });
+
+    expect(bot.chooseCard(state, 'p0')).toBe('8_diamonds');
+  });
+
+  test('Throws off the least valuable card when it cannot win', () => {
+    const bot = new RuleBot();
+    const hand = [card('A', 'clubs'), card('7', 'spades'), card('K', 'hearts')];
+    const state = playingState({
+      hand,
+      currentTrick: [{ playerId: 'p1', card: card('Q', 'clubs') }],
+      playableCards: hand.map(c => c.id)
+    });
+
+    expect(bot.chooseCard(state, 'p2')).toBe('7_spades');
+  });
+});
+
+describe('Bot Seats', () => {
+  beforeEach(() => {
+    roomManager.rooms.clear();
+    roomManager.playerRooms.clear();
+  });
+
+  function hostRoom() {
+    roomManager.joinRoom('ROOM', 'host', 'Host');
+    return roomManager.getRoom('ROOM');
+  }
+
+  test('Bots fill seats with numbered names', () => {
+    const game = hostRoom();
+    const first = roomManager.addBot(game.roomId);
+    const second = roomManager.addBot(game.roomId);
+
+    expect(first.success).toBe(true);
+    expect(game.players.map(p => p.name)).toEqual(['Host', 'Bot 1', 'Bot 2']);
+    expect(game.isBot(first.botId)).toBe(true);
+    expect(game.isBot('host')).toBe(false);
+    expect(roomManager.getPlayerRoom(second.botId)).toBe(game);
+  });
+
+  test('Bots cannot be added to a full table', () => {
+    const game = hostRoom();
+    for (let i = 0; i < 4; i++) roomManager.addBot(game.roomId);
+
+    expect(roomManager.addBot(game.roomId).success).toBe(false);
+    expect(roomManager.addBot('NOPE').error).toBe('Room not found');
+  });
+
+  test('Bots can only be removed between hands', () => {
+    const game = hostRoom();
+    const bots = [];
+    for (let i = 0; i < 4; i++) bots.push(roomManager.addBot(game.roomId).botId);
+
+    expect(roomManager.removeBot(bots[0]).success).toBe(true);
+    expect(game.players).toHaveLength(4);
+
+    roomManager.addBot(game.roomId);
+    game.startHand({ seed: 1 });
+    expect(roomManager.removeBot(bots[1]).error).toBe('Cannot remove a bot during a hand');
+    expect(roomManager.removeBot('host').error).toBe('Bot not found');
+  });
+
+  test('Each bot seat has its own difficulty', () => {
+    const game = hostRoom();
+    const normal = roomManager.addBot(game.roomId);
+    const expert = roomManager.addBot(game.roomId, { difficulty: 'expert' });
+
+    expect(game.players.find(p => p.id === normal.botId).difficulty).toBe('normal');
+    expect(game.players.find(p => p.id === expert.botId).difficulty).toBe('expert');
+    expect(game.getStateForPlayer('host').players.find(p => p.id === 'host').difficulty).toBeNull();
+    expect(roomManager.addBot(game.roomId, { difficulty: 'godlike' }).error).toBe('Unknown difficulty');
+  });
+
+  test('A bot seat difficulty can be changed', () => {
+    const game = hostRoom();
+    const { botId } = roomManager.addBot(game.roomId);
+
+    expect(roomManager.setBotDifficulty(botId, 'expert').success).toBe(true);
+    expect(game.getStateForPlayer('host').players.find(p => p.id === botId).difficulty).toBe('expert');
+    expect(roomManager.setBotDifficulty(botId, 'godlike').success).toBe(false);
+    expect(roomManager.setBotDifficulty('host', 'expert').error).toBe('Bot not found');
+  });
+
+  test('A table with only bots left is closed', () => {
+    const game = hostRoom();
+    const { botId } = roomManager.addBot(game.roomId);
+
+    roomManager.leaveRoom('host');
+
+    expect(roomManager.getRoom(game.roomId)).toBeUndefined();
+    expect(roomManager.getPlayerRoom(botId)).toBeNull();
+  });
+});
@@ -248,3 +248,27 @@ describe('Burying - Successful State Changes', () => {
     expect(game.phase).toBe('playing');
   });
 });
+
+// --- F. Checking Without Burying ---
+
+describe('Burying - canBury', () => {
+  const hand = [
+    card('Q', 'clubs'), card('J', 'hearts'), card('7', 'diamonds'), card('8', 'diamonds'),
+    card('A', 'hearts'), card('K', 'hearts'), card('9', 'spades'), card('10', 'spades'),
+  ];
+
+  test('F1: Checks a legal bury without changing the game', () => {
+    const game = setupBuryGame([...hand]);
+    expect(game.canBury('player0', ['9_spades', '10_spades']).success).toBe(true);
+    expect(game.hands['player0'].length).toBe(8);
+    expect(game.buried).toEqual([]);
+    expect(game.phase).toBe('burying');
+  });
+
+  test('F2: Reports the same errors as bury', () => {
+    const game = setupBuryGame([...hand], { calledSuit: 'spades' });
+    expect(game.canBury('player0', ['9_spades', '10_spades']).error)
+      .toBe(game.bury('player0', ['9_spades', '10_spades']).error);
+    expect(game.canBury('player1', ['9_spades', '10_spades']).error).toBe('You are not the picker');
+  });
+});
@@ -449,6 +449,48 @@ describe('Under Card Must Be Played When Called Suit Led', () => {
     expect(goodResult.success).toBe(true);
     expect(game.underCardPlayed).toBe(false); // Under card still not played
   });
+
+  function setupUnderCall(pickerHand) {
+    const game = new SheepsheadGame('test-room');
+
+    for (let i = 0; i < 5; i++) {
+      game.addPlayer(`player${i}`, `Player ${i}`);
+      game.tricksWon[`player${i}`] = [];
+    }
+
+    game.phase = 'playing';
+    game.picker = 'player1';
+    game.calledSuit = 'clubs';
+    game.calledRank = 'A';
+    game.isUnderCall = true;
+    game.underCardId = '7_diamonds';
+    game.underCardPlayed = false;
+    game.currentPlayerIndex = 0;
+    game.hands['player0'] = [card('J', 'hearts'), card('9', 'hearts')];
+    game.hands['player1'] = pickerHand;
+    return game;
+  }
+
+  test('Under card does not count for following suit', () => {
+    // Trump is led and the picker's only trump is the under card
+    const game = setupUnderCall([card('7', 'diamonds'), card('A', 'spades')]);
+    game.playCard('player0', 'J_hearts');
+
+    expect(game.getStateForPlayer('player1').playableCards).toEqual(['A_spades']);
+    expect(game.playCard('player1', 'A_spades').success).toBe(true);
+    expect(game.underCardPlayed).toBe(false);
+  });
+
+  test('Under card is played as the last card if the called suit is never led', () => {
+    const game = setupUnderCall([card('7', 'diamonds')]);
+    game.hands['player0'] = [card('9', 'hearts')];
+    game.playCard('player0', '9_hearts');
+
+    expect(game.getStateForPlayer('player1').playableCards).toEqual(['7_diamonds']);
+    const result = game.playCard('player1', '7_diamonds');
+    expect(result.success).toBe(true);
+    expect(result.isUnderCard).toBe(true);
+  });
 });
 
 describe('Under Card Cannot Win Trick', () => {
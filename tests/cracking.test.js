@@ -0,0 +1,212 @@
+/**
+ * Cracking Tests
+ * Under the cracking house rule, after the bury each player but the picker may
+ * crack (double the stakes) in playing order; the picker may then re-crack.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { validateRules, describeRules } = require('../src/game/rules');
+const { setupGame, playUntil } = require('./helpers');
+
+const RECRACK = { cracking: 'recrack' };
+
+/**
+ * The first hand from `seed` on where someone picked, with a partner called,
+ * stopped at the start of the cracking window
+ */
+function crackingHand(seed = 1, rules = RECRACK) {
+  for (;; seed++) {
+    const game = setupGame(rules);
+    game.startHand({ seed });
+    playUntil(game, g => g.phase === 'cracking');
+    if (game.phase === 'cracking' && game.calledSuit) return game;
+  }
+}
+
+function decider(game) {
+  return game.players[game.currentPlayerIndex].id;
+}
+
+function holdsCalledCard(game, playerId) {
+  return game.hands[playerId].some(c => c.suit === game.calledSuit && c.rank === game.calledRank);
+}
+
+function defenders(game) {
+  return game._crackOrder().filter(id => !holdsCalledCard(game, id));
+}
+
+describe('Cracking Window', () => {
+  test('After the bury, the first player after the dealer decides', () => {
+    const game = crackingHand();
+
+    expect(game.phase).toBe('cracking');
+    expect(game._crackOrder()).toHaveLength(4);
+    expect(game._crackOrder()).not.toContain(game.picker);
+    expect(decider(game)).toBe(game._crackOrder()[0]);
+  });
+
+  test('Standard rules go straight to play', () => {
+    const game = setupGame(null);
+    game.startHand({ seed: 1 });
+    playUntil(game, g => g.phase === 'playing');
+
+    expect(game.phase).toBe('playing');
+  });
+
+  test('When everyone passes, the hand is played at normal stakes', () => {
+    const game = crackingHand();
+    const order = game._crackOrder();
+
+    for (const playerId of order) {
+      expect(decider(game)).toBe(playerId);
+      expect(game.crack(playerId, false)).toEqual({ success: true, cracked: false });
+    }
+
+    expect(game.phase).toBe('playing');
+    expect(game.currentPlayerIndex).toBe((game.dealerIndex + 1) % 5);
+    expect(game.getCrackMultiplier()).toBe(1);
+  });
+
+  test('Only the player deciding can crack', () => {
+    const game = crackingHand();
+    const other = game._crackOrder()[1];
+
+    expect(game.crack(other, true).error).toBe('Not your turn to crack');
+    expect(game.crack(game.picker, true).error).toBe('Not your turn to crack');
+  });
+
+  test('The partner may pass but not crack', () => {
+    const game = crackingHand();
+    const partner = game._crackOrder().find(id => holdsCalledCard(game, id));
+    for (const playerId of game._crackOrder()) {
+      if (playerId === partner) break;
+      game.crack(playerId, false);
+    }
+
+    expect(game.canCrack(partner)).toBe(false);
+    expect(game.getStateForPlayer(partner).canCrack).toBe(false);
+    expect(game.crack(partner, true).error).toBe('The picking team cannot crack');
+    expect(game.crack(partner, false).success).toBe(true);
+  });
+
+  test('A crack gives the picker the chance to re-crack', () => {
+    const game = crackingHand();
+    const cracker = defenders(game)[0];
+    for (const playerId of game._crackOrder()) {
+      if (playerId === cracker) break;
+      game.crack(playerId, false);
+    }
+
+    expect(game.crack(cracker, true)).toEqual({ success: true, cracked: true, multiplier: 2 });
+    expect(game.crackedBy).toBe(cracker);
+    expect(decider(game)).toBe(game.picker);
+    expect(game.getStateForPlayer(game.picker).canCrack).toBe(true);
+
+    expect(game.crack(game.picker, true)).toEqual({ success: true, recracked: true, multiplier: 4 });
+    expect(game.phase).toBe('playing');
+  });
+
+  test('The picker can decline to re-crack', () => {
+    const game = crackingHand();
+    const cracker = defenders(game)[0];
+    for (const playerId of game._crackOrder()) {
+      if (playerId === cracker) break;
+      game.crack(playerId, false);
+    }
+    game.crack(cracker, true);
+
+    expect(game.crack(game.picker, false)).toEqual({ success: true, recracked: false, multiplier: 2 });
+    expect(game.phase).toBe('playing');
+  });
+
+  test('Without re-cracking, a crack starts play at once', () => {
+    const game = crackingHand(1, { cracking: 'crack' });
+    const cracker = defenders(game)[0];
+    for (const playerId of game._crackOrder()) {
+      if (playerId === cracker) break;
+      game.crack(playerId, false);
+    }
+
+    game.crack(cracker, true);
+
+    expect(game.phase).toBe('playing');
+    expect(game.getCrackMultiplier()).toBe(2);
+  });
+});
+
+describe('Scoring', () => {
+  function setupScoring(crackedBy, recracked, points = [50, 20, 20, 20, 10]) {
+    const game = setupGame(RECRACK);
+    game.picker = 'player0';
+    game.partner = 'player1';
+    game.buried = [];
+    game.crackedBy = crackedBy;
+    game.recracked = recracked;
+    game.players.forEach((p, i) => {
+      game.tricksWon[p.id] = [{ points: points[i] }];
+    });
+    return game._scoreNormalHand();
+  }
+
+  test('A crack doubles every score', () => {
+    const results = setupScoring('player2', false);
+
+    expect(results.crackMultiplier).toBe(2);
+    expect(results.scores).toEqual({ player0: 4, player1: 2, player2: -2, player3: -2, player4: -2 });
+  });
+
+  test('A re-crack doubles them again, on top of schneider', () => {
+    const results = setupScoring('player3', true, [80, 20, 10, 10, 0]);
+
+    expect(results.schneider).toBe(true);
+    expect(results.scores.player0).toBe(2 * 4 * 2);
+    expect(results.scores.player4).toBe(-2 * 4);
+  });
+
+  test('Bots crack and play hands to a zero-sum result', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+      const game = setupGame(RECRACK);
+      game.startHand({ seed });
+      playUntil(game);
+
+      expect(game.phase).toBe('scoring');
+      expect(Object.values(game.handResults.scores).reduce((a, b) => a + b, 0)).toBe(0);
+    }
+  });
+});
+
+describe('Replay and Rules', () => {
+  test('Replaying the log applies the crack', () => {
+    const game = crackingHand(2);
+    const cracker = defenders(game)[0];
+    for (const playerId of game._crackOrder()) {
+      if (playerId === cracker) break;
+      game.crack(playerId, false);
+    }
+    game.crack(cracker, true);
+    game.crack(game.picker, true);
+    playUntil(game);
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay.crackedBy).toBe(cracker);
+    expect(replay.recracked).toBe(true);
+    expect(replay.handResults.scores).toEqual(game.handResults.scores);
+  });
+
+  test('A restored table keeps the cracking window', () => {
+    const game = crackingHand(3);
+    game.crack(decider(game), false);
+
+    const restored = SheepsheadGame.deserialize(game.serialize());
+
+    expect(restored.phase).toBe('cracking');
+    expect(restored.crackPasses).toEqual(game.crackPasses);
+    expect(decider(restored)).toBe(decider(game));
+  });
+
+  test('The cracking rule is validated and listed', () => {
+    expect(validateRules({ cracking: 'always' }).success).toBe(false);
+    expect(describeRules(validateRules({ cracking: 'crack' }).rules)).toEqual(['Cracking']);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Dealing Tests
+ * Deals are reproducible from a seed, or can be set up from an exact deck order.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { createDeck, createSeededRandom } = require('../src/game/deck');
+const { setupGame } = require('./helpers');
+
+function handIds(game) {
+  return Object.fromEntries(game.players.map(p => [p.id, game.hands[p.id].map(c => c.id)]));
+}
+
+describe('Seeded Deals', () => {
+  test('Same seed deals the same hands and blind', () => {
+    const a = setupGame();
+    const b = setupGame();
+    a.startHand({ seed: 42 });
+    b.startHand({ seed: 42 });
+
+    expect(handIds(a)).toEqual(handIds(b));
+    expect(a.blind).toEqual(b.blind);
+  });
+
+  test('Seed is stored with the hand', () => {
+    const game = setupGame();
+    const result = game.startHand({ seed: 'bug-report-17' });
+
+    expect(result.seed).toBe('bug-report-17');
+    expect(game.seed).toBe('bug-report-17');
+    expect(game.actionLog[0].seed).toBe('bug-report-17');
+    expect(game.getHandRecord().seed).toBe('bug-report-17');
+  });
+
+  test('A seed is drawn for every hand when none is given', () => {
+    const game = setupGame();
+    const result = game.startHand();
+
+    expect(typeof result.seed).toBe('string');
+    expect(game.seed).toBe(result.seed);
+
+    // Re-dealing with the stored seed reproduces the hand
+    const copy = setupGame();
+    copy.startHand({ seed: result.seed });
+    expect(handIds(copy)).toEqual(handIds(game));
+  });
+
+  test('A seeded table PRNG makes every deal reproducible', () => {
+    const a = setupGame(null, { random: createSeededRandom(2024) });
+    const b = setupGame(null, { random: createSeededRandom(2024) });
+
+    for (let i = 0; i < 3; i++) {
+      a.startHand();
+      b.startHand();
+      expect(a.seed).toBe(b.seed);
+      expect(handIds(a)).toEqual(handIds(b));
+    }
+  });
+});
+
+describe('Preset Deck', () => {
+  test('Deals the deck in order: 6 rounds around the table, then the blind', () => {
+    const game = setupGame();
+    const deck = createDeck().map(c => c.id);
+    const result = game.startHand({ deck });
+
+    expect(result.success).toBe(true);
+    expect(game.seed).toBeNull();
+    // First card to seat 0, second to seat 1, ...
+    expect(game.hands.player0.map(c => c.id).sort()).toEqual(
+      [0, 5, 10, 15, 20, 25].map(i => deck[i]).sort()
+    );
+    expect(game.blind.map(c => c.id)).toEqual([deck[30], deck[31]]);
+  });
+
+  test('Accepts card objects as well as IDs', () => {
+    const game = setupGame();
+    const result = game.startHand({ deck: createDeck() });
+
+    expect(result.success).toBe(true);
+  });
+
+  test('Rejects a deck that is not a full 32 cards', () => {
+    const game = setupGame();
+    const result = game.startHand({ deck: createDeck().slice(2) });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Deck must contain all 32 cards exactly once');
+    expect(game.phase).toBe('waiting');
+  });
+
+  test('Preset deck is logged so the hand can be replayed', () => {
+    const game = setupGame();
+    const deck = createDeck().map(c => c.id).reverse();
+    game.startHand({ deck });
+
+    expect(game.actionLog[0].deck).toEqual(deck);
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+    expect(handIds(replay)).toEqual(handIds(game));
+  });
+});
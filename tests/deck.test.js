@@ -10,10 +10,16 @@ const {
   getFailPower,
   getEffectiveSuit,
   compareCards,
-  calculatePoints
+  calculatePoints,
+  shuffle,
+  createSeededRandom,
+  deckFromIds,
+  STANDARD_ORDER,
+  createCardOrder,
+  determineTrickWinner
 } = require('../src/game/deck');
 
-const { POINT_VALUES } = require('../src/game/constants');
+const { POINT_VALUES, TRUMP_ORDER, FAIL_ORDER } = require('../src/game/constants');
 
 // Helper to create a card object
 function card(rank, suit) {
@@ -309,3 +315,109 @@ describe('Deck Composition', () => {
     }
   });
 });
+
+describe('Shuffling', () => {
+  const ids = cards => cards.map(c => c.id);
+
+  test('Shuffle does not modify the input', () => {
+    const deck = createDeck();
+    const before = ids(deck);
+    shuffle(deck);
+    expect(ids(deck)).toEqual(before);
+  });
+
+  test('Same seed gives the same shuffle', () => {
+    const a = shuffle(createDeck(), createSeededRandom(12345));
+    const b = shuffle(createDeck(), createSeededRandom(12345));
+    expect(ids(a)).toEqual(ids(b));
+  });
+
+  test('Different seeds give different shuffles', () => {
+    const a = shuffle(createDeck(), createSeededRandom(1));
+    const b = shuffle(createDeck(), createSeededRandom(2));
+    expect(ids(a)).not.toEqual(ids(b));
+  });
+
+  test('String seeds are supported', () => {
+    const a = shuffle(createDeck(), createSeededRandom('tournament-round-1'));
+    const b = shuffle(createDeck(), createSeededRandom('tournament-round-1'));
+    expect(ids(a)).toEqual(ids(b));
+  });
+
+  test('Seeded PRNG returns floats in [0, 1)', () => {
+    const random = createSeededRandom(99);
+    for (let i = 0; i < 1000; i++) {
+      const n = random();
+      expect(n).toBeGreaterThanOrEqual(0);
+      expect(n).toBeLessThan(1);
+    }
+  });
+
+  test('Shuffled deck still has all 32 cards', () => {
+    const shuffled = shuffle(createDeck(), createSeededRandom(7));
+    expect(new Set(ids(shuffled)).size).toBe(32);
+  });
+});
+
+describe('Deck From IDs', () => {
+  test('Builds a deck in the given order', () => {
+    const order = createDeck().map(c => c.id).reverse();
+    const deck = deckFromIds(order);
+    expect(deck.map(c => c.id)).toEqual(order);
+    expect(deck[0]).toEqual(card('A', 'clubs'));
+  });
+
+  test('Rejects a short deck', () => {
+    expect(deckFromIds(createDeck().map(c => c.id).slice(1))).toBeNull();
+  });
+
+  test('Rejects duplicate cards', () => {
+    const order = createDeck().map(c => c.id);
+    order[1] = order[0];
+    expect(deckFromIds(order)).toBeNull();
+  });
+
+  test('Rejects unknown card IDs', () => {
+    const order = createDeck().map(c => c.id);
+    order[0] = '6_hearts';
+    expect(deckFromIds(order)).toBeNull();
+  });
+});
+
+describe('Card Orders', () => {
+  test('The standard order is Sheepshead\'s', () => {
+    expect(STANDARD_ORDER.trump).toEqual(TRUMP_ORDER);
+    expect(STANDARD_ORDER.fail).toEqual(FAIL_ORDER);
+    expect(STANDARD_ORDER.failSuits).toEqual(['hearts', 'spades', 'clubs']);
+  });
+
+  test('Another trump suit makes diamonds a fail suit', () => {
+    const hearts = createCardOrder({ trumpRanks: ['J', 'Q'], trumpSuit: 'hearts' });
+
+    expect(isTrump(card('7', 'hearts'), hearts)).toBe(true);
+    expect(isTrump(card('A', 'diamonds'), hearts)).toBe(false);
+    expect(getEffectiveSuit(card('A', 'diamonds'), hearts)).toBe('diamonds');
+    expect(hearts.failSuits).toEqual(['diamonds', 'spades', 'clubs']);
+  });
+
+  test('With Jacks alone trump, Queens rank between King and 9', () => {
+    const jacks = createCardOrder({ trumpRanks: ['J'], trumpSuit: null });
+
+    expect(isTrump(card('Q', 'clubs'), jacks)).toBe(false);
+    expect(isTrump(card('7', 'diamonds'), jacks)).toBe(false);
+    expect(getTrumpPower(card('J', 'clubs'), jacks)).toBe(3);
+    expect(jacks.fail).toEqual(['7', '8', '9', 'Q', 'K', '10', 'A']);
+    expect(compareCards(card('Q', 'spades'), card('9', 'spades'), 'spades', jacks)).toBeGreaterThan(0);
+  });
+
+  test('Trick winners follow the order given', () => {
+    const trick = [
+      { playerId: 'a', card: card('A', 'hearts') },
+      { playerId: 'b', card: card('7', 'diamonds') },
+      { playerId: 'c', card: card('Q', 'hearts') }
+    ];
+
+    expect(determineTrickWinner(trick)).toBe('c');
+    expect(determineTrickWinner(trick, createCardOrder({ trumpRanks: ['J'], trumpSuit: 'hearts' }))).toBe('a');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Doublers Tests
+ * Under the doublers house rule, a hand everyone passes is thrown in and the
+ * next hand is played for double the stakes, stacking until a hand is played.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { validateRules, describeRules } = require('../src/game/rules');
+const { setupGame, playOut } = require('./helpers');
+
+const DOUBLERS = { noPick: 'doubler' };
+
+/**
+ * Deal and have everyone pass
+ */
+function throwIn(game, seed = 1) {
+  game.startHand({ seed });
+  let result;
+  for (let i = 0; i < 5; i++) {
+    result = game.pick(game.players[game.pickingIndex].id, false);
+  }
+  return result;
+}
+
+/**
+ * The first seed from `seed` on where the bots pick
+ */
+function pickedSeed(seed) {
+  for (;; seed++) {
+    const game = setupGame(null);
+    game.startHand({ seed });
+    playOut(game);
+    if (game.handResults.type === 'normal') return seed;
+  }
+}
+
+describe('Throwing In', () => {
+  test('When everyone passes the hand is thrown in', () => {
+    const game = setupGame(DOUBLERS);
+    const dealer = game.dealerIndex;
+
+    const result = throwIn(game);
+
+    expect(result.doubler).toBe(true);
+    expect(result.handComplete).toBe(true);
+    expect(result.results.type).toBe('doubler');
+    expect(result.results.scores).toEqual({ player0: 0, player1: 0, player2: 0, player3: 0, player4: 0 });
+    expect(game.phase).toBe('scoring');
+    expect(game.doubler).toBe(2);
+    expect(game.dealerIndex).toBe((dealer + 1) % 5);
+  });
+
+  test('The multiplier carries into the next hand and stacks', () => {
+    const game = setupGame(DOUBLERS);
+    throwIn(game, 1);
+    throwIn(game, 2);
+
+    expect(game.doubler).toBe(4);
+    game.startHand({ seed: 3 });
+    expect(game.doubler).toBe(4);
+    expect(game.actionLog[0].doubler).toBe(4);
+  });
+
+  test('Players and kibbitzers see the multiplier', () => {
+    const game = setupGame(DOUBLERS);
+    game.addKibbitzer('watcher', 'Watcher');
+    throwIn(game);
+    game.startHand({ seed: 2 });
+
+    expect(game.getStateForPlayer('player0').doubler).toBe(2);
+    expect(game.getStateForKibbitzer('watcher').doubler).toBe(2);
+  });
+
+  test('Standard rules never double', () => {
+    const game = setupGame(null);
+    throwIn(game);
+
+    expect(game.handResults.type).toBe('schwanzer');
+    expect(game.doubler).toBe(1);
+  });
+});
+
+describe('Scoring', () => {
+  test('A doubled hand scores double, then the stakes reset', () => {
+    const seed = pickedSeed(1);
+    const plain = setupGame(DOUBLERS);
+    plain.startHand({ seed });
+    playOut(plain);
+
+    const doubled = setupGame(DOUBLERS);
+    throwIn(doubled, 1000);
+    doubled.dealerIndex = plain.actionLog[0].dealerIndex;
+    doubled.startHand({ seed });
+    playOut(doubled);
+
+    expect(doubled.handResults.doubler).toBe(2);
+    expect(doubled.handResults.multiplier).toBe(plain.handResults.multiplier);
+    for (const [id, score] of Object.entries(plain.handResults.scores)) {
+      expect(doubled.handResults.scores[id]).toBe(score * 2);
+    }
+    expect(doubled.doubler).toBe(1);
+  });
+
+  test('Doubling stacks with schneider and schwarz', () => {
+    const game = setupGame(DOUBLERS);
+    game.doubler = 4;
+    game.picker = 'player0';
+    game.partner = null;
+    game.buried = [];
+    game.players.forEach((p, i) => {
+      game.tricksWon[p.id] = i === 0 ? [{ points: 120 }] : [];
+    });
+
+    const results = game._scoreNormalHand();
+
+    expect(results.schwarz).toBe(true);
+    expect(results.scores.player0).toBe(3 * 4 * 4);
+    expect(results.scores.player1).toBe(-3 * 4);
+  });
+});
+
+describe('Replay and Restore', () => {
+  test('A restored table keeps the multiplier', () => {
+    const game = setupGame(DOUBLERS);
+    throwIn(game);
+
+    const restored = SheepsheadGame.deserialize(game.serialize());
+
+    expect(restored.doubler).toBe(2);
+  });
+
+  test('Replaying a doubled hand scores it the same', () => {
+    const game = setupGame(DOUBLERS);
+    throwIn(game, 1000);
+    game.dealerIndex = 0;
+    game.startHand({ seed: pickedSeed(1) });
+    playOut(game);
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay.handResults.doubler).toBe(2);
+    expect(replay.handResults.scores).toEqual(game.handResults.scores);
+  });
+
+  test('Doublers is a valid no-pick rule', () => {
+    const { rules } = validateRules({ noPick: 'doubler' });
+    expect(describeRules(rules)).toEqual(['Doublers']);
+  });
+});
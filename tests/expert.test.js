@@ -0,0 +1,212 @@
+/**
+ * Expert Bot Tests
+ * The Monte Carlo bot samples the cards it can't see consistently with what
+ * has been played, simulates the rest of the hand, and stays within its time budget.
+ */
+
+const { createSeededRandom, getEffectiveSuit, isTrump } = require('../src/game/deck');
+const RuleBot = require('../src/game/RuleBot');
+const MonteCarloBot = require('../src/game/MonteCarloBot');
+const SearchWorker = require('../src/game/SearchWorker');
+const { setupBotGame, playUntil, playOut } = require('./helpers');
+
+function expert(seed, options = {}) {
+  return new MonteCarloBot({ maxSamples: 10, timeBudgetMs: 1000, random: createSeededRandom(seed), ...options });
+}
+
+/**
+ * A hand played by rule bots up to `plays` cards into the trick-taking
+ */
+function midHand(seed, plays) {
+  const ruleBot = new RuleBot();
+  const game = setupBotGame();
+  game.startHand({ seed });
+  playUntil(game, g => g.phase === 'playing' &&
+    g.tricks.length * 5 + g.currentTrick.length >= plays, ruleBot);
+  return game;
+}
+
+/**
+ * The first hand from `seed` on where someone picked, `plays` cards in
+ */
+function pickedHand(seed, plays) {
+  for (;; seed++) {
+    const game = midHand(seed, plays);
+    if (game.phase === 'playing') return game;
+  }
+}
+
+/**
+ * Suits each player has shown they are out of
+ */
+function shownVoids(game) {
+  const voids = {};
+  for (const p of game.players) voids[p.id] = new Set();
+  for (const plays of [...game.tricks.map(t => t.cards), game.currentTrick]) {
+    if (plays.length === 0) continue;
+    const leadSuit = getEffectiveSuit(plays[0].card);
+    for (const play of plays.slice(1)) {
+      if (!play.isUnderCard && getEffectiveSuit(play.card) !== leadSuit) voids[play.playerId].add(leadSuit);
+    }
+  }
+  return voids;
+}
+
+describe('Sampling', () => {
+  test('Sampled deals fill every seat with the right number of unseen cards', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+      const game = midHand(seed, 12);
+      if (game.phase !== 'playing') continue;
+      const me = game.players[game.currentPlayerIndex].id;
+      const state = game.getStateForPlayer(me);
+      const bot = expert(seed);
+      const knowledge = bot.analyze(state, me);
+
+      for (let n = 0; n < 20; n++) {
+        const deal = bot.sampleDeal(knowledge);
+        const dealt = [...Object.values(deal.hands).flat(), ...deal.buried].map(c => c.id);
+
+        expect(new Set(dealt).size).toBe(dealt.length);
+        expect(dealt.sort()).toEqual(knowledge.unseen.map(c => c.id).sort());
+        for (const p of game.players) {
+          if (p.id === me) continue;
+          expect(deal.hands[p.id]).toHaveLength(game.hands[p.id].length);
+        }
+        expect(deal.buried).toHaveLength(me === game.picker ? 0 : 2);
+      }
+    }
+  });
+
+  test('Sampled deals respect shown voids and the called card', () => {
+    let checked = 0;
+    for (let seed = 1; seed <= 20; seed++) {
+      const game = midHand(seed, 13);
+      if (game.phase !== 'playing') continue;
+      const me = game.players[game.currentPlayerIndex].id;
+      const bot = expert(seed);
+      const knowledge = bot.analyze(game.getStateForPlayer(me), me);
+      const voids = shownVoids(game);
+
+      for (let n = 0; n < 20; n++) {
+        const deal = bot.sampleDeal(knowledge);
+        for (const [playerId, hand] of Object.entries(deal.hands)) {
+          for (const card of hand) {
+            expect(voids[playerId].has(getEffectiveSuit(card))).toBe(false);
+          }
+        }
+        if (knowledge.calledCardId) {
+          const holder = Object.keys(deal.hands).find(id => deal.hands[id].some(c => c.id === knowledge.calledCardId));
+          expect(holder).toBeDefined();
+          expect(holder).not.toBe(game.picker);
+        }
+        if (knowledge.pickerHolds) {
+          expect(deal.hands[game.picker].some(c => !isTrump(c) && c.suit === game.calledSuit)).toBe(true);
+        }
+        checked++;
+      }
+    }
+    expect(checked).toBeGreaterThan(0);
+  });
+
+  test('The picker knows their buried cards and samples none', () => {
+    const game = pickedHand(3, 0);
+    const state = game.getStateForPlayer(game.picker);
+    expect(state.buried).toEqual(game.buried);
+    expect(game.getStateForPlayer(game.players.find(p => p.id !== game.picker).id).buried).toBeUndefined();
+
+    const knowledge = expert(3).analyze(state, game.picker);
+    expect(knowledge.buriedCount).toBe(0);
+    for (const card of game.buried) {
+      expect(knowledge.unseen.some(c => c.id === card.id)).toBe(false);
+    }
+  });
+
+  test('The dealt cards are never treated as unseen', () => {
+    const game = pickedHand(5, 7);
+    const me = game.players[game.currentPlayerIndex].id;
+    const knowledge = expert(5).analyze(game.getStateForPlayer(me), me);
+    const played = [...game.tricks.flatMap(t => t.cards), ...game.currentTrick].map(p => p.card.id);
+
+    for (const card of [...game.hands[me].map(c => c.id), ...played]) {
+      expect(knowledge.unseen.some(c => c.id === card)).toBe(false);
+    }
+  });
+});
+
+describe('Playing', () => {
+  test('Expert bots play whole hands legally alongside rule bots', () => {
+    const ruleBot = new RuleBot();
+    for (let seed = 1; seed <= 6; seed++) {
+      const bot = expert(seed);
+      const game = setupBotGame();
+      game.startHand({ seed });
+      playOut(game, id => (id === 'bot1' || id === 'bot3' ? bot : ruleBot));
+
+      expect(game.phase).toBe('scoring');
+    }
+  });
+
+  test('A seeded expert makes the same choice every time', () => {
+    const game = pickedHand(8, 6);
+    const me = game.players[game.currentPlayerIndex].id;
+    const state = game.getStateForPlayer(me);
+
+    expect(expert(42).chooseCard(state, me)).toBe(expert(42).chooseCard(state, me));
+  });
+
+  test('Each decision stays within the time budget', () => {
+    const game = pickedHand(2, 1);
+    const me = game.players[game.currentPlayerIndex].id;
+    const state = game.getStateForPlayer(me);
+    const bot = new MonteCarloBot({ timeBudgetMs: 50, maxSamples: Infinity });
+
+    const started = Date.now();
+    const cardId = bot.chooseCard(state, me);
+
+    expect(Date.now() - started).toBeLessThan(500);
+    expect(state.playableCards).toContain(cardId);
+  });
+});
+
+describe('Search Worker', () => {
+  const searches = new SearchWorker({ maxQueued: 1 });
+  afterAll(() => searches.stop());
+
+  /**
+   * The state and seat of the player to play, `plays` cards into a picked hand
+   */
+  function search(plays) {
+    const game = pickedHand(2, plays);
+    const playerId = game.players[game.currentPlayerIndex].id;
+    return { state: game.getStateForPlayer(playerId), playerId, options: { maxSamples: 10 } };
+  }
+
+  test('An expert\'s card is searched for on a worker thread', async () => {
+    const args = search(1);
+
+    expect(expert(1).searchesFor(args.state)).toBe(true);
+    expect(args.state.playableCards).toContain(await searches.run('chooseCard', args));
+  });
+
+  test('No search is needed with only one card to play', () => {
+    const game = pickedHand(2, 0);
+    const state = game.getStateForPlayer(game.players[game.currentPlayerIndex].id);
+
+    expect(expert(1).searchesFor({ ...state, playableCards: [state.playableCards[0]] })).toBe(false);
+    expect(expert(1).searchesFor({ ...state, phase: 'burying' })).toBe(false);
+  });
+
+  test('Searches past the queue limit are turned away', async () => {
+    const args = search(1);
+    const running = searches.run('chooseCard', args);
+    const waiting = searches.run('chooseCard', args);
+
+    await expect(searches.run('chooseCard', args)).rejects.toMatchObject({ busy: true });
+    await expect(Promise.all([running, waiting])).resolves.toHaveLength(2);
+  });
+
+  test('A search that throws, or an unknown search, fails', async () => {
+    await expect(searches.run('chooseCard', { state: null, playerId: 'bot0' })).rejects.toThrow();
+    await expect(searches.run('constructor', {})).rejects.toThrow('Unknown search: constructor');
+  });
+});
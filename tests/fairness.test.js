@@ -0,0 +1,234 @@
+/**
+ * Provably Fair Deal Tests
+ * The server commits to its seed and the shuffled deck before each deal,
+ * mixes in the players' client seeds, and reveals the seed when the hand ends.
+ */
+
+const {
+  hashSeed,
+  commitDeck,
+  verifyDeal,
+  isValidClientSeed
+} = require('../src/game/fairness');
+const { setupGame } = require('./helpers');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * The browser's verifier (public/js/fairness.js), run with Node's Web Crypto
+ */
+function loadBrowserVerifier() {
+  const context = vm.createContext({ crypto: require('crypto').webcrypto, TextEncoder });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../public/js/fairness.js'), 'utf8'), context);
+  return context.verifyFairDeal;
+}
+
+/**
+ * Play out the current hand: first player picks and goes alone,
+ * buries their last two cards, then everyone plays their first playable card.
+ */
+function playHandAlone(game) {
+  const picker = game.players[game.pickingIndex].id;
+  game.pick(picker, true);
+  game.callAce(picker, null, true);
+  game.bury(picker, game.hands[picker].slice(-2).map(c => c.id));
+
+  while (game.phase === 'playing') {
+    const current = game.players[game.currentPlayerIndex].id;
+    const state = game.getStateForPlayer(current);
+    game.playCard(current, state.playableCards[0]);
+  }
+}
+
+describe('Commit', () => {
+  test('The next server seed hash is published before the deal', () => {
+    const game = setupGame();
+    const committed = game.getStateForPlayer('player0').nextServerSeedHash;
+
+    const result = game.startHand();
+
+    expect(result.fairness.serverSeedHash).toBe(committed);
+    expect(result.fairness.nonce).toBe(1);
+  });
+
+  test('The server seed stays secret while the hand is played', () => {
+    const game = setupGame();
+    game.addKibbitzer('watcher', 'Watcher');
+    game.startHand();
+
+    const state = game.getStateForPlayer('player1');
+    const kibbitzerState = game.getStateForKibbitzer('watcher');
+    expect(state.fairness.serverSeed).toBeNull();
+    expect(kibbitzerState.fairness.serverSeed).toBeNull();
+    expect(JSON.stringify(state)).not.toContain(game.serverSeed);
+    expect(JSON.stringify(kibbitzerState)).not.toContain(game.serverSeed);
+  });
+
+  test('The deck hash commits to the dealt deck', () => {
+    const game = setupGame();
+    game.startHand();
+
+    expect(game.fairness.deckHash).toBe(commitDeck(game.actionLog[0].deck, game.serverSeed));
+  });
+
+  test('A new server seed is committed for each hand', () => {
+    const game = setupGame();
+    game.startHand();
+    const first = game.fairness.serverSeedHash;
+    const next = game.getStateForPlayer('player0').nextServerSeedHash;
+
+    expect(next).not.toBe(first);
+
+    playHandAlone(game);
+    game.startHand();
+    expect(game.fairness.serverSeedHash).toBe(next);
+    expect(game.fairness.nonce).toBe(2);
+  });
+
+  test('Seeded and preset deals are not marked provably fair', () => {
+    const seeded = setupGame();
+    seeded.startHand({ seed: 7 });
+    expect(seeded.fairness).toBeNull();
+
+    const preset = setupGame();
+    preset.startHand({ deck: seeded.actionLog[0].deck });
+    expect(preset.fairness).toBeNull();
+  });
+});
+
+describe('Reveal', () => {
+  test('The server seed is revealed in the hand results', () => {
+    const game = setupGame();
+    game.startHand();
+    const serverSeed = game.serverSeed;
+    playHandAlone(game);
+
+    expect(game.handResults.fairness.serverSeed).toBe(serverSeed);
+    expect(hashSeed(serverSeed)).toBe(game.handResults.fairness.serverSeedHash);
+    expect(game.getHandRecord().fairness.serverSeed).toBe(serverSeed);
+  });
+
+  test('The server seed is revealed on a schwanzer', () => {
+    const game = setupGame();
+    game.startHand();
+    let result;
+    for (let i = 1; i <= 5; i++) {
+      result = game.pick(`player${i % 5}`, false);
+    }
+
+    expect(result.results.fairness.serverSeed).toBe(game.serverSeed);
+  });
+
+  test('A revealed deal verifies against the dealt deck', () => {
+    const game = setupGame();
+    game.setClientSeed('player2', 'lucky');
+    game.startHand();
+    playHandAlone(game);
+
+    const verified = verifyDeal(game.handResults.fairness, game.actionLog[0].deck);
+    expect(verified.valid).toBe(true);
+    expect(verified.deck).toEqual(game.actionLog[0].deck);
+  });
+
+  test('A different server seed fails verification', () => {
+    const game = setupGame();
+    game.startHand();
+    playHandAlone(game);
+
+    const fairness = { ...game.handResults.fairness, serverSeed: 'f'.repeat(64) };
+    const verified = verifyDeal(fairness);
+    expect(verified.valid).toBe(false);
+    expect(verified.serverSeedHashValid).toBe(false);
+  });
+});
+
+describe('Client Seeds', () => {
+  test('Client seeds are mixed in seat order', () => {
+    const game = setupGame();
+    game.setClientSeed('player3', 'ccc');
+    game.setClientSeed('player0', 'aaa');
+    game.startHand();
+
+    expect(game.fairness.clientSeed).toBe('aaa|||ccc|');
+  });
+
+  test('A client seed changes the deal', () => {
+    const a = setupGame();
+    const b = setupGame();
+    b.nextServerSeed = a.nextServerSeed;
+    b.setClientSeed('player1', 'mine');
+
+    a.startHand();
+    b.startHand();
+
+    expect(a.actionLog[0].deck).not.toEqual(b.actionLog[0].deck);
+  });
+
+  test('Client seeds are cleared after each deal', () => {
+    const game = setupGame();
+    game.setClientSeed('player0', 'aaa');
+    game.startHand();
+    playHandAlone(game);
+    game.startHand();
+
+    expect(game.fairness.clientSeed).toBe('||||');
+  });
+
+  test('Client seeds can only be set between hands', () => {
+    const game = setupGame();
+    game.startHand();
+
+    const result = game.setClientSeed('player0', 'late');
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Client seed can only be set between hands');
+  });
+
+  test('Invalid client seeds are rejected', () => {
+    const game = setupGame();
+
+    expect(game.setClientSeed('player0', 'a|b').success).toBe(false);
+    expect(game.setClientSeed('player0', 'x'.repeat(65)).success).toBe(false);
+    expect(game.setClientSeed('player0', 'has space').success).toBe(false);
+    expect(game.setClientSeed('player0', 42).success).toBe(false);
+    expect(game.setClientSeed('nobody', 'abc').error).toBe('Player not found');
+    expect(isValidClientSeed('0123abcdef')).toBe(true);
+  });
+});
+
+describe('Browser Verification', () => {
+  const verifyFairDeal = loadBrowserVerifier();
+
+  test('A deal from the committed seed verifies with our client seed and hand', async () => {
+    const game = setupGame();
+    const committedHash = game.getStateForPlayer('player2').nextServerSeedHash;
+    game.setClientSeed('player2', 'lucky');
+    game.startHand();
+    const hand = game.hands.player2.map(c => c.id);
+    playHandAlone(game);
+
+    const verified = await verifyFairDeal(game.handResults.fairness, {
+      seatIndex: 2, clientSeed: 'lucky', hand, committedHash
+    });
+    expect(verified.valid).toBe(true);
+    expect(verified.deck).toEqual(game.actionLog[0].deck);
+  });
+
+  test('A deal from a seed swapped in after the commitment fails', async () => {
+    const game = setupGame();
+    const committedHash = game.getStateForPlayer('player2').nextServerSeedHash;
+    game.setClientSeed('player2', 'lucky');
+    game.nextServerSeed = 'a'.repeat(64);
+    game.startHand();
+    const hand = game.hands.player2.map(c => c.id);
+    playHandAlone(game);
+
+    const verified = await verifyFairDeal(game.handResults.fairness, {
+      seatIndex: 2, clientSeed: 'lucky', hand, committedHash
+    });
+    expect(verified.serverSeedHashValid).toBe(true);
+    expect(verified.clientSeedIncluded).toBe(true);
+    expect(verified.commitmentMatches).toBe(false);
+    expect(verified.valid).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Hand Record Tests
+ * The hand record is what gets stored in the hand history (hands.detail)
+ */
+
+const { setupGame } = require('./helpers');
+
+/**
+ * Play out the current hand: first player picks and goes alone,
+ * buries their last two cards, then everyone plays their first playable card.
+ */
+function playHandAlone(game) {
+  const picker = game.players[game.pickingIndex].id;
+  game.pick(picker, true);
+  game.callAce(picker, null, true);
+  game.bury(picker, game.hands[picker].slice(-2).map(c => c.id));
+
+  let result;
+  while (game.phase === 'playing') {
+    const current = game.players[game.currentPlayerIndex].id;
+    const state = game.getStateForPlayer(current);
+    result = game.playCard(current, state.playableCards[0]);
+  }
+  return result;
+}
+
+describe('Hand Record', () => {
+  test('records the original deal and dealer', () => {
+    const game = setupGame();
+    game.startHand();
+    const dealt = Object.fromEntries(game.players.map(p => [p.id, game.hands[p.id].map(c => c.id)]));
+    const blind = game.blind.map(c => c.id);
+
+    playHandAlone(game);
+    const record = game.getHandRecord();
+
+    expect(record.dealer).toBe('player0');
+    expect(record.deal.hands).toEqual(dealt);
+    expect(record.deal.blind).toEqual(blind);
+    expect(record.players.map(p => p.id)).toEqual(['player0', 'player1', 'player2', 'player3', 'player4']);
+  });
+
+  test('records picks, call, bury and all six tricks in order', () => {
+    const game = setupGame();
+    game.startHand();
+    game.pick('player1', false);
+    game.pick('player2', false);
+
+    const picker = 'player3';
+    const result = playHandAlone(game);
+    const record = game.getHandRecord();
+
+    expect(result.handComplete).toBe(true);
+    expect(record.picks).toEqual([
+      { playerId: 'player1', picked: false },
+      { playerId: 'player2', picked: false },
+      { playerId: 'player3', picked: true }
+    ]);
+    expect(record.call).toEqual({
+      picker,
+      calledSuit: null,
+      calledRank: null,
+      goAlone: true,
+      isUnderCall: false,
+      underCardId: null
+    });
+    expect(record.bury).toEqual(game.buried.map(c => c.id));
+    expect(record.tricks).toHaveLength(6);
+    for (const trick of record.tricks) {
+      expect(trick.plays).toHaveLength(5);
+      expect(trick.plays.map(p => p.playerId)).toContain(trick.winner);
+    }
+  });
+
+  test('schwanzer record has five passes and no call', () => {
+    const game = setupGame();
+    game.startHand();
+    for (let i = 1; i <= 5; i++) {
+      game.pick(`player${i % 5}`, false);
+    }
+    const record = game.getHandRecord();
+
+    expect(record.picks).toHaveLength(5);
+    expect(record.picks.every(p => !p.picked)).toBe(true);
+    expect(record.call).toBeNull();
+    expect(record.tricks).toEqual([]);
+  });
+});
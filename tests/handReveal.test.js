@@ -0,0 +1,84 @@
+/**
+ * Hand Reveal Tests
+ * Once a hand is scored its results lay it open: what each seat was dealt,
+ * the blind, what was buried and which card was the under card.
+ */
+
+const { setupGame, playOut } = require('./helpers');
+
+const ids = (cards) => cards.map(c => c.id);
+
+describe('Hand Reveal', () => {
+  test('Shows what each seat was dealt and what was in the blind', () => {
+    const game = setupGame();
+    game.startHand({ seed: 2 });
+    const dealt = Object.fromEntries(game.players.map(p => [p.id, ids(game.hands[p.id])]));
+    const blind = ids(game.blind);
+
+    playOut(game);
+    const { reveal } = game.handResults;
+
+    expect(Object.fromEntries(Object.entries(reveal.hands).map(([id, cards]) => [id, ids(cards)])))
+      .toEqual(dealt);
+    expect(ids(reveal.blind)).toEqual(blind);
+  });
+
+  test('Shows what the picker buried', () => {
+    const game = setupGame();
+    game.startHand({ seed: 2 });
+    playOut(game);
+
+    const { reveal, buriedPoints } = game.handResults;
+
+    expect(ids(reveal.buried)).toEqual(ids(game.buried));
+    expect(reveal.buried).toHaveLength(2);
+    expect(reveal.buried.reduce((sum, c) => sum + c.points, 0)).toBe(buriedPoints);
+  });
+
+  test('Shows which card was the under card', () => {
+    // Seed 1: the picker calls under
+    const game = setupGame();
+    game.startHand({ seed: 1 });
+    playOut(game);
+
+    const { reveal } = game.handResults;
+
+    expect(game.isUnderCall).toBe(true);
+    expect(reveal.underCardId).toBe(game.underCardId);
+    expect(ids([...reveal.hands[game.picker], ...reveal.blind])).toContain(reveal.underCardId);
+  });
+
+  test('Without an under call there is no under card', () => {
+    const game = setupGame();
+    game.startHand({ seed: 2 });
+    playOut(game);
+
+    expect(game.isUnderCall).toBe(false);
+    expect(game.handResults.reveal.underCardId).toBeNull();
+  });
+
+  test('A hand everyone passed shows the deal with nothing buried', () => {
+    const game = setupGame();
+    game.startHand({ seed: 1 });
+    for (let i = 0; i < 5; i++) {
+      game.pick(game.players[game.pickingIndex].id, false);
+    }
+
+    const { reveal } = game.handResults;
+
+    expect(game.handResults.type).toBe('schwanzer');
+    expect(Object.keys(reveal.hands)).toHaveLength(5);
+    expect(reveal.blind).toHaveLength(2);
+    expect(reveal.buried).toEqual([]);
+  });
+
+  test('Every player gets the reveal with the results', () => {
+    const game = setupGame();
+    game.startHand({ seed: 2 });
+    playOut(game);
+
+    for (const player of game.players) {
+      expect(game.getStateForPlayer(player.id).results.reveal).toEqual(game.handResults.reveal);
+    }
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Shared Test Helpers
+ * Set up a table and drive hands with bots, through the same game methods
+ * the server uses.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const RuleBot = require('../src/game/RuleBot');
+
+/**
+ * A full table of players player0, player1, ...
+ * @param {Object} [rules] - House rules (numPlayers sets the table size)
+ * @param {Object} [options] - Other SheepsheadGame options, such as { random }
+ */
+function setupGame(rules, options = {}) {
+  const game = new SheepsheadGame('test-room', { ...options, rules });
+  for (let i = 0; i < game.numPlayers; i++) {
+    game.addPlayer(`player${i}`, `Player ${i}`);
+  }
+  return game;
+}
+
+/**
+ * A full table of bots bot0, bot1, ...
+ */
+function setupBotGame() {
+  const game = new SheepsheadGame('test-room');
+  for (let i = 0; i < game.numPlayers; i++) {
+    game.addPlayer(`bot${i}`, `Bot ${i}`, { isBot: true });
+  }
+  return game;
+}
+
+/**
+ * Apply a bot action through the same game methods the server uses
+ */
+function apply(game, playerId, action) {
+  switch (action.type) {
+    case 'pick': return game.pick(playerId, action.wantsToPick);
+    case 'bid': return game.bid(playerId, action.game);
+    case 'callAce': return game.callAce(playerId, action.suit, action.goAlone, action.underCardId);
+    case 'bury': return game.bury(playerId, action.cardIds);
+    case 'crack': return game.crack(playerId, action.wantsToCrack);
+    case 'blitz': return game.blitz(playerId);
+    case 'playCard': return game.playCard(playerId, action.cardId);
+    default: throw new Error(`Unexpected action ${action.type}`);
+  }
+}
+
+/**
+ * Play every seat until `stop` is true or the hand is scored
+ * @param {Function} [stop] - game => true to stop before the next action
+ * @param {Object|Function} [bot] - The bot for every seat, or playerId => bot
+ */
+function playUntil(game, stop = () => false, bot = new RuleBot()) {
+  const botFor = typeof bot === 'function' ? bot : () => bot;
+  for (let steps = 0; steps < 200 && game.phase !== 'scoring' && !stop(game); steps++) {
+    const player = game.players.find(p => botFor(p.id).chooseAction(game, p.id));
+    expect(apply(game, player.id, botFor(player.id).chooseAction(game, player.id)).success).toBe(true);
+  }
+}
+
+/**
+ * Play every seat until the hand is scored
+ * @param {Object|Function} [bot] - The bot for every seat, or playerId => bot
+ */
+function playOut(game, bot) {
+  playUntil(game, () => false, bot);
+}
+
+/**
+ * A hand dealt from `seed` and played out by the rule bot
+ */
+function playedHand(seed, rules) {
+  const game = setupGame(rules);
+  game.startHand({ seed });
+  playOut(game);
+  return game;
+}
+
+module.exports = {
+  setupGame,
+  setupBotGame,
+  apply,
+  playUntil,
+  playOut,
+  playedHand
+};
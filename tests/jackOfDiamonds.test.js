@@ -0,0 +1,163 @@
+/**
+ * Jack of Diamonds Partner Tests
+ * Under the jack of diamonds rule there is no call: whoever holds the J♦ is the
+ * picker's secret partner, revealed when it's played. A picker holding it plays alone.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { createDeck } = require('../src/game/deck');
+const RuleBot = require('../src/game/RuleBot');
+const { validateRules, describeRules } = require('../src/game/rules');
+const { setupGame, playOut } = require('./helpers');
+
+const JACK = 'J_diamonds';
+const JACK_OF_DIAMONDS = { partner: 'jackOfDiamonds' };
+
+/**
+ * Deal with the J♦ as the first card of a seat (0-4) or in the blind (5),
+ * then have player1 - first to pick - pick
+ */
+function pickWithJackAt(position) {
+  const ids = createDeck().map(c => c.id).filter(id => id !== JACK);
+  ids.splice(position === 5 ? 30 : position, 0, JACK);
+
+  const game = setupGame(JACK_OF_DIAMONDS);
+  game.startHand({ deck: ids });
+  const result = game.pick('player1', true);
+  return { game, result };
+}
+
+describe('Picking', () => {
+  test('The picker goes straight to burying with a secret partner', () => {
+    const { game, result } = pickWithJackAt(3);
+
+    expect(result).toEqual({ success: true, picked: true, goAlone: false });
+    expect(game.phase).toBe('burying');
+    expect(game.partnerCardId).toBe(JACK);
+    expect(game.partner).toBeNull();
+    expect(game.getStateForPlayer('player0').partner).toBeNull();
+    expect(game.getStateForPlayer('player0').partnerCardId).toBe(JACK);
+  });
+
+  test('A picker holding the J♦ plays alone', () => {
+    const { game, result } = pickWithJackAt(1);
+
+    expect(result.goAlone).toBe(true);
+    expect(game.partnerCardId).toBeNull();
+    expect(game.phase).toBe('burying');
+  });
+
+  test('Picking up the J♦ in the blind means playing alone', () => {
+    const { result } = pickWithJackAt(5);
+    expect(result.goAlone).toBe(true);
+  });
+
+  test('No partner call can be made', () => {
+    const { game } = pickWithJackAt(3);
+    expect(game.callAce('player1', 'clubs').success).toBe(false);
+  });
+
+  test('Standard rules still go to calling', () => {
+    const game = setupGame(null);
+    game.startHand({ seed: 1 });
+    game.pick(game.players[game.pickingIndex].id, true);
+
+    expect(game.phase).toBe('calling');
+    expect(game.partnerCardId).toBeNull();
+  });
+});
+
+describe('Playing', () => {
+  test('Playing the J♦ reveals the partner', () => {
+    const { game } = pickWithJackAt(3);
+    playOut(game);
+
+    const play = game.actionLog.find(a => a.type === 'play' && a.cardId === JACK);
+    expect(play.playerId).toBe('player3');
+    expect(game.partner).toBe('player3');
+    expect(game.handResults.partner).toBe('player3');
+    expect(game.handResults.pickingTeam).toEqual(['player1', 'player3']);
+  });
+
+  test('The J♦ holder\'s bot knows it is on the picker\'s team', () => {
+    const { game } = pickWithJackAt(3);
+    const bot = new RuleBot();
+
+    expect(bot.knownTeammates(game.getStateForPlayer('player3'), 'player3')).toEqual(new Set(['player1']));
+    expect(bot.knownTeammates(game.getStateForPlayer('player2'), 'player2')).toEqual(new Set());
+  });
+
+  test('Defenders know each other when the picker is alone', () => {
+    const { game } = pickWithJackAt(1);
+    const bot = new RuleBot();
+
+    expect(bot.knownTeammates(game.getStateForPlayer('player2'), 'player2'))
+      .toEqual(new Set(['player0', 'player3', 'player4']));
+  });
+
+  test('Bots play jack of diamonds hands to a zero-sum result', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+      const game = setupGame(JACK_OF_DIAMONDS);
+      game.startHand({ seed });
+      playOut(game);
+
+      const results = game.handResults;
+      expect(Object.values(results.scores).reduce((a, b) => a + b, 0)).toBe(0);
+      if (results.type === 'normal' && results.partner) {
+        expect(game.deal.hands[results.partner].some(c => c.id === JACK)).toBe(true);
+      }
+    }
+  });
+});
+
+describe('Scoring', () => {
+  test('A revealed partner shares the picker\'s result', () => {
+    const { game } = pickWithJackAt(3);
+    playOut(game);
+
+    const { scores, multiplier, pickersWin } = game.handResults;
+    const sign = pickersWin ? 1 : -1;
+    expect(scores.player1).toBe(sign * multiplier * 2);
+    expect(scores.player3).toBe(sign * multiplier);
+  });
+
+  test('A picker holding the J♦ is scored as alone', () => {
+    const { game } = pickWithJackAt(1);
+    playOut(game);
+
+    const { scores, multiplier, pickersWin, partner } = game.handResults;
+    expect(partner).toBeNull();
+    expect(scores.player1).toBe((pickersWin ? 1 : -1) * multiplier * 4);
+    expect(game.getHandRecord().call.goAlone).toBe(true);
+  });
+
+  test('The hand record shows no call was made', () => {
+    const { game } = pickWithJackAt(3);
+    playOut(game);
+
+    expect(game.getHandRecord().call).toMatchObject({ calledSuit: null, goAlone: false });
+  });
+});
+
+describe('Replay and Rules', () => {
+  test('Replaying the log finds the same partner', () => {
+    const { game } = pickWithJackAt(2);
+    playOut(game);
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay.partner).toBe('player2');
+    expect(replay.handResults.scores).toEqual(game.handResults.scores);
+  });
+
+  test('A restored table keeps the partner card', () => {
+    const { game } = pickWithJackAt(4);
+
+    expect(SheepsheadGame.deserialize(game.serialize()).partnerCardId).toBe(JACK);
+  });
+
+  test('The partner rule is validated and listed', () => {
+    expect(validateRules({ partner: 'queenOfClubs' }).success).toBe(false);
+    expect(describeRules(validateRules({ partner: 'jackOfDiamonds' }).rules)).toEqual(['J♦ partner']);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Leasters Tests
+ * Under the leasters house rule, a hand everyone passes is played out instead of
+ * scored as a Schwanzer: fewest card points (with at least one trick) wins.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { POINT_VALUES } = require('../src/game/constants');
+const { getEffectiveSuit } = require('../src/game/deck');
+const RuleBot = require('../src/game/RuleBot');
+const { validateRules, describeRules } = require('../src/game/rules');
+const { setupGame } = require('./helpers');
+
+const LEASTERS = { noPick: 'leasters' };
+
+function card(rank, suit) {
+  return { rank, suit, id: `${rank}_${suit}`, points: POINT_VALUES[rank] };
+}
+
+/**
+ * Deal and have everyone pass
+ */
+function passAround(game, seed = 1) {
+  game.startHand({ seed });
+  let result;
+  for (let i = 0; i < 5; i++) {
+    result = game.pick(game.players[game.pickingIndex].id, false);
+  }
+  return result;
+}
+
+function playOut(game) {
+  const bot = new RuleBot();
+  for (let steps = 0; steps < 40 && game.phase === 'schwanzer'; steps++) {
+    const player = game.players[game.currentPlayerIndex];
+    const action = bot.chooseAction(game, player.id);
+    expect(game.playCard(player.id, action.cardId).success).toBe(true);
+  }
+}
+
+/**
+ * A finished leasters hand with the given trick takers and points
+ * @param {Array} tricks - [{ winner, points }] in play order
+ */
+function setupScoring(tricks, blind = [], rules = LEASTERS) {
+  const game = setupGame(rules);
+  game.isLeasters = true;
+  game.blind = blind;
+  game.tricks = tricks.map(t => ({ cards: [], winner: t.winner, points: t.points }));
+  for (const trick of game.tricks) {
+    game.tricksWon[trick.winner].push(trick);
+  }
+  return game;
+}
+
+describe('Starting Leasters', () => {
+  test('When everyone passes the hand is played out', () => {
+    const game = setupGame(LEASTERS);
+    const result = passAround(game);
+
+    expect(result).toEqual({ success: true, passed: true, leasters: true });
+    expect(game.phase).toBe('schwanzer');
+    expect(game.isLeasters).toBe(true);
+    expect(game.picker).toBeNull();
+    expect(game.blind).toHaveLength(2);
+    expect(game.currentPlayerIndex).toBe((game.dealerIndex + 1) % 5);
+  });
+
+  test('Standard rules still score a Schwanzer at once', () => {
+    const game = setupGame(null);
+    const result = passAround(game);
+
+    expect(result.schwanzer).toBe(true);
+    expect(game.phase).toBe('scoring');
+  });
+
+  test('The blind stays hidden while leasters is played', () => {
+    const game = setupGame(LEASTERS);
+    passAround(game);
+
+    const state = game.getStateForPlayer('player0');
+    expect(state.isLeasters).toBe(true);
+    for (const blindCard of game.blind) {
+      expect(JSON.stringify(state)).not.toContain(blindCard.id);
+    }
+  });
+
+  test('Everyone must follow suit, with no called suit or picker', () => {
+    const game = setupGame(LEASTERS);
+    passAround(game);
+    const leader = game.players[game.currentPlayerIndex].id;
+    game.playCard(leader, game.getStateForPlayer(leader).playableCards[0]);
+
+    const next = game.players[game.currentPlayerIndex].id;
+    const leadSuit = getEffectiveSuit(game.currentTrick[0].card);
+    const playable = game.getStateForPlayer(next).playableCards;
+    const hand = game.hands[next];
+    const following = hand.filter(c => getEffectiveSuit(c) === leadSuit);
+
+    expect(playable.sort()).toEqual((following.length > 0 ? following : hand).map(c => c.id).sort());
+  });
+});
+
+describe('Playing Out', () => {
+  test('Bots play leasters hands to a zero-sum result', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+      const game = setupGame(LEASTERS);
+      passAround(game, seed);
+      playOut(game);
+
+      const results = game.handResults;
+      expect(game.phase).toBe('scoring');
+      expect(results.type).toBe('leasters');
+      expect(Object.values(results.scores).reduce((a, b) => a + b, 0)).toBe(0);
+      expect(Object.values(results.playerPoints).reduce((a, b) => a + b, 0)).toBe(120);
+    }
+  });
+
+  test('Replaying the log rebuilds the leasters result', () => {
+    const game = setupGame(LEASTERS);
+    passAround(game, 3);
+    playOut(game);
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay.handResults.type).toBe('leasters');
+    expect(replay.handResults.scores).toEqual(game.handResults.scores);
+  });
+
+  test('A restored table carries on with leasters', () => {
+    const game = setupGame(LEASTERS);
+    passAround(game, 2);
+
+    const restored = SheepsheadGame.deserialize(game.serialize());
+    expect(restored.isLeasters).toBe(true);
+    playOut(restored);
+
+    expect(restored.handResults.type).toBe('leasters');
+  });
+
+  test('A bot without a trick takes a cheap one', () => {
+    const bot = new RuleBot();
+    const hand = [card('Q', 'clubs'), card('7', 'hearts')];
+    const state = {
+      hand,
+      playableCards: hand.map(c => c.id),
+      players: [{ id: 'p0', tricksWon: 0 }],
+      currentTrick: [
+        { playerId: 'p1', card: card('7', 'diamonds') },
+        { playerId: 'p2', card: card('8', 'diamonds') }
+      ]
+    };
+
+    expect(bot.chooseLeasterCard(state, 'p0')).toBe('Q_clubs');
+    state.players[0].tricksWon = 1;
+    expect(bot.chooseLeasterCard(state, 'p0')).toBe('7_hearts');
+  });
+});
+
+describe('Scoring', () => {
+  test('Fewest points with a trick wins and collects from everyone', () => {
+    const game = setupScoring([
+      { winner: 'player0', points: 30 },
+      { winner: 'player1', points: 5 },
+      { winner: 'player2', points: 40 },
+      { winner: 'player3', points: 25 },
+      { winner: 'player0', points: 10 },
+      { winner: 'player2', points: 10 }
+    ]);
+
+    const results = game._scoreLeasters();
+
+    expect(results.winners).toEqual(['player1']);
+    expect(results.scores).toEqual({ player0: -1, player1: 4, player2: -1, player3: -1, player4: -1 });
+  });
+
+  test('A player without a trick cannot win', () => {
+    const game = setupScoring([
+      { winner: 'player0', points: 60 },
+      { winner: 'player1', points: 60 }
+    ]);
+
+    const results = game._scoreLeasters();
+
+    expect(results.winners).toEqual(['player0', 'player1']);
+    expect(results.losers).toEqual(['player2', 'player3', 'player4']);
+  });
+
+  test('The blind goes to the taker of the last trick', () => {
+    const blind = [card('A', 'hearts'), card('7', 'spades')];
+    const tricks = [
+      { winner: 'player0', points: 10 },
+      { winner: 'player1', points: 12 }
+    ];
+
+    const last = setupScoring(tricks, blind)._scoreLeasters();
+    expect(last.blindTo).toBe('player1');
+    expect(last.playerPoints.player1).toBe(23);
+    expect(last.winners).toEqual(['player0']);
+
+    const first = setupScoring(tricks, blind, { noPick: 'leasters', leasterBlind: 'firstTrick' })._scoreLeasters();
+    expect(first.blindTo).toBe('player0');
+    expect(first.winners).toEqual(['player1']);
+  });
+
+  test('Tied winners each collect from every loser', () => {
+    const game = setupScoring([
+      { winner: 'player0', points: 10 },
+      { winner: 'player1', points: 10 },
+      { winner: 'player2', points: 100 }
+    ], [], { noPick: 'leasters', scoring: { leaster: 2 } });
+
+    const results = game._scoreLeasters();
+
+    expect(results.scores).toEqual({ player0: 6, player1: 6, player2: -4, player3: -4, player4: -4 });
+  });
+});
+
+describe('Rules', () => {
+  test('Leasters options are validated and listed', () => {
+    expect(validateRules({ noPick: 'misdeal' }).success).toBe(false);
+    expect(validateRules({ leasterBlind: 'nobody' }).success).toBe(false);
+    expect(validateRules({ scoring: { leaster: 0 } }).success).toBe(false);
+
+    const { rules } = validateRules({ noPick: 'leasters', leasterBlind: 'firstTrick' });
+    expect(describeRules(rules)).toEqual(['Leasters', 'Blind to first trick']);
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Hand Notation Tests
+ * A hand can be written out as plain text (the deal, each decision and every
+ * trick) and read back in, checked against the rules line by line.
+ */
+
+jest.mock('../src/models/RoomSnapshot', () => ({
+  save: jest.fn(),
+  remove: jest.fn(),
+  getAll: jest.fn(() => [])
+}));
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { SchafkopfGame } = require('../src/game/SchafkopfGame');
+const { exportHand, parseHand } = require('../src/game/notation');
+const SchafkopfBot = require('../src/game/SchafkopfBot');
+const roomManager = require('../src/game/RoomManager');
+const { setupGame, playUntil, playOut, playedHand } = require('./helpers');
+
+function lineOf(text, start) {
+  return text.split('\n').findIndex(line => line.startsWith(start)) + 1;
+}
+
+// Seat 2 picks holding all three fail aces, so has to call a 10
+const TEN_CALL = [
+  'SHN 1',
+  'Seat 1: Alice',
+  'Seat 2: Bob',
+  'Seat 3: Carol',
+  'Seat 4: Dave',
+  'Seat 5: Erin',
+  'Dealer: 1',
+  'Deal 1: 7_clubs 8_clubs 9_clubs 10_clubs K_clubs 10_diamonds',
+  'Deal 2: A_clubs A_spades A_hearts Q_clubs J_clubs 7_diamonds',
+  'Deal 3: 7_spades 8_spades 9_spades 10_spades K_spades J_diamonds',
+  'Deal 4: 7_hearts 8_hearts 9_hearts 10_hearts K_hearts Q_diamonds',
+  'Deal 5: J_spades Q_spades J_hearts Q_hearts K_diamonds A_diamonds',
+  'Blind: 8_diamonds 9_diamonds',
+  'Pick: 2 pick',
+  'Call: 2 10_hearts',
+  'Bury: 2 7_diamonds 8_diamonds',
+  ''
+].join('\n');
+
+describe('Exporting a Hand', () => {
+  test('Writes the seats, the deal and every decision and trick', () => {
+    const game = playedHand(2);
+    const record = game.getHandRecord();
+
+    const lines = exportHand(record.actions).split('\n');
+
+    expect(lines[0]).toBe('SHN 1');
+    expect(lines).toContain('Game: sheepshead');
+    expect(lines).toContain('Seat 1: Player 0');
+    expect(lines).toContain(`Dealer: ${game.players.findIndex(p => p.id === record.dealer) + 1}`);
+    expect(lines).toContain(`Deal 1: ${record.deal.hands.player0.join(' ')}`);
+    expect(lines).toContain(`Blind: ${record.deal.blind.join(' ')}`);
+    expect(lines.filter(l => l.startsWith('Pick: '))).not.toHaveLength(0);
+    expect(lines).toContain(`Bury: ${game.players.findIndex(p => p.id === game.picker) + 1} ${game.buried.map(c => c.id).join(' ')}`);
+    expect(lines.filter(l => l.startsWith('Trick '))).toHaveLength(6);
+    expect(lines.some(l => l.startsWith('Rule: '))).toBe(false);
+  });
+
+  test('Reads back to the same hand', () => {
+    for (const seed of [1, 2, 3, 4]) {
+      const game = playedHand(seed);
+      const text = exportHand(game.actionLog);
+
+      const parsed = parseHand(text);
+
+      expect(parsed.success).toBe(true);
+      expect(exportHand(parsed.actions)).toBe(text);
+      const replayed = SheepsheadGame.fromActionLog(parsed.actions);
+      expect(game.players.map(p => game.handResults.scores[p.id]))
+        .toEqual(replayed.players.map(p => replayed.handResults.scores[p.id]));
+    }
+  });
+
+  test('An under call is written with its under card', () => {
+    // Seed 1: the picker calls under
+    const game = playedHand(1);
+
+    const text = exportHand(game.actionLog);
+
+    expect(text).toContain(`under ${game.underCardId}`);
+  });
+
+  test('House rules are written as Rule lines', () => {
+    const game = setupGame({ partner: 'jackOfDiamonds', scoring: { bump: 2 } });
+    game.startHand({ seed: 2 });
+    playOut(game);
+
+    const text = exportHand(game.actionLog);
+
+    expect(text).toContain('Rule: partner=jackOfDiamonds');
+    expect(text).toContain('Rule: scoring.bump=2');
+    expect(text).not.toContain('Call: ');
+    expect(parseHand(text).actions[0].rules).toEqual(game.rules);
+  });
+
+  test('A Schafkopf hand is written with its bids and no blind', () => {
+    const game = new SchafkopfGame('test-room');
+    for (let i = 0; i < 4; i++) {
+      game.addPlayer(`player${i}`, `Player ${i}`);
+    }
+    game.startHand({ seed: 3 });
+    playOut(game, new SchafkopfBot());
+
+    const text = exportHand(game.actionLog);
+
+    expect(text).toContain('Game: schafkopf');
+    expect(text.match(/^Bid: /gm)).toHaveLength(4);
+    expect(text).not.toContain('Blind: ');
+    expect(exportHand(parseHand(text).actions)).toBe(text);
+  });
+
+  test('A seat taken over by a bot keeps its seat number', () => {
+    const game = setupGame();
+    game.startHand({ seed: 2 });
+    playUntil(game, g => g.phase === 'playing');
+    game.substituteBot('player3', { id: 'bot_sub', name: 'Bot 1' });
+    playOut(game);
+
+    const text = exportHand(game.actionLog);
+    const fourthSeat = text.match(/ 4 [^,\n]+/g);
+
+    expect(text).toContain('Seat 4: Player 3');
+    expect(fourthSeat.length).toBeGreaterThanOrEqual(6);
+    expect(parseHand(text).success).toBe(true);
+  });
+});
+
+describe('Reading a Hand', () => {
+  test('A 10 call reads as a 10 call', () => {
+    const parsed = parseHand(TEN_CALL);
+
+    expect(parsed.success).toBe(true);
+    expect(parsed.actions.find(a => a.type === 'call')).toMatchObject({ suit: 'hearts', rank: '10' });
+    expect(exportHand(parsed.actions)).toContain('Call: 2 10_hearts');
+  });
+
+  test('Calling the ace when the call has to be a 10 is reported', () => {
+    const text = TEN_CALL.replace('Call: 2 10_hearts', 'Call: 2 A_hearts');
+
+    expect(parseHand(text)).toEqual({ success: false, error: `Line ${lineOf(text, 'Call:')}: The call is the 10_hearts` });
+  });
+
+  test('Needs the header', () => {
+    const text = TEN_CALL.replace('SHN 1\n', '');
+
+    expect(parseHand(text).error).toBe('Line 1: Notation starts with "SHN 1"');
+  });
+
+  test('Reports an unknown card with its line', () => {
+    const text = TEN_CALL.replace('7_clubs 8_clubs', '7_clubs 8_club');
+
+    expect(parseHand(text).error).toBe(`Line ${lineOf(text, 'Deal 1:')}: Unknown card: 8_club`);
+  });
+
+  test('Reports a seat numbered 0', () => {
+    const seat = TEN_CALL.replace('Seat 1: Alice', 'Seat 0: Alice');
+    expect(parseHand(seat).error).toBe(`Line ${lineOf(seat, 'Seat 0:')}: Seat numbers start at 1`);
+
+    const deal = TEN_CALL.replace('Blind: 8_diamonds 9_diamonds', 'Blind: 8_diamonds\nDeal 0: 9_diamonds');
+    expect(parseHand(deal).error).toBe(`Line ${lineOf(deal, 'Deal 0:')}: Deal numbers start at 1`);
+  });
+
+  test('Reports a card dealt twice and a card not dealt', () => {
+    const twice = TEN_CALL.replace('Deal 1: 7_clubs', 'Deal 1: A_clubs');
+    expect(parseHand(twice).error).toBe(`Line ${lineOf(twice, 'Deal 2:')}: A_clubs was already dealt on line ${lineOf(twice, 'Deal 1:')}`);
+
+    const missing = TEN_CALL.replace('Blind: 8_diamonds 9_diamonds', 'Blind: 8_diamonds');
+    expect(parseHand(missing).error).toBe('The deal is missing 9_diamonds');
+  });
+
+  test('Reports a pick out of turn', () => {
+    const text = TEN_CALL.replace('Pick: 2 pick', 'Pick: 3 pick');
+
+    expect(parseHand(text).error).toBe(`Line ${lineOf(text, 'Pick:')}: Not your turn to pick`);
+  });
+
+  test('Reports a call without a card', () => {
+    const text = TEN_CALL.replace('Call: 2 10_hearts', 'Call: 2');
+
+    expect(parseHand(text).error).toBe(`Line ${lineOf(text, 'Call:')}: A call needs the called card, or "alone"`);
+  });
+
+  test('Reports a bid in a Sheepshead hand', () => {
+    const text = TEN_CALL.replace('Pick: 2 pick', 'Bid: 2 solo hearts');
+
+    expect(parseHand(text).error).toBe(`Line ${lineOf(text, 'Bid:')}: Only Schafkopf hands have bids`);
+  });
+
+  test('Reports a card that can\'t be played', () => {
+    // Seat 1 holds clubs, so has to follow the led ace
+    const text = TEN_CALL + 'Trick 1: 2 A_clubs, 3 7_spades, 4 7_hearts, 5 J_spades, 1 10_diamonds\n';
+
+    expect(parseHand(text).error).toBe(`Line ${lineOf(text, 'Trick 1:')}: Cannot play that card`);
+  });
+
+  test('Reports tricks out of order', () => {
+    const text = exportHand(playedHand(2).actionLog).replace('Trick 2:', 'Trick 3:');
+
+    expect(parseHand(text).error).toBe(`Line ${lineOf(text, 'Trick 3:')}: Expected Trick 2`);
+  });
+
+  test('Reports a rule the table doesn\'t have', () => {
+    const text = TEN_CALL.replace('Seat 1:', 'Rule: partner=nobody\nSeat 1:');
+
+    expect(parseHand(text).error).toMatch(/^Rules: /);
+  });
+
+  test('A hand can stop partway through', () => {
+    const text = TEN_CALL + 'Trick 1: 2 A_clubs, 3 7_spades\n';
+
+    const parsed = parseHand(text);
+
+    expect(parsed.success).toBe(true);
+    expect(exportHand(parsed.actions)).toMatch(/\nTrick 1: 2 A_clubs, 3 7_spades\n$/);
+  });
+});
+
+describe('Practice Tables', () => {
+  beforeEach(() => {
+    roomManager.rooms.clear();
+    roomManager.playerRooms.clear();
+  });
+
+  test('Deals the hand as written, with the player in their seat and bots in the rest', () => {
+    const { actions } = parseHand(TEN_CALL);
+
+    const result = roomManager.createPracticeRoom('host', 'Host', actions[0], { seat: 2 });
+    const game = roomManager.getRoom(result.roomId);
+
+    expect(result.success).toBe(true);
+    expect(game.isPractice).toBe(true);
+    expect(game.players[2].id).toBe('host');
+    expect(game.players.filter(p => p.isBot)).toHaveLength(4);
+    expect(game.dealerIndex).toBe(0);
+    expect(game.hands[game.players[1].id].map(c => c.id).sort())
+      .toEqual('A_clubs A_spades A_hearts Q_clubs J_clubs 7_diamonds'.split(' ').sort());
+    expect(game.hands.host.map(c => c.id).sort())
+      .toEqual('7_spades 8_spades 9_spades 10_spades K_spades J_diamonds'.split(' ').sort());
+    expect(game.blind.map(c => c.id)).toEqual(['8_diamonds', '9_diamonds']);
+  });
+
+  test('The seat has to be at the table', () => {
+    const { actions } = parseHand(TEN_CALL);
+
+    expect(roomManager.createPracticeRoom('host', 'Host', actions[0], { seat: 5 }))
+      .toEqual({ success: false, error: 'Seat must be from 1 to 5' });
+  });
+
+  test('A player already at a table can\'t start one', () => {
+    const { actions } = parseHand(TEN_CALL);
+    roomManager.createPracticeRoom('host', 'Host', actions[0]);
+
+    expect(roomManager.createPracticeRoom('host', 'Host', actions[0]))
+      .toEqual({ success: false, error: 'Leave your table first' });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Reconnection Tests
+ * A dropped player keeps their seat and cards while they reconnect.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { setupGame } = require('./helpers');
+
+describe('Disconnected Players', () => {
+  test('A disconnected player keeps their seat and cards', () => {
+    const game = setupGame();
+    game.startHand({ seed: 1 });
+    const hand = [...game.hands.player2];
+
+    game.markDisconnected('player2', 1000);
+
+    expect(game.phase).toBe('picking');
+    expect(game.players.map(p => p.id)).toContain('player2');
+    expect(game.hands.player2).toEqual(hand);
+    expect(game.isConnected('player2')).toBe(false);
+  });
+
+  test('Other players see the seat as reconnecting', () => {
+    const game = setupGame();
+    game.addKibbitzer('watcher', 'Watcher');
+    game.startHand({ seed: 1 });
+    game.markDisconnected('player2', 1000);
+
+    const seat = game.getStateForPlayer('player0').players.find(p => p.id === 'player2');
+    expect(seat.connected).toBe(false);
+    expect(seat.reconnectDeadline).toBe(1000);
+
+    const other = game.getStateForKibbitzer('watcher').players.find(p => p.id === 'player3');
+    expect(other.connected).toBe(true);
+    expect(other.reconnectDeadline).toBeNull();
+  });
+
+  test('Reconnecting resumes with the same state', () => {
+    const game = setupGame();
+    game.startHand({ seed: 1 });
+    game.pick('player1', false);
+    const before = game.getStateForPlayer('player2');
+
+    game.markDisconnected('player2', 1000);
+    const result = game.markConnected('player2');
+
+    expect(result.wasDisconnected).toBe(true);
+    expect(game.getStateForPlayer('player2')).toEqual(before);
+  });
+
+  test('Marking a connected player connected is a no-op', () => {
+    const game = setupGame();
+    expect(game.markConnected('player0').wasDisconnected).toBe(false);
+  });
+
+  test('Play continues around a disconnected player', () => {
+    const game = setupGame();
+    game.startHand({ seed: 1 });
+    game.markDisconnected('player3');
+
+    expect(game.pick('player1', false).success).toBe(true);
+    expect(game.pick('player2', false).success).toBe(true);
+    expect(game.pickingIndex).toBe(3);
+  });
+
+  test('Only seated players can be marked disconnected', () => {
+    const game = setupGame();
+    expect(game.markDisconnected('nobody').success).toBe(false);
+  });
+
+  test('Removing the player clears their disconnected state', () => {
+    const game = setupGame();
+    game.markDisconnected('player4', 1000);
+    game.removePlayer('player4');
+
+    expect(game.disconnected).toEqual({});
+  });
+
+  test('Disconnected seats survive a snapshot', () => {
+    const game = setupGame();
+    game.startHand({ seed: 1 });
+    game.markDisconnected('player1', 5000);
+
+    const restored = SheepsheadGame.deserialize(game.serialize());
+    expect(restored.isConnected('player1')).toBe(false);
+    expect(restored.disconnected.player1).toBe(5000);
+  });
+});
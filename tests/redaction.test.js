@@ -0,0 +1,188 @@
+/**
+ * Redaction Tests
+ * The under card is played face-down: until the hand is scored, no state or
+ * broadcast sent to anyone but the picker says what it was.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { POINT_VALUES } = require('../src/game/constants');
+const { createSeededRandom } = require('../src/game/deck');
+const { HIDDEN_CARD, redactFor } = require('../src/game/redaction');
+const MonteCarloBot = require('../src/game/MonteCarloBot');
+const helpers = require('./helpers');
+
+const UNDER_CARD = '7_diamonds';
+
+function card(rank, suit) {
+  return { rank, suit, id: `${rank}_${suit}`, points: POINT_VALUES[rank] };
+}
+
+/**
+ * Three cards each, player0 has called the A♣ under with the 7♦ and player1 leads.
+ * A kibbitzer is watching.
+ */
+function setupGame() {
+  const game = new SheepsheadGame('test-room');
+  for (let i = 0; i < 5; i++) {
+    game.addPlayer(`player${i}`, `Player ${i}`);
+  }
+  game.addKibbitzer('watcher', 'Watcher');
+
+  game.phase = 'playing';
+  game.picker = 'player0';
+  game.calledSuit = 'clubs';
+  game.calledRank = 'A';
+  game.isUnderCall = true;
+  game.underCardId = UNDER_CARD;
+  game.buried = [];
+  game.currentPlayerIndex = 1;
+
+  game.hands.player0 = [card('7', 'diamonds'), card('Q', 'clubs'), card('J', 'diamonds')];
+  game.hands.player1 = [card('K', 'clubs'), card('9', 'hearts'), card('10', 'spades')];
+  game.hands.player2 = [card('A', 'clubs'), card('8', 'hearts'), card('9', 'spades')];
+  game.hands.player3 = [card('K', 'hearts'), card('10', 'hearts'), card('A', 'hearts')];
+  game.hands.player4 = [card('7', 'spades'), card('8', 'spades'), card('K', 'spades')];
+  for (let i = 0; i < 5; i++) {
+    game.tricksWon[`player${i}`] = [];
+  }
+  return game;
+}
+
+/**
+ * Deal seed 1 (where the picker calls under) and play it with the rule bot
+ * until the under card is down
+ */
+function dealtUnderCall() {
+  const game = helpers.setupGame();
+  game.startHand({ seed: 1 });
+  helpers.playUntil(game, g => g.underCardPlayed);
+  return game;
+}
+
+/**
+ * Play the called suit round to the picker's under card, optionally stopping before it
+ */
+function playUnderCard(game, { complete = true } = {}) {
+  game.playCard('player1', 'K_clubs');
+  game.playCard('player2', 'A_clubs');
+  game.playCard('player3', 'K_hearts');
+  game.playCard('player4', '7_spades');
+  if (complete) {
+    return game.playCard('player0', UNDER_CARD);
+  }
+  return null;
+}
+
+/**
+ * Everything each viewer is sent about the table right now
+ */
+function payloads(game) {
+  const viewers = ['player1', 'player2', 'player3', 'player4'];
+  return [
+    ...viewers.map(id => game.getStateForPlayer(id)),
+    game.getStateForKibbitzer('watcher')
+  ];
+}
+
+describe('Hidden Under Card', () => {
+  test('Nobody but the picker sees the under card once it is played', () => {
+    const game = setupGame();
+    playUnderCard(game);
+
+    for (const state of payloads(game)) {
+      expect(JSON.stringify(state)).not.toContain(UNDER_CARD);
+      const play = state.lastTrick.find(p => p.playerId === 'player0');
+      expect(play).toEqual({ playerId: 'player0', card: HIDDEN_CARD, isUnderCard: true });
+    }
+  });
+
+  test('The picker still sees their own under card', () => {
+    const game = setupGame();
+    playUnderCard(game);
+
+    const state = game.getStateForPlayer('player0');
+
+    expect(state.lastTrick.find(p => p.playerId === 'player0').card.id).toBe(UNDER_CARD);
+    expect(state.tricks[0].points).toBe(game.tricks[0].points);
+  });
+
+  test('The points of a trick holding the under card are withheld', () => {
+    const game = setupGame();
+    playUnderCard(game);
+
+    for (const state of payloads(game)) {
+      expect(state.tricks[0].points).toBeNull();
+      expect(state.tricks[0].winner).toBe('player2');
+    }
+  });
+
+  test('The trick broadcasts are redacted per viewer', () => {
+    const game = setupGame();
+    const result = playUnderCard(game);
+    const cardPlayed = { playerId: 'player0', card: game.tricks[0].cards[4].card, isUnderCard: true };
+    const trickComplete = { trick: result.trick, winner: result.winner, points: result.points };
+
+    expect(redactFor(game, 'player2', cardPlayed).card).toBe(HIDDEN_CARD);
+    expect(redactFor(game, 'watcher', trickComplete).points).toBeNull();
+    expect(JSON.stringify(redactFor(game, 'watcher', trickComplete))).not.toContain(UNDER_CARD);
+    expect(redactFor(game, 'player0', trickComplete)).toBe(trickComplete);
+  });
+
+  test('Redacting leaves the game\'s own record alone', () => {
+    const game = setupGame();
+    playUnderCard(game);
+
+    game.getStateForPlayer('player1');
+
+    expect(game.tricks[0].cards[4].card.id).toBe(UNDER_CARD);
+    expect(game.tricks[0].points).toBe(19);
+  });
+
+  test('Before it is played nothing is hidden', () => {
+    const game = setupGame();
+    playUnderCard(game, { complete: false });
+
+    expect(JSON.stringify(payloads(game))).not.toContain(UNDER_CARD);
+    expect(game.getStateForPlayer('player0').underCardId).toBe(UNDER_CARD);
+  });
+
+  test('Everyone sees the under card once the hand is scored', () => {
+    const game = setupGame();
+    playUnderCard(game);
+    game.playCard('player2', '8_hearts');
+    game.playCard('player3', '10_hearts');
+    game.playCard('player4', '8_spades');
+    game.playCard('player0', 'Q_clubs');
+    game.playCard('player1', '9_hearts');
+    game.playCard('player0', 'J_diamonds');
+    game.playCard('player1', '10_spades');
+    game.playCard('player2', '9_spades');
+    game.playCard('player3', 'A_hearts');
+    game.playCard('player4', 'K_spades');
+
+    expect(game.phase).toBe('scoring');
+    for (const state of payloads(game)) {
+      expect(state.tricks[0].cards[4].card.id).toBe(UNDER_CARD);
+    }
+  });
+
+  test('A dealt hand keeps the under card hidden from every other seat', () => {
+    const game = dealtUnderCall();
+
+    expect(game.phase).toBe('playing');
+    for (const player of game.players.filter(p => p.id !== game.picker)) {
+      expect(JSON.stringify(game.getStateForPlayer(player.id))).not.toContain(game.underCardId);
+    }
+  });
+
+  test('The expert bot plays on from a state with a face-down card', () => {
+    const game = dealtUnderCall();
+    const bot = new MonteCarloBot({ maxSamples: 10, timeBudgetMs: 1000, random: createSeededRandom(1) });
+
+    for (let plays = 0; plays < 5; plays++) {
+      const player = game.players[game.currentPlayerIndex].id;
+      const action = bot.chooseAction(game, player);
+      expect(game.playCard(player, action.cardId).success).toBe(true);
+    }
+  });
+});
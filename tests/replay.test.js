@@ -0,0 +1,103 @@
+/**
+ * Replay Tests
+ * A finished hand can be stepped back through from its action log: the deal,
+ * each pick, the call, the bury, then every trick card by card.
+ */
+
+const { SchafkopfGame } = require('../src/game/SchafkopfGame');
+const { buildReplay } = require('../src/game/replay');
+const SchafkopfBot = require('../src/game/SchafkopfBot');
+const { playOut, playedHand } = require('./helpers');
+
+describe('Hand Replay', () => {
+  test('Has a frame for the deal and one for each action after it', () => {
+    const game = playedHand(2);
+
+    const { frames } = buildReplay(game.getHandRecord().actions);
+
+    expect(frames).toHaveLength(game.actionLog.length);
+    expect(frames.map(f => f.action.type)).toEqual(game.actionLog.map(a => a.type));
+  });
+
+  test('The first frame is the deal as it was dealt', () => {
+    const game = playedHand(2);
+    const record = game.getHandRecord();
+
+    const replay = buildReplay(record.actions);
+    const [deal] = replay.frames;
+
+    expect(deal.phase).toBe('picking');
+    expect(deal.hands).toEqual(record.deal.hands);
+    expect(deal.blind).toEqual(record.deal.blind);
+    expect(deal.action.deck).toBeUndefined();
+    expect(replay.dealer).toBe(record.dealer);
+  });
+
+  test('The bury frame shows the picker\'s buried cards', () => {
+    const game = playedHand(2);
+
+    const { frames } = buildReplay(game.actionLog);
+    const bury = frames.find(f => f.action.type === 'bury');
+
+    expect(bury.picker).toBe(game.picker);
+    expect(bury.buried).toEqual(game.buried.map(c => c.id));
+    expect(bury.hands[game.picker]).toHaveLength(6);
+  });
+
+  test('Each trick builds up card by card and ends with its winner', () => {
+    const game = playedHand(2);
+
+    const plays = buildReplay(game.actionLog).frames.filter(f => f.action.type === 'play');
+
+    expect(plays.slice(0, 5).map(f => f.trick.length)).toEqual([1, 2, 3, 4, 5]);
+    expect(plays.slice(0, 4).every(f => f.trickWinner === null)).toBe(true);
+    expect(plays[4].trickWinner).toBe(game.tricks[0].winner);
+    expect(plays[4].trick.map(p => p.cardId)).toEqual(game.tricks[0].cards.map(p => p.card.id));
+    expect(plays[5].trick).toHaveLength(1);
+  });
+
+  test('The last frame has the hand\'s scores', () => {
+    const game = playedHand(2);
+
+    const { frames } = buildReplay(game.actionLog);
+    const last = frames[frames.length - 1];
+
+    expect(last.phase).toBe('scoring');
+    expect(last.results.scores).toEqual(game.handResults.scores);
+    expect(last.results.pickingPoints).toBe(game.handResults.pickingPoints);
+    expect(frames.slice(0, -1).every(f => f.results === null)).toBe(true);
+  });
+
+  test('The under card is shown face-up', () => {
+    // Seed 1: the picker calls under
+    const game = playedHand(1);
+
+    const { frames } = buildReplay(game.actionLog);
+    const underPlay = frames.find(f => f.action.type === 'play' && f.action.cardId === game.underCardId);
+
+    expect(underPlay.isUnderCall).toBe(true);
+    expect(underPlay.underCardId).toBe(game.underCardId);
+    expect(underPlay.trick.find(p => p.cardId === game.underCardId).isUnderCard).toBe(true);
+  });
+
+  test('A Schafkopf hand replays with its contract', () => {
+    const game = new SchafkopfGame('test-room');
+    for (let i = 0; i < 4; i++) {
+      game.addPlayer(`player${i}`, `Player ${i}`);
+    }
+    game.startHand({ seed: 3 });
+    playOut(game, new SchafkopfBot());
+
+    const { frames } = buildReplay(game.actionLog);
+    const last = frames[frames.length - 1];
+
+    expect(frames.filter(f => f.action.type === 'bid')).toHaveLength(4);
+    expect(last.contract).toEqual(game.contract);
+    expect(last.results.scores).toEqual(game.handResults.scores);
+  });
+
+  test('A hand without an action log cannot be replayed', () => {
+    expect(() => buildReplay(undefined)).toThrow('Action log has no deal');
+    expect(() => buildReplay([])).toThrow('Action log has no deal');
+  });
+});
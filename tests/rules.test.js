@@ -0,0 +1,286 @@
+/**
+ * House Rules Tests
+ * Each table can change the thresholds, scoring schedule and under-call rule it plays by.
+ * Rules are fixed when the room is created and travel with snapshots and hand logs.
+ */
+
+jest.mock('../src/models/RoomSnapshot', () => ({
+  save: jest.fn(),
+  remove: jest.fn(),
+  getAll: jest.fn(() => [])
+}));
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { POINT_VALUES } = require('../src/game/constants');
+const { DEFAULT_RULES, validateRules, describeRules } = require('../src/game/rules');
+const roomManager = require('../src/game/RoomManager');
+const { setupGame } = require('./helpers');
+
+function card(rank, suit) {
+  return { rank, suit, id: `${rank}_${suit}`, points: POINT_VALUES[rank] };
+}
+
+/**
+ * A game ready to score: player0 picks with player1 as partner (unless alone),
+ * each seat has won one trick worth the given points
+ */
+function setupScoringGame(rules, points, { alone = false } = {}) {
+  const game = setupGame(rules);
+  game.phase = 'scoring';
+  game.picker = 'player0';
+  game.partner = alone ? null : 'player1';
+  game.buried = [];
+  game.players.forEach((p, i) => {
+    game.tricksWon[p.id] = points[i] === null ? [] : [{ points: points[i] }];
+  });
+  return game;
+}
+
+describe('Validation', () => {
+  test('No rules means the standard rules', () => {
+    expect(validateRules(null)).toEqual({ success: true, rules: DEFAULT_RULES });
+    expect(setupGame().rules).toEqual(DEFAULT_RULES);
+  });
+
+  test('Overrides are merged with the standard rules', () => {
+    const { rules } = validateRules({ winThreshold: 60, underCall: 'never' });
+
+    expect(rules.winThreshold).toBe(60);
+    expect(rules.underCall).toBe('never');
+    expect(rules.scoring).toEqual(DEFAULT_RULES.scoring);
+  });
+
+  test('Unknown and out-of-range rules are rejected', () => {
+    expect(validateRules({ jackOfDiamonds: true }).error).toBe('Unknown rule: jackOfDiamonds');
+    expect(validateRules({ winThreshold: 0 }).success).toBe(false);
+    expect(validateRules({ winThreshold: 60.5 }).success).toBe(false);
+    expect(validateRules({ scoring: { alone: '4' } }).success).toBe(false);
+    expect(validateRules({ underCall: 'sometimes' }).success).toBe(false);
+    expect(validateRules('standard').error).toBe('Rules must be an object');
+  });
+
+  test('Names inherited from Object.prototype are not rules', () => {
+    for (const name of ['toString', 'constructor', 'hasOwnProperty', '__proto__']) {
+      const overrides = JSON.parse(`{ "${name}": 1 }`);
+      expect(validateRules(overrides).error).toBe(`Unknown rule: ${name}`);
+      expect(validateRules({ scoring: overrides }).error).toBe(`Unknown scoring value: ${name}`);
+    }
+  });
+
+  test('Schneider thresholds must be above winning', () => {
+    expect(validateRules({ pickerSchneider: 50 }).success).toBe(false);
+    expect(validateRules({ defenderSchneider: 59 }).success).toBe(false);
+    expect(validateRules({ winThreshold: 70, defenderSchneider: 51 }).success).toBe(true);
+  });
+
+  test('A game with invalid rules cannot be created', () => {
+    expect(() => new SheepsheadGame('test-room', { rules: { scoring: { picker: 0 } } })).toThrow('scoring.picker');
+  });
+
+  test('Standard rules have no description', () => {
+    expect(describeRules(DEFAULT_RULES)).toEqual([]);
+    expect(describeRules({ ...DEFAULT_RULES, winThreshold: 60, underCall: 'never' }))
+      .toEqual(['Pickers need 60', 'No under calls']);
+  });
+});
+
+describe('Scoring', () => {
+  test('The win threshold decides the hand', () => {
+    const points = [40, 20, 20, 20, 20];
+
+    expect(setupScoringGame(null, points)._scoreNormalHand().pickersWin).toBe(false);
+    expect(setupScoringGame({ winThreshold: 60 }, points)._scoreNormalHand().pickersWin).toBe(true);
+  });
+
+  test('Schneider thresholds are per table', () => {
+    const pickers = [70, 20, 10, 10, 10];
+    const defenders = [15, 15, 30, 30, 30];
+
+    expect(setupScoringGame(null, pickers)._scoreNormalHand().schneider).toBe(false);
+    expect(setupScoringGame({ pickerSchneider: 90 }, pickers)._scoreNormalHand().schneider).toBe(true);
+    expect(setupScoringGame(null, defenders)._scoreNormalHand().schneider).toBe(true);
+    expect(setupScoringGame({ defenderSchneider: 91 }, defenders)._scoreNormalHand().schneider).toBe(false);
+  });
+
+  test('Multipliers and picker shares come from the rules', () => {
+    const rules = { scoring: { schneider: 3, schwarz: 5, picker: 3, alone: 6 } };
+
+    const schneider = setupScoringGame(rules, [80, 20, 10, 10, 0])._scoreNormalHand();
+    expect(schneider.scores).toEqual({ player0: 9, player1: 3, player2: -3, player3: -3, player4: -3 });
+
+    const schwarz = setupScoringGame(rules, [120, null, null, null, null], { alone: true })._scoreNormalHand();
+    expect(schwarz.multiplier).toBe(5);
+    expect(schwarz.scores).toEqual({ player0: 30, player1: -5, player2: -5, player3: -5, player4: -5 });
+  });
+
+  test('The schwanzer stake scales the loss', () => {
+    const game = setupGame({ scoring: { schwanzer: 2 } });
+    game.isSchwanzer = true;
+    game.hands = {
+      player0: [card('Q', 'clubs'), card('Q', 'spades')],
+      player1: [card('7', 'hearts')],
+      player2: [card('7', 'spades')],
+      player3: [card('7', 'clubs')],
+      player4: [card('8', 'clubs')]
+    };
+
+    const result = game._scoreSchwanzer();
+
+    expect(result.scores).toEqual({ player0: -8, player1: 2, player2: 2, player3: 2, player4: 2 });
+  });
+});
+
+describe('Scoring Schedule', () => {
+  // Pickers take 40: a plain loss
+  const bumped = [20, 20, 30, 30, 20];
+
+  test('Double on the bump doubles what the pickers lose', () => {
+    const result = setupScoringGame({ scoring: { bump: 2 } }, bumped)._scoreNormalHand();
+
+    expect(result.bumpMultiplier).toBe(2);
+    expect(result.scores).toEqual({ player0: -4, player1: -2, player2: 2, player3: 2, player4: 2 });
+  });
+
+  test('The bump leaves a win alone', () => {
+    const result = setupScoringGame({ scoring: { bump: 2 } }, [50, 20, 20, 20, 10])._scoreNormalHand();
+
+    expect(result.bumpMultiplier).toBe(1);
+    expect(result.scores).toEqual({ player0: 2, player1: 1, player2: -1, player3: -1, player4: -1 });
+  });
+
+  test('A 2/3/4 scoresheet pays its own values', () => {
+    const rules = { scoring: { win: 2, schneider: 3, schwarz: 4 } };
+
+    expect(setupScoringGame(rules, [50, 20, 20, 20, 10])._scoreNormalHand().scores)
+      .toEqual({ player0: 4, player1: 2, player2: -2, player3: -2, player4: -2 });
+    expect(setupScoringGame(rules, [80, 20, 10, 10, 0])._scoreNormalHand().scores)
+      .toEqual({ player0: 6, player1: 3, player2: -3, player3: -3, player4: -3 });
+    expect(setupScoringGame(rules, [120, null, null, null, null], { alone: true })._scoreNormalHand().scores)
+      .toEqual({ player0: 16, player1: -4, player2: -4, player3: -4, player4: -4 });
+  });
+
+  test('A table gives only the values it changes', () => {
+    const { rules } = validateRules({ scoring: { bump: 2 } });
+
+    expect(rules.scoring).toEqual({ ...DEFAULT_RULES.scoring, bump: 2 });
+    expect(validateRules({ numPlayers: 6, scoring: { bump: 2 } }).rules.scoring.picker).toBe(3);
+  });
+
+  test('Bad schedules are rejected', () => {
+    expect(validateRules({ scoring: [] }).error).toBe('scoring must be an object');
+    expect(validateRules({ scoring: { loss: 1 } }).error).toBe('Unknown scoring value: loss');
+    expect(validateRules({ scoring: { bump: 0 } }).error).toBe('scoring.bump must be a whole number from 1 to 10');
+    expect(validateRules({ scoring: { win: 3 } }).success).toBe(false);
+    expect(validateRules({ scoring: { schneider: 4 } }).success).toBe(false);
+  });
+
+  test('The lobby lists a changed schedule', () => {
+    expect(describeRules(validateRules({ scoring: { bump: 2, win: 2 } }).rules))
+      .toEqual(['Win pays 2', 'Double on the bump']);
+  });
+
+  test('Schafkopf tables keep their own tariffs', () => {
+    expect(validateRules({ game: 'schafkopf', scoring: { bump: 2 } }).error).toBe('scoring is not a Schafkopf rule');
+    expect(validateRules({ game: 'schafkopf', scoring: { bump: 1 } }).success).toBe(true);
+  });
+});
+
+describe('Under Calls', () => {
+  function setupCalling(rules, hand) {
+    const game = setupGame(rules);
+    game.phase = 'calling';
+    game.picker = 'player0';
+    game.hands.player0 = hand;
+    return game;
+  }
+
+  const holdHand = [card('K', 'hearts'), card('Q', 'clubs'), card('J', 'hearts'), card('7', 'diamonds'),
+    card('A', 'spades'), card('9', 'diamonds')];
+  const underHand = [card('A', 'hearts'), card('A', 'spades'), card('Q', 'clubs'), card('J', 'hearts'),
+    card('7', 'diamonds'), card('9', 'diamonds')];
+
+  test('By choice, a picker with a hold card may also call under a void suit', () => {
+    const options = setupCalling({ underCall: 'allowed' }, holdHand).getCallableOptions('player0');
+
+    expect(options.options).toEqual([
+      { suit: 'hearts', rank: 'A', type: 'normal' },
+      { suit: 'clubs', rank: 'A', type: 'under' }
+    ]);
+    expect(options.mustSelectUnderCard).toBe(false);
+  });
+
+  test('By choice, calling under still needs an under card', () => {
+    const game = setupCalling({ underCall: 'allowed' }, holdHand);
+
+    expect(game.callAce('player0', 'clubs').needsUnderCard).toBe(true);
+    expect(game.callAce('player0', 'clubs', false, '7_diamonds').isUnderCall).toBe(true);
+  });
+
+  test('Standard rules only offer the normal call', () => {
+    const options = setupCalling(null, holdHand).getCallableOptions('player0');
+    expect(options.options.map(o => o.type)).toEqual(['normal']);
+  });
+
+  test('With under calls off, a picker who would have to call under goes alone', () => {
+    const game = setupCalling({ underCall: 'never' }, underHand);
+    const options = game.getCallableOptions('player0');
+
+    expect(options.goAlone).toBe(true);
+    expect(game.callAce('player0', 'clubs', false, '7_diamonds').success).toBe(false);
+    expect(game.callAce('player0', null, true).success).toBe(true);
+  });
+});
+
+describe('Tables', () => {
+  beforeEach(() => {
+    roomManager.rooms.clear();
+    roomManager.playerRooms.clear();
+  });
+
+  test('Rules are set when the room is created', () => {
+    roomManager.joinRoom('CLUB', 'host', 'Host', { rules: { winThreshold: 60 } });
+    roomManager.joinRoom('CLUB', 'guest', 'Guest', { rules: { winThreshold: 70 } });
+
+    expect(roomManager.getRoom('CLUB').rules.winThreshold).toBe(60);
+  });
+
+  test('Invalid rules do not create a room', () => {
+    const result = roomManager.joinRoom('CLUB', 'host', 'Host', { rules: { winThreshold: 500 } });
+
+    expect(result.success).toBe(false);
+    expect(roomManager.getRoom('CLUB')).toBeUndefined();
+    expect(roomManager.getPlayerRoom('host')).toBeNull();
+  });
+
+  test('The lobby lists each table\'s house rules', () => {
+    roomManager.joinRoom('CLUB', 'host', 'Host', { rules: { scoring: { alone: 6 } } });
+    roomManager.joinRoom('PLAIN', 'other', 'Other');
+
+    const rooms = roomManager.getPublicRooms();
+
+    expect(rooms.find(r => r.roomId === 'CLUB').houseRules).toEqual(['Alone share x6']);
+    expect(rooms.find(r => r.roomId === 'PLAIN').houseRules).toEqual([]);
+  });
+
+  test('Rules survive a snapshot restore', () => {
+    const game = setupGame({ scoring: { schwarz: 4 } });
+    const restored = SheepsheadGame.deserialize(game.serialize());
+
+    expect(restored.rules).toEqual(game.rules);
+  });
+
+  test('Replaying a hand uses the rules it was dealt under', () => {
+    const game = setupGame({ scoring: { alone: 6 } });
+    game.startHand({ seed: 1 });
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay.rules.scoring.alone).toBe(6);
+    expect(game.getHandRecord().rules.scoring.alone).toBe(6);
+  });
+
+  test('Players see the table rules', () => {
+    const game = setupGame({ underCall: 'allowed' });
+    expect(game.getStateForPlayer('player0').rules.underCall).toBe('allowed');
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Schafkopf Tests
+ * Schafkopf tables: bidding for Rufspiel, Wenz and Solo, each game's trump,
+ * the called ace's rules, and scoring by tariff with runners.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { SchafkopfGame } = require('../src/game/SchafkopfGame');
+const SchafkopfBot = require('../src/game/SchafkopfBot');
+const { validateRules, describeRules } = require('../src/game/rules');
+const roomManager = require('../src/game/RoomManager');
+const { playOut } = require('./helpers');
+
+// Hands dealt to player0..player3 (player1, left of the dealer, bids and leads first)
+const HANDS = [
+  ['Q_diamonds', '10_hearts', '9_hearts', '8_hearts', '10_clubs', 'K_clubs', 'A_spades', '9_spades'],
+  ['Q_clubs', 'Q_spades', 'Q_hearts', 'J_clubs', 'J_spades', 'K_hearts', '7_clubs', '8_spades'],
+  ['8_clubs', '7_spades', '7_hearts', '10_spades', 'K_spades', '10_diamonds', 'K_diamonds', 'A_diamonds'],
+  ['A_clubs', '9_clubs', 'J_hearts', 'J_diamonds', 'A_hearts', '7_diamonds', '8_diamonds', '9_diamonds']
+];
+
+/**
+ * Deck order that deals HANDS (one card to each player in turn)
+ */
+function deckFor(hands) {
+  const deck = [];
+  for (let i = 0; i < hands[0].length; i++) {
+    for (const hand of hands) deck.push(hand[i]);
+  }
+  return deck;
+}
+
+function setupGame(rules = {}) {
+  const game = new SchafkopfGame('test-room', { rules });
+  for (let i = 0; i < 4; i++) {
+    game.addPlayer(`player${i}`, `Player ${i}`);
+  }
+  return game;
+}
+
+/**
+ * Deal HANDS and bid around the table, starting left of the dealer
+ */
+function bidAround(game, bids) {
+  game.startHand({ deck: deckFor(HANDS) });
+  for (const bid of bids) {
+    const playerId = game.players[game.currentPlayerIndex].id;
+    expect(game.bid(playerId, bid).success).toBe(true);
+  }
+}
+
+function play(game, playerId, cardId) {
+  const result = game.playCard(playerId, cardId);
+  expect(result.success).toBe(true);
+  return result;
+}
+
+function playableFor(game, playerId) {
+  return game.getStateForPlayer(playerId).playableCards;
+}
+
+const RUFSPIEL = { type: 'rufspiel', suit: 'clubs' };
+
+describe('Bidding', () => {
+  test('Four players get 8 cards each and bid from the dealer\'s left', () => {
+    const game = setupGame();
+    game.startHand({ seed: 1 });
+
+    for (const player of game.players) {
+      expect(game.hands[player.id]).toHaveLength(8);
+    }
+    expect(game.blind).toHaveLength(0);
+    expect(game.phase).toBe('bidding');
+    expect(game.players[game.currentPlayerIndex].id).toBe('player1');
+    expect(game.bid('player2', null).error).toBe('Not your turn to bid');
+  });
+
+  test('A Rufspiel calls a fail suit held without its ace', () => {
+    const game = setupGame();
+    game.startHand({ deck: deckFor(HANDS) });
+
+    const rufspiele = game.getStateForPlayer('player1').biddableGames.filter(g => g.type === 'rufspiel');
+
+    expect(rufspiele).toEqual([{ type: 'rufspiel', suit: 'spades' }, { type: 'rufspiel', suit: 'clubs' }]);
+    expect(game.bid('player1', { type: 'rufspiel', suit: 'diamonds' }).error).toBe('You cannot bid that game');
+    expect(game.bid('player1', { type: 'rufspiel', suit: 'hearts' }).error).toBe('You cannot bid that game');
+  });
+
+  test('A bid must outrank every bid before it', () => {
+    const game = setupGame();
+    game.startHand({ deck: deckFor(HANDS) });
+    game.bid('player1', RUFSPIEL);
+
+    const games = game.getStateForPlayer('player2').biddableGames;
+    expect(games.some(g => g.type === 'rufspiel')).toBe(false);
+    expect(games.some(g => g.type === 'wenz')).toBe(true);
+
+    game.bid('player2', { type: 'solo', suit: 'diamonds' });
+    expect(game.getStateForPlayer('player3').biddableGames).toEqual([]);
+    expect(game.bid('player3', { type: 'wenz' }).error).toBe('You cannot bid that game');
+  });
+
+  test('The highest bid is played and the dealer\'s left leads', () => {
+    const game = setupGame();
+    bidAround(game, [RUFSPIEL, { type: 'wenz' }, null, null]);
+
+    expect(game.contract).toEqual({ type: 'wenz', suit: null, declarer: 'player2' });
+    expect(game.picker).toBe('player2');
+    expect(game.calledSuit).toBe(null);
+    expect(game.phase).toBe('playing');
+    expect(game.players[game.currentPlayerIndex].id).toBe('player1');
+  });
+
+  test('When everyone passes, the hand is thrown in', () => {
+    const game = setupGame();
+    game.startHand({ deck: deckFor(HANDS) });
+    let result;
+    for (const playerId of ['player1', 'player2', 'player3', 'player0']) {
+      result = game.bid(playerId, null);
+    }
+
+    expect(result.thrownIn).toBe(true);
+    expect(result.handComplete).toBe(true);
+    expect(result.results.scores).toEqual({ player0: 0, player1: 0, player2: 0, player3: 0 });
+    expect(game.phase).toBe('scoring');
+    expect(game.dealerIndex).toBe(1);
+  });
+});
+
+describe('Trump', () => {
+  test('In a Rufspiel, hearts are trump and diamonds are fail', () => {
+    const game = setupGame();
+    bidAround(game, [RUFSPIEL, null, null, null]);
+
+    play(game, 'player1', 'K_hearts');
+    expect(playableFor(game, 'player2')).toEqual(['7_hearts']);
+  });
+
+  test('In a Wenz, only the Unters are trump', () => {
+    const game = setupGame();
+    bidAround(game, [null, { type: 'wenz' }, null, null]);
+
+    play(game, 'player1', 'Q_clubs');
+    play(game, 'player2', '8_clubs');
+    play(game, 'player3', '9_clubs');
+    const result = play(game, 'player0', 'K_clubs');
+
+    // A Queen in a Wenz is a fail card below the King
+    expect(result.winner).toBe('player0');
+  });
+
+  test('In a Solo, the declarer\'s suit is trump', () => {
+    const game = setupGame();
+    bidAround(game, [null, { type: 'solo', suit: 'diamonds' }, null, null]);
+
+    play(game, 'player1', '7_clubs');
+    play(game, 'player2', '8_clubs');
+    play(game, 'player3', '9_clubs');
+    expect(playableFor(game, 'player0')).toEqual(['10_clubs', 'K_clubs']);
+
+    // Hand sorted with diamonds among the trump
+    expect(game.hands.player2.slice(0, 3).map(c => c.id)).toEqual(['A_diamonds', '10_diamonds', 'K_diamonds']);
+  });
+});
+
+describe('Called Ace', () => {
+  test('The ace must be played when its suit is led, revealing the partner', () => {
+    const game = setupGame();
+    bidAround(game, [RUFSPIEL, null, null, null]);
+
+    play(game, 'player1', '7_clubs');
+    play(game, 'player2', '8_clubs');
+    expect(playableFor(game, 'player3')).toEqual(['A_clubs']);
+
+    const result = play(game, 'player3', 'A_clubs');
+    expect(result.partnerRevealed).toBe('player3');
+    expect(game.partner).toBe('player3');
+  });
+
+  test('The ace can\'t be thrown off before its suit is led', () => {
+    const game = setupGame();
+    bidAround(game, [RUFSPIEL, null, null, null]);
+
+    play(game, 'player1', '8_spades');
+    play(game, 'player2', '7_spades');
+
+    expect(playableFor(game, 'player3')).not.toContain('A_clubs');
+    expect(game.playCard('player3', 'A_clubs').error).toBe('Cannot play that card');
+  });
+
+  test('Its holder leads the suit only with the ace, unless they can run away', () => {
+    const game = setupGame();
+    bidAround(game, [RUFSPIEL, null, null, null]);
+    game.currentPlayerIndex = 3;
+
+    expect(playableFor(game, 'player3')).toContain('A_clubs');
+    expect(playableFor(game, 'player3')).not.toContain('9_clubs');
+
+    // With four clubs, the partner may lead a low one
+    game.hands.player3.push(
+      ...game.hands.player0.filter(c => c.suit === 'clubs'),
+      ...game.hands.player2.filter(c => c.suit === 'clubs')
+    );
+    expect(playableFor(game, 'player3')).toContain('9_clubs');
+  });
+});
+
+describe('Scoring', () => {
+  function score(contract, points, partner = null) {
+    const game = setupGame();
+    bidAround(game, [contract, null, null, null]);
+    game.partner = partner;
+    game.players.forEach((p, i) => {
+      game.tricksWon[p.id] = [{ points: points[i] }];
+    });
+    return game._scoreNormalHand();
+  }
+
+  test('A Rufspiel pays its value to each winner, with runners', () => {
+    const results = score(RUFSPIEL, [30, 40, 19, 31], 'player3');
+
+    expect(results.pickersWin).toBe(true);
+    expect(results.runners).toBe(3); // Three top Obers between the declarer and partner
+    expect(results.value).toBe(4);
+    expect(results.scores).toEqual({ player0: -4, player1: 4, player2: -4, player3: 4 });
+  });
+
+  test('A Solo declarer is paid by every defender, schneider included', () => {
+    const results = score({ type: 'solo', suit: 'hearts' }, [10, 91, 10, 9]);
+
+    expect(results.schneider).toBe(true);
+    expect(results.value).toBe(5 + 1 + 3);
+    expect(results.scores).toEqual({ player0: -9, player1: 27, player2: -9, player3: -9 });
+  });
+
+  test('Wenz runners count from two', () => {
+    const results = score({ type: 'wenz' }, [20, 35, 35, 30]);
+
+    expect(results.pickersWin).toBe(false);
+    expect(results.runners).toBe(2);
+    expect(results.scores.player1).toBe(-21);
+  });
+
+  test('Bots bid and play hands to a zero-sum result', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const game = setupGame();
+      game.startHand({ seed });
+      playOut(game, new SchafkopfBot());
+
+      expect(game.tricks.length === 8 || game.handResults.type === 'thrownIn').toBe(true);
+      expect(Object.values(game.handResults.scores).reduce((a, b) => a + b, 0)).toBe(0);
+    }
+  });
+});
+
+describe('Replay and Rules', () => {
+  test('Replaying a hand plays it as Schafkopf', () => {
+    const game = setupGame();
+    game.startHand({ seed: 3 });
+    playOut(game, new SchafkopfBot());
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay).toBeInstanceOf(SchafkopfGame);
+    expect(replay.handResults.scores).toEqual(game.handResults.scores);
+  });
+
+  test('A snapshot restores the contract and the bids', () => {
+    const game = setupGame();
+    bidAround(game, [RUFSPIEL, null, null, null]);
+    play(game, 'player1', '7_clubs');
+
+    const restored = SheepsheadGame.deserialize(game.serialize());
+
+    expect(restored).toBeInstanceOf(SchafkopfGame);
+    expect(restored.contract).toEqual(game.contract);
+    expect(restored.bids).toEqual(game.bids);
+    expect(playableFor(restored, 'player2')).toEqual(['8_clubs']);
+  });
+
+  test('A substitute bot takes over the seat\'s bid', () => {
+    const game = setupGame();
+    bidAround(game, [RUFSPIEL, null, null, null]);
+
+    game.substituteBot('player1', { id: 'bot_1', name: 'Bot' });
+
+    expect(game.contract.declarer).toBe('bot_1');
+    expect(game.bids[0].playerId).toBe('bot_1');
+  });
+
+  test('Schafkopf tables are four-handed and keep Sheepshead house rules out', () => {
+    const { rules } = validateRules({ game: 'schafkopf' });
+
+    expect(rules.numPlayers).toBe(4);
+    expect(describeRules(rules)).toEqual(['Schafkopf']);
+    expect(validateRules({ game: 'schafkopf', cracking: 'crack' }).error).toBe('cracking is not a Schafkopf rule');
+    expect(validateRules({ game: 'schafkopf', numPlayers: 5 }).error).toBe('numPlayers is not a Schafkopf rule');
+    expect(validateRules({ game: 'schafkopf', winThreshold: 60, pickerSchneider: 90 }).success).toBe(true);
+  });
+
+  test('A room created with the Schafkopf rule plays Schafkopf', () => {
+    roomManager.rooms.clear();
+    roomManager.playerRooms.clear();
+    roomManager.joinRoom('BAVARIA', 'host', 'Host', { rules: { game: 'schafkopf' } });
+
+    expect(roomManager.getRoom('BAVARIA')).toBeInstanceOf(SchafkopfGame);
+    expect(roomManager.getPublicRooms()).toEqual([
+      expect.objectContaining({ roomId: 'BAVARIA', seats: 4, houseRules: ['Schafkopf'] })
+    ]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Screw the Dealer Tests
+ * Under the screw-the-dealer house rule, the dealer can't pass when everyone
+ * before them has, and may lose extra stakes when the forced pick goes wrong.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const RuleBot = require('../src/game/RuleBot');
+const { validateRules, describeRules } = require('../src/game/rules');
+const { setupGame, playOut } = require('./helpers');
+
+const FORCED_PICK = { noPick: 'forcedPick' };
+
+/**
+ * Deal and have everyone but the dealer pass
+ */
+function passToDealer(game, seed = 1) {
+  game.startHand({ seed });
+  for (let i = 0; i < 4; i++) {
+    game.pick(game.players[game.pickingIndex].id, false);
+  }
+  return game.players[game.pickingIndex].id;
+}
+
+describe('Forced Pick', () => {
+  test('The dealer cannot pass when everyone else has', () => {
+    const game = setupGame(FORCED_PICK);
+    const dealer = passToDealer(game);
+
+    expect(dealer).toBe(game.players[game.dealerIndex].id);
+    expect(game.isForcedPick()).toBe(true);
+    expect(game.pick(dealer, false).error).toBe('The dealer must pick');
+    expect(game.phase).toBe('picking');
+    expect(game.pick(dealer, true).success).toBe(true);
+  });
+
+  test('Only the dealer is told they must pick', () => {
+    const game = setupGame(FORCED_PICK);
+    game.startHand({ seed: 1 });
+    const first = game.players[game.pickingIndex].id;
+
+    expect(game.getStateForPlayer(first).mustPick).toBe(false);
+
+    const dealer = passToDealer(game);
+    expect(game.getStateForPlayer(dealer).mustPick).toBe(true);
+  });
+
+  test('Standard rules still let the dealer pass', () => {
+    const game = setupGame(null);
+    const dealer = passToDealer(game);
+
+    expect(game.isForcedPick()).toBe(false);
+    expect(game.pick(dealer, false).schwanzer).toBe(true);
+  });
+
+  test('The rule bot picks when it must', () => {
+    const game = setupGame(FORCED_PICK);
+    const dealer = passToDealer(game);
+
+    expect(new RuleBot().chooseAction(game, dealer)).toEqual({ type: 'pick', wantsToPick: true });
+  });
+});
+
+describe('Scoring', () => {
+  function setupScoring(points, rules = { noPick: 'forcedPick', forcedPickLoss: 2 }) {
+    const game = setupGame(rules);
+    game.passedPlayers = ['player1', 'player2', 'player3', 'player4'];
+    game.picker = 'player0';
+    game.partner = 'player1';
+    game.buried = [];
+    game.players.forEach((p, i) => {
+      game.tricksWon[p.id] = [{ points: points[i] }];
+    });
+    return game._scoreNormalHand();
+  }
+
+  test('A forced dealer who loses pays the extra stakes', () => {
+    const results = setupScoring([30, 20, 30, 20, 20]);
+
+    expect(results.forcedPick).toBe(true);
+    expect(results.forcedMultiplier).toBe(2);
+    expect(results.scores).toEqual({ player0: -4, player1: -2, player2: 2, player3: 2, player4: 2 });
+  });
+
+  test('A forced dealer who wins is paid the normal stakes', () => {
+    const results = setupScoring([50, 20, 20, 20, 10]);
+
+    expect(results.forcedMultiplier).toBe(1);
+    expect(results.scores.player0).toBe(2);
+  });
+
+  test('By default a forced loss costs the normal stakes', () => {
+    const results = setupScoring([30, 20, 30, 20, 20], { noPick: 'forcedPick' });
+
+    expect(results.forcedMultiplier).toBe(1);
+    expect(results.scores.player0).toBe(-2);
+  });
+
+  test('Bots play every hand, and no hand is a schwanzer', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const game = setupGame({ noPick: 'forcedPick', forcedPickLoss: 2 });
+      game.startHand({ seed });
+      playOut(game);
+
+      expect(game.handResults.type).toBe('normal');
+      expect(Object.values(game.handResults.scores).reduce((a, b) => a + b, 0)).toBe(0);
+    }
+  });
+});
+
+describe('Replay and Rules', () => {
+  test('Replaying a forced pick scores it the same', () => {
+    const game = setupGame({ noPick: 'forcedPick', forcedPickLoss: 2 });
+    const dealer = passToDealer(game, 4);
+    game.pick(dealer, true);
+    playOut(game);
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay.handResults.forcedPick).toBe(true);
+    expect(replay.handResults.scores).toEqual(game.handResults.scores);
+  });
+
+  test('The rule is validated and listed', () => {
+    expect(validateRules({ forcedPickLoss: 0 }).success).toBe(false);
+    const { rules } = validateRules({ noPick: 'forcedPick', forcedPickLoss: 2 });
+    expect(describeRules(rules)).toEqual(['Screw the dealer', 'Forced dealer loses x2']);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Room Snapshot Tests
+ * Live tables are serialized to the database and restored after a restart.
+ */
+
+jest.mock('../src/models/RoomSnapshot', () => {
+  const rows = new Map();
+  return {
+    rows,
+    save: jest.fn((roomId, snapshot) => rows.set(roomId, JSON.parse(JSON.stringify(snapshot)))),
+    remove: jest.fn((roomId) => rows.delete(roomId)),
+    getAll: jest.fn(() => [...rows].map(([roomId, snapshot]) => ({ roomId, snapshot })))
+  };
+});
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const RoomSnapshot = require('../src/models/RoomSnapshot');
+const roomManager = require('../src/game/RoomManager');
+const { setupGame } = require('./helpers');
+
+/**
+ * Play the current hand up to the point where `plays` cards have been played.
+ * player1 picks and calls under if they must, buries the first legal pair.
+ */
+function playInto(game, plays) {
+  game.pick('player1', true);
+  const callable = game.getCallableOptions('player1');
+  if (callable.goAlone || callable.options.length === 0) {
+    game.callAce('player1', null, true);
+  } else {
+    const option = callable.options[0];
+    const underCardId = callable.mustSelectUnderCard ? game.hands.player1[0].id : null;
+    game.callAce('player1', option.suit, false, underCardId);
+  }
+
+  const hand = game.hands.player1;
+  buryLoop:
+  for (let i = 0; i < hand.length; i++) {
+    for (let j = i + 1; j < hand.length; j++) {
+      if (game.bury('player1', [hand[i].id, hand[j].id]).success) break buryLoop;
+    }
+  }
+
+  for (let n = 0; n < plays && game.phase === 'playing'; n++) {
+    playNext(game);
+  }
+}
+
+function playNext(game) {
+  const current = game.players[game.currentPlayerIndex].id;
+  return game.playCard(current, game.getStateForPlayer(current).playableCards[0]);
+}
+
+describe('Serialize', () => {
+  test('Snapshot is plain JSON', () => {
+    const game = setupGame();
+    game.startHand({ seed: 11 });
+    playInto(game, 7);
+
+    const snapshot = game.serialize();
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+    expect(snapshot.version).toBe(1);
+  });
+
+  test('Restored game has the same state as the original', () => {
+    const game = setupGame();
+    game.startHand({ seed: 11 });
+    playInto(game, 7);
+
+    const restored = SheepsheadGame.deserialize(game.serialize());
+
+    for (const player of game.players) {
+      expect(restored.getStateForPlayer(player.id)).toEqual(game.getStateForPlayer(player.id));
+    }
+    expect(restored.blind).toEqual(game.blind);
+    expect(restored.buried).toEqual(game.buried);
+    expect(restored.underCardId).toBe(game.underCardId);
+    expect(restored.serialize()).toEqual(game.serialize());
+  });
+
+  test('Restored game plays out the same as the original', () => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const game = setupGame();
+      game.startHand({ seed });
+      playInto(game, 12);
+
+      const restored = SheepsheadGame.deserialize(game.serialize());
+      while (game.phase === 'playing') {
+        playNext(game);
+        playNext(restored);
+      }
+
+      expect(restored.phase).toBe('scoring');
+      expect(restored.handResults.scores).toEqual(game.handResults.scores);
+    }
+  });
+
+  test('Under card and voting state survive a restore', () => {
+    const game = setupGame();
+    game.startHand({ seed: 3 });
+    playInto(game, 30);
+    game.playersNextHand.push('player0');
+    game.playersLeaving.push('player2');
+
+    const restored = SheepsheadGame.deserialize(game.serialize());
+
+    expect(restored.phase).toBe('scoring');
+    expect(restored.underCardPlayed).toBe(game.underCardPlayed);
+    expect(restored.playersNextHand).toEqual(['player0']);
+    expect(restored.playersLeaving).toEqual(['player2']);
+    expect(restored.handResults).toEqual(JSON.parse(JSON.stringify(game.handResults)));
+  });
+
+  test('Restored action log is still append-only', () => {
+    const game = setupGame();
+    game.startHand();
+    game.pick('player1', false);
+
+    const restored = SheepsheadGame.deserialize(game.serialize());
+    expect(Object.isFrozen(restored.actionLog[1])).toBe(true);
+    restored.pick('player2', false);
+    expect(restored.actionLog.map(a => a.seq)).toEqual([0, 1, 2]);
+  });
+
+  test('Provably fair commitments survive a restore', () => {
+    const game = setupGame();
+    game.startHand();
+
+    const restored = SheepsheadGame.deserialize(game.serialize());
+    expect(restored.fairness).toEqual(game.fairness);
+    expect(restored.serverSeed).toBe(game.serverSeed);
+    expect(restored.getStateForPlayer('player0').nextServerSeedHash)
+      .toBe(game.getStateForPlayer('player0').nextServerSeedHash);
+  });
+
+  test('Unknown snapshot versions are rejected', () => {
+    expect(() => SheepsheadGame.deserialize({ version: 99, state: {} })).toThrow('Unsupported room snapshot');
+    expect(() => SheepsheadGame.deserialize(null)).toThrow('Unsupported room snapshot');
+  });
+});
+
+describe('Room Manager Persistence', () => {
+  beforeEach(() => {
+    roomManager.stop();
+    roomManager.rooms.clear();
+    roomManager.playerRooms.clear();
+    roomManager.savedSnapshots.clear();
+    RoomSnapshot.rows.clear();
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    roomManager.stop();
+  });
+
+  function fillRoom(roomId) {
+    for (let i = 0; i < 5; i++) {
+      roomManager.joinRoom(roomId, `${roomId}-p${i}`, `Player ${i}`);
+    }
+    return roomManager.getRoom(roomId);
+  }
+
+  function simulateRestart() {
+    roomManager.stop();
+    roomManager.rooms.clear();
+    roomManager.playerRooms.clear();
+    roomManager.savedSnapshots.clear();
+  }
+
+  test('Rooms are restored with players back in their seats', () => {
+    const game = fillRoom('ABCD');
+    game.startHand({ seed: 5 });
+    game.pick('ABCD-p1', false);
+    roomManager.persistRooms();
+
+    simulateRestart();
+    const { restored } = roomManager.start();
+
+    expect(restored).toBe(1);
+    const room = roomManager.getPlayerRoom('ABCD-p3');
+    expect(room.roomId).toBe('ABCD');
+    expect(room.phase).toBe('picking');
+    expect(room.passedPlayers).toEqual(['ABCD-p1']);
+    expect(room.hands['ABCD-p3']).toEqual(game.hands['ABCD-p3']);
+    expect(room.players.find(p => p.id === 'ABCD-p3').seatIndex).toBe(3);
+    // Seats are held until the players reconnect
+    expect(room.isConnected('ABCD-p3')).toBe(false);
+  });
+
+  test('Unchanged rooms are not written again', () => {
+    fillRoom('ABCD');
+    roomManager.persistRooms();
+    roomManager.persistRooms();
+
+    expect(RoomSnapshot.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('Snapshots of closed rooms are removed', () => {
+    fillRoom('ABCD');
+    roomManager.persistRooms();
+    for (let i = 0; i < 5; i++) {
+      roomManager.leaveRoom(`ABCD-p${i}`);
+    }
+    roomManager.persistRooms();
+
+    expect(RoomSnapshot.remove).toHaveBeenCalledWith('ABCD');
+    expect(RoomSnapshot.rows.size).toBe(0);
+  });
+
+  test('Kibbitzers are not restored', () => {
+    const game = fillRoom('ABCD');
+    game.addKibbitzer('watcher', 'Watcher');
+    roomManager.persistRooms();
+
+    simulateRestart();
+    roomManager.start();
+
+    expect(roomManager.getRoom('ABCD').kibbitzers).toEqual([]);
+  });
+
+  test('Broken snapshots are discarded', () => {
+    RoomSnapshot.rows.set('BAD', { version: 0 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { restored } = roomManager.start();
+
+    expect(restored).toBe(0);
+    expect(RoomSnapshot.remove).toHaveBeenCalledWith('BAD');
+    expect(roomManager.getRoom('BAD')).toBeUndefined();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Double-Dummy Solver Tests
+ * With every hand face-up, the solver finds the best result each side can
+ * reach, and analyzeHand marks what each card played in a hand cost.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { SchafkopfGame } = require('../src/game/SchafkopfGame');
+const { DoubleDummySolver, analyzeHand } = require('../src/game/solver');
+const { parseHand } = require('../src/game/notation');
+const SchafkopfBot = require('../src/game/SchafkopfBot');
+const SearchWorker = require('../src/game/SearchWorker');
+const { setupGame, playUntil, playOut, playedHand } = require('./helpers');
+
+// Plenty of time: these tests check answers, not speed
+const NO_HURRY = { timeBudgetMs: 60000 };
+
+/**
+ * A hand from `seed` with `cardsLeft` cards still to be played
+ */
+function handWithCardsLeft(seed, cardsLeft, numPlayers = 5) {
+  const game = setupGame({ numPlayers });
+  game.startHand({ seed });
+  playUntil(game, g => g.phase === 'playing' &&
+    g.players.reduce((sum, p) => sum + g.hands[p.id].length, 0) <= cardsLeft);
+  return game;
+}
+
+/**
+ * The picking points still to come, by trying every card the game allows
+ * at every turn
+ */
+function bruteForce(actions, pickingTeam) {
+  const game = SheepsheadGame.fromActionLog(actions);
+  if (game.phase !== 'playing') return 0;
+
+  const playerId = game.players[game.currentPlayerIndex].id;
+  const values = [];
+  for (const card of game.hands[playerId]) {
+    const next = SheepsheadGame.fromActionLog(actions);
+    const result = next.playCard(playerId, card.id);
+    if (!result.success) continue;
+    const points = result.trickComplete && pickingTeam.includes(result.winner) ? result.points : 0;
+    values.push(points + bruteForce(next.actionLog, pickingTeam));
+  }
+  return pickingTeam.includes(playerId) ? Math.max(...values) : Math.min(...values);
+}
+
+/**
+ * The picking side, from the final result of the hand
+ */
+function pickingTeamOf(game) {
+  const finished = SheepsheadGame.fromActionLog(game.actionLog);
+  playOut(finished);
+  return [finished.picker, finished.partner].filter(Boolean);
+}
+
+describe('Double-Dummy Solver', () => {
+  test('Finds the same best result as trying every card', () => {
+    for (const seed of [2, 4, 5, 7]) {
+      const game = handWithCardsLeft(seed, 10);
+
+      const solver = new DoubleDummySolver(game);
+
+      expect(solver.solve()).toBe(bruteForce(game.actionLog, pickingTeamOf(game)));
+    }
+  });
+
+  test('Keeps to the under card\'s rules', () => {
+    // Seed 70: the picker calls under and still holds the under card
+    const game = handWithCardsLeft(70, 10);
+    expect(game.isUnderCall).toBe(true);
+    expect(game.underCardPlayed).toBe(false);
+
+    const solver = new DoubleDummySolver(game);
+
+    expect(solver.solve()).toBe(bruteForce(game.actionLog, pickingTeamOf(game)));
+  });
+
+  test('Keeps to the called suit\'s rules', () => {
+    // Seat 2 picks and calls the 10 of hearts, holding the K; seat 4 has the
+    // 10. Nobody has led hearts by the last two tricks
+    const { actions } = parseHand([
+      'SHN 1',
+      'Seat 1: Alice',
+      'Seat 2: Bob',
+      'Seat 3: Carol',
+      'Seat 4: Dave',
+      'Seat 5: Erin',
+      'Dealer: 1',
+      'Deal 1: 7_clubs 8_clubs 9_clubs 10_clubs K_clubs 10_diamonds',
+      'Deal 2: A_clubs A_spades A_hearts Q_clubs J_clubs K_hearts',
+      'Deal 3: 7_spades 8_spades 9_spades 10_spades K_spades J_diamonds',
+      'Deal 4: 7_hearts 8_hearts 9_hearts 10_hearts 7_diamonds Q_diamonds',
+      'Deal 5: J_spades Q_spades J_hearts Q_hearts K_diamonds A_diamonds',
+      'Blind: 8_diamonds 9_diamonds',
+      'Pick: 2 pick',
+      'Call: 2 10_hearts',
+      'Bury: 2 8_diamonds 9_diamonds',
+      'Trick 1: 2 A_clubs, 3 J_diamonds, 4 7_diamonds, 5 Q_hearts, 1 K_clubs',
+      'Trick 2: 5 J_spades, 1 10_diamonds, 2 Q_clubs, 3 7_spades, 4 Q_diamonds',
+      'Trick 3: 2 J_clubs, 3 8_spades, 4 7_hearts, 5 J_hearts, 1 7_clubs',
+      'Trick 4: 2 A_spades, 3 9_spades, 4 8_hearts, 5 Q_spades, 1 8_clubs',
+      ''
+    ].join('\n'));
+    const game = SheepsheadGame.fromActionLog(actions);
+
+    const solver = new DoubleDummySolver(game);
+
+    expect([...solver.pickingSeats].sort()).toEqual([1, 3]);
+    expect(solver.solve()).toBe(bruteForce(game.actionLog, ['seat2', 'seat4']));
+  });
+
+  test('Works at other table sizes', () => {
+    for (const numPlayers of [3, 4, 6, 7]) {
+      const game = handWithCardsLeft(1, numPlayers * 2, numPlayers);
+      if (game.phase !== 'playing' || !game.picker) continue;
+
+      const solver = new DoubleDummySolver(game);
+
+      expect(solver.solve()).toBe(bruteForce(game.actionLog, pickingTeamOf(game)));
+    }
+  });
+
+  test('The best cards keep the result; any other card gives points away', () => {
+    const game = handWithCardsLeft(4, 10);
+    const solver = new DoubleDummySolver(game);
+    const value = solver.solve();
+
+    const best = solver.bestCards(value).map(c => c.id);
+
+    expect(best.length).toBeGreaterThan(0);
+    for (const card of solver.playableCards(solver.current)) {
+      const saved = solver.play(card);
+      const result = saved.points + solver.solve();
+      solver.undo(saved);
+      expect(result === value).toBe(best.includes(card.id));
+    }
+  });
+});
+
+describe('Analyzing a Hand', () => {
+  test('Gives the picking side\'s par and what it actually took', () => {
+    const game = playedHand(4);
+
+    const analysis = analyzeHand(game.actionLog, NO_HURRY);
+
+    expect(analysis.success).toBe(true);
+    expect(analysis.pickingTeam.sort()).toEqual([game.picker, game.partner].filter(Boolean).sort());
+    expect(analysis.actual).toBe(game.handResults.pickingPoints);
+    expect(analysis.par).toBe(new DoubleDummySolver(SheepsheadGame.fromActionLog(
+      game.actionLog.slice(0, game.actionLog.findIndex(a => a.type === 'play'))
+    )).solve() + game.buried.reduce((sum, c) => sum + c.points, 0));
+  });
+
+  test('Annotates every trick with its best plays and swing', () => {
+    const game = playedHand(4);
+
+    const { par, actual, tricks } = analyzeHand(game.actionLog, NO_HURRY);
+
+    expect(tricks).toHaveLength(6);
+    expect(tricks.map(t => t.winner)).toEqual(game.tricks.map(t => t.winner));
+    expect(tricks.map(t => t.plays.map(p => p.cardId))).toEqual(game.tricks.map(t => t.cards.map(p => p.card.id)));
+    expect(tricks.reduce((sum, t) => sum + t.swing, par)).toBe(actual);
+    for (const play of tricks.flatMap(t => t.plays)) {
+      expect(play.cost).toBeGreaterThanOrEqual(0);
+      expect(play.cost === 0).toBe(play.bestCardIds.includes(play.cardId));
+    }
+  });
+
+  test('A card that gave points away shows what it cost', () => {
+    // Seed 4: the first lead costs the picking side points
+    const game = playedHand(4);
+
+    const { tricks } = analyzeHand(game.actionLog, NO_HURRY);
+    const [lead] = tricks[0].plays;
+
+    expect(lead.cost).toBeGreaterThan(0);
+    expect(lead.bestCardIds).not.toContain(lead.cardId);
+    expect(tricks[0].swing).toBeLessThanOrEqual(-lead.cost + tricks[0].plays.slice(1).reduce((sum, p) => sum + p.cost, 0));
+  });
+
+  test('Only hands with a picker can be analyzed', () => {
+    // Seed 3: everyone passes
+    const game = playedHand(3);
+
+    expect(analyzeHand(game.actionLog, NO_HURRY).success).toBe(false);
+  });
+
+  test('Schafkopf hands are not analyzed', () => {
+    const game = new SchafkopfGame('test-room');
+    for (let i = 0; i < 4; i++) {
+      game.addPlayer(`player${i}`, `Player ${i}`);
+    }
+    game.startHand({ seed: 3 });
+    playOut(game, new SchafkopfBot());
+
+    expect(analyzeHand(game.actionLog)).toEqual({ success: false, error: 'Only Sheepshead hands can be analyzed' });
+  });
+
+  test('Gives up on a hand it can\'t finish in time', () => {
+    const game = playedHand(6);
+
+    expect(analyzeHand(game.actionLog, { timeBudgetMs: -1 }))
+      .toEqual({ success: false, error: 'This hand would take too long to analyze', outOfTime: true });
+  });
+
+  test('Runs on a search worker with the same result', async () => {
+    const game = playedHand(4);
+    const searches = new SearchWorker();
+
+    try {
+      await expect(searches.run('analyzeHand', { actions: game.actionLog, options: NO_HURRY }))
+        .resolves.toEqual(analyzeHand(game.actionLog, NO_HURRY));
+      await expect(searches.run('analyzeHand', { actions: undefined })).rejects.toThrow('Action log has no deal');
+    } finally {
+      searches.stop();
+    }
+  });
+
+  test('A hand without an action log cannot be analyzed', () => {
+    expect(() => analyzeHand(undefined)).toThrow('Action log has no deal');
+  });
+});
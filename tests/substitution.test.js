@@ -0,0 +1,192 @@
+/**
+ * Bot Substitution Tests
+ * A player leaving mid-hand hands their seat - cards, tricks won and team
+ * role - to a bot, which finishes the hand so it scores normally.
+ */
+
+jest.mock('../src/models/RoomSnapshot', () => ({
+  save: jest.fn(),
+  remove: jest.fn(),
+  getAll: jest.fn(() => [])
+}));
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const roomManager = require('../src/game/RoomManager');
+const { setupGame, playUntil } = require('./helpers');
+
+/**
+ * The first hand from `seed` on where someone picked, `plays` cards in
+ */
+function pickedHand(seed, plays) {
+  for (;; seed++) {
+    const game = setupGame();
+    game.startHand({ seed });
+    playUntil(game, g => g.phase === 'playing' && g.tricks.length * 5 + g.currentTrick.length >= plays);
+    if (game.phase === 'playing') return game;
+  }
+}
+
+const BOT = { id: 'bot_sub', name: 'Bot 1' };
+
+describe('Taking Over a Seat', () => {
+  test('The bot takes the cards, tricks won and seat', () => {
+    const game = pickedHand(1, 12);
+    const leaver = game.players.find(p => p.id !== game.picker && p.id !== game.partner).id;
+    const seatIndex = game.players.findIndex(p => p.id === leaver);
+    const hand = [...game.hands[leaver]];
+    const tricks = game.tricksWon[leaver].length;
+
+    const result = game.substituteBot(leaver, BOT);
+
+    expect(result).toEqual({ success: true, botId: 'bot_sub' });
+    expect(game.players[seatIndex]).toMatchObject({ id: 'bot_sub', name: 'Bot 1', isBot: true, difficulty: 'normal' });
+    expect(game.hands.bot_sub).toEqual(hand);
+    expect(game.hands[leaver]).toBeUndefined();
+    expect(game.tricksWon.bot_sub).toHaveLength(tricks);
+    expect(game.substitutions).toEqual([{ playerId: leaver, playerName: `Player ${seatIndex}`, botId: 'bot_sub' }]);
+  });
+
+  test('A departing picker is replaced as picker', () => {
+    const game = pickedHand(2, 3);
+    const picker = game.picker;
+
+    game.substituteBot(picker, BOT);
+
+    expect(game.picker).toBe('bot_sub');
+    expect(game.getStateForPlayer('bot_sub').buried).toEqual(game.buried);
+    playUntil(game);
+
+    expect(game.phase).toBe('scoring');
+    expect(game.handResults.picker).toBe('bot_sub');
+    expect(game.handResults.scores[picker]).toBeUndefined();
+  });
+
+  test('Plays already made are credited to the bot', () => {
+    const game = pickedHand(3, 8);
+    const leaver = game.tricks[0].winner;
+
+    game.substituteBot(leaver, BOT);
+
+    expect(game.tricks[0].winner).toBe('bot_sub');
+    expect(game.tricks.flatMap(t => t.cards).some(p => p.playerId === leaver)).toBe(false);
+    expect(game.tricksWon.bot_sub.every(t => t.winner === 'bot_sub')).toBe(true);
+  });
+
+  test('The hand scores the same as if the player had stayed', () => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const stayed = pickedHand(seed, 6);
+      const left = SheepsheadGame.fromActionLog(stayed.actionLog);
+      const leaver = stayed.partner || stayed.picker;
+
+      left.substituteBot(leaver, BOT);
+      playUntil(stayed);
+      playUntil(left);
+
+      expect(left.handResults.pickingPoints).toBe(stayed.handResults.pickingPoints);
+      expect(left.handResults.scores.bot_sub).toBe(stayed.handResults.scores[leaver]);
+    }
+  });
+
+  test('A bot can take over during picking', () => {
+    const game = setupGame();
+    game.startHand({ seed: 4 });
+    const toPick = game.players[game.pickingIndex].id;
+
+    game.substituteBot(toPick, BOT);
+    playUntil(game);
+
+    expect(game.phase).toBe('scoring');
+  });
+
+  test('Only a human seat in a hand can be taken over', () => {
+    const game = setupGame();
+    expect(game.substituteBot('player1', BOT).error).toBe('No hand in progress');
+
+    game.startHand({ seed: 1 });
+    expect(game.substituteBot('nobody', BOT).error).toBe('Player not found');
+    game.substituteBot('player1', BOT);
+    expect(game.substituteBot('bot_sub', { id: 'bot_two', name: 'Bot 2' }).error).toBe('Seat is already a bot');
+  });
+
+  test('Substitutions are cleared for the next hand', () => {
+    const game = pickedHand(1, 0);
+    game.substituteBot(game.picker, BOT);
+    playUntil(game);
+
+    game.startHand({ seed: 9 });
+    expect(game.substitutions).toEqual([]);
+  });
+});
+
+describe('Replay and Restore', () => {
+  test('Replaying the log applies the substitution', () => {
+    const game = pickedHand(5, 7);
+    game.substituteBot(game.players[game.currentPlayerIndex].id, BOT);
+    playUntil(game);
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay.players.map(p => p.id)).toEqual(game.players.map(p => p.id));
+    expect(replay.tricks).toEqual(game.tricks);
+    expect(replay.handResults.scores).toEqual(game.handResults.scores);
+  });
+
+  test('A restored table keeps the substitution', () => {
+    const game = pickedHand(6, 4);
+    game.substituteBot(game.picker, BOT);
+
+    const restored = SheepsheadGame.deserialize(game.serialize());
+
+    expect(restored.substitutions).toEqual(game.substitutions);
+    expect(restored.isBot('bot_sub')).toBe(true);
+    playUntil(restored);
+    expect(restored.handResults.picker).toBe('bot_sub');
+  });
+});
+
+describe('Leaving the Room', () => {
+  beforeEach(() => {
+    roomManager.rooms.clear();
+    roomManager.playerRooms.clear();
+  });
+
+  function fullRoom() {
+    for (let i = 0; i < 5; i++) {
+      roomManager.joinRoom('ROOM', `player${i}`, `Player ${i}`);
+    }
+    return roomManager.getRoom('ROOM');
+  }
+
+  test('Leaving mid-hand puts a bot in the seat', () => {
+    const game = fullRoom();
+    game.startHand({ seed: 1 });
+
+    const result = roomManager.leaveRoom('player2');
+
+    expect(result.substituted).toBe(true);
+    expect(game.phase).toBe('picking');
+    expect(game.players[2]).toMatchObject({ id: result.botId, isBot: true });
+    expect(roomManager.getPlayerRoom('player2')).toBeNull();
+    expect(roomManager.getPlayerRoom(result.botId)).toBe(game);
+  });
+
+  test('Leaving between hands still frees the seat', () => {
+    const game = fullRoom();
+
+    const result = roomManager.leaveRoom('player2');
+
+    expect(result.substituted).toBeUndefined();
+    expect(game.players).toHaveLength(4);
+  });
+
+  test('The last human leaving mid-hand closes the table', () => {
+    const game = fullRoom();
+    game.startHand({ seed: 1 });
+    for (let i = 0; i < 4; i++) roomManager.leaveRoom(`player${i}`);
+
+    const result = roomManager.leaveRoom('player4');
+
+    expect(result.substituted).toBeUndefined();
+    expect(roomManager.getRoom('ROOM')).toBeUndefined();
+  });
+});
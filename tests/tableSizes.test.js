@@ -0,0 +1,176 @@
+/**
+ * Table Size Tests
+ * Tables of 3, 4, 6 and 7 players: deal sizes, partner rules and picker
+ * shares derived from the number of players.
+ */
+
+const { SheepsheadGame } = require('../src/game/SheepsheadGame');
+const { createDeck } = require('../src/game/deck');
+const { TABLE_SIZES } = require('../src/game/constants');
+const { DEFAULT_RULES, defaultRulesFor, validateRules, describeRules } = require('../src/game/rules');
+const roomManager = require('../src/game/RoomManager');
+const { setupGame, playOut } = require('./helpers');
+
+describe('Dealing', () => {
+  test.each([3, 4, 5, 6, 7])('%i players are dealt the whole deck', (numPlayers) => {
+    const game = setupGame({ numPlayers });
+    game.startHand({ seed: 1 });
+    const { cardsPerPlayer, blindSize } = TABLE_SIZES[numPlayers];
+
+    for (const player of game.players) {
+      expect(game.hands[player.id]).toHaveLength(cardsPerPlayer);
+    }
+    expect(game.blind).toHaveLength(blindSize);
+    expect(numPlayers * cardsPerPlayer + blindSize).toBe(32);
+  });
+
+  test('The table seats exactly its number of players', () => {
+    const game = setupGame({ numPlayers: 4 });
+
+    expect(game.addPlayer('player4', 'Player 4').error).toBe('Game is full');
+
+    const short = new SheepsheadGame('test-room', { rules: { numPlayers: 6 } });
+    for (let i = 0; i < 5; i++) short.addPlayer(`player${i}`, `Player ${i}`);
+    expect(short.startHand({ seed: 1 }).error).toBe('Need 6 players');
+  });
+
+  test('A 4-card blind means burying 4 cards', () => {
+    const game = setupGame({ numPlayers: 7 });
+    game.startHand({ seed: 1 });
+    const picker = game.players[game.pickingIndex].id;
+    game.pick(picker, true);
+    game.callAce(picker, null, true);
+
+    expect(game.getStateForPlayer(picker).needToBury).toBe(4);
+    expect(game.bury(picker, game.hands[picker].slice(0, 2).map(c => c.id)).error)
+      .toBe('Must bury exactly 4 cards');
+  });
+});
+
+describe('Partners', () => {
+  test('Three-handed, the picker always plays alone', () => {
+    const game = setupGame({ numPlayers: 3 });
+    game.startHand({ seed: 1 });
+
+    const result = game.pick(game.players[game.pickingIndex].id, true);
+
+    expect(result.goAlone).toBe(true);
+    expect(game.phase).toBe('burying');
+  });
+
+  test('Four-handed, the Q♣ holder is the partner', () => {
+    const ids = createDeck().map(c => c.id).filter(id => id !== 'Q_clubs');
+    ids.splice(2, 0, 'Q_clubs'); // First card of player2
+    const game = setupGame({ numPlayers: 4 });
+    game.startHand({ deck: ids });
+
+    game.pick('player1', true);
+
+    expect(game.partnerCardId).toBe('Q_clubs');
+  });
+
+  test('Four-handed, a picker with the Q♣ partners the Q♠ holder, and with both goes alone', () => {
+    const deck = createDeck().map(c => c.id).filter(id => id !== 'Q_clubs' && id !== 'Q_spades');
+    const oneQueen = [...deck];
+    oneQueen.splice(1, 0, 'Q_clubs');
+    oneQueen.splice(2, 0, 'Q_spades');
+    const game = setupGame({ numPlayers: 4 });
+    game.startHand({ deck: oneQueen });
+    game.pick('player1', true);
+    expect(game.partnerCardId).toBe('Q_spades');
+
+    const bothQueens = [...deck];
+    bothQueens.splice(1, 0, 'Q_clubs');
+    bothQueens.splice(5, 0, 'Q_spades');
+    const alone = setupGame({ numPlayers: 4 });
+    alone.startHand({ deck: bothQueens });
+    expect(alone.pick('player1', true).goAlone).toBe(true);
+  });
+
+  test('Six-handed plays the jack of diamonds by default', () => {
+    const game = setupGame({ numPlayers: 6 });
+    expect(game.rules.partner).toBe('jackOfDiamonds');
+  });
+
+  test('Partner rules the table size can\'t play are rejected', () => {
+    expect(validateRules({ numPlayers: 3, partner: 'calledAce' }).success).toBe(false);
+    expect(validateRules({ numPlayers: 5, partner: 'blackQueen' }).success).toBe(false);
+    expect(validateRules({ numPlayers: 6, partner: 'calledAce' }).success).toBe(true);
+  });
+});
+
+describe('Scoring', () => {
+  test('Picker shares balance the defenders\' stakes at every size', () => {
+    for (const numPlayers of [4, 5, 6, 7]) {
+      const rules = defaultRulesFor(numPlayers);
+      const defenders = numPlayers - 2;
+      expect(rules.scoring.picker + 1).toBe(defenders);
+      expect(rules.scoring.alone).toBe(numPlayers - 1);
+    }
+    expect(defaultRulesFor(5)).toBe(DEFAULT_RULES);
+  });
+
+  test('A six-handed win pays picker 3 and partner 1', () => {
+    const game = setupGame({ numPlayers: 6 });
+    game.picker = 'player0';
+    game.partner = 'player1';
+    game.buried = [];
+    game.players.forEach((p, i) => {
+      game.tricksWon[p.id] = [{ points: [40, 30, 20, 10, 10, 10][i] }];
+    });
+
+    expect(game._scoreNormalHand().scores).toEqual({
+      player0: 3, player1: 1, player2: -1, player3: -1, player4: -1, player5: -1
+    });
+  });
+
+  test('Schwanzer losers pay every other player', () => {
+    const game = setupGame({ numPlayers: 3 });
+    game.startHand({ seed: 1 });
+    for (let i = 0; i < 3; i++) game.pick(game.players[game.pickingIndex].id, false);
+
+    const scores = Object.values(game.handResults.scores).sort((a, b) => a - b);
+    expect(scores).toEqual([-2, 1, 1]);
+  });
+
+  test.each([3, 4, 6, 7])('Bots play %i-handed hands to a zero-sum result', (numPlayers) => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const game = setupGame({ numPlayers });
+      game.startHand({ seed });
+      playOut(game);
+
+      expect(game.tricks.length === TABLE_SIZES[numPlayers].cardsPerPlayer || game.handResults.type === 'schwanzer').toBe(true);
+      expect(Object.values(game.handResults.scores).reduce((a, b) => a + b, 0)).toBe(0);
+    }
+  });
+});
+
+describe('Replay and Rules', () => {
+  test('Replaying a seven-handed hand scores it the same', () => {
+    const game = setupGame({ numPlayers: 7 });
+    game.startHand({ seed: 2 });
+    playOut(game);
+
+    const replay = SheepsheadGame.fromActionLog(game.actionLog);
+
+    expect(replay.numPlayers).toBe(7);
+    expect(replay.handResults.scores).toEqual(game.handResults.scores);
+  });
+
+  test('Only the size is listed for a table\'s standard rules', () => {
+    expect(describeRules(validateRules({ numPlayers: 6 }).rules)).toEqual(['6-handed']);
+    expect(describeRules(validateRules({ numPlayers: 4, partner: 'calledAce' }).rules))
+      .toEqual(['4-handed', 'Called ace']);
+    expect(validateRules({ numPlayers: 8 }).success).toBe(false);
+  });
+
+  test('The lobby shows how many seats a table has', () => {
+    roomManager.rooms.clear();
+    roomManager.playerRooms.clear();
+    roomManager.joinRoom('TRIO', 'host', 'Host', { rules: { numPlayers: 3 } });
+
+    expect(roomManager.getPublicRooms()).toEqual([
+      expect.objectContaining({ roomId: 'TRIO', playerCount: 1, seats: 3, houseRules: ['3-handed'] })
+    ]);
+  });
+});
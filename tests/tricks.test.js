@@ -394,6 +394,14 @@ describe('Picker Rules', () => {
 
       expect(playable.length).toBe(3);
     });
+
+    test('Hold card is the last card in hand - must be played', () => {
+      const hand = [card('K', 'spades')];
+      const trick = [{ playerId: 'other', card: card('7', 'clubs') }];
+      const playable = getPlayableCards(hand, trick, 'spades', false, true, false);
+
+      expect(playable.map(c => c.id)).toEqual(['K_spades']);
+    });
   });
 
   describe('Picker Leading', () => {